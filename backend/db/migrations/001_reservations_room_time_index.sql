@@ -0,0 +1,14 @@
+-- 001_reservations_room_time_index.sql
+-- -----------------------------------------------------------------------------
+-- DOUBLE-BOOKING PREVENTION — OVERLAP QUERY INDEX
+-- -----------------------------------------------------------------------------
+-- Supports reservationConflictService.findConflictingReservations():
+--
+--   WHERE room_id = ? AND start_time < ? AND end_time > ?
+--
+-- Without this index every create / update scans the whole room history
+-- while holding the room lock.
+-- -----------------------------------------------------------------------------
+
+CREATE INDEX idx_reservations_room_time
+  ON reservations (room_id, start_time, end_time);
@@ -0,0 +1,60 @@
+-- 002_reservation_series.sql
+-- -----------------------------------------------------------------------------
+-- RECURRING RESERVATIONS — SERIES RECORD
+-- -----------------------------------------------------------------------------
+-- One row per recurring booking. Every expanded instance in `reservations`
+-- points back here through reservations.recurrence_id.
+--
+-- • start_time / end_time → FIRST occurrence (LOCAL wall time, like reservations)
+-- • frequency + interval_count + until_date + exclude_dates
+--     → the exact input given to generateRecurrenceInstances()
+-- • Series invites use UID series-{id}@briya.org (one calendar event + RRULE)
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE reservation_series (
+  id                 INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  site_id            INT UNSIGNED NOT NULL,
+  room_id            INT UNSIGNED NOT NULL,
+
+  title              VARCHAR(255) NULL,
+  description        TEXT NULL,
+
+  room_name_snapshot VARCHAR(255) NOT NULL,
+  site_name_snapshot VARCHAR(255) NOT NULL,
+
+  created_by_name    VARCHAR(255) NOT NULL,
+  email              VARCHAR(255) NULL,
+  attendees_emails   TEXT NULL,
+
+  start_time         DATETIME NOT NULL,
+  end_time           DATETIME NOT NULL,
+
+  frequency          ENUM('daily', 'weekly', 'monthly') NOT NULL,
+  interval_count     INT UNSIGNED NOT NULL DEFAULT 1,
+  until_date         DATE NOT NULL,
+  exclude_dates      JSON NULL,
+
+  created_at_utc     DATETIME NOT NULL,
+  updated_at_utc     DATETIME NULL,
+  created_tz         VARCHAR(64) NOT NULL,
+
+  PRIMARY KEY (id),
+  KEY idx_reservation_series_room (room_id)
+);
+
+CREATE INDEX idx_reservations_recurrence
+  ON reservations (recurrence_id);
+
+-- -----------------------------------------------------------------------------
+-- SERIES INVITE TRACKING
+-- -----------------------------------------------------------------------------
+-- Same role as reservation_invites, but for the single series calendar event.
+-- -----------------------------------------------------------------------------
+CREATE TABLE reservation_series_invites (
+  series_id    INT UNSIGNED NOT NULL,
+  email        VARCHAR(255) NOT NULL,
+  last_sent_at DATETIME NOT NULL,
+
+  PRIMARY KEY (series_id, email)
+);
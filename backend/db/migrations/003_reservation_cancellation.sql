@@ -0,0 +1,19 @@
+-- 003_reservation_cancellation.sql
+-- -----------------------------------------------------------------------------
+-- RESERVATION CANCELLATION (SOFT DELETE)
+-- -----------------------------------------------------------------------------
+-- Cancelled reservations are KEPT for audit/history but:
+-- • disappear from the calendar (GET filters them out)
+-- • no longer block the room (conflict checks ignore them)
+--
+-- status:
+-- • 'confirmed' → normal booking (default for all existing rows)
+-- • 'cancelled' → soft-deleted via DELETE /internal/reservations/:id
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE reservations
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'confirmed' AFTER recurrence_id,
+  ADD COLUMN cancelled_at_utc DATETIME NULL AFTER updated_at_utc;
+
+CREATE INDEX idx_reservations_room_status_time
+  ON reservations (room_id, status, start_time);
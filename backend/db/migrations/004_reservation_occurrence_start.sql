@@ -0,0 +1,19 @@
+-- 004_reservation_occurrence_start.sql
+-- -----------------------------------------------------------------------------
+-- RECURRING SERIES EDITS — ORIGINAL OCCURRENCE START
+-- -----------------------------------------------------------------------------
+-- occurrence_start = the slot this instance was generated for by the series
+-- RRULE. It NEVER changes when a single occurrence is moved, because calendar
+-- clients identify an occurrence override by RECURRENCE-ID = original start.
+--
+-- • NULL for non-recurring reservations
+-- • Shifted together with start_time on whole-series / "following" edits
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE reservations
+  ADD COLUMN occurrence_start DATETIME NULL AFTER recurrence_id;
+
+UPDATE reservations
+SET occurrence_start = start_time
+WHERE recurrence_id IS NOT NULL
+  AND occurrence_start IS NULL;
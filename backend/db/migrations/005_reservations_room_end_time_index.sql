@@ -0,0 +1,14 @@
+-- 005_reservations_room_end_time_index.sql
+-- -----------------------------------------------------------------------------
+-- DATE-WINDOWED CALENDAR LOADING
+-- -----------------------------------------------------------------------------
+-- GET /internal/reservations/:siteSlug/:roomId?from=&to= filters with
+--   r.room_id = ? AND r.end_time > :from AND r.start_time < :to
+--
+-- Leading on (room_id, end_time) means the range scan starts at `from` and
+-- never walks the room's past semesters; start_time is in the index so the
+-- upper bound is checked without touching the row.
+-- -----------------------------------------------------------------------------
+
+CREATE INDEX idx_reservations_room_end_time
+  ON reservations (room_id, end_time, start_time);
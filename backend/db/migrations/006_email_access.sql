@@ -0,0 +1,45 @@
+-- 006_email_access.sql
+-- -----------------------------------------------------------------------------
+-- EMAILED ONE-TIME ACCESS (NO ACCOUNTS)
+-- -----------------------------------------------------------------------------
+-- Proves a person controls an email address by mailing them a one-time
+-- link + 6-digit code (through email_jobs). A verified code/link is traded
+-- for a short-lived session token.
+--
+-- • purpose → which feature the access is for ('my_reservations', …)
+-- • Only SHA-256 hashes are stored; the plain code/token lives in the email
+-- • Codes are single-use, expire, and lock after too many wrong attempts
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE email_access_codes (
+  id                INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  email             VARCHAR(255) NOT NULL,
+  purpose           VARCHAR(32) NOT NULL,
+
+  code_hash         CHAR(64) NOT NULL,
+  link_token_hash   CHAR(64) NOT NULL,
+  attempts          INT UNSIGNED NOT NULL DEFAULT 0,
+
+  expires_at_utc    DATETIME NOT NULL,
+  used_at_utc       DATETIME NULL,
+  created_at_utc    DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_email_access_codes_link (link_token_hash),
+  KEY idx_email_access_codes_email (email, purpose, created_at_utc)
+);
+
+CREATE TABLE email_access_sessions (
+  id                INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  email             VARCHAR(255) NOT NULL,
+  purpose           VARCHAR(32) NOT NULL,
+  token_hash        CHAR(64) NOT NULL,
+
+  expires_at_utc    DATETIME NOT NULL,
+  created_at_utc    DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_email_access_sessions_token (token_hash)
+);
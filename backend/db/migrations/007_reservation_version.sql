@@ -0,0 +1,16 @@
+-- 007_reservation_version.sql
+-- -----------------------------------------------------------------------------
+-- OPTIMISTIC CONCURRENCY (RESERVATION ROW VERSION)
+-- -----------------------------------------------------------------------------
+-- Every write to a reservation row bumps `version`:
+-- • GET / create / update responses return it
+-- • PUT /internal/reservations/:id sends it back (body `version` or
+--   If-Match: "<version>")
+-- • The UPDATE only applies WHERE version = <sent version>
+--   → a stale editor gets 409 + the current row instead of overwriting
+--
+-- Existing rows start at 1.
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE reservations
+  ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1 AFTER status;
@@ -0,0 +1,35 @@
+-- 008_reservation_approval.sql
+-- -----------------------------------------------------------------------------
+-- APPROVAL WORKFLOW FOR RESTRICTED ROOMS
+-- -----------------------------------------------------------------------------
+-- rooms.requires_approval = TRUE → new bookings start as 'pending':
+-- • still block the room (nobody can grab the slot while it is reviewed)
+-- • no calendar REQUEST is sent until an admin approves
+--
+-- reservations.status lifecycle:
+--   'pending'   → waiting in the admin approval queue
+--   'confirmed' → approved (or room needs no approval)
+--   'rejected'  → declined by an admin (kept for audit, frees the room)
+--   'cancelled' → withdrawn / soft-deleted
+--
+-- reviewed_* record WHO (PIN role) decided, WHEN (UTC) and WHY.
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE rooms
+  ADD COLUMN requires_approval BOOLEAN NOT NULL DEFAULT FALSE AFTER is_active;
+
+ALTER TABLE reservations
+  ADD COLUMN reviewed_by_role VARCHAR(20) NULL AFTER version,
+  ADD COLUMN review_reason VARCHAR(500) NULL AFTER reviewed_by_role,
+  ADD COLUMN reviewed_at_utc DATETIME NULL AFTER review_reason;
+
+-- Approval queue: WHERE status = 'pending' ORDER BY start_time
+CREATE INDEX idx_reservations_status_start
+  ON reservations (status, start_time);
+
+-- Rooms that start out restricted
+UPDATE rooms r
+JOIN sites s ON s.id = r.site_id
+SET r.requires_approval = TRUE
+WHERE (s.slug = 'georgia' AND r.name IN ('GA Lg Counseling Rm', 'GA Sm Counseling Rm'))
+   OR (s.slug = 'fort-totten' AND r.name LIKE 'Registration Room 131B%');
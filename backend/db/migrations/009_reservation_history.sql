@@ -0,0 +1,31 @@
+-- 009_reservation_history.sql
+-- -----------------------------------------------------------------------------
+-- RESERVATION CHANGE HISTORY (AUDIT TRAIL)
+-- -----------------------------------------------------------------------------
+-- One row per write to a reservation, in the SAME transaction as the write:
+-- • action  → 'create' | 'update' | 'cancel' | 'approve' | 'reject'
+-- • changes → JSON diff { field: { "from": <old>, "to": <new> } }
+--             (create → every field "from" null)
+-- • actor_* → who did it: PIN role ('user' | 'admin' | 'super_admin') and/or
+--             the verified email (My Reservations); NULL = anonymous device
+-- • edit_scope → 'single' | 'following' | 'series' for recurring edits
+--
+-- Rows are append-only; GET /internal/reservations/:id/history reads them.
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE reservation_history (
+  id                BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  reservation_id    INT UNSIGNED NOT NULL,
+  action            VARCHAR(20) NOT NULL,
+  edit_scope        VARCHAR(20) NULL,
+  changes           JSON NOT NULL,
+
+  actor_role        VARCHAR(20) NULL,
+  actor_email       VARCHAR(255) NULL,
+
+  created_at_utc    DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  KEY idx_reservation_history_reservation (reservation_id, id)
+);
@@ -0,0 +1,30 @@
+-- 010_reservation_idempotency.sql
+-- -----------------------------------------------------------------------------
+-- IDEMPOTENT RESERVATION CREATION
+-- -----------------------------------------------------------------------------
+-- POST /internal/reservations accepts an `Idempotency-Key` header.
+-- A successful create stores its response here IN THE SAME TRANSACTION:
+-- • same key + same payload      → the stored response is replayed
+--                                  (no new rows, no new invites)
+-- • same key + different payload → 422, nothing is written
+--
+-- • request_hash → SHA-256 of the canonical JSON body
+-- • Only successful (201) creates are stored; a 409 / 400 can be retried
+-- • Keys are kept 24 hours, then the key may be reused
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE reservation_idempotency_keys (
+  id                INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  idempotency_key   VARCHAR(128) NOT NULL,
+  request_hash      CHAR(64) NOT NULL,
+
+  response_status   SMALLINT UNSIGNED NOT NULL,
+  response_body     JSON NOT NULL,
+
+  created_at_utc    DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_reservation_idempotency_key (idempotency_key),
+  KEY idx_reservation_idempotency_created (created_at_utc)
+);
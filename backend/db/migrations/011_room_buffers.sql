@@ -0,0 +1,20 @@
+-- 011_room_buffers.sql
+-- -----------------------------------------------------------------------------
+-- PER-ROOM SETUP / TEARDOWN BUFFERS
+-- -----------------------------------------------------------------------------
+-- Every booking in a room occupies:
+--   [start_time - buffer_before_minutes, end_time + buffer_after_minutes)
+-- and occupied blocks may not overlap. So two back-to-back bookings need
+-- (before + after) minutes between them — e.g. 10 + 5 → a 15-minute gap.
+--
+-- • Enforced by reservationConflictService (create / update / recurring)
+--   and by the site availability search
+-- • Drawn as shaded blocks around events in RoomCalendar
+-- • 0 / 0 (default) → bookings may touch (10:00–11:00 then 11:00–12:00)
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE rooms
+  ADD COLUMN buffer_before_minutes SMALLINT UNSIGNED NOT NULL DEFAULT 0
+    AFTER requires_approval,
+  ADD COLUMN buffer_after_minutes SMALLINT UNSIGNED NOT NULL DEFAULT 0
+    AFTER buffer_before_minutes;
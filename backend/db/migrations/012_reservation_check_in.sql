@@ -0,0 +1,29 @@
+-- 012_reservation_check_in.sql
+-- -----------------------------------------------------------------------------
+-- CHECK-IN + AUTOMATIC NO-SHOW RELEASE
+-- -----------------------------------------------------------------------------
+-- The organizer confirms a booking is in use ("check in") from the link in
+-- the invite email or from the calendar. A confirmed booking that is still
+-- not checked in CHECK_IN_GRACE_MINUTES after start_time is released by the
+-- email worker (only when CHECK_IN_GRACE_MINUTES > 0 and check-in links are
+-- enabled via CHECK_IN_LINK_SECRET — off by default):
+--
+-- reservations.status gains:
+--   'no_show' → released; end_time is cut back to the release time, so the
+--               elapsed part stays on the calendar (audit + the repeat
+--               no-show report) and the rest of the slot is free
+--               (the original end is in reservation_history)
+--
+-- • checked_in_at_utc → WHEN the booking was checked in (UTC)
+-- • released_at_utc   → WHEN the worker released it (UTC)
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE reservations
+  ADD COLUMN checked_in_at_utc DATETIME NULL AFTER reviewed_at_utc,
+  ADD COLUMN released_at_utc DATETIME NULL AFTER checked_in_at_utc;
+
+-- Release sweep: WHERE status = 'confirmed' AND checked_in_at_utc IS NULL
+--                AND start_time <= ?
+CREATE INDEX idx_reservations_check_in
+  ON reservations (status, checked_in_at_utc, start_time);
+
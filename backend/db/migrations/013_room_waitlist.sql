@@ -0,0 +1,56 @@
+-- 013_room_waitlist.sql
+-- -----------------------------------------------------------------------------
+-- ROOM WAITLIST (QUEUE FOR A TAKEN TIME SLOT)
+-- -----------------------------------------------------------------------------
+-- One row per person waiting for a room + time range that is already booked.
+-- When an overlapping booking is cancelled, shortened, moved, rejected or
+-- released as a no-show, the OLDEST waiting entry whose whole range is now
+-- free is served first:
+--
+-- status lifecycle:
+--   'waiting'  → in the queue
+--   'offered'  → emailed a "claim this slot" link (offer_* columns)
+--   'booked'   → claimed (or auto-booked) → reservation_id
+--   'declined' → the person passed on the offer
+--   'expired'  → offer not claimed in time, or the slot is already over
+--
+-- • auto_book = TRUE → no link: the reservation is created for them
+-- • An offer does NOT hold the room; claiming re-checks for conflicts
+-- • Only the SHA-256 of the claim token is stored
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE room_waitlist (
+  id                    INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  site_id               INT UNSIGNED NOT NULL,
+  room_id               INT UNSIGNED NOT NULL,
+  room_name_snapshot    VARCHAR(255) NOT NULL,
+  site_name_snapshot    VARCHAR(255) NOT NULL,
+
+  -- LOCAL wall time (same rules as reservations)
+  start_time            DATETIME NOT NULL,
+  end_time              DATETIME NOT NULL,
+
+  -- Reservation details used when the slot is booked for them
+  title                 VARCHAR(255) NULL,
+  description           TEXT NULL,
+  created_by_name       VARCHAR(255) NOT NULL,
+  email                 VARCHAR(255) NOT NULL,
+  attendees_emails      TEXT NULL,
+
+  auto_book             BOOLEAN NOT NULL DEFAULT FALSE,
+  status                VARCHAR(20) NOT NULL DEFAULT 'waiting',
+
+  offer_token_hash      CHAR(64) NULL,
+  offered_at_utc        DATETIME NULL,
+  offer_expires_at_utc  DATETIME NULL,
+  reservation_id        INT UNSIGNED NULL,
+
+  created_at_utc        DATETIME NOT NULL,
+  updated_at_utc        DATETIME NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_room_waitlist_offer_token (offer_token_hash),
+  KEY idx_room_waitlist_room_status (room_id, status, start_time),
+  KEY idx_room_waitlist_status_expiry (status, offer_expires_at_utc)
+);
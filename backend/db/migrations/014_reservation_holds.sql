@@ -0,0 +1,35 @@
+-- 014_reservation_holds.sql
+-- -----------------------------------------------------------------------------
+-- TENTATIVE HOLDS (CREATE MODAL OPEN)
+-- -----------------------------------------------------------------------------
+-- A short-lived claim on a room + time range while someone fills in the
+-- create form. Other viewers see the range as "being booked", and their
+-- create for an overlapping range is refused until the hold ends.
+--
+-- A hold ends when:
+--   • the holder's create succeeds (deleted in the same transaction)
+--   • the holder closes the modal (DELETE /api/reservations/holds/:id)
+--   • expires_at_utc passes (ignored from then on; purged lazily)
+--
+-- • Holds never appear in reservations / invites / history
+-- • Only the SHA-256 of the holder's token is stored
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE reservation_holds (
+  id              INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  room_id         INT UNSIGNED NOT NULL,
+
+  -- LOCAL wall time (same rules as reservations)
+  start_time      DATETIME NOT NULL,
+  end_time        DATETIME NOT NULL,
+
+  token_hash      CHAR(64) NOT NULL,
+  expires_at_utc  DATETIME NOT NULL,
+  created_at_utc  DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_reservation_holds_token (token_hash),
+  KEY idx_reservation_holds_room_time (room_id, start_time, end_time),
+  KEY idx_reservation_holds_expiry (expires_at_utc)
+);
@@ -0,0 +1,29 @@
+-- 015_calendar_feed_tokens.sql
+-- -----------------------------------------------------------------------------
+-- PERSONAL CALENDAR FEEDS (SECRET URL PER EMAIL)
+-- -----------------------------------------------------------------------------
+-- GET /api/my-reservations/feed/:token/calendar.ics publishes every upcoming
+-- booking an address organizes or attends. The token in the URL is the only
+-- credential (calendar apps cannot sign in), so:
+--
+-- • Tokens are issued only after the address is verified by an emailed link
+--   (email_access_codes, purpose 'calendar_feed')
+-- • One live token per address — issuing a new one revokes the old one
+-- • Revoked tokens stop working immediately (revoked_at_utc)
+-- • Only the SHA-256 of the token is stored; the URL is shown once
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE calendar_feed_tokens (
+  id                 INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  email              VARCHAR(255) NOT NULL,
+  token_hash         CHAR(64) NOT NULL,
+
+  created_at_utc     DATETIME NOT NULL,
+  last_used_at_utc   DATETIME NULL,
+  revoked_at_utc     DATETIME NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_calendar_feed_tokens_token (token_hash),
+  KEY idx_calendar_feed_tokens_email (email, revoked_at_utc)
+);
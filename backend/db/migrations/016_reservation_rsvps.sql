@@ -0,0 +1,44 @@
+-- 016_reservation_rsvps.sql
+-- -----------------------------------------------------------------------------
+-- ATTENDEE RSVP REPLIES (iTIP METHOD:REPLY)
+-- -----------------------------------------------------------------------------
+-- Invites go out with RSVP=TRUE; when an attendee answers in their calendar
+-- app, the REPLY is read from the RSVP inbox (maildir / IMAP) or POSTed to
+-- /api/reservations/rsvp and mapped back through the UID:
+--
+--   reservation-{id}@briya.org                  → reservation_id
+--   series-{id}@briya.org                       → series_id (whole series)
+--   series-{id}@briya.org + RECURRENCE-ID       → series_id + occurrence_start
+--
+-- • One row per reply target + attendee (reply_key); a newer reply
+--   (DTSTAMP) replaces the older one, late / duplicate deliveries do not
+-- • partstat = ACCEPTED | DECLINED | TENTATIVE | NEEDS-ACTION | DELEGATED
+-- • An occurrence reply overrides the series reply for that occurrence only
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE reservation_rsvps (
+  id                 INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  -- "reservation-12" | "series-4" | "series-4@2026-01-12 09:00:00"
+  reply_key          VARCHAR(64) NOT NULL,
+
+  reservation_id     INT UNSIGNED NULL,
+  series_id          INT UNSIGNED NULL,
+  -- LOCAL wall time (same as reservations.occurrence_start)
+  occurrence_start   DATETIME NULL,
+
+  attendee_email     VARCHAR(255) NOT NULL,
+  partstat           VARCHAR(20) NOT NULL,
+  comment            TEXT NULL,
+
+  -- DTSTAMP of the reply (when the attendee answered)
+  replied_at_utc     DATETIME NOT NULL,
+  received_at_utc    DATETIME NOT NULL,
+  -- 'maildir' | 'imap' | 'post'
+  source             VARCHAR(20) NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_reservation_rsvps_reply (reply_key, attendee_email),
+  KEY idx_reservation_rsvps_reservation (reservation_id),
+  KEY idx_reservation_rsvps_series (series_id, occurrence_start)
+);
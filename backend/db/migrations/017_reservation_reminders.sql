@@ -0,0 +1,39 @@
+-- 017_reservation_reminders.sql
+-- -----------------------------------------------------------------------------
+-- REMINDER EMAILS BEFORE A BOOKING STARTS
+-- -----------------------------------------------------------------------------
+-- The email worker's reminder sweep enqueues a 'reminder' job into email_jobs
+-- when a confirmed booking is REMINDER_OFFSETS_MINUTES (e.g. 1440, 30) from
+-- its start. One row here per reminder ever queued:
+--
+-- • UNIQUE (reservation_id, offset_minutes, start_time) → a restart (or a
+--   second worker) can never queue the same reminder twice
+-- • start_time is the start the reminder was queued FOR: moving the booking
+--   makes a new key → the reminder is rescheduled for the new time
+-- • The worker re-checks the booking before sending; a reminder whose
+--   booking was cancelled or moved meanwhile becomes 'skipped'
+--
+-- status lifecycle:
+--   'queued'  → job in email_jobs
+--   'sent'    → email sent
+--   'skipped' → booking cancelled / moved / already started before sending
+--               (queued again if the booking moves back to this start)
+--   'failed'  → job ran out of retries (dead-letter table); not re-queued
+--               for this start, a moved booking gets a new key
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE reservation_reminders (
+  id                 INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  reservation_id     INT UNSIGNED NOT NULL,
+  offset_minutes     INT UNSIGNED NOT NULL,
+  -- LOCAL wall time (reservations.start_time when queued)
+  start_time         DATETIME NOT NULL,
+
+  status             VARCHAR(20) NOT NULL DEFAULT 'queued',
+  queued_at_utc      DATETIME NOT NULL,
+  sent_at_utc        DATETIME NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_reservation_reminders (reservation_id, offset_minutes, start_time)
+);
@@ -0,0 +1,45 @@
+-- 018_site_digest.sql
+-- -----------------------------------------------------------------------------
+-- DAILY SITE SCHEDULE DIGEST (FRONT DESK / SITE MANAGERS)
+-- -----------------------------------------------------------------------------
+-- Every open day at DIGEST_SEND_TIME (local) the email worker mails each
+-- subscribed address one digest per site: every reservation across the
+-- site's rooms today + the next open day.
+--
+-- site_digest_subscriptions
+-- • Managed by admins (PIN) on the "Daily digest" page
+-- • One row per site + address
+--
+-- site_digest_runs
+-- • One row per site + day a digest was queued for
+-- • UNIQUE (site_id, digest_date) → a restart (or a second worker) after
+--   the send time can never queue the same day twice
+-- • Closed days (weekends per calendar policy, DIGEST_CLOSED_DATES) get
+--   no digest and no row
+-- -----------------------------------------------------------------------------
+
+CREATE TABLE site_digest_subscriptions (
+  id                 INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  site_id            INT UNSIGNED NOT NULL,
+  email              VARCHAR(255) NOT NULL,
+
+  created_at_utc     DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_site_digest_subscriptions (site_id, email)
+);
+
+CREATE TABLE site_digest_runs (
+  id                 INT UNSIGNED NOT NULL AUTO_INCREMENT,
+
+  site_id            INT UNSIGNED NOT NULL,
+  -- LOCAL calendar day the digest is for
+  digest_date        DATE NOT NULL,
+
+  reservation_count  INT UNSIGNED NOT NULL,
+  queued_at_utc      DATETIME NOT NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_site_digest_runs (site_id, digest_date)
+);
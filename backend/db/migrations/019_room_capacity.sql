@@ -0,0 +1,15 @@
+-- 019_room_capacity.sql
+-- -----------------------------------------------------------------------------
+-- ROOM CAPACITY (HEADCOUNT)
+-- -----------------------------------------------------------------------------
+-- How many people a room seats, so "Find a free room" can answer
+-- "a room for 12 people at Shepherd, Tuesday 2–3pm".
+--
+-- • Used by the site availability search (?min_capacity=)
+-- • NULL → capacity unknown: the room is still listed for any headcount
+--   (staff decide) until someone fills it in
+-- -----------------------------------------------------------------------------
+
+ALTER TABLE rooms
+  ADD COLUMN capacity SMALLINT UNSIGNED NULL
+    AFTER buffer_after_minutes;
@@ -19,6 +19,10 @@ import cors from "cors";
 import sitesRoutes from "./routes/sites.routes.js";
 import roomsRoutes from "./routes/rooms.routes.js";
 import reservationsRoutes from "./routes/reservations.routes.js";
+import myReservationsRoutes from "./routes/myReservations.routes.js";
+import waitlistRoutes from "./routes/waitlist.routes.js";
+
+import { resolvePinRole } from "./middleware/requirePinRole.js";
 
 const app = express();
 
@@ -35,6 +39,8 @@ app.use(
   cors({
     origin: true,
     credentials: true,
+    // CSV export file name (read by the download buttons)
+    exposedHeaders: ["Content-Disposition"],
   })
 );
 
@@ -86,16 +92,9 @@ app.post("/internal/pin/verify", (req, res) => {
     return res.status(400).json({ message: "PIN is required" });
   }
 
-  if (pin === process.env.PIN_USER) {
-    return res.json({ role: "user" });
-  }
-
-  if (pin === process.env.PIN_ADMIN) {
-    return res.json({ role: "admin" });
-  }
-
-  if (pin === process.env.PIN_SUPER_ADMIN) {
-    return res.json({ role: "super_admin" });
+  const role = resolvePinRole(pin);
+  if (role) {
+    return res.json({ role });
   }
 
   return res.status(401).json({ message: "Invalid PIN" });
@@ -111,6 +110,8 @@ app.post("/internal/pin/verify", (req, res) => {
 app.use("/internal/sites", sitesRoutes);
 app.use("/internal/rooms", roomsRoutes);
 app.use("/internal/reservations", reservationsRoutes);
+app.use("/internal/my-reservations", myReservationsRoutes);
+app.use("/internal/waitlist", waitlistRoutes);
 
 // -----------------------------------------------------------------------------
 // EXPORT EXPRESS APP
@@ -0,0 +1,180 @@
+// availability.controller.js
+// -----------------------------------------------------------------------------
+// AVAILABILITY CONTROLLER ("FIND A FREE ROOM")
+// -----------------------------------------------------------------------------
+// Answers: "which rooms at this site are free for this time slot?"
+//
+// Design goals:
+// • Same rooms/sites join + ordering as rooms.controller.js
+// • Same overlap rule as the booking conflict check (half-open [start, end),
+//   cancelled / rejected / no-show reservations never block a room)
+// • Same calendar policy as the booking modal (@briya/calendar-core)
+// • One query for the whole site (no per-room round trips)
+// • Optional headcount: rooms with unknown capacity (NULL) still count
+// -----------------------------------------------------------------------------
+
+import {
+  getCalendarPolicy,
+  validateReservationRange,
+} from "@briya/calendar-core";
+
+import { pool, dbReady } from "../db/mysql.js";
+
+/* ------------------------------------------------------------------
+   QUERY PARAM → MySQL DATETIME (LOCAL WALL TIME)
+   ------------------------------------------------------------------
+   Accepts "YYYY-MM-DD HH:MM[:SS]" or "YYYY-MM-DDTHH:MM[:SS]"
+   (no timezone suffix — times are wall time like everywhere else)
+------------------------------------------------------------------ */
+function parseSlotParam(value) {
+  if (typeof value !== "string") return null;
+
+  const match = value
+    .trim()
+    .match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return null;
+
+  const [, day, hh, mm, ss] = match;
+  return `${day} ${hh}:${mm}:${ss ?? "00"}`;
+}
+
+/* ------------------------------------------------------------------
+   min_capacity QUERY PARAM → positive integer | null (no filter)
+   ------------------------------------------------------------------
+   Returns undefined when present but not a positive whole number
+------------------------------------------------------------------ */
+function parseMinCapacity(value) {
+  if (value == null || String(value).trim() === "") return null;
+
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/sites/:siteSlug/availability?start=&end=&min_capacity=
+ * -----------------------------------------------------------------------------
+ * Returns ACTIVE rooms at a site with NO overlapping reservation
+ * (and, with min_capacity, seating at least that many people).
+ *
+ * Used by:
+ *  • Rooms.jsx (search form → filters the room cards)
+ *
+ * Behavior:
+ *  • start / end missing or malformed → 400
+ *  • min_capacity not a positive whole number → 400
+ *  • Rooms without a capacity on file are kept (unknown ≠ too small)
+ *  • Slot outside calendar policy (business hours, weekends) → 400
+ *  • If system is warming up / DB drops → 503
+ *  • Ordered like the Rooms page (display_order, name)
+ * -----------------------------------------------------------------------------
+ */
+export async function getSiteAvailability(req, res) {
+  const { siteSlug } = req.params;
+
+  // ---------------------------------------------------------------------------
+  // 🧠 SYSTEM READINESS GUARD
+  // ---------------------------------------------------------------------------
+  if (!dbReady) {
+    return res.status(503).json({
+      message:
+        "The system is temporarily unavailable. Please try again shortly.",
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // SLOT VALIDATION
+  // ---------------------------------------------------------------------------
+  const startSQL = parseSlotParam(req.query.start);
+  const endSQL = parseSlotParam(req.query.end);
+
+  if (!startSQL || !endSQL) {
+    return res.status(400).json({
+      message: "start and end are required (YYYY-MM-DD HH:MM).",
+    });
+  }
+
+  const errors = validateReservationRange({
+    start: new Date(startSQL.replace(" ", "T")),
+    end: new Date(endSQL.replace(" ", "T")),
+    policy: getCalendarPolicy(),
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors.join(" "), errors });
+  }
+
+  const minCapacity = parseMinCapacity(req.query.min_capacity);
+
+  if (minCapacity === undefined) {
+    return res.status(400).json({
+      message: "min_capacity must be a whole number of people (1 or more).",
+    });
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.name,
+        r.image_url,
+        r.capacity
+      FROM rooms r
+      JOIN sites s ON s.id = r.site_id
+      WHERE s.slug = ?
+        AND r.is_active = TRUE
+        -- Headcount (unknown capacity → still listed)
+        AND (? IS NULL OR r.capacity IS NULL OR r.capacity >= ?)
+        -- Same rule as reservationConflictService (incl. room buffers)
+        AND NOT EXISTS (
+          SELECT 1
+          FROM reservations x
+          WHERE x.room_id = r.id
+            AND x.status NOT IN ('cancelled', 'rejected', 'no_show')
+            AND x.start_time < DATE_ADD(
+              ?, INTERVAL (r.buffer_before_minutes + r.buffer_after_minutes) MINUTE
+            )
+            AND x.end_time > DATE_SUB(
+              ?, INTERVAL (r.buffer_before_minutes + r.buffer_after_minutes) MINUTE
+            )
+        )
+      ORDER BY r.display_order ASC, r.name ASC;
+      `,
+      [siteSlug, minCapacity, minCapacity, endSQL, startSQL]
+    );
+
+    res.json({
+      start: startSQL,
+      end: endSQL,
+      min_capacity: minCapacity,
+      rooms: rows,
+    });
+  } catch (err) {
+    console.error(
+      "❌ GET /api/sites/:siteSlug/availability failed:",
+      err.message
+    );
+
+    // -------------------------------------------------------------------------
+    // TRANSIENT BACKEND / CONNECTION ERRORS
+    // -------------------------------------------------------------------------
+    if (
+      err.code === "ECONNREFUSED" ||
+      err.code === "ETIMEDOUT" ||
+      err.code === "PROTOCOL_CONNECTION_LOST"
+    ) {
+      return res.status(503).json({
+        message:
+          "The system is temporarily unavailable. Please try again shortly.",
+      });
+    }
+
+    // -------------------------------------------------------------------------
+    // UNEXPECTED SERVER ERROR
+    // -------------------------------------------------------------------------
+    res.status(500).json({
+      message: "Unable to check room availability at this time.",
+    });
+  }
+}
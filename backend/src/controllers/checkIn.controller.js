@@ -0,0 +1,351 @@
+// controllers/checkIn.controller.js
+// -----------------------------------------------------------------------------
+// CHECK-IN CONTROLLER
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Check a booking in from the calendar (device PIN)
+// • Check a booking in from the link in the invite email (signed token)
+// • Report organizers who repeatedly do not show up (admins)
+//
+// Rules (see checkInService.js):
+// • Check-in opens CHECK_IN_OPENS_MINUTES before start_time and closes at
+//   end_time; only confirmed bookings can be checked in
+// • Checking in twice is fine (200, first time kept)
+// • Bookings never checked in are released by the email worker as 'no_show'
+//
+// API:
+// • POST /api/reservations/:id/check-in
+// • POST /api/reservations/check-in        Body: { token }
+// • GET  /api/reservations/no-shows
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import {
+  CHECK_IN_OPENS_MINUTES,
+  checkInBlockedReason,
+  localNowMySQL,
+  verifyCheckInToken,
+} from "../services/checkInService.js";
+import {
+  resolveHistoryActor,
+  recordRowChanges,
+} from "../services/reservationHistoryService.js";
+import { resolvePinRole } from "../middleware/requirePinRole.js";
+import { shiftWallTime, shiftDateKey } from "../utils/calendarUtils.js";
+import { nowUtcMySQL } from "../utils/helpers.js";
+
+// Columns returned to the calendar / check-in page
+const CHECK_IN_COLUMNS = `
+  id,
+  title,
+  start_time,
+  end_time,
+  status,
+  checked_in_at_utc,
+  version,
+  recurrence_id,
+  room_name_snapshot,
+  site_name_snapshot
+`;
+
+/* =============================================================================
+   SHARED CHECK-IN FLOW
+   =============================================================================
+   findRow(conn, now) → the locked reservation row | null
+   • null      → 404 / 409 (notFoundStatus + notFoundMessage)
+   • blocked   → 409 with the reason (window closed, released, …)
+   • otherwise → checked_in_at_utc set once, history recorded
+============================================================================= */
+async function runCheckIn(
+  req,
+  res,
+  { findRow, notFoundStatus, notFoundMessage }
+) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const now = localNowMySQL();
+    const row = await findRow(conn, now);
+
+    if (!row) {
+      await conn.rollback();
+      return res.status(notFoundStatus).json({ message: notFoundMessage });
+    }
+
+    const blocked = checkInBlockedReason(row, now);
+    if (blocked) {
+      await conn.rollback();
+      return res.status(409).json({ message: blocked });
+    }
+
+    // Idempotent → keep the FIRST check-in time
+    if (row.checked_in_at_utc) {
+      await conn.rollback();
+      return res.json({ ...row, already_checked_in: true });
+    }
+
+    const checkedInAt = nowUtcMySQL();
+
+    await conn.query(
+      `
+      UPDATE reservations
+      SET
+        checked_in_at_utc = ?,
+        version = version + 1,
+        updated_at_utc = UTC_TIMESTAMP()
+      WHERE id = ?;
+      `,
+      [checkedInAt, row.id]
+    );
+
+    await recordRowChanges(conn, resolveHistoryActor(req), {
+      action: "check_in",
+      beforeRows: [row],
+      afterRows: [{ id: row.id, checked_in_at_utc: checkedInAt }],
+    });
+
+    await conn.commit();
+
+    console.log(`✅ Reservation ${row.id} checked in`);
+
+    return res.json({
+      ...row,
+      checked_in_at_utc: checkedInAt,
+      version: Number(row.version) + 1,
+      already_checked_in: false,
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ CHECK-IN failed:", err.message);
+    return res.status(500).json({ message: "Unable to check in." });
+  } finally {
+    conn.release();
+  }
+}
+
+async function lockReservationRow(conn, reservationId) {
+  const [[row]] = await conn.query(
+    `
+    SELECT ${CHECK_IN_COLUMNS}
+    FROM reservations
+    WHERE id = ?
+    LIMIT 1
+    FOR UPDATE;
+    `,
+    [reservationId]
+  );
+
+  return row ?? null;
+}
+
+/* =============================================================================
+   POST /api/reservations/:id/check-in (CALENDAR)
+   =============================================================================
+   • Any valid device PIN (the calendar is PIN-gated) → 401 otherwise
+============================================================================= */
+export async function checkInReservation(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const reservationId = Number(req.params.id);
+  if (!Number.isInteger(reservationId)) {
+    return res.status(400).json({ message: "Invalid reservation id" });
+  }
+
+  if (!resolvePinRole(req.get("x-access-pin"))) {
+    return res
+      .status(401)
+      .json({ message: "A valid access PIN is required." });
+  }
+
+  return runCheckIn(req, res, {
+    findRow: (conn) => lockReservationRow(conn, reservationId),
+    notFoundStatus: 404,
+    notFoundMessage: "Reservation not found",
+  });
+}
+
+/* =============================================================================
+   POST /api/reservations/check-in (EMAILED LINK)
+   =============================================================================
+   Body: { token } — from /check-in?token=… (CheckIn.jsx)
+   • Reservation token → that booking
+   • Series token      → the occurrence open for check-in right now
+   • POST (not GET) so mail scanners prefetching the link never check in
+============================================================================= */
+export async function checkInWithLink(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const target = verifyCheckInToken(req.body?.token);
+  if (!target) {
+    return res
+      .status(400)
+      .json({ message: "This check-in link is invalid." });
+  }
+
+  if (target.reservationId != null) {
+    return runCheckIn(req, res, {
+      findRow: (conn) => lockReservationRow(conn, target.reservationId),
+      notFoundStatus: 404,
+      notFoundMessage: "Reservation not found",
+    });
+  }
+
+  return runCheckIn(req, res, {
+    findRow: async (conn, now) => {
+      const opensBy = shiftWallTime(now, { minutes: CHECK_IN_OPENS_MINUTES });
+
+      const [[row]] = await conn.query(
+        `
+        SELECT ${CHECK_IN_COLUMNS}
+        FROM reservations
+        WHERE recurrence_id = ?
+          AND status NOT IN ('cancelled', 'rejected')
+          AND start_time <= ?
+          AND end_time > ?
+        ORDER BY start_time ASC
+        LIMIT 1
+        FOR UPDATE;
+        `,
+        [target.seriesId, opensBy, now]
+      );
+
+      return row ?? null;
+    },
+    notFoundStatus: 409,
+    notFoundMessage: `No date of this recurring booking is open for check-in right now. Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before each start.`,
+  });
+}
+
+/* =============================================================================
+   GET /api/reservations/no-shows (ADMIN REPORT)
+   =============================================================================
+   Query (optional):
+   • from / to  → YYYY-MM-DD window on start_time (to exclusive)
+                  default: the last NO_SHOW_REPORT_DAYS days
+   • min_count  → minimum no-shows per organizer (default 2)
+
+   Response:
+   • { from, to, min_count, organizers: [{ email, created_by_name,
+       no_show_count, booking_count, checked_in_count, last_no_show,
+       no_shows: [{ id, title, start_time, end_time, site_name_snapshot,
+                    room_name_snapshot }] }] }
+   • booking_count → bookings that already started (confirmed + no-show)
+   • Organizers are matched by email (case-insensitive)
+============================================================================= */
+const NO_SHOW_REPORT_DAYS = 90;
+const NO_SHOW_REPORT_LIMIT = 200;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function getNoShowReport(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const now = localNowMySQL();
+  const today = now.slice(0, 10);
+
+  const from = req.query.from || shiftDateKey(today, -NO_SHOW_REPORT_DAYS);
+  const to = req.query.to || shiftDateKey(today, 1);
+  const minCount =
+    req.query.min_count == null || req.query.min_count === ""
+      ? 2
+      : Number(req.query.min_count);
+
+  if (!DATE_KEY_PATTERN.test(from) || !DATE_KEY_PATTERN.test(to)) {
+    return res
+      .status(400)
+      .json({ message: "from / to must be valid dates (YYYY-MM-DD)." });
+  }
+
+  if (from >= to) {
+    return res.status(400).json({ message: "from must be before to." });
+  }
+
+  if (!Number.isInteger(minCount) || minCount < 1) {
+    return res
+      .status(400)
+      .json({ message: "min_count must be a positive whole number." });
+  }
+
+  try {
+    const [organizers] = await pool.query(
+      `
+      SELECT
+        LOWER(r.email) AS email,
+        MAX(r.created_by_name) AS created_by_name,
+        SUM(r.status = 'no_show') AS no_show_count,
+        COUNT(*) AS booking_count,
+        SUM(r.checked_in_at_utc IS NOT NULL) AS checked_in_count,
+        MAX(CASE WHEN r.status = 'no_show' THEN r.start_time END)
+          AS last_no_show
+      FROM reservations r
+      WHERE r.status IN ('confirmed', 'no_show')
+        AND r.email IS NOT NULL
+        AND r.start_time >= ?
+        AND r.start_time < ?
+        AND r.start_time <= ?
+      GROUP BY LOWER(r.email)
+      HAVING no_show_count >= ?
+      ORDER BY no_show_count DESC, last_no_show DESC
+      LIMIT ?;
+      `,
+      [`${from} 00:00:00`, `${to} 00:00:00`, now, minCount, NO_SHOW_REPORT_LIMIT]
+    );
+
+    const emails = organizers.map((o) => o.email);
+    const byEmail = new Map(
+      organizers.map((o) => [
+        o.email,
+        {
+          ...o,
+          no_show_count: Number(o.no_show_count),
+          booking_count: Number(o.booking_count),
+          checked_in_count: Number(o.checked_in_count),
+          no_shows: [],
+        },
+      ])
+    );
+
+    if (emails.length > 0) {
+      const [rows] = await pool.query(
+        `
+        SELECT
+          id,
+          LOWER(email) AS email,
+          title,
+          start_time,
+          end_time,
+          site_name_snapshot,
+          room_name_snapshot
+        FROM reservations
+        WHERE status = 'no_show'
+          AND LOWER(email) IN (?)
+          AND start_time >= ?
+          AND start_time < ?
+        ORDER BY start_time DESC;
+        `,
+        [emails, `${from} 00:00:00`, `${to} 00:00:00`]
+      );
+
+      for (const { email, ...row } of rows) {
+        byEmail.get(email)?.no_shows.push(row);
+      }
+    }
+
+    return res.json({
+      from,
+      to,
+      min_count: minCount,
+      organizers: Array.from(byEmail.values()),
+    });
+  } catch (err) {
+    console.error("❌ GET no-show report failed:", err.message);
+    return res.status(500).json({ message: "Unable to load the report." });
+  }
+}
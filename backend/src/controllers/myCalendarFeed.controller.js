@@ -0,0 +1,254 @@
+// controllers/myCalendarFeed.controller.js
+// -----------------------------------------------------------------------------
+// PERSONAL CALENDAR FEED CONTROLLER
+// -----------------------------------------------------------------------------
+// A private .ics URL with every upcoming booking an address organizes or
+// attends, across all sites — for Outlook / Google "subscribe from URL".
+//
+// Access model (same as My Reservations, separate purpose):
+// • POST /feed/access         → mails a one-time link + code
+// • POST /feed/access/verify  → link token OR email + code → session token
+// • GET / POST / DELETE /feed → status / new link / turn off
+//                               (Authorization: Bearer <session token>)
+// • GET /feed/:token/calendar.ics → the feed itself (token = credential)
+//
+// Design goals:
+// • The feed URL is shown ONCE (only its hash is stored)
+// • A new link revokes the old one; "turn off" revokes every link
+// • Unknown / revoked tokens answer 404 (nothing to enumerate)
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import {
+  requestEmailAccess,
+  verifyEmailAccess,
+  getEmailSession,
+} from "../services/emailAccessService.js";
+import {
+  getFeedTokenStatus,
+  issueFeedToken,
+  revokeFeedTokens,
+  resolveFeedToken,
+  loadPersonalFeedEvents,
+  sendCalendarFeed,
+} from "../services/calendarFeedService.js";
+import { isValidEmail } from "../utils/helpers.js";
+
+const ACCESS_PURPOSE = "calendar_feed";
+
+/* ------------------------------------------------------------------
+   SESSION GUARD
+   ------------------------------------------------------------------
+   Resolves the verified email or answers 401 itself.
+------------------------------------------------------------------ */
+async function requireFeedSessionEmail(req, res) {
+  const email = await getEmailSession(req, ACCESS_PURPOSE);
+
+  if (!email) {
+    res.status(401).json({
+      message: "Your access link has expired. Please request a new one.",
+    });
+    return null;
+  }
+
+  return email;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/my-reservations/feed/access
+ * -----------------------------------------------------------------------------
+ * Body: { email }
+ *
+ * Always answers 202 with the same message (no address enumeration).
+ * -----------------------------------------------------------------------------
+ */
+export async function requestCalendarFeedAccess(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const email = String(req.body?.email || "").trim();
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ message: "Please enter a valid email." });
+  }
+
+  try {
+    await requestEmailAccess({ email, purpose: ACCESS_PURPOSE });
+
+    return res.status(202).json({
+      message:
+        "Check your inbox — open the link we sent to set up your calendar feed.",
+    });
+  } catch (err) {
+    console.error("❌ Calendar feed access request failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to send an access link right now." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/my-reservations/feed/access/verify
+ * -----------------------------------------------------------------------------
+ * Body: { token } (from the emailed link) OR { email, code }
+ *
+ * Responses:
+ * • 200 → { email, token, expires_at_utc }
+ * • 401 → invalid, expired or already used
+ * -----------------------------------------------------------------------------
+ */
+export async function verifyCalendarFeedAccess(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const { token, email, code } = req.body || {};
+
+  if (!token && !(email && code)) {
+    return res
+      .status(400)
+      .json({ message: "A link token or email + code is required." });
+  }
+
+  try {
+    const session = await verifyEmailAccess({
+      purpose: ACCESS_PURPOSE,
+      token,
+      email,
+      code,
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        message: "That link or code is invalid or has expired.",
+      });
+    }
+
+    return res.json(session);
+  } catch (err) {
+    console.error("❌ Calendar feed access verify failed:", err.message);
+    return res.status(500).json({ message: "Unable to verify access." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/my-reservations/feed
+ * -----------------------------------------------------------------------------
+ * Returns { email, feed: { created_at_utc, last_used_at_utc } | null }
+ * (the URL itself cannot be shown again — only its hash is stored)
+ * -----------------------------------------------------------------------------
+ */
+export async function getCalendarFeedStatus(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const email = await requireFeedSessionEmail(req, res);
+    if (!email) return;
+
+    return res.json({ email, feed: await getFeedTokenStatus(email) });
+  } catch (err) {
+    console.error("❌ GET calendar feed status failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load your calendar feed." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/my-reservations/feed
+ * -----------------------------------------------------------------------------
+ * Issues a new feed token (any previous link stops working).
+ * 201 → { email, token, created_at_utc }
+ * -----------------------------------------------------------------------------
+ */
+export async function createCalendarFeed(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const email = await requireFeedSessionEmail(req, res);
+    if (!email) return;
+
+    const issued = await issueFeedToken(email);
+
+    console.log("🔗 Calendar feed link issued");
+
+    return res.status(201).json({ email, ...issued });
+  } catch (err) {
+    console.error("❌ CREATE calendar feed failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to create your calendar feed." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * DELETE /api/my-reservations/feed
+ * -----------------------------------------------------------------------------
+ * Turns the feed off (revokes every link of the signed-in address) → 204
+ * -----------------------------------------------------------------------------
+ */
+export async function deleteCalendarFeed(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const email = await requireFeedSessionEmail(req, res);
+    if (!email) return;
+
+    await revokeFeedTokens(email);
+
+    return res.status(204).end();
+  } catch (err) {
+    console.error("❌ DELETE calendar feed failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to turn off your calendar feed." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/my-reservations/feed/:token/calendar.ics
+ * -----------------------------------------------------------------------------
+ * The personal feed (polled by calendar apps — no headers, no session).
+ * • 404 → unknown or revoked token
+ * • Conditional GET → 304 when nothing changed
+ * -----------------------------------------------------------------------------
+ */
+export async function getPersonalCalendarFeed(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const email = await resolveFeedToken(req.params.token);
+
+    if (!email) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const feed = await loadPersonalFeedEvents(pool, email);
+
+    return sendCalendarFeed(req, res, {
+      name: "My Briya bookings",
+      fileName: "my-bookings.ics",
+      feed,
+    });
+  } catch (err) {
+    console.error("❌ GET personal calendar feed failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load this calendar feed." });
+  }
+}
@@ -0,0 +1,271 @@
+// myReservations.controller.js
+// -----------------------------------------------------------------------------
+// "MY RESERVATIONS" CONTROLLER
+// -----------------------------------------------------------------------------
+// Personal view for one email address: every reservation where the address
+// is the organizer (`email`) or listed in `attendees_emails`.
+//
+// Access model (no accounts):
+// • POST /access         → mails a one-time link + code (email_jobs queue)
+// • POST /access/verify  → link token OR email + code → session token
+// • Every other route    → Authorization: Bearer <session token>
+//
+// Design goals:
+// • Never reveal whether an address has reservations before verification
+// • Only the ORGANIZER may cancel from this view
+// • Cancellation reuses cancelReservation (same invites, same rules)
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import {
+  requestEmailAccess,
+  verifyEmailAccess,
+  getEmailSession,
+  revokeEmailSession,
+} from "../services/emailAccessService.js";
+import { cancelReservation } from "./reservations.controller.js";
+import { isValidEmail } from "../utils/helpers.js";
+
+const ACCESS_PURPOSE = "my_reservations";
+
+// Safety cap — a very active organizer still loads in one request
+const MAX_ROWS = 500;
+
+/* ------------------------------------------------------------------
+   SESSION GUARD
+   ------------------------------------------------------------------
+   Resolves the verified email or answers 401 itself.
+------------------------------------------------------------------ */
+async function requireSessionEmail(req, res) {
+  const email = await getEmailSession(req, ACCESS_PURPOSE);
+
+  if (!email) {
+    res.status(401).json({
+      message: "Your access link has expired. Please request a new one.",
+    });
+    return null;
+  }
+
+  return email;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/my-reservations/access
+ * -----------------------------------------------------------------------------
+ * Body: { email }
+ *
+ * Always answers 202 with the same message (no address enumeration).
+ * -----------------------------------------------------------------------------
+ */
+export async function requestMyReservationsAccess(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const email = String(req.body?.email || "").trim();
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ message: "Please enter a valid email." });
+  }
+
+  try {
+    await requestEmailAccess({ email, purpose: ACCESS_PURPOSE });
+
+    return res.status(202).json({
+      message:
+        "Check your inbox — we sent a sign-in link and a 6-digit code.",
+    });
+  } catch (err) {
+    console.error("❌ My reservations access request failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to send an access link right now." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/my-reservations/access/verify
+ * -----------------------------------------------------------------------------
+ * Body: { token } (from the emailed link) OR { email, code }
+ *
+ * Responses:
+ * • 200 → { email, token, expires_at_utc }
+ * • 401 → invalid, expired or already used
+ * -----------------------------------------------------------------------------
+ */
+export async function verifyMyReservationsAccess(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const { token, email, code } = req.body || {};
+
+  if (!token && !(email && code)) {
+    return res
+      .status(400)
+      .json({ message: "A link token or email + code is required." });
+  }
+
+  try {
+    const session = await verifyEmailAccess({
+      purpose: ACCESS_PURPOSE,
+      token,
+      email,
+      code,
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        message: "That link or code is invalid or has expired.",
+      });
+    }
+
+    return res.json(session);
+  } catch (err) {
+    console.error("❌ My reservations access verify failed:", err.message);
+    return res.status(500).json({ message: "Unable to verify access." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * DELETE /api/my-reservations/access
+ * -----------------------------------------------------------------------------
+ * Signs out (revokes the current session token).
+ * -----------------------------------------------------------------------------
+ */
+export async function endMyReservationsAccess(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    await revokeEmailSession(req, ACCESS_PURPOSE);
+    return res.status(204).end();
+  } catch (err) {
+    console.error("❌ My reservations sign-out failed:", err.message);
+    return res.status(500).json({ message: "Unable to sign out." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/my-reservations
+ * -----------------------------------------------------------------------------
+ * Returns { email, reservations: [...] } — upcoming AND past, oldest first.
+ *
+ * Each row includes:
+ * • role       → "organizer" | "attendee"
+ * • site_slug + room_id → calendar deep link
+ *
+ * Cancelled reservations are not listed.
+ * -----------------------------------------------------------------------------
+ */
+export async function getMyReservations(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const email = await requireSessionEmail(req, res);
+    if (!email) return;
+
+    // attendees_emails is "a@x.org, b@y.org" → compare as ",a@x.org,b@y.org,"
+    const [rows] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.start_time,
+        r.end_time,
+        r.title,
+        r.description,
+        r.email,
+        r.attendees_emails,
+        r.created_by_name,
+        r.recurrence_id,
+        r.status,
+        r.version,
+        r.room_id,
+        s.slug AS site_slug,
+        r.room_name_snapshot,
+        r.site_name_snapshot,
+        CASE WHEN LOWER(r.email) = ? THEN 'organizer' ELSE 'attendee' END
+          AS role
+      FROM reservations r
+      JOIN sites s ON s.id = r.site_id
+      WHERE r.status NOT IN ('cancelled', 'rejected', 'no_show')
+        AND (
+          LOWER(r.email) = ?
+          -- Exact list entry (LIKE would treat "_" / "%" in the address
+          -- as wildcards → someone else's bookings)
+          OR FIND_IN_SET(?, REPLACE(LOWER(r.attendees_emails), ' ', '')) > 0
+        )
+      ORDER BY r.start_time ASC
+      LIMIT ?;
+      `,
+      [email, email, email, MAX_ROWS]
+    );
+
+    return res.json({ email, reservations: rows });
+  } catch (err) {
+    console.error("❌ GET my reservations failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load your reservations." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * DELETE /api/my-reservations/:id
+ * -----------------------------------------------------------------------------
+ * Cancels a reservation the signed-in address ORGANIZES.
+ *
+ * • 403 → address is only an attendee (or not on the reservation)
+ * • Everything else behaves exactly like DELETE /api/reservations/:id
+ *   (recurring occurrence → skipped date, CANCEL invites, idempotent)
+ * -----------------------------------------------------------------------------
+ */
+export async function cancelMyReservation(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const reservationId = Number(req.params.id);
+  if (!Number.isInteger(reservationId)) {
+    return res.status(400).json({ message: "Invalid reservation id" });
+  }
+
+  let email;
+
+  try {
+    email = await requireSessionEmail(req, res);
+    if (!email) return;
+
+    const [[row]] = await pool.query(
+      `SELECT email FROM reservations WHERE id = ? LIMIT 1`,
+      [reservationId]
+    );
+
+    if (!row) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    if (String(row.email || "").toLowerCase() !== email) {
+      return res.status(403).json({
+        message: "Only the organizer can cancel this reservation.",
+      });
+    }
+  } catch (err) {
+    console.error("❌ CANCEL my reservation failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Failed to cancel reservation" });
+  }
+
+  // History records the verified organizer as the actor
+  req.accessEmail = email;
+  return cancelReservation(req, res);
+}
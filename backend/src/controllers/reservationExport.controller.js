@@ -0,0 +1,227 @@
+// controllers/reservationExport.controller.js
+// -----------------------------------------------------------------------------
+// CSV EXPORT CONTROLLER
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Download a site's / room's schedule as a spreadsheet (front office,
+//   grant reporting)
+//
+// Notes:
+// • Times are LOCAL wall times exactly as stored (no timezone conversion)
+// • Names are the snapshots taken at booking time (what the invite said)
+// • Any valid device PIN — the export contains organizer / attendee emails
+//
+// API:
+// • GET /api/reservations/export?site=&room_id=&from=&to=&status=
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import { toCsv } from "../utils/csv.js";
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Every reservations.status value (see migrations 003 / 008 / 012)
+const EXPORT_STATUSES = [
+  "confirmed",
+  "pending",
+  "cancelled",
+  "rejected",
+  "no_show",
+];
+
+// Default: what actually holds (or held) the room
+const DEFAULT_EXPORT_STATUSES = ["confirmed", "pending"];
+
+// Hard cap — a site's full year is well below this
+const MAX_EXPORT_ROWS = 20000;
+
+const CSV_HEADER = [
+  "reservation_id",
+  "series_id",
+  "status",
+  "site",
+  "room",
+  "title",
+  "description",
+  "organizer",
+  "organizer_email",
+  "attendees",
+  "date",
+  "start",
+  "end",
+  "duration_minutes",
+  "checked_in",
+];
+
+/**
+ * Export file name → "briya-<site>[-room-<id>]-<from>-to-<to>.csv"
+ */
+function buildFileName({ site, roomId, from, to }) {
+  return [
+    "briya",
+    site || "all-sites",
+    roomId ? `room-${roomId}` : null,
+    from || null,
+    to ? `to-${to}` : null,
+  ]
+    .filter(Boolean)
+    .join("-")
+    .replace(/[^A-Za-z0-9_-]/g, "")
+    .concat(".csv");
+}
+
+/* =============================================================================
+   GET /api/reservations/export
+   =============================================================================
+   Query (all optional):
+   • site     → site slug
+   • room_id  → one room (needs site)
+   • from/to  → YYYY-MM-DD window on the booking time (to exclusive)
+   • status   → comma list (confirmed,pending,cancelled,rejected,no_show)
+                or "all"; default confirmed,pending
+
+   Response: text/csv attachment, one row per occurrence, oldest first
+============================================================================= */
+export async function exportReservations(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const site = String(req.query.site ?? "").trim();
+  const roomId =
+    req.query.room_id == null || req.query.room_id === ""
+      ? null
+      : Number(req.query.room_id);
+  const from = String(req.query.from ?? "");
+  const to = String(req.query.to ?? "");
+
+  if (roomId !== null && (!Number.isInteger(roomId) || !site)) {
+    return res
+      .status(400)
+      .json({ message: "room_id must be a room id and needs a site." });
+  }
+
+  if (
+    (from && !DATE_KEY_PATTERN.test(from)) ||
+    (to && !DATE_KEY_PATTERN.test(to))
+  ) {
+    return res
+      .status(400)
+      .json({ message: "from / to must be valid dates (YYYY-MM-DD)." });
+  }
+
+  if (from && to && from >= to) {
+    return res.status(400).json({ message: "from must be before to." });
+  }
+
+  const requested = String(req.query.status ?? "").trim();
+  const statuses =
+    requested === "all"
+      ? EXPORT_STATUSES
+      : requested
+      ? requested.split(",").map((s) => s.trim())
+      : DEFAULT_EXPORT_STATUSES;
+
+  if (statuses.some((s) => !EXPORT_STATUSES.includes(s))) {
+    return res.status(400).json({
+      message: `status must be "all" or a list of: ${EXPORT_STATUSES.join(
+        ", "
+      )}.`,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // WHERE CLAUSE (parameterized)
+  // ---------------------------------------------------------------------------
+  const where = ["r.status IN (?)"];
+  const params = [statuses];
+
+  if (site) {
+    where.push("s.slug = ?");
+    params.push(site);
+  }
+
+  if (roomId !== null) {
+    where.push("r.room_id = ?");
+    params.push(roomId);
+  }
+
+  // Half-open overlap with the window, same rule as the calendar
+  if (to) {
+    where.push("r.start_time < ?");
+    params.push(`${to} 00:00:00`);
+  }
+  if (from) {
+    where.push("r.end_time > ?");
+    params.push(`${from} 00:00:00`);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.recurrence_id,
+        r.status,
+        r.site_name_snapshot,
+        r.room_name_snapshot,
+        r.title,
+        r.description,
+        r.created_by_name,
+        r.email,
+        r.attendees_emails,
+        r.start_time,
+        r.end_time,
+        TIMESTAMPDIFF(MINUTE, r.start_time, r.end_time) AS duration_minutes,
+        r.checked_in_at_utc
+      FROM reservations r
+      JOIN sites s ON s.id = r.site_id
+      WHERE ${where.join("\n        AND ")}
+      ORDER BY r.start_time ASC, r.id ASC
+      LIMIT ?;
+      `,
+      [...params, MAX_EXPORT_ROWS + 1]
+    );
+
+    if (rows.length > MAX_EXPORT_ROWS) {
+      return res.status(413).json({
+        message: `More than ${MAX_EXPORT_ROWS} bookings match — pick a shorter date range or one room.`,
+      });
+    }
+
+    const csv = toCsv([
+      CSV_HEADER,
+      ...rows.map((r) => [
+        r.id,
+        r.recurrence_id,
+        r.status,
+        r.site_name_snapshot,
+        r.room_name_snapshot,
+        r.title,
+        r.description,
+        r.created_by_name,
+        r.email,
+        r.attendees_emails,
+        String(r.start_time).slice(0, 10),
+        String(r.start_time).slice(11, 16),
+        String(r.end_time).slice(11, 16),
+        r.duration_minutes,
+        r.checked_in_at_utc ? "yes" : "",
+      ]),
+    ]);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${buildFileName({ site, roomId, from, to })}"`
+    );
+
+    // BOM → Excel opens UTF-8 names (accents) correctly
+    return res.send(`\uFEFF${csv}`);
+  } catch (err) {
+    console.error("❌ EXPORT reservations failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to export reservations." });
+  }
+}
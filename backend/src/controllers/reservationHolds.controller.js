@@ -0,0 +1,207 @@
+// controllers/reservationHolds.controller.js
+// -----------------------------------------------------------------------------
+// TENTATIVE HOLDS CONTROLLER
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Hold a free slot while the create modal is open (HOLD_MINUTES)
+// • List active holds so other viewers see "being booked"
+// • Release a hold when the modal closes without booking
+//
+// The create itself converts the hold (POST /api/reservations with
+// hold_token) — see createReservation().
+//
+// API:
+// • GET    /api/reservations/holds?room_id=&from=&to=
+// • POST   /api/reservations/holds          Body: { room_id, start_time, end_time }
+// • DELETE /api/reservations/holds/:id      Header: X-Hold-Token
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import {
+  lockRoomForBooking,
+  findConflictingReservations,
+  buildConflictResponse,
+} from "../services/reservationConflictService.js";
+import {
+  findConflictingHolds,
+  buildHoldConflictResponse,
+  placeHold,
+  releaseHold,
+} from "../services/reservationHoldService.js";
+
+const MYSQL_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* =============================================================================
+   GET /api/reservations/holds (OTHER VIEWERS)
+   =============================================================================
+   Query: room_id (required), from / to (YYYY-MM-DD, optional, to exclusive)
+   Response: [{ id, start_time, end_time, expires_at_utc }] — active only
+   (no tokens, no names: a hold is anonymous to everyone else)
+============================================================================= */
+export async function getActiveHolds(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const roomId = Number(req.query.room_id);
+  const { from, to } = req.query;
+
+  if (!Number.isInteger(roomId)) {
+    return res.status(400).json({ message: "room_id is required." });
+  }
+
+  if (
+    (from && !DATE_KEY_PATTERN.test(from)) ||
+    (to && !DATE_KEY_PATTERN.test(to))
+  ) {
+    return res
+      .status(400)
+      .json({ message: "from / to must be valid dates (YYYY-MM-DD)." });
+  }
+
+  try {
+    const [holds] = await pool.query(
+      `
+      SELECT id, start_time, end_time, expires_at_utc
+      FROM reservation_holds
+      WHERE room_id = ?
+        AND expires_at_utc > UTC_TIMESTAMP()
+        ${to ? "AND start_time < ?" : ""}
+        ${from ? "AND end_time > ?" : ""}
+      ORDER BY start_time ASC;
+      `,
+      [
+        roomId,
+        ...(to ? [`${to} 00:00:00`] : []),
+        ...(from ? [`${from} 00:00:00`] : []),
+      ]
+    );
+
+    return res.json(holds);
+  } catch (err) {
+    console.error("❌ GET holds failed:", err.message);
+    return res.status(500).json({ message: "Unable to load holds." });
+  }
+}
+
+/* =============================================================================
+   POST /api/reservations/holds (CREATE MODAL OPENED)
+   =============================================================================
+   Body: { room_id, start_time, end_time } (MySQL DATETIME, local wall time)
+
+   Responses:
+   • 201 → { id, token, start_time, end_time, expires_at_utc }
+           token → send back as hold_token on create / X-Hold-Token on release
+   • 409 → already booked (buildConflictResponse shape)
+   • 409 → { code: "SLOT_HELD", holds } — someone else is booking it
+============================================================================= */
+export async function createHold(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const { room_id, start_time, end_time } = req.body ?? {};
+  const roomId = Number(room_id);
+
+  if (!Number.isInteger(roomId)) {
+    return res.status(400).json({ message: "room_id is required." });
+  }
+
+  if (
+    !MYSQL_DATETIME_PATTERN.test(String(start_time)) ||
+    !MYSQL_DATETIME_PATTERN.test(String(end_time))
+  ) {
+    return res.status(400).json({
+      message: "start_time / end_time must be YYYY-MM-DD HH:MM:SS.",
+    });
+  }
+
+  if (start_time >= end_time) {
+    return res
+      .status(400)
+      .json({ message: "End time must be after start time." });
+  }
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    if (!(await lockRoomForBooking(conn, roomId))) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    const conflicts = await findConflictingReservations(conn, {
+      roomId,
+      startSQL: start_time,
+      endSQL: end_time,
+    });
+
+    if (conflicts.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildConflictResponse(conflicts));
+    }
+
+    const holds = await findConflictingHolds(conn, {
+      roomId,
+      ranges: [{ startSQL: start_time, endSQL: end_time }],
+    });
+
+    if (holds.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildHoldConflictResponse(holds));
+    }
+
+    const hold = await placeHold(conn, {
+      roomId,
+      startSQL: start_time,
+      endSQL: end_time,
+    });
+
+    await conn.commit();
+
+    return res.status(201).json(hold);
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ CREATE hold failed:", err.message);
+    return res.status(500).json({ message: "Unable to hold this time." });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   DELETE /api/reservations/holds/:id (MODAL CLOSED WITHOUT BOOKING)
+   =============================================================================
+   Header: X-Hold-Token (from createHold)
+   • 204 → released
+   • 404 → unknown / expired / already converted (nothing to do)
+============================================================================= */
+export async function deleteHold(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const holdId = Number(req.params.id);
+  if (!Number.isInteger(holdId)) {
+    return res.status(400).json({ message: "Invalid hold id" });
+  }
+
+  try {
+    const released = await releaseHold(pool, {
+      id: holdId,
+      token: req.get("x-hold-token"),
+    });
+
+    if (!released) {
+      return res.status(404).json({ message: "Hold not found" });
+    }
+
+    return res.status(204).end();
+  } catch (err) {
+    console.error("❌ DELETE hold failed:", err.message);
+    return res.status(500).json({ message: "Unable to release the hold." });
+  }
+}
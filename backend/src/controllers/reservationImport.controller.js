@@ -0,0 +1,156 @@
+// controllers/reservationImport.controller.js
+// -----------------------------------------------------------------------------
+// BULK CSV IMPORT CONTROLLER (ADMINS)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Dry run: validate a term schedule and return a per-row report
+// • Commit: insert every row atomically, then queue invites
+//
+// Row parsing / validation / inserts live in reservationImportService.js.
+// Both endpoints run the SAME import inside a transaction — the dry run
+// simply rolls it back, so its report is exactly what a commit would do.
+//
+// API:
+// • POST /api/reservations/import/dry-run   Body: CSV text
+// • POST /api/reservations/import           Body: CSV text
+//   (Content-Type text/csv | text/plain, or JSON { csv })
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import { resolveHistoryActor } from "../services/reservationHistoryService.js";
+import {
+  runReservationImport,
+  queueImportInvites,
+} from "../services/reservationImportService.js";
+
+/**
+ * Request body → CSV text | null
+ */
+function readCsvBody(req) {
+  if (typeof req.body === "string") return req.body;
+  if (typeof req.body?.csv === "string") return req.body.csv;
+  return null;
+}
+
+function summarize(rows) {
+  const valid = rows.filter((r) => r.status === "ok").length;
+
+  return {
+    total: rows.length,
+    valid,
+    invalid: rows.length - valid,
+    rows,
+  };
+}
+
+/* =============================================================================
+   SHARED IMPORT FLOW
+   =============================================================================
+   • 400 → no CSV / unusable file (header, row limit, broken quotes)
+   • otherwise { report, created } with the transaction STILL OPEN
+     → the caller commits or rolls back
+============================================================================= */
+async function runImport(req, res, conn) {
+  const text = readCsvBody(req);
+
+  if (!text || !text.trim()) {
+    res.status(400).json({ message: "Upload a CSV file to import." });
+    return null;
+  }
+
+  const result = await runReservationImport(conn, text, {
+    actor: resolveHistoryActor(req),
+  });
+
+  if (result.message) {
+    res.status(400).json({ message: result.message });
+    return null;
+  }
+
+  return { report: summarize(result.rows), created: result.created };
+}
+
+/* =============================================================================
+   POST /api/reservations/import/dry-run
+   =============================================================================
+   Response 200 → { dry_run: true, total, valid, invalid, rows: [{ line,
+   status, errors, site, room, title, start_time, end_time, occurrences,
+   requires_approval, conflicts }] }
+   Nothing is saved and no email is sent.
+============================================================================= */
+export async function previewReservationImport(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const outcome = await runImport(req, res, conn);
+    await conn.rollback();
+
+    if (!outcome) return undefined;
+
+    return res.json({ dry_run: true, ...outcome.report });
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ IMPORT dry run failed:", err.message);
+    return res.status(500).json({ message: "Unable to check this file." });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   POST /api/reservations/import
+   =============================================================================
+   All-or-nothing:
+   • 201 → { dry_run: false, total, valid, invalid: 0, rows } — committed,
+           invites / approval notices queued
+   • 422 → same report — at least one row failed, NOTHING was saved
+============================================================================= */
+export async function commitReservationImport(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const conn = await pool.getConnection();
+  let outcome;
+
+  try {
+    await conn.beginTransaction();
+
+    outcome = await runImport(req, res, conn);
+
+    if (!outcome) {
+      await conn.rollback();
+      return undefined;
+    }
+
+    if (outcome.report.invalid > 0) {
+      await conn.rollback();
+      return res.status(422).json({
+        message: `${outcome.report.invalid} row(s) need fixing — nothing was imported.`,
+        dry_run: false,
+        ...outcome.report,
+      });
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ IMPORT failed:", err.message);
+    return res.status(500).json({ message: "Unable to import this file." });
+  } finally {
+    conn.release();
+  }
+
+  console.log(`📥 Imported ${outcome.report.total} booking row(s)`);
+
+  // 🔔 Post-commit only — nothing is sent for a rolled-back import
+  queueImportInvites(outcome.created);
+
+  return res.status(201).json({ dry_run: false, ...outcome.report });
+}
@@ -6,30 +6,68 @@
 // • Serve calendar reservation data (READ)
 // • Create new reservations (MODAL CREATE)
 // • Update reservation times (DRAG & RESIZE + MODAL EDIT)
+// • Cancel reservations (soft delete + CANCEL invites)
+// • Edit recurring series (single / following / whole series)
 // • Normalize datetime values for MySQL
 // • Enforce recurrence integrity
+// • Prevent double-booking (409 on overlapping reservations)
 // • Provide audit-friendly UTC timestamps
+// • Record every write in reservation_history (same transaction)
 //
 // API:
 // • GET  /api/reservations/:siteSlug/:roomId
-// • POST /api/reservations
+// • POST /api/reservations        (single OR recurring series)
 // • PUT  /api/reservations/:id
+// • DELETE /api/reservations/:id
+// • GET  /api/reservations/:id/history
 // -----------------------------------------------------------------------------
 
 import { pool, dbReady } from "../db/mysql.js";
-import { generateRecurrenceInstances } from "../recurrence/recurrenceEngine.js";
+import {
+  generateRecurrenceInstances,
+  validateRecurrencePayload,
+  MAX_RECURRENCE_INSTANCES,
+  isWeekend,
+  IS_WEEKENDS_ENABLED,
+} from "../recurrence/recurrenceEngine.js";
+import {
+  wallTimeDelta,
+  shiftWallTime,
+  shiftDateKey,
+} from "../utils/calendarUtils.js";
 import calendarInviteService from "../services/calendarInviteService.js";
+import {
+  lockRoomForBooking,
+  lockRoomsForBooking,
+  findConflictingReservations,
+  findConflictsForRanges,
+  buildConflictResponse,
+} from "../services/reservationConflictService.js";
+import {
+  resolveHistoryActor,
+  recordRowChanges,
+} from "../services/reservationHistoryService.js";
+import {
+  parseIdempotencyKey,
+  hashRequestBody,
+  findIdempotentResult,
+  storeIdempotentResult,
+  buildIdempotencyMismatchResponse,
+} from "../services/idempotencyService.js";
+import { notifyWaitlistOfFreedSlot } from "../services/waitlistService.js";
+import {
+  findConflictingHolds,
+  buildHoldConflictResponse,
+  releaseHold,
+} from "../services/reservationHoldService.js";
+import { resolvePinRole } from "../middleware/requirePinRole.js";
+import { isValidEmail, nowUtcMySQL } from "../utils/helpers.js";
 
 
 
 /* ------------------------------------------------------------------
    EMAIL VALIDATION HELPERS
 ------------------------------------------------------------------ */
-function isValidEmail(email) {
-  if (!email || typeof email !== "string") return false;
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
-}
-
 function validateAttendeesEmails(value) {
   if (!value) return [];
 
@@ -55,17 +93,6 @@ function validateAttendeesEmails(value) {
 
 const AUDIT_TZ = "America/New_York";
 
-/**
- * Generate a MySQL-safe UTC timestamp string.
- * Format: YYYY-MM-DD HH:MM:SS
- *
- * Used ONLY for audit columns.
- * NEVER use this for start_time / end_time.
- */
-function nowUtcMySQL() {
-  return new Date().toISOString().slice(0, 19).replace("T", " ");
-}
-
 /* =============================================================================
    DATETIME NORMALIZATION (LOCAL WALL TIME)
    =============================================================================
@@ -114,49 +141,38 @@ function toMySQLDateTime(value) {
 }
 
 /* =============================================================================
-   BACKEND RECURRENCE VALIDATION (DEFENSE-IN-DEPTH)
+   DATE WINDOW (GET ?from=&to=)
+   =============================================================================
+   Accepts:
+   • "YYYY-MM-DD"          → midnight (LOCAL wall time)
+   • MySQL / ISO datetime  → as-is (via toMySQLDateTime)
+   Returns:
+   • MySQL DATETIME string, null when absent, undefined when invalid
 ============================================================================= */
-function validateRecurrencePayload(recurrence, start, end) {
-  if (!recurrence) return [];
-
-  const errors = [];
-
-  if (!recurrence.frequency) {
-    errors.push("Recurrence frequency is required.");
-  }
-
-  if (
-    recurrence.interval !== undefined &&
-    (!Number.isInteger(Number(recurrence.interval)) ||
-      Number(recurrence.interval) < 1)
-  ) {
-    errors.push("Recurrence interval must be an integer >= 1.");
-  }
-
-  if (!recurrence.until) {
-    errors.push("Recurrence end date is required.");
-  }
-
-  const until = new Date(recurrence.until);
-  if (isNaN(until.getTime())) {
-    errors.push("Recurring end date must be a valid date.");
-  }
+function parseWindowBound(value) {
+  if (value === undefined || value === "") return null;
 
-  if (until <= end) {
-    errors.push("Recurring end date must be after reservation end.");
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value} 00:00:00`;
   }
 
-  if (recurrence.excludeDates && !Array.isArray(recurrence.excludeDates)) {
-    errors.push("excludeDates must be an array.");
+  try {
+    return toMySQLDateTime(value);
+  } catch {
+    return undefined;
   }
-
-  return errors;
 }
 
 /* =============================================================================
    GET /api/reservations/:siteSlug/:roomId
    =============================================================================
-   Returns all reservations for a given room at a given site.
+   Returns reservations for a given room at a given site.
+
+   Optional window (?from=&to=):
+   • Only reservations overlapping [from, to) are returned
+   • Either bound may be omitted (open-ended)
+   • Uses idx_reservations_room_end_time → cost grows with the window,
+     not with the room's whole history
 
    IMPORTANT NOTES:
    ---------------------------------------------------------------------------
@@ -176,6 +192,32 @@ export async function getReservationsByRoom(req, res) {
     return res.status(503).json({ message: "System warming up." });
   }
 
+  const fromSQL = parseWindowBound(req.query.from);
+  const toSQL = parseWindowBound(req.query.to);
+
+  if (fromSQL === undefined || toSQL === undefined) {
+    return res
+      .status(400)
+      .json({ message: "from / to must be valid dates (YYYY-MM-DD)." });
+  }
+
+  if (fromSQL && toSQL && fromSQL >= toSQL) {
+    return res.status(400).json({ message: "from must be before to." });
+  }
+
+  // Half-open overlap, same rule as the conflict check
+  const windowClauses = [];
+  const params = [siteSlug, roomId];
+
+  if (toSQL) {
+    windowClauses.push("AND r.start_time < ?");
+    params.push(toSQL);
+  }
+  if (fromSQL) {
+    windowClauses.push("AND r.end_time > ?");
+    params.push(fromSQL);
+  }
+
   try {
     const [rows] = await pool.query(
       `
@@ -195,6 +237,14 @@ export async function getReservationsByRoom(req, res) {
         -- Recurrence (display-only in modal)
         r.recurrence_id,
 
+        -- Lifecycle
+        r.status,
+        r.checked_in_at_utc,
+        r.released_at_utc,
+
+        -- Optimistic concurrency (send back on PUT)
+        r.version,
+
         -- Snapshot metadata
         r.room_name_snapshot,
         r.site_name_snapshot,
@@ -211,10 +261,13 @@ export async function getReservationsByRoom(req, res) {
       JOIN rooms rm ON rm.id = r.room_id
       JOIN sites s ON s.id = r.site_id
       WHERE s.slug = ?
-        AND rm.id = ?
+        AND r.room_id = ?
+        -- Released no-shows stay visible (elapsed part only, read-only)
+        AND r.status NOT IN ('cancelled', 'rejected')
+        ${windowClauses.join("\n        ")}
       ORDER BY r.start_time ASC;
       `,
-      [siteSlug, roomId]
+      params
     );
 
     /*
@@ -230,9 +283,210 @@ export async function getReservationsByRoom(req, res) {
   }
 }
 
+/* =============================================================================
+   GET /api/reservations/search
+   =============================================================================
+   Finds reservations across ALL sites and rooms.
+
+   Query (all optional, combined with AND):
+   • q        → matches title, description, created_by_name, email,
+                attendees_emails (case-insensitive "contains")
+   • email    → organizer OR attendee email ("contains")
+   • site     → site slug
+   • from/to  → overlap window, same rules as GET /:siteSlug/:roomId
+   • page     → 1-based (default 1)
+   • pageSize → default 25, max 100
+   • sort     → start_time | title | site | room | created_by_name
+   • order    → asc | desc (default asc)
+
+   Response:
+   • { results: [...], page, pageSize, total }
+   • Each result carries site_slug + room_id so the UI can deep-link to
+     /calendar/:siteSlug/:roomId
+   • Cancelled reservations are never returned
+============================================================================= */
+const SEARCH_SORT_COLUMNS = {
+  start_time: "r.start_time",
+  title: "r.title",
+  site: "r.site_name_snapshot",
+  room: "r.room_name_snapshot",
+  created_by_name: "r.created_by_name",
+};
+
+const SEARCH_MAX_PAGE_SIZE = 100;
+
+// LIKE wildcards in user input must match literally
+function toLikeContains(value) {
+  return `%${String(value).replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+export async function searchReservations(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const {
+    q = "",
+    email = "",
+    site = "",
+    sort = "start_time",
+    order = "asc",
+  } = req.query;
+
+  const page = Number(req.query.page ?? 1);
+  const pageSize = Number(req.query.pageSize ?? 25);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return res.status(400).json({ message: "page must be an integer >= 1." });
+  }
+
+  if (
+    !Number.isInteger(pageSize) ||
+    pageSize < 1 ||
+    pageSize > SEARCH_MAX_PAGE_SIZE
+  ) {
+    return res.status(400).json({
+      message: `pageSize must be between 1 and ${SEARCH_MAX_PAGE_SIZE}.`,
+    });
+  }
+
+  const sortColumn = SEARCH_SORT_COLUMNS[sort];
+  if (!sortColumn) {
+    return res.status(400).json({
+      message: `sort must be one of: ${Object.keys(SEARCH_SORT_COLUMNS).join(
+        ", "
+      )}.`,
+    });
+  }
+
+  const sortOrder = String(order).toLowerCase() === "desc" ? "DESC" : "ASC";
+
+  const fromSQL = parseWindowBound(req.query.from);
+  const toSQL = parseWindowBound(req.query.to);
+
+  if (fromSQL === undefined || toSQL === undefined) {
+    return res
+      .status(400)
+      .json({ message: "from / to must be valid dates (YYYY-MM-DD)." });
+  }
+
+  if (fromSQL && toSQL && fromSQL >= toSQL) {
+    return res.status(400).json({ message: "from must be before to." });
+  }
+
+  // ---------------------------------------------------------------------------
+  // WHERE CLAUSE (parameterized — user input never touches the SQL text)
+  // ---------------------------------------------------------------------------
+  const where = ["r.status NOT IN ('cancelled', 'rejected', 'no_show')"];
+  const params = [];
+
+  const term = String(q).trim();
+  if (term) {
+    const like = toLikeContains(term);
+    where.push(`(
+      r.title LIKE ?
+      OR r.description LIKE ?
+      OR r.created_by_name LIKE ?
+      OR r.email LIKE ?
+      OR r.attendees_emails LIKE ?
+    )`);
+    params.push(like, like, like, like, like);
+  }
+
+  const emailTerm = String(email).trim();
+  if (emailTerm) {
+    const like = toLikeContains(emailTerm);
+    where.push("(r.email LIKE ? OR r.attendees_emails LIKE ?)");
+    params.push(like, like);
+  }
+
+  if (String(site).trim()) {
+    where.push("s.slug = ?");
+    params.push(String(site).trim());
+  }
+
+  if (toSQL) {
+    where.push("r.start_time < ?");
+    params.push(toSQL);
+  }
+  if (fromSQL) {
+    where.push("r.end_time > ?");
+    params.push(fromSQL);
+  }
+
+  const whereSQL = where.join("\n      AND ");
+
+  try {
+    const [[{ total }]] = await pool.query(
+      `
+      SELECT COUNT(*) AS total
+      FROM reservations r
+      JOIN sites s ON s.id = r.site_id
+      WHERE ${whereSQL};
+      `,
+      params
+    );
+
+    const [rows] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.start_time,
+        r.end_time,
+        r.title,
+        r.description,
+        r.email,
+        r.attendees_emails,
+        r.created_by_name,
+        r.recurrence_id,
+        r.status,
+        r.version,
+
+        -- Deep-link target
+        r.room_id,
+        s.slug AS site_slug,
+
+        -- Display (name at booking time)
+        r.room_name_snapshot,
+        r.site_name_snapshot
+      FROM reservations r
+      JOIN sites s ON s.id = r.site_id
+      WHERE ${whereSQL}
+      ORDER BY ${sortColumn} ${sortOrder}, r.start_time ASC, r.id ASC
+      LIMIT ? OFFSET ?;
+      `,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({ results: rows, page, pageSize, total: Number(total) });
+  } catch (err) {
+    console.error("❌ SEARCH reservations failed:", err.message);
+    res.status(500).json({ message: "Unable to search reservations." });
+  }
+}
+
 /* =============================================================================
    POST /api/reservations
+=============================================================================
+   Idempotency (optional `Idempotency-Key` header):
+   • First successful create stores its 201 response with the key
+   • Same key + same body      → stored response replayed
+                                 (header Idempotent-Replayed: true)
+   • Same key + different body → 422 { code: "IDEMPOTENCY_KEY_REUSED" }
 ============================================================================= */
+
+/**
+ * Answer a repeated Idempotency-Key from its stored result
+ */
+function sendIdempotentReplay(res, previous, requestHash) {
+  if (previous.requestHash !== requestHash) {
+    return res.status(422).json(buildIdempotencyMismatchResponse());
+  }
+
+  res.set("Idempotent-Replayed", "true");
+  return res.status(previous.status).json(previous.body);
+}
+
 export async function createReservation(req, res) {
   const {
     site_id,
@@ -248,6 +502,9 @@ export async function createReservation(req, res) {
     start_time,
     end_time,
     recurrence = null,
+
+    // Create modal's tentative hold (POST /holds) → converted on success
+    hold_token = null,
   } = req.body;
 
   // ---------------------------------------------------------------------------
@@ -257,6 +514,21 @@ export async function createReservation(req, res) {
     return res.status(503).json({ message: "System warming up." });
   }
 
+  /* ------------------------------------------------------------------
+     IDEMPOTENCY KEY (OPTIONAL HEADER)
+     ------------------------------------------------------------------
+     • Retried / double-submitted creates replay the FIRST response
+     • Checked + stored inside the transaction (after the room lock)
+  ------------------------------------------------------------------ */
+  const idempotencyKey = parseIdempotencyKey(req);
+  if (idempotencyKey === undefined) {
+    return res.status(400).json({
+      message: "Idempotency-Key must be 1-128 printable characters.",
+    });
+  }
+
+  const requestHash = idempotencyKey ? hashRequestBody(req.body) : null;
+
   /* ------------------------------------------------------------------
      DATE VALIDATION & NORMALIZATION
      ------------------------------------------------------------------
@@ -287,6 +559,52 @@ export async function createReservation(req, res) {
     return res.status(400).json({ message: err.message });
   }
 
+  /* ------------------------------------------------------------------
+     RECURRENCE VALIDATION & EXPANSION (BEFORE ANY DB WORK)
+     ------------------------------------------------------------------
+     • Backend is the final authority on recurrence rules
+     • Expansion is pure (no DB) → safe to do before the transaction
+  ------------------------------------------------------------------ */
+  let instances = [];
+
+  if (recurrence) {
+    const recurrenceErrors = validateRecurrencePayload(recurrence, start, end);
+    if (recurrenceErrors.length > 0) {
+      return res.status(400).json({
+        message: recurrenceErrors.join(" "),
+        errors: recurrenceErrors,
+      });
+    }
+
+    try {
+      instances = generateRecurrenceInstances({
+        start,
+        end,
+        frequency: recurrence.frequency,
+        interval: recurrence.interval ?? 1,
+        until: recurrence.until,
+        excludeDates: recurrence.excludeDates ?? [],
+      }).map((i) => ({
+        startSQL: toMySQLDateTime(i.start),
+        endSQL: toMySQLDateTime(i.end),
+      }));
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    if (instances.length === 0) {
+      return res.status(400).json({
+        message: "This recurrence does not produce any bookable dates.",
+      });
+    }
+
+    if (instances.length > MAX_RECURRENCE_INSTANCES) {
+      return res.status(400).json({
+        message: `Recurring reservations are limited to ${MAX_RECURRENCE_INSTANCES} occurrences.`,
+      });
+    }
+  }
+
   /* ------------------------------------------------------------------
    SITE ↔ ROOM SNAPSHOT
    ------------------------------------------------------------------
@@ -299,7 +617,8 @@ export async function createReservation(req, res) {
     `
   SELECT
     s.name AS site_name,
-    r.name AS room_name
+    r.name AS room_name,
+    r.requires_approval
   FROM rooms r
   JOIN sites s ON s.id = r.site_id
   WHERE s.id = ?
@@ -313,13 +632,39 @@ export async function createReservation(req, res) {
     return res.status(404).json({ message: "Invalid site/room combination." });
   }
 
-  const { site_name, room_name } = snapRows[0];
+  const { site_name, room_name, requires_approval } = snapRows[0];
+
+  // Restricted rooms hold the slot as 'pending' until an admin approves
+  const initialStatus = requires_approval ? "pending" : "confirmed";
 
   const conn = await pool.getConnection();
 
   try {
     await conn.beginTransaction();
 
+    /* ===============================================================
+     ROOM LOCK — SERIALIZE BOOKINGS FOR THIS ROOM
+     ===============================================================
+     • Held until COMMIT / ROLLBACK
+     • Concurrent creates/updates for the same room wait here
+     • Guarantees the overlap check below cannot race
+  =============================================================== */
+    await lockRoomForBooking(conn, room_id);
+
+    /* ---------------------------------------------------------------
+     REPEATED IDEMPOTENCY KEY → REPLAY (nothing written, no emails)
+     • Runs after the room lock → a concurrent duplicate waits here
+       until the first request commits, then sees its stored result
+  --------------------------------------------------------------- */
+    if (idempotencyKey) {
+      const previous = await findIdempotentResult(conn, idempotencyKey);
+
+      if (previous) {
+        await conn.rollback();
+        return sendIdempotentReplay(res, previous, requestHash);
+      }
+    }
+
     /* ===============================================================
      PLAN A — SINGLE (NON-RECURRING) RESERVATION
      ===============================================================
@@ -329,6 +674,35 @@ export async function createReservation(req, res) {
      • No email is ever sent for rolled-back data
   =============================================================== */
     if (!recurrence) {
+      /* --------------------------------------------------------------
+       DOUBLE-BOOKING GUARD (409)
+       --------------------------------------------------------------
+       • Runs AFTER the room lock → safe against simultaneous requests
+       • Nothing is written and no email is sent on conflict
+    -------------------------------------------------------------- */
+      const conflicts = await findConflictingReservations(conn, {
+        roomId: room_id,
+        startSQL,
+        endSQL,
+      });
+
+      if (conflicts.length > 0) {
+        await conn.rollback();
+        return res.status(409).json(buildConflictResponse(conflicts));
+      }
+
+      // Someone else's create modal is holding (part of) this time
+      const holds = await findConflictingHolds(conn, {
+        roomId: room_id,
+        ranges: [{ startSQL, endSQL }],
+        holdToken: hold_token,
+      });
+
+      if (holds.length > 0) {
+        await conn.rollback();
+        return res.status(409).json(buildHoldConflictResponse(holds));
+      }
+
       const [result] = await conn.query(
         `
       INSERT INTO reservations (
@@ -348,10 +722,12 @@ export async function createReservation(req, res) {
         start_time,
         end_time,
 
+        status,
+
         created_at_utc,
         created_tz
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
       `,
         [
           site_id,
@@ -370,11 +746,52 @@ export async function createReservation(req, res) {
           startSQL,
           endSQL,
 
+          initialStatus,
+
           nowUtcMySQL(),
           AUDIT_TZ,
         ]
       );
 
+      await recordRowChanges(conn, resolveHistoryActor(req), {
+        action: "create",
+        beforeRows: [],
+        afterRows: await fetchReservationRowsByIds(conn, [result.insertId]),
+      });
+
+      /* --------------------------------------------------------------
+       RESPONSE (UNCHANGED SHAPE)
+       --------------------------------------------------------------
+       Frontend calendar depends on this exact payload
+       (built before commit → stored with the idempotency key)
+    -------------------------------------------------------------- */
+      const responseBody = {
+        id: result.insertId,
+        site_id,
+        room_id,
+        title: title || null,
+        description: description || null,
+        room_name_snapshot: room_name,
+        site_name_snapshot: site_name,
+        created_by_name,
+        start_time: startSQL,
+        end_time: endSQL,
+        status: initialStatus,
+        version: 1,
+      };
+
+      if (idempotencyKey) {
+        await storeIdempotentResult(conn, {
+          key: idempotencyKey,
+          requestHash,
+          status: 201,
+          body: responseBody,
+        });
+      }
+
+      // The hold became this reservation
+      await releaseHold(conn, { token: hold_token });
+
       /* --------------------------------------------------------------
        COMMIT FIRST (CRITICAL)
        --------------------------------------------------------------
@@ -397,110 +814,400 @@ export async function createReservation(req, res) {
        • Fire-and-forget with logging
        • Future upgrade: background job / queue
     -------------------------------------------------------------- */
-      calendarInviteService
-        .sendInvitesOnCreate({
-          id: result.insertId,
-          title,
-          description,
-          email,
-          attendees_emails,
-          start_time: startSQL,
-          end_time: endSQL,
-          room_name_snapshot: room_name,
-          site_name_snapshot: site_name,
-        })
-        .catch((err) => {
-          console.error(
-            "⚠️ Calendar invite send failed (create):",
-            err.message
-          );
-        });
-
-      /* --------------------------------------------------------------
-       RESPONSE (UNCHANGED SHAPE)
-       --------------------------------------------------------------
-       Frontend calendar depends on this exact payload
-    -------------------------------------------------------------- */
-      return res.status(201).json({
+      const createdReservation = {
         id: result.insertId,
-        site_id,
-        room_id,
-        title: title || null,
-        description: description || null,
-        room_name_snapshot: room_name,
-        site_name_snapshot: site_name,
-        created_by_name,
+        title,
+        description,
+        email,
+        attendees_emails,
         start_time: startSQL,
         end_time: endSQL,
+        room_name_snapshot: room_name,
+        site_name_snapshot: site_name,
+      };
+
+      // Pending → organizer notice only; the REQUEST waits for approval
+      const notifyCreate =
+        initialStatus === "pending"
+          ? calendarInviteService.sendApprovalNotice({
+              decision: "pending",
+              reservation: createdReservation,
+            })
+          : calendarInviteService.sendInvitesOnCreate(createdReservation);
+
+      notifyCreate.catch((err) => {
+        console.error("⚠️ Calendar invite send failed (create):", err.message);
       });
+
+      return res.status(201).json(responseBody);
     }
 
     /* ===============================================================
      PLAN B — RECURRING RESERVATION
      ===============================================================
-     (UNCHANGED — invites handled later per-instance or series)
+     CRITICAL GUARANTEES:
+     • Series row + ALL instances are written in ONE transaction
+     • Any conflicting instance rejects the WHOLE series (409)
+     • ONE series invite (RRULE) is queued after commit — never N emails
   =============================================================== */
+    const conflicts = await findConflictsForRanges(conn, {
+      roomId: room_id,
+      ranges: instances,
+    });
 
-    // ... your existing recurring logic stays exactly the same ...
-  } catch (err) {
-    await conn.rollback();
-    console.error("❌ CREATE reservation failed:", err.message);
-    res.status(500).json({ message: "Failed to create reservation." });
-  } finally {
-    conn.release();
-  }
-}
+    if (conflicts.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildConflictResponse(conflicts));
+    }
 
-/* =============================================================================
-   PUT /api/reservations/:id
-=============================================================================
-   Updates editable fields for a SINGLE (non-recurring) reservation.
+    const holds = await findConflictingHolds(conn, {
+      roomId: room_id,
+      ranges: instances,
+      holdToken: hold_token,
+    });
 
-   Editable:
-   • start_time
-   • end_time
-   • title
-   • description
-   • created_by_name
-   • email
-   • attendees_emails
+    if (holds.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildHoldConflictResponse(holds));
+    }
 
-   NOT editable:
-   • site_id
-   • room_id
-   • recurrence / recurrence_id
-   • created_at_utc
-   • created_tz
-============================================================================= */
-export async function updateReservationTime(req, res) {
-  const { id } = req.params;
+    const createdAtUtc = nowUtcMySQL();
+    const interval = Number(recurrence.interval ?? 1);
+    const excludeDates = recurrence.excludeDates ?? [];
 
-  const {
-    start_time,
-    end_time,
-    title,
-    description,
-    created_by_name,
-    email,
-    attendees_emails,
+    // ---------------------------------------------------------------
+    // SERIES RECORD (recurrence definition + shared form fields)
+    // ---------------------------------------------------------------
+    const [seriesResult] = await conn.query(
+      `
+      INSERT INTO reservation_series (
+        site_id,
+        room_id,
 
-    // FUTURE-SAFE: Edit scope hook
-    edit_scope = "single",
-  } = req.body;
+        title,
+        description,
 
-  /* ------------------------------------------------------------------
-     DB readiness guard
+        room_name_snapshot,
+        site_name_snapshot,
+
+        created_by_name,
+        email,
+        attendees_emails,
+
+        start_time,
+        end_time,
+
+        frequency,
+        interval_count,
+        until_date,
+        exclude_dates,
+
+        created_at_utc,
+        created_tz
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `,
+      [
+        site_id,
+        room_id,
+
+        title || null,
+        description || null,
+
+        room_name,
+        site_name,
+
+        created_by_name,
+        email || null,
+        attendees_emails || null,
+
+        instances[0].startSQL,
+        instances[0].endSQL,
+
+        recurrence.frequency,
+        interval,
+        String(recurrence.until).slice(0, 10),
+        JSON.stringify(excludeDates),
+
+        createdAtUtc,
+        AUDIT_TZ,
+      ]
+    );
+
+    const seriesId = seriesResult.insertId;
+
+    // ---------------------------------------------------------------
+    // INSTANCES (bulk insert — one statement, same transaction)
+    // ---------------------------------------------------------------
+    await conn.query(
+      `
+      INSERT INTO reservations (
+        site_id,
+        room_id,
+
+        title,
+        description,
+
+        room_name_snapshot,
+        site_name_snapshot,
+
+        created_by_name,
+        email,
+        attendees_emails,
+
+        start_time,
+        end_time,
+
+        recurrence_id,
+        occurrence_start,
+
+        status,
+
+        created_at_utc,
+        created_tz
+      )
+      VALUES ?;
+      `,
+      [
+        instances.map((i) => [
+          site_id,
+          room_id,
+
+          title || null,
+          description || null,
+
+          room_name,
+          site_name,
+
+          created_by_name,
+          email || null,
+          attendees_emails || null,
+
+          i.startSQL,
+          i.endSQL,
+
+          seriesId,
+          i.startSQL,
+
+          initialStatus,
+
+          createdAtUtc,
+          AUDIT_TZ,
+        ]),
+      ]
+    );
+
+    // Read back the expanded rows (same shape as GET) for the calendar
+    const [instanceRows] = await conn.query(
+      `
+      SELECT
+        id,
+        start_time,
+        end_time,
+        title,
+        description,
+        email,
+        attendees_emails,
+        recurrence_id,
+        status,
+        version,
+        room_name_snapshot,
+        site_name_snapshot,
+        created_by_name,
+        created_at_utc,
+        updated_at_utc,
+        created_tz
+      FROM reservations
+      WHERE recurrence_id = ?
+      ORDER BY start_time ASC;
+      `,
+      [seriesId]
+    );
+
+    await recordRowChanges(conn, resolveHistoryActor(req), {
+      action: "create",
+      beforeRows: [],
+      afterRows: instanceRows,
+    });
+
+    const series = {
+      id: seriesId,
+      site_id,
+      room_id,
+      title: title || null,
+      description: description || null,
+      room_name_snapshot: room_name,
+      site_name_snapshot: site_name,
+      created_by_name,
+      email: email || null,
+      attendees_emails: attendees_emails || null,
+      start_time: instances[0].startSQL,
+      end_time: instances[0].endSQL,
+      frequency: recurrence.frequency,
+      interval_count: interval,
+      until_date: String(recurrence.until).slice(0, 10),
+      exclude_dates: excludeDates,
+    };
+
+    if (idempotencyKey) {
+      await storeIdempotentResult(conn, {
+        key: idempotencyKey,
+        requestHash,
+        status: 201,
+        body: { series, reservations: instanceRows },
+      });
+    }
+
+    await releaseHold(conn, { token: hold_token });
+
+    await conn.commit();
+
+    /* --------------------------------------------------------------
+     🔔 ONE SERIES INVITE (ASYNC, POST-COMMIT)
+     • Restricted room → "pending approval" notice instead
+    -------------------------------------------------------------- */
+    const notifySeriesCreate =
+      initialStatus === "pending"
+        ? calendarInviteService.sendApprovalNotice({
+            decision: "pending",
+            series,
+          })
+        : calendarInviteService.sendSeriesInvitesOnCreate(series);
+
+    notifySeriesCreate.catch((err) => {
+      console.error(
+        "⚠️ Calendar invite send failed (series create):",
+        err.message
+      );
+    });
+
+    /* --------------------------------------------------------------
+     RESPONSE — RoomCalendar appends result.reservations
+    -------------------------------------------------------------- */
+    return res.status(201).json({
+      series,
+      reservations: instanceRows,
+    });
+  } catch (err) {
+    await conn.rollback();
+
+    // Same key committed by a concurrent request → replay its result
+    if (idempotencyKey && err.code === "ER_DUP_ENTRY") {
+      const previous = await findIdempotentResult(pool, idempotencyKey).catch(
+        () => null
+      );
+      if (previous) return sendIdempotentReplay(res, previous, requestHash);
+    }
+
+    console.error("❌ CREATE reservation failed:", err.message);
+    res.status(500).json({ message: "Failed to create reservation." });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   PUT /api/reservations/:id
+=============================================================================
+   Updates editable fields for a reservation.
+   Recurring instances honor edit_scope ("single" | "following" | "series").
+
+   Editable:
+   • start_time
+   • end_time
+   • title
+   • description
+   • created_by_name
+   • email
+   • attendees_emails
+   • room_id → moves the booking (site_id follows the room; snapshots
+     refresh; invites go out as REQUEST updates under the same UID)
+
+   NOT editable:
+   • site_id (derived from room_id)
+   • recurrence / recurrence_id (only changed by a "following" split)
+   • created_at_utc
+   • created_tz
+
+   Optimistic concurrency:
+   • Client sends the row version it loaded (body `version` or If-Match)
+   • Version mismatch → 409 { code: "STALE_VERSION", current } — nothing saved
+   • No version sent → last write wins (legacy clients)
+============================================================================= */
+const EDIT_SCOPES = ["single", "following", "series"];
+
+/**
+ * Expected row version from the request
+ * • body.version  → 3
+ * • If-Match      → "3" | W/"3" | 3
+ *
+ * Returns:
+ * • number    → check it
+ * • null      → not sent (skip the check)
+ * • undefined → malformed (caller answers 400)
+ */
+function parseExpectedVersion(req) {
+  const raw =
+    req.body?.version ??
+    req.get("if-match")?.replace(/^W\//, "").replace(/"/g, "").trim();
+
+  if (raw === undefined || raw === null || raw === "") return null;
+
+  const version = Number(raw);
+  return Number.isInteger(version) && version > 0 ? version : undefined;
+}
+
+/**
+ * 409 body for a stale write — the client replaces its copy with `current`
+ */
+function buildStaleVersionResponse(current) {
+  return {
+    message:
+      "Someone else changed this reservation while you were editing. It has been reloaded — review it and try again.",
+    code: "STALE_VERSION",
+    current,
+  };
+}
+
+export async function updateReservationTime(req, res) {
+  const { id } = req.params;
+
+  const {
+    start_time,
+    end_time,
+    title,
+    description,
+    created_by_name,
+    email,
+    attendees_emails,
+
+    // Optional room move (omitted / same room → stays put)
+    room_id,
+
+    // Caller's own hold (if any) → not treated as someone else's
+    hold_token = null,
+
+    // FUTURE-SAFE: Edit scope hook
+    edit_scope = "single",
+  } = req.body;
+
+  /* ------------------------------------------------------------------
+     DB readiness guard
   ------------------------------------------------------------------ */
   if (!dbReady) {
     return res.status(503).json({ message: "System warming up." });
   }
 
   /* ------------------------------------------------------------------
-     FUTURE-SAFE GUARD: series edits not implemented yet
+     EDIT SCOPE GUARD
+     ------------------------------------------------------------------
+     • "single"    → this reservation / this occurrence only
+     • "following" → this occurrence and every later one (splits series)
+     • "series"    → every occurrence of the series
   ------------------------------------------------------------------ */
-  if (edit_scope !== "single") {
+  if (!EDIT_SCOPES.includes(edit_scope)) {
     return res.status(400).json({
-      message: "Editing an entire series is not supported yet.",
+      message: `edit_scope must be one of: ${EDIT_SCOPES.join(", ")}.`,
     });
   }
 
@@ -512,11 +1219,18 @@ export async function updateReservationTime(req, res) {
     return res.status(400).json({ message: "Invalid reservation id" });
   }
 
+  const expectedVersion = parseExpectedVersion(req);
+  if (expectedVersion === undefined) {
+    return res
+      .status(400)
+      .json({ message: "version must be a positive integer." });
+  }
+
   /* ------------------------------------------------------------------
-     BLOCK editing recurring instances
+     LOOKUP (recurrence + lifecycle)
   ------------------------------------------------------------------ */
   const [[existing]] = await pool.query(
-    `SELECT recurrence_id FROM reservations WHERE id = ? LIMIT 1`,
+    `SELECT recurrence_id, status FROM reservations WHERE id = ? LIMIT 1`,
     [reservationId]
   );
 
@@ -524,9 +1238,28 @@ export async function updateReservationTime(req, res) {
     return res.status(404).json({ message: "Reservation not found" });
   }
 
-  if (existing.recurrence_id != null) {
+  if (existing.status === "cancelled") {
+    return res.status(409).json({
+      message: "This reservation has been cancelled.",
+    });
+  }
+
+  if (existing.status === "rejected") {
+    return res.status(409).json({
+      message: "This reservation was not approved and can no longer be edited.",
+    });
+  }
+
+  if (existing.status === "no_show") {
+    return res.status(409).json({
+      message:
+        "This reservation was released because nobody checked in and can no longer be edited.",
+    });
+  }
+
+  if (existing.recurrence_id == null && edit_scope !== "single") {
     return res.status(400).json({
-      message: "Recurring reservation instances cannot be edited.",
+      message: "Only recurring reservations can be edited as a series.",
     });
   }
 
@@ -542,6 +1275,8 @@ export async function updateReservationTime(req, res) {
     `
     SELECT
       id,
+      site_id,
+      room_id,
       title,
       description,
       email,
@@ -561,6 +1296,71 @@ export async function updateReservationTime(req, res) {
     return res.status(404).json({ message: "Reservation not found" });
   }
 
+  /* ------------------------------------------------------------------
+     ROOM MOVE (OPTIONAL room_id)
+     ------------------------------------------------------------------
+     • Target must be an active room; its site becomes the new site
+     • Recurring rows move together ("following" | "series") — one
+       occurrence in another room would drift away from its series
+     • Restricted target room → only an admin PIN may move a booking
+       straight in (otherwise it would skip the approval queue)
+  ------------------------------------------------------------------ */
+  let move = null;
+
+  if (room_id != null && Number(room_id) !== Number(oldReservation.room_id)) {
+    const targetRoomId = Number(room_id);
+    if (!Number.isInteger(targetRoomId)) {
+      return res.status(400).json({ message: "Invalid room id" });
+    }
+
+    if (existing.recurrence_id != null && edit_scope === "single") {
+      return res.status(400).json({
+        message:
+          "A recurring booking moves as a whole. Choose all occurrences (or this and following) to change the room.",
+      });
+    }
+
+    const [[targetRoom]] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.site_id,
+        r.name AS room_name,
+        r.requires_approval,
+        s.name AS site_name
+      FROM rooms r
+      JOIN sites s ON s.id = r.site_id
+      WHERE r.id = ?
+        AND r.is_active = TRUE
+      LIMIT 1;
+      `,
+      [targetRoomId]
+    );
+
+    if (!targetRoom) {
+      return res.status(404).json({ message: "Target room not found." });
+    }
+
+    const role = resolvePinRole(req.get("x-access-pin"));
+    if (
+      targetRoom.requires_approval &&
+      existing.status !== "pending" &&
+      role !== "admin" &&
+      role !== "super_admin"
+    ) {
+      return res.status(403).json({
+        message: `${targetRoom.room_name} requires approval. Ask an administrator to move this booking there.`,
+      });
+    }
+
+    move = {
+      site_id: targetRoom.site_id,
+      room_id: targetRoom.id,
+      room_name_snapshot: targetRoom.room_name,
+      site_name_snapshot: targetRoom.site_name,
+    };
+  }
+
   /* ------------------------------------------------------------------
      DATETIME normalization (LOCAL wall time)
   ------------------------------------------------------------------ */
@@ -594,11 +1394,85 @@ export async function updateReservationTime(req, res) {
     });
   }
 
+  /* ------------------------------------------------------------------
+     RECURRING INSTANCE → SERIES-AWARE UPDATE
+  ------------------------------------------------------------------ */
+  if (existing.recurrence_id != null) {
+    return updateRecurringReservation(res, {
+      reservationId,
+      seriesId: existing.recurrence_id,
+      editScope: edit_scope,
+      expectedVersion,
+      invitesEnabled: existing.status !== "pending",
+      actor: resolveHistoryActor(req),
+      move,
+      startSQL,
+      endSQL,
+      holdToken: hold_token,
+      fields: {
+        title: title || null,
+        description: description || null,
+        created_by_name,
+        email,
+        attendees_emails: attendees_emails || null,
+      },
+    });
+  }
+
   /* ------------------------------------------------------------------
      EXECUTE UPDATE (⚠️ UPDATE — NOT INSERT ⚠️)
+     ------------------------------------------------------------------
+     • Runs inside a transaction holding the room lock
+     • Stale version is reported before overlaps (the edit was based
+       on data that no longer exists)
+     • Overlap check excludes the row being edited
+     • Someone else's open create modal (hold) blocks the new time too
   ------------------------------------------------------------------ */
+  const location = resolveLocation(oldReservation, move);
+
+  const conn = await pool.getConnection();
+
   try {
-    const [result] = await pool.query(
+    await conn.beginTransaction();
+
+    await lockRoomsForBooking(conn, [oldReservation.room_id, location.room_id]);
+
+    const [current] = await fetchReservationRowsByIds(conn, [reservationId]);
+
+    if (!current) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    if (expectedVersion !== null && current.version !== expectedVersion) {
+      await conn.rollback();
+      return res.status(409).json(buildStaleVersionResponse(current));
+    }
+
+    const conflicts = await findConflictingReservations(conn, {
+      roomId: location.room_id,
+      startSQL,
+      endSQL,
+      excludeIds: [reservationId],
+    });
+
+    if (conflicts.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildConflictResponse(conflicts));
+    }
+
+    const holds = await findConflictingHolds(conn, {
+      roomId: location.room_id,
+      ranges: [{ startSQL, endSQL }],
+      holdToken: hold_token,
+    });
+
+    if (holds.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildHoldConflictResponse(holds));
+    }
+
+    const [result] = await conn.query(
       `
       UPDATE reservations
       SET
@@ -609,8 +1483,14 @@ export async function updateReservationTime(req, res) {
         created_by_name = ?,
         email = ?,
         attendees_emails = ?,
+        site_id = ?,
+        room_id = ?,
+        room_name_snapshot = ?,
+        site_name_snapshot = ?,
+        version = version + 1,
         updated_at_utc = UTC_TIMESTAMP()
-      WHERE id = ?;
+      WHERE id = ?
+        AND version = ?;
       `,
       [
         startSQL,
@@ -620,14 +1500,28 @@ export async function updateReservationTime(req, res) {
         created_by_name,
         email,
         attendees_emails || null,
+        location.site_id,
+        location.room_id,
+        location.room_name_snapshot,
+        location.site_name_snapshot,
         reservationId,
+        current.version,
       ]
     );
 
     if (result.affectedRows === 0) {
-      return res.status(404).json({ message: "Reservation not found" });
+      await conn.rollback();
+      return res.status(409).json(buildStaleVersionResponse(current));
     }
 
+    await recordRowChanges(conn, resolveHistoryActor(req), {
+      action: "update",
+      beforeRows: [current],
+      afterRows: await fetchReservationRowsByIds(conn, [reservationId]),
+    });
+
+    await conn.commit();
+
     /* --------------------------------------------------------------
        🔔 SEND CALENDAR UPDATES (ASYNC, POST-UPDATE)
        --------------------------------------------------------------
@@ -637,28 +1531,44 @@ export async function updateReservationTime(req, res) {
        • Proper UPDATE vs CANCEL semantics (Outlook / Google)
        • Must NEVER block API response
     -------------------------------------------------------------- */
-    calendarInviteService
-      .sendInvitesOnUpdate({
-        reservation: {
-          id: reservationId,
-          title,
-          description,
-          email,
-          attendees_emails,
-          start_time: startSQL,
-          end_time: endSQL,
-          room_name_snapshot: oldReservation.room_name_snapshot,
-          site_name_snapshot: oldReservation.site_name_snapshot,
-        },
-        previousReservation: oldReservation,
-      })
-      .catch((err) => {
-        console.error("⚠️ Calendar invite send failed (update):", err.message);
-      });
-
-    /* ------------------------------------------------------------------
-       SUCCESS RESPONSE (UNCHANGED SHAPE)
-    ------------------------------------------------------------------ */
+    // Pending approval → nobody has a REQUEST yet; approval sends it
+    if (existing.status !== "pending") {
+      calendarInviteService
+        .sendInvitesOnUpdate({
+          reservation: {
+            id: reservationId,
+            title,
+            description,
+            email,
+            attendees_emails,
+            start_time: startSQL,
+            end_time: endSQL,
+            room_name_snapshot: location.room_name_snapshot,
+            site_name_snapshot: location.site_name_snapshot,
+          },
+          previousReservation: oldReservation,
+        })
+        .catch((err) => {
+          console.error("⚠️ Calendar invite send failed (update):", err.message);
+        });
+    }
+
+    // 🔔 Shortened / moved → part of the old slot may be free now
+    if (
+      Number(current.room_id) !== Number(location.room_id) ||
+      current.start_time !== startSQL ||
+      current.end_time !== endSQL
+    ) {
+      notifyWaitlistOfFreedSlot({
+        roomId: current.room_id,
+        startSQL: current.start_time,
+        endSQL: current.end_time,
+      });
+    }
+
+    /* ------------------------------------------------------------------
+       SUCCESS RESPONSE (UNCHANGED SHAPE)
+    ------------------------------------------------------------------ */
     return res.json({
       id: reservationId,
       start_time: startSQL,
@@ -668,9 +1578,1141 @@ export async function updateReservationTime(req, res) {
       created_by_name,
       email,
       attendees_emails,
+      ...location,
+      version: current.version + 1,
     });
   } catch (err) {
+    await conn.rollback();
     console.error("❌ UPDATE reservation failed:", err.message);
     return res.status(500).json({ message: "Failed to update reservation" });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   RECURRING SERIES HELPERS
+============================================================================= */
+
+/**
+ * Normalize reservation_series.exclude_dates (JSON column) → string[]
+ */
+function parseExcludeDates(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Comparable, order-insensitive email set ("a@x.org, b@x.org")
+ */
+function normalizeEmailList(value) {
+  if (!value) return "";
+  return value
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean)
+    .sort()
+    .join(",");
+}
+
+/**
+ * Where a row ends up after an edit → { site_id, room_id, snapshots }
+ * • move = null → stays where it is
+ */
+function resolveLocation(row, move) {
+  return (
+    move ?? {
+      site_id: row.site_id,
+      room_id: row.room_id,
+      room_name_snapshot: row.room_name_snapshot,
+      site_name_snapshot: row.site_name_snapshot,
+    }
+  );
+}
+
+/**
+ * 🔔 Rows were moved / shortened → offer their OLD span to the waitlist
+ * (one pass over the whole span; each entry re-checks its own range)
+ */
+function notifyWaitlistOfFreedRows(roomId, beforeRows) {
+  if (beforeRows.length === 0) return;
+
+  notifyWaitlistOfFreedSlot({
+    roomId,
+    startSQL: beforeRows.map((r) => r.start_time).sort()[0],
+    endSQL: beforeRows
+      .map((r) => r.end_time)
+      .sort()
+      .at(-1),
+  });
+}
+
+/**
+ * Load calendar rows by id (same shape as GET /:siteSlug/:roomId)
+ * (+ site_id / room_id so a moved row can leave the old room's calendar)
+ */
+async function fetchReservationRowsByIds(conn, ids) {
+  if (ids.length === 0) return [];
+
+  const [rows] = await conn.query(
+    `
+    SELECT
+      id,
+      site_id,
+      room_id,
+      start_time,
+      end_time,
+      title,
+      description,
+      email,
+      attendees_emails,
+      recurrence_id,
+      status,
+      version,
+      review_reason,
+      room_name_snapshot,
+      site_name_snapshot,
+      created_by_name,
+      created_at_utc,
+      updated_at_utc,
+      created_tz
+    FROM reservations
+    WHERE id IN (?)
+    ORDER BY start_time ASC;
+    `,
+    [ids]
+  );
+
+  return rows;
+}
+
+/* =============================================================================
+   PUT /api/reservations/:id — RECURRING INSTANCE
+=============================================================================
+   Scopes:
+   • "single"
+       - Only this occurrence moves / is retitled
+       - Invite: series UID + RECURRENCE-ID (clients change one date)
+       - Organizer/attendees are series-wide → must stay unchanged
+   • "series"
+       - The time shift of the edited occurrence is applied to EVERY
+         occurrence (wall-time days + minutes → DST-safe)
+       - Fields are copied to every occurrence + the series row
+       - Invite: updated series REQUEST (CANCEL for removed attendees)
+   • "following"
+       - Same as "series" but only for this occurrence and later ones
+       - The series is SPLIT: the original series now ends the day before,
+         later occurrences move to a NEW series row
+       - Editing the first occurrence with "following" = whole series
+   • move (series / following only)
+       - Occurrences + series row switch room/site (snapshots refreshed)
+       - Conflicts are checked in the TARGET room
+       - Same series UID → clients update LOCATION in place
+
+   Guarantees:
+   • One transaction, room locked, conflicts checked for every moved slot
+   • Emails are queued ONLY after commit
+============================================================================= */
+async function updateRecurringReservation(
+  res,
+  {
+    reservationId,
+    seriesId,
+    editScope,
+    expectedVersion,
+    invitesEnabled,
+    actor,
+    move,
+    startSQL,
+    endSQL,
+    holdToken,
+    fields,
+  }
+) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [[series]] = await conn.query(
+      `SELECT * FROM reservation_series WHERE id = ? LIMIT 1 FOR UPDATE`,
+      [seriesId]
+    );
+
+    if (!series) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Reservation series not found" });
+    }
+
+    series.exclude_dates = parseExcludeDates(series.exclude_dates);
+
+    const location = resolveLocation(series, move);
+
+    await lockRoomsForBooking(conn, [series.room_id, location.room_id]);
+
+    const [instances] = await conn.query(
+      `
+      SELECT
+        id,
+        start_time,
+        end_time,
+        version,
+        COALESCE(occurrence_start, start_time) AS occurrence_start
+      FROM reservations
+      WHERE recurrence_id = ?
+        AND status NOT IN ('cancelled', 'rejected', 'no_show')
+      ORDER BY start_time ASC;
+      `,
+      [seriesId]
+    );
+
+    const edited = instances.find((i) => Number(i.id) === reservationId);
+
+    if (!edited) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    // Version of the occurrence the user actually opened / dragged
+    if (expectedVersion !== null && edited.version !== expectedVersion) {
+      const [current] = await fetchReservationRowsByIds(conn, [reservationId]);
+      await conn.rollback();
+      return res.status(409).json(buildStaleVersionResponse(current));
+    }
+
+    /* ===============================================================
+       SCOPE: SINGLE OCCURRENCE
+    =============================================================== */
+    if (editScope === "single") {
+      if (
+        normalizeEmailList(fields.email) !== normalizeEmailList(series.email) ||
+        normalizeEmailList(fields.attendees_emails) !==
+          normalizeEmailList(series.attendees_emails)
+      ) {
+        await conn.rollback();
+        return res.status(400).json({
+          message:
+            "Organizer and attendees apply to the whole series. Edit all occurrences (or this and following) to change them.",
+        });
+      }
+
+      const conflicts = await findConflictingReservations(conn, {
+        roomId: series.room_id,
+        startSQL,
+        endSQL,
+        excludeIds: [reservationId],
+      });
+
+      if (conflicts.length > 0) {
+        await conn.rollback();
+        return res.status(409).json(buildConflictResponse(conflicts));
+      }
+
+      const holds = await findConflictingHolds(conn, {
+        roomId: series.room_id,
+        ranges: [{ startSQL, endSQL }],
+        holdToken,
+      });
+
+      if (holds.length > 0) {
+        await conn.rollback();
+        return res.status(409).json(buildHoldConflictResponse(holds));
+      }
+
+      const beforeRows = await fetchReservationRowsByIds(conn, [
+        reservationId,
+      ]);
+
+      await conn.query(
+        `
+        UPDATE reservations
+        SET
+          start_time = ?,
+          end_time = ?,
+          title = ?,
+          description = ?,
+          created_by_name = ?,
+          version = version + 1,
+          updated_at_utc = UTC_TIMESTAMP()
+        WHERE id = ?;
+        `,
+        [
+          startSQL,
+          endSQL,
+          fields.title,
+          fields.description,
+          fields.created_by_name,
+          reservationId,
+        ]
+      );
+
+      const [row] = await fetchReservationRowsByIds(conn, [reservationId]);
+
+      await recordRowChanges(conn, actor, {
+        action: "update",
+        editScope,
+        beforeRows,
+        afterRows: [row],
+      });
+
+      await conn.commit();
+
+      if (invitesEnabled) {
+        calendarInviteService
+          .sendOccurrenceInvitesOnUpdate({
+            series,
+            occurrence: {
+              occurrence_start: edited.occurrence_start,
+              start_time: startSQL,
+              end_time: endSQL,
+              title: fields.title,
+              description: fields.description,
+            },
+          })
+          .catch((err) => {
+            console.error(
+              "⚠️ Calendar invite send failed (occurrence update):",
+              err.message
+            );
+          });
+      }
+
+      notifyWaitlistOfFreedRows(series.room_id, beforeRows);
+
+      return res.json(row);
+    }
+
+    /* ===============================================================
+       SCOPE: SERIES / FOLLOWING — SHIFT + CONFLICT CHECK
+    =============================================================== */
+    const startShift = wallTimeDelta(edited.start_time, startSQL);
+    const endShift = wallTimeDelta(edited.end_time, endSQL);
+
+    const pivot = edited.occurrence_start;
+    const isSplit =
+      editScope === "following" &&
+      instances.some((i) => i.occurrence_start < pivot);
+
+    const targets = isSplit
+      ? instances.filter((i) => i.occurrence_start >= pivot)
+      : instances;
+
+    const moved = targets.map((i) => ({
+      id: Number(i.id),
+      startSQL: shiftWallTime(i.start_time, startShift),
+      endSQL: shiftWallTime(i.end_time, endShift),
+      occurrenceStart: shiftWallTime(i.occurrence_start, startShift),
+    }));
+
+    if (moved.some((m) => m.startSQL >= m.endSQL)) {
+      await conn.rollback();
+      return res
+        .status(400)
+        .json({ message: "End time must be after start time." });
+    }
+
+    if (
+      !IS_WEEKENDS_ENABLED &&
+      moved.some((m) => isWeekend(new Date(m.startSQL)))
+    ) {
+      await conn.rollback();
+      return res.status(400).json({
+        message: "This change would move occurrences onto a weekend.",
+      });
+    }
+
+    const conflicts = await findConflictsForRanges(conn, {
+      roomId: location.room_id,
+      ranges: moved,
+      excludeIds: moved.map((m) => m.id),
+    });
+
+    if (conflicts.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildConflictResponse(conflicts));
+    }
+
+    const holds = await findConflictingHolds(conn, {
+      roomId: location.room_id,
+      ranges: moved,
+      holdToken,
+    });
+
+    if (holds.length > 0) {
+      await conn.rollback();
+      return res.status(409).json(buildHoldConflictResponse(holds));
+    }
+
+    /* ---------------------------------------------------------------
+       SERIES ROW(S)
+       ---------------------------------------------------------------
+       The RRULE anchor (start_time / end_time) and the date-based
+       fields (until_date / exclude_dates) move with the occurrences.
+    --------------------------------------------------------------- */
+    const pivotDay = String(pivot).slice(0, 10);
+    const seriesLength = wallTimeDelta(series.start_time, series.end_time);
+
+    const shiftedExcludes = (dates) =>
+      dates.map((d) => shiftDateKey(d, startShift.days));
+
+    let targetSeriesId = seriesId;
+    let previousSeriesUpdate = null;
+
+    const nextSeries = {
+      ...series,
+      ...fields,
+      ...location,
+      until_date: shiftDateKey(series.until_date, startShift.days),
+    };
+
+    if (isSplit) {
+      // ORIGINAL series now stops the day before the pivot occurrence
+      const shortened = {
+        ...series,
+        until_date: shiftDateKey(pivotDay, -1),
+        exclude_dates: series.exclude_dates.filter((d) => d < pivotDay),
+      };
+
+      await conn.query(
+        `
+        UPDATE reservation_series
+        SET until_date = ?, exclude_dates = ?, updated_at_utc = UTC_TIMESTAMP()
+        WHERE id = ?;
+        `,
+        [
+          shortened.until_date,
+          JSON.stringify(shortened.exclude_dates),
+          seriesId,
+        ]
+      );
+
+      previousSeriesUpdate = { series: shortened, previousSeries: series };
+
+      // NEW series for this occurrence and everything after it
+      const anchorStart = shiftWallTime(pivot, startShift);
+      nextSeries.start_time = anchorStart;
+      nextSeries.end_time = shiftWallTime(
+        shiftWallTime(pivot, seriesLength),
+        endShift
+      );
+      nextSeries.exclude_dates = shiftedExcludes(
+        series.exclude_dates.filter((d) => d >= pivotDay)
+      );
+
+      const [newSeriesResult] = await conn.query(
+        `
+        INSERT INTO reservation_series (
+          site_id,
+          room_id,
+          title,
+          description,
+          room_name_snapshot,
+          site_name_snapshot,
+          created_by_name,
+          email,
+          attendees_emails,
+          start_time,
+          end_time,
+          frequency,
+          interval_count,
+          until_date,
+          exclude_dates,
+          created_at_utc,
+          created_tz
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+        `,
+        [
+          nextSeries.site_id,
+          nextSeries.room_id,
+          nextSeries.title,
+          nextSeries.description,
+          nextSeries.room_name_snapshot,
+          nextSeries.site_name_snapshot,
+          nextSeries.created_by_name,
+          nextSeries.email,
+          nextSeries.attendees_emails,
+          nextSeries.start_time,
+          nextSeries.end_time,
+          series.frequency,
+          series.interval_count,
+          nextSeries.until_date,
+          JSON.stringify(nextSeries.exclude_dates),
+          nowUtcMySQL(),
+          AUDIT_TZ,
+        ]
+      );
+
+      targetSeriesId = newSeriesResult.insertId;
+      nextSeries.id = targetSeriesId;
+    } else {
+      nextSeries.start_time = shiftWallTime(series.start_time, startShift);
+      nextSeries.end_time = shiftWallTime(series.end_time, endShift);
+      nextSeries.exclude_dates = shiftedExcludes(series.exclude_dates);
+
+      await conn.query(
+        `
+        UPDATE reservation_series
+        SET
+          title = ?,
+          description = ?,
+          created_by_name = ?,
+          email = ?,
+          attendees_emails = ?,
+          site_id = ?,
+          room_id = ?,
+          room_name_snapshot = ?,
+          site_name_snapshot = ?,
+          start_time = ?,
+          end_time = ?,
+          until_date = ?,
+          exclude_dates = ?,
+          updated_at_utc = UTC_TIMESTAMP()
+        WHERE id = ?;
+        `,
+        [
+          nextSeries.title,
+          nextSeries.description,
+          nextSeries.created_by_name,
+          nextSeries.email,
+          nextSeries.attendees_emails,
+          nextSeries.site_id,
+          nextSeries.room_id,
+          nextSeries.room_name_snapshot,
+          nextSeries.site_name_snapshot,
+          nextSeries.start_time,
+          nextSeries.end_time,
+          nextSeries.until_date,
+          JSON.stringify(nextSeries.exclude_dates),
+          seriesId,
+        ]
+      );
+    }
+
+    /* ---------------------------------------------------------------
+       OCCURRENCES (moved + re-pointed for a split)
+    --------------------------------------------------------------- */
+    const beforeRows = await fetchReservationRowsByIds(
+      conn,
+      moved.map((m) => m.id)
+    );
+
+    for (const m of moved) {
+      await conn.query(
+        `
+        UPDATE reservations
+        SET
+          start_time = ?,
+          end_time = ?,
+          occurrence_start = ?,
+          recurrence_id = ?,
+          title = ?,
+          description = ?,
+          created_by_name = ?,
+          email = ?,
+          attendees_emails = ?,
+          site_id = ?,
+          room_id = ?,
+          room_name_snapshot = ?,
+          site_name_snapshot = ?,
+          version = version + 1,
+          updated_at_utc = UTC_TIMESTAMP()
+        WHERE id = ?;
+        `,
+        [
+          m.startSQL,
+          m.endSQL,
+          m.occurrenceStart,
+          targetSeriesId,
+          fields.title,
+          fields.description,
+          fields.created_by_name,
+          fields.email,
+          fields.attendees_emails,
+          location.site_id,
+          location.room_id,
+          location.room_name_snapshot,
+          location.site_name_snapshot,
+          m.id,
+        ]
+      );
+    }
+
+    const rows = await fetchReservationRowsByIds(
+      conn,
+      moved.map((m) => m.id)
+    );
+
+    await recordRowChanges(conn, actor, {
+      action: "update",
+      editScope,
+      beforeRows,
+      afterRows: rows,
+    });
+
+    await conn.commit();
+
+    /* --------------------------------------------------------------
+       🔔 SERIES INVITES (ASYNC, POST-COMMIT)
+       --------------------------------------------------------------
+       • Split  → original series REQUEST (shorter UNTIL)
+                  + brand-new series REQUEST for the later part
+       • Series → one updated series REQUEST
+       • Pending approval → nothing (approval sends the REQUEST)
+    -------------------------------------------------------------- */
+    const logInviteError = (err) =>
+      console.error(
+        "⚠️ Calendar invite send failed (series update):",
+        err.message
+      );
+
+    if (invitesEnabled && isSplit) {
+      calendarInviteService
+        .sendSeriesInvitesOnUpdate(previousSeriesUpdate)
+        .then(() => calendarInviteService.sendSeriesInvitesOnCreate(nextSeries))
+        .catch(logInviteError);
+    } else if (invitesEnabled) {
+      calendarInviteService
+        .sendSeriesInvitesOnUpdate({
+          series: nextSeries,
+          previousSeries: series,
+        })
+        .catch(logInviteError);
+    }
+
+    notifyWaitlistOfFreedRows(series.room_id, beforeRows);
+
+    /* --------------------------------------------------------------
+       RESPONSE — RoomCalendar replaces these rows by id
+    -------------------------------------------------------------- */
+    return res.json({
+      series: nextSeries,
+      reservations: rows,
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ UPDATE recurring reservation failed:", err.message);
+    return res.status(500).json({ message: "Failed to update reservation" });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   DELETE /api/reservations/:id
+=============================================================================
+   Cancels a SINGLE (non-recurring) reservation.
+
+   Behavior:
+   • Soft delete → status = 'cancelled' (row kept for audit)
+   • Cancelled rows disappear from GET and stop blocking the room
+   • CANCEL invites are queued AFTER commit (same stable UID)
+   • Idempotent → cancelling twice returns 200 without new emails
+============================================================================= */
+export async function cancelReservation(req, res) {
+  const { id } = req.params;
+
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const reservationId = Number(id);
+  if (!Number.isInteger(reservationId)) {
+    return res.status(400).json({ message: "Invalid reservation id" });
+  }
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    /* ------------------------------------------------------------------
+       LOAD + LOCK THE ROW
+       ------------------------------------------------------------------
+       • FOR UPDATE prevents a concurrent edit from racing the cancel
+       • Snapshot fields are reused for the CANCEL email + ICS
+    ------------------------------------------------------------------ */
+    const [[reservation]] = await conn.query(
+      `
+      SELECT
+        id,
+        title,
+        description,
+        email,
+        attendees_emails,
+        start_time,
+        end_time,
+        COALESCE(occurrence_start, start_time) AS occurrence_start,
+        recurrence_id,
+        room_id,
+        status,
+        room_name_snapshot,
+        site_name_snapshot
+      FROM reservations
+      WHERE id = ?
+      LIMIT 1
+      FOR UPDATE;
+      `,
+      [reservationId]
+    );
+
+    if (!reservation) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    // Already cancelled / rejected / released → nothing left to cancel
+    if (
+      reservation.status === "cancelled" ||
+      reservation.status === "rejected" ||
+      reservation.status === "no_show"
+    ) {
+      await conn.rollback();
+      return res.json({ id: reservationId, status: reservation.status });
+    }
+
+    /* ------------------------------------------------------------------
+       RECURRING OCCURRENCE → SERIES EXCEPTION
+       ------------------------------------------------------------------
+       • The ORIGINAL date (occurrence_start) is added to the series'
+         exclude_dates, so every later series REQUEST carries an EXDATE
+         and re-sends never bring the date back
+       • Only this one row is cancelled; the rest of the series stays
+    ------------------------------------------------------------------ */
+    let series = null;
+
+    if (reservation.recurrence_id != null) {
+      [[series]] = await conn.query(
+        `SELECT * FROM reservation_series WHERE id = ? LIMIT 1 FOR UPDATE`,
+        [reservation.recurrence_id]
+      );
+
+      if (series) {
+        const skippedDay = String(reservation.occurrence_start).slice(0, 10);
+        const excludeDates = parseExcludeDates(series.exclude_dates);
+
+        series.exclude_dates = Array.from(
+          new Set([...excludeDates, skippedDay])
+        ).sort();
+
+        await conn.query(
+          `
+          UPDATE reservation_series
+          SET exclude_dates = ?, updated_at_utc = UTC_TIMESTAMP()
+          WHERE id = ?;
+          `,
+          [JSON.stringify(series.exclude_dates), series.id]
+        );
+      }
+    }
+
+    await conn.query(
+      `
+      UPDATE reservations
+      SET
+        status = 'cancelled',
+        cancelled_at_utc = UTC_TIMESTAMP(),
+        version = version + 1,
+        updated_at_utc = UTC_TIMESTAMP()
+      WHERE id = ?;
+      `,
+      [reservationId]
+    );
+
+    await recordRowChanges(conn, resolveHistoryActor(req), {
+      action: "cancel",
+      beforeRows: [reservation],
+      afterRows: [{ id: reservationId, status: "cancelled" }],
+    });
+
+    await conn.commit();
+
+    /* --------------------------------------------------------------
+       🔔 SEND CANCELLATIONS (ASYNC, POST-COMMIT)
+       --------------------------------------------------------------
+       • Outlook / Google remove the event by UID
+       • Series occurrence → series UID + RECURRENCE-ID (one date only)
+       • Pending approval → no REQUEST was ever sent → nothing to cancel
+       • Must NEVER block the API response
+    -------------------------------------------------------------- */
+    if (reservation.status !== "pending") {
+      const sendCancellation = series
+        ? calendarInviteService.sendOccurrenceInvitesOnCancel({
+            series,
+            occurrence: {
+              occurrence_start: reservation.occurrence_start,
+              start_time: reservation.start_time,
+              end_time: reservation.end_time,
+            },
+          })
+        : calendarInviteService.sendInvitesOnCancel(reservation);
+
+      sendCancellation.catch((err) => {
+        console.error("⚠️ Calendar invite send failed (cancel):", err.message);
+      });
+    }
+
+    // 🔔 The slot is free again → first person on the waitlist
+    notifyWaitlistOfFreedSlot({
+      roomId: reservation.room_id,
+      startSQL: reservation.start_time,
+      endSQL: reservation.end_time,
+    });
+
+    return res.json({ id: reservationId, status: "cancelled" });
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ CANCEL reservation failed:", err.message);
+    return res.status(500).json({ message: "Failed to cancel reservation" });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   APPROVAL WORKFLOW (RESTRICTED ROOMS)
+=============================================================================
+   rooms.requires_approval → reservations are created as 'pending'.
+
+   • GET  /api/reservations/pending      → admin queue (one entry per series)
+   • POST /api/reservations/:id/approve  → 'confirmed' + REQUEST invites
+   • POST /api/reservations/:id/reject   → 'rejected' (reason required)
+
+   Rules:
+   • Routes are guarded by requirePinRole("admin", "super_admin")
+   • Deciding on ANY occurrence decides every pending row of its series
+   • The organizer is emailed at each transition (no ICS)
+   • Only approval sends the calendar REQUEST (same UIDs as normal bookings)
+============================================================================= */
+const MAX_REVIEW_REASON_LENGTH = 500;
+
+export async function getPendingApprovals(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.start_time,
+        r.end_time,
+        r.title,
+        r.description,
+        r.email,
+        r.attendees_emails,
+        r.created_by_name,
+        r.recurrence_id,
+        r.status,
+        r.version,
+        r.created_at_utc,
+
+        -- Deep-link target
+        r.room_id,
+        s.slug AS site_slug,
+
+        -- Display (name at booking time)
+        r.room_name_snapshot,
+        r.site_name_snapshot,
+
+        -- Series summary (NULL for one-off bookings)
+        rs.frequency,
+        rs.interval_count,
+        rs.until_date
+      FROM reservations r
+      JOIN sites s ON s.id = r.site_id
+      LEFT JOIN reservation_series rs ON rs.id = r.recurrence_id
+      WHERE r.status = 'pending'
+      ORDER BY r.start_time ASC, r.id ASC;
+      `
+    );
+
+    // Collapse a series into its FIRST pending occurrence + a count
+    const bySeries = new Map();
+    const queue = [];
+
+    for (const row of rows) {
+      if (row.recurrence_id == null) {
+        queue.push({ ...row, occurrence_count: 1 });
+        continue;
+      }
+
+      const entry = bySeries.get(row.recurrence_id);
+      if (entry) {
+        entry.occurrence_count += 1;
+      } else {
+        const first = { ...row, occurrence_count: 1 };
+        bySeries.set(row.recurrence_id, first);
+        queue.push(first);
+      }
+    }
+
+    return res.json(queue);
+  } catch (err) {
+    console.error("❌ GET pending approvals failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load the approval queue." });
+  }
+}
+
+/**
+ * Shared approve / reject transaction
+ * • Locks the target row + every pending row of its series
+ * • 409 when the booking is no longer pending (someone decided first)
+ */
+async function decidePendingReservation(req, res, { decision, reason }) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const reservationId = Number(req.params.id);
+  if (!Number.isInteger(reservationId)) {
+    return res.status(400).json({ message: "Invalid reservation id" });
+  }
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [[target]] = await conn.query(
+      `
+      SELECT id, recurrence_id, status
+      FROM reservations
+      WHERE id = ?
+      LIMIT 1
+      FOR UPDATE;
+      `,
+      [reservationId]
+    );
+
+    if (!target) {
+      await conn.rollback();
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    if (target.status !== "pending") {
+      await conn.rollback();
+      return res.status(409).json({
+        message: `This reservation is no longer pending (${target.status}).`,
+      });
+    }
+
+    let ids = [reservationId];
+    let series = null;
+
+    if (target.recurrence_id != null) {
+      [[series]] = await conn.query(
+        `SELECT * FROM reservation_series WHERE id = ? LIMIT 1 FOR UPDATE`,
+        [target.recurrence_id]
+      );
+
+      const [seriesRows] = await conn.query(
+        `
+        SELECT id
+        FROM reservations
+        WHERE recurrence_id = ?
+          AND status = 'pending'
+        FOR UPDATE;
+        `,
+        [target.recurrence_id]
+      );
+
+      ids = seriesRows.map((r) => Number(r.id));
+    }
+
+    const beforeRows = await fetchReservationRowsByIds(conn, ids);
+
+    await conn.query(
+      `
+      UPDATE reservations
+      SET
+        status = ?,
+        reviewed_by_role = ?,
+        review_reason = ?,
+        reviewed_at_utc = UTC_TIMESTAMP(),
+        version = version + 1,
+        updated_at_utc = UTC_TIMESTAMP()
+      WHERE id IN (?);
+      `,
+      [
+        decision === "approved" ? "confirmed" : "rejected",
+        req.accessRole,
+        reason || null,
+        ids,
+      ]
+    );
+
+    const rows = await fetchReservationRowsByIds(conn, ids);
+
+    await recordRowChanges(conn, resolveHistoryActor(req), {
+      action: decision === "approved" ? "approve" : "reject",
+      beforeRows,
+      afterRows: rows,
+    });
+
+    await conn.commit();
+
+    /* --------------------------------------------------------------
+       🔔 ORGANIZER NOTICE + (APPROVED ONLY) CALENDAR REQUEST
+    -------------------------------------------------------------- */
+    const logError = (err) =>
+      console.error(`⚠️ Approval email failed (${decision}):`, err.message);
+
+    if (series) {
+      series.exclude_dates = parseExcludeDates(series.exclude_dates);
+
+      const notice = calendarInviteService.sendApprovalNotice({
+        decision,
+        series,
+        reason,
+      });
+
+      (decision === "approved"
+        ? notice.then(() =>
+            calendarInviteService.sendSeriesInvitesOnCreate(series)
+          )
+        : notice
+      ).catch(logError);
+    } else {
+      const reservation = rows[0];
+
+      const notice = calendarInviteService.sendApprovalNotice({
+        decision,
+        reservation,
+        reason,
+      });
+
+      (decision === "approved"
+        ? notice.then(() =>
+            calendarInviteService.sendInvitesOnCreate(reservation)
+          )
+        : notice
+      ).catch(logError);
+    }
+
+    // Rejected → the time it was holding is free for the waitlist
+    if (decision === "rejected" && rows.length > 0) {
+      notifyWaitlistOfFreedRows(rows[0].room_id, rows);
+    }
+
+    console.log(
+      `🗳️ Reservation ${reservationId} ${decision} by ${req.accessRole} (${ids.length} row(s))`
+    );
+
+    return res.json({ reservations: rows });
+  } catch (err) {
+    await conn.rollback();
+    console.error(
+      `❌ ${decision.toUpperCase()} reservation failed:`,
+      err.message
+    );
+    return res
+      .status(500)
+      .json({ message: "Failed to update the approval status." });
+  } finally {
+    conn.release();
+  }
+}
+
+export async function approveReservation(req, res) {
+  return decidePendingReservation(req, res, { decision: "approved" });
+}
+
+export async function rejectReservation(req, res) {
+  const reason = String(req.body?.reason ?? "").trim();
+
+  if (!reason) {
+    return res
+      .status(400)
+      .json({ message: "A reason is required to reject a reservation." });
+  }
+
+  if (reason.length > MAX_REVIEW_REASON_LENGTH) {
+    return res.status(400).json({
+      message: `Reason must be ${MAX_REVIEW_REASON_LENGTH} characters or fewer.`,
+    });
+  }
+
+  return decidePendingReservation(req, res, { decision: "rejected", reason });
+}
+
+/* =============================================================================
+   GET /api/reservations/:id/history
+=============================================================================
+   Change history (audit trail) for one reservation — oldest first.
+
+   Each entry:
+   • action      → create | update | cancel | approve | reject
+   • edit_scope  → single | following | series (recurring edits only)
+   • changes     → { field: { from, to } }
+   • actor_role / actor_email → who did it (NULL = anonymous device)
+   • created_at_utc
+============================================================================= */
+function parseHistoryChanges(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+export async function getReservationHistory(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const reservationId = Number(req.params.id);
+  if (!Number.isInteger(reservationId)) {
+    return res.status(400).json({ message: "Invalid reservation id" });
+  }
+
+  try {
+    const [[reservation]] = await pool.query(
+      `SELECT id FROM reservations WHERE id = ? LIMIT 1`,
+      [reservationId]
+    );
+
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const [rows] = await pool.query(
+      `
+      SELECT
+        id,
+        action,
+        edit_scope,
+        changes,
+        actor_role,
+        actor_email,
+        created_at_utc
+      FROM reservation_history
+      WHERE reservation_id = ?
+      ORDER BY id ASC;
+      `,
+      [reservationId]
+    );
+
+    return res.json(
+      rows.map((row) => ({ ...row, changes: parseHistoryChanges(row.changes) }))
+    );
+  } catch (err) {
+    console.error("❌ GET reservation history failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load reservation history." });
   }
 }
@@ -14,6 +14,10 @@
 // -----------------------------------------------------------------------------
 
 import { pool, dbReady } from "../db/mysql.js";
+import {
+  loadFeedEvents,
+  sendCalendarFeed,
+} from "../services/calendarFeedService.js";
 
 /**
  * -----------------------------------------------------------------------------
@@ -52,7 +56,11 @@ export async function getRoomsBySiteSlug(req, res) {
       SELECT
         r.id,
         r.name,
-        r.image_url
+        r.image_url,
+        r.requires_approval,
+        r.buffer_before_minutes,
+        r.buffer_after_minutes,
+        r.capacity
       FROM rooms r
       JOIN sites s ON s.id = r.site_id
       WHERE s.slug = ?
@@ -122,7 +130,11 @@ export async function getRoomById(req, res) {
       SELECT
         r.id,
         r.name,
-        r.image_url
+        r.image_url,
+        r.requires_approval,
+        r.buffer_before_minutes,
+        r.buffer_after_minutes,
+        r.capacity
       FROM rooms r
       JOIN sites s ON s.id = r.site_id
       WHERE s.slug = ?
@@ -164,3 +176,69 @@ export async function getRoomById(req, res) {
     });
   }
 }
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/rooms/:siteSlug/:roomId/calendar.ics
+ * -----------------------------------------------------------------------------
+ * Live read-only iCalendar feed of the room's upcoming bookings.
+ *
+ * Used by:
+ *  • Outlook / Google / Apple "subscribe to calendar" (no PIN possible)
+ *  • CalendarFeedLink.jsx (Calendar page "Subscribe" link)
+ *
+ * Notes:
+ *  • Series that belong to this room → one RRULE event (UID series-{id})
+ *  • Other bookings → UID reservation-{id} (same UIDs as the invites)
+ *  • No emails in the feed — titles, times and "Booked by" only
+ *  • Conditional GET → 304 when nothing changed (see calendarFeedService)
+ * -----------------------------------------------------------------------------
+ */
+export async function getRoomCalendarFeed(req, res) {
+  const { siteSlug, roomId } = req.params;
+
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const [[room]] = await pool.query(
+      `
+      SELECT
+        r.id,
+        r.name,
+        s.name AS site_name
+      FROM rooms r
+      JOIN sites s ON s.id = r.site_id
+      WHERE s.slug = ?
+        AND r.id = ?
+      LIMIT 1;
+      `,
+      [siteSlug, roomId]
+    );
+
+    if (!room) {
+      return res.status(404).json({ message: "Room not found" });
+    }
+
+    const feed = await loadFeedEvents(pool, {
+      scopeSQL: "r.room_id = ?",
+      scopeParams: [room.id],
+      ownsSeries: (series) => Number(series.room_id) === Number(room.id),
+    });
+
+    return sendCalendarFeed(req, res, {
+      name: `${room.site_name} – ${room.name}`,
+      fileName: `${siteSlug}-room-${room.id}.ics`.replace(
+        /[^A-Za-z0-9_.-]/g,
+        ""
+      ),
+      feed,
+    });
+  } catch (err) {
+    console.error("❌ GET room calendar feed failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load this calendar feed." });
+  }
+}
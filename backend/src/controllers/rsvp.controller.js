@@ -0,0 +1,104 @@
+// controllers/rsvp.controller.js
+// -----------------------------------------------------------------------------
+// RSVP CONTROLLER (ATTENDEE REPLIES)
+// -----------------------------------------------------------------------------
+// • POST /rsvp         → inbound METHOD:REPLY (mail provider webhook / relay)
+// • GET  /:id/rsvps    → who accepted / declined / is tentative (modal)
+//
+// The worker's RSVP inbox (maildir / IMAP) feeds the same processor
+// (see services/rsvpService.js).
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+import { dbReady } from "../db/mysql.js";
+import {
+  processRsvpMessage,
+  getRsvpSummary,
+} from "../services/rsvpService.js";
+
+/**
+ * Constant-time compare of the X-Inbound-Secret header
+ */
+function hasInboundSecret(req) {
+  const expected = process.env.RSVP_INBOUND_SECRET;
+  const given = req.get("X-Inbound-Secret");
+  if (!expected || !given) return false;
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/reservations/rsvp
+ * -----------------------------------------------------------------------------
+ * Body: the raw reply — text/calendar (bare .ics) or message/rfc822 (email)
+ * Header: X-Inbound-Secret = RSVP_INBOUND_SECRET
+ *
+ * Responses:
+ * • 200 → { applied, ignored: [reason] } (nothing usable is not an error)
+ * • 401 → missing / wrong secret
+ * • 404 → endpoint disabled (RSVP_INBOUND_SECRET not set)
+ * -----------------------------------------------------------------------------
+ */
+export async function receiveRsvpReply(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  if (!process.env.RSVP_INBOUND_SECRET) {
+    return res.status(404).json({ message: "Not found" });
+  }
+
+  if (!hasInboundSecret(req)) {
+    return res.status(401).json({ message: "Invalid inbound secret." });
+  }
+
+  if (typeof req.body !== "string" || req.body.trim() === "") {
+    return res.status(400).json({
+      message: "Send the reply as text/calendar or message/rfc822.",
+    });
+  }
+
+  try {
+    const result = await processRsvpMessage(req.body, { source: "post" });
+    return res.json(result);
+  } catch (err) {
+    console.error("❌ RSVP reply failed:", err.message);
+    return res.status(500).json({ message: "Unable to process this reply." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/reservations/:id/rsvps
+ * -----------------------------------------------------------------------------
+ * Returns:
+ * { counts: { accepted, tentative, declined, no_reply },
+ *   responses: [{ email, partstat, comment, replied_at_utc }] }
+ * -----------------------------------------------------------------------------
+ */
+export async function getReservationRsvps(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const reservationId = Number(req.params.id);
+  if (!Number.isInteger(reservationId)) {
+    return res.status(400).json({ message: "Invalid reservation id" });
+  }
+
+  try {
+    const summary = await getRsvpSummary(reservationId);
+
+    if (!summary) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    return res.json(summary);
+  } catch (err) {
+    console.error("❌ GET reservation RSVPs failed:", err.message);
+    return res.status(500).json({ message: "Unable to load RSVP replies." });
+  }
+}
@@ -0,0 +1,122 @@
+// controllers/siteDigest.controller.js
+// -----------------------------------------------------------------------------
+// SITE DIGEST SUBSCRIPTIONS CONTROLLER (ADMIN PIN)
+// -----------------------------------------------------------------------------
+// Who gets a site's daily schedule digest (front desk / site managers).
+// The digest itself is assembled and queued by the email worker
+// (services/siteDigestService.js).
+// -----------------------------------------------------------------------------
+
+import { dbReady } from "../db/mysql.js";
+import {
+  findSiteBySlug,
+  listDigestSubscriptions,
+  addDigestSubscription,
+  removeDigestSubscription,
+  getDigestSendTime,
+} from "../services/siteDigestService.js";
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/sites/:siteSlug/digest-subscriptions
+ * -----------------------------------------------------------------------------
+ * Returns { site: { slug, name }, send_time: "HH:MM" | null,
+ *           subscriptions: [{ id, email, created_at_utc }] }
+ * -----------------------------------------------------------------------------
+ */
+export async function getDigestSubscriptions(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const site = await findSiteBySlug(req.params.siteSlug);
+    if (!site) {
+      return res.status(404).json({ message: "Site not found" });
+    }
+
+    return res.json({
+      site: { slug: site.slug, name: site.name },
+      send_time: getDigestSendTime(),
+      subscriptions: await listDigestSubscriptions(site.id),
+    });
+  } catch (err) {
+    console.error("❌ GET digest subscriptions failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to load digest subscriptions." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/sites/:siteSlug/digest-subscriptions
+ * -----------------------------------------------------------------------------
+ * Body: { email } → 201 { id, email, created_at_utc }
+ * • 409 → the address is already subscribed to this site
+ * -----------------------------------------------------------------------------
+ */
+export async function createDigestSubscription(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const site = await findSiteBySlug(req.params.siteSlug);
+    if (!site) {
+      return res.status(404).json({ message: "Site not found" });
+    }
+
+    const result = await addDigestSubscription(site.id, req.body?.email);
+
+    if (!result.subscription) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    console.log(`📰 Digest subscription added (${site.slug})`);
+
+    return res.status(201).json(result.subscription);
+  } catch (err) {
+    console.error("❌ CREATE digest subscription failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to add this digest subscription." });
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * DELETE /api/sites/:siteSlug/digest-subscriptions/:id
+ * -----------------------------------------------------------------------------
+ * 204 → removed · 404 → not a subscription of this site
+ * -----------------------------------------------------------------------------
+ */
+export async function deleteDigestSubscription(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const subscriptionId = Number(req.params.id);
+  if (!Number.isInteger(subscriptionId)) {
+    return res.status(400).json({ message: "Invalid subscription id" });
+  }
+
+  try {
+    const site = await findSiteBySlug(req.params.siteSlug);
+    if (!site) {
+      return res.status(404).json({ message: "Site not found" });
+    }
+
+    const removed = await removeDigestSubscription(site.id, subscriptionId);
+    if (!removed) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+
+    return res.status(204).end();
+  } catch (err) {
+    console.error("❌ DELETE digest subscription failed:", err.message);
+    return res
+      .status(500)
+      .json({ message: "Unable to remove this digest subscription." });
+  }
+}
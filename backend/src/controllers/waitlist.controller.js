@@ -0,0 +1,464 @@
+// controllers/waitlist.controller.js
+// -----------------------------------------------------------------------------
+// WAITLIST CONTROLLER
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Join the waitlist for a room + time range that is already booked
+// • Show / claim / decline an emailed "claim this slot" offer
+//
+// The queue itself is served by waitlistService.js (slot freed → offer or
+// auto-book; expired offers → next person).
+//
+// API:
+// • POST /api/waitlist
+// • GET  /api/waitlist/claim?token=…
+// • POST /api/waitlist/claim      Body: { token }
+// • POST /api/waitlist/decline    Body: { token }
+// -----------------------------------------------------------------------------
+
+import { pool, dbReady } from "../db/mysql.js";
+import {
+  lockRoomForBooking,
+  findConflictingReservations,
+} from "../services/reservationConflictService.js";
+import {
+  buildHoldConflictResponse,
+} from "../services/reservationHoldService.js";
+import {
+  bookWaitlistEntry,
+  notifyWaitlistBooking,
+  notifyWaitlistOfFreedSlot,
+  findEntryByClaimToken,
+  toEntryView,
+} from "../services/waitlistService.js";
+import { localNowMySQL } from "../services/checkInService.js";
+import { isValidEmail } from "../utils/helpers.js";
+
+/* ------------------------------------------------------------------
+   VALIDATION HELPERS
+------------------------------------------------------------------ */
+const MYSQL_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+function invalidAttendees(value) {
+  if (!value) return [];
+
+  return String(value)
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean)
+    .filter((e) => !isValidEmail(e));
+}
+
+/* =============================================================================
+   POST /api/waitlist (JOIN)
+   =============================================================================
+   Body: same fields as a single-booking create
+   { site_id, room_id, start_time, end_time, title, description,
+     created_by_name, email, attendees_emails, auto_book? }
+
+   Responses:
+   • 201 → { id, position, auto_book, … } (position 1 = next in line)
+   • 400 → invalid fields / slot already started
+   • 404 → unknown or inactive room
+   • 409 → { code: "SLOT_AVAILABLE" } — nothing to wait for, just book it
+   • 409 → { code: "ALREADY_WAITING" } — same email already queued here
+============================================================================= */
+export async function joinWaitlist(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const {
+    site_id,
+    room_id,
+    start_time,
+    end_time,
+    title,
+    description,
+    created_by_name,
+    email,
+    attendees_emails,
+    auto_book = false,
+  } = req.body ?? {};
+
+  if (
+    !MYSQL_DATETIME_PATTERN.test(String(start_time)) ||
+    !MYSQL_DATETIME_PATTERN.test(String(end_time))
+  ) {
+    return res.status(400).json({
+      message: "start_time / end_time must be YYYY-MM-DD HH:MM:SS.",
+    });
+  }
+
+  if (start_time >= end_time) {
+    return res
+      .status(400)
+      .json({ message: "End time must be after start time." });
+  }
+
+  if (start_time <= localNowMySQL()) {
+    return res
+      .status(400)
+      .json({ message: "This time has already started." });
+  }
+
+  if (!created_by_name || !String(created_by_name).trim()) {
+    return res.status(400).json({ message: "Your name is required." });
+  }
+
+  if (!isValidEmail(email)) {
+    return res
+      .status(400)
+      .json({ message: "A valid email is required to join the waitlist." });
+  }
+
+  if (invalidAttendees(attendees_emails).length > 0) {
+    return res.status(400).json({
+      message: `Invalid attendee email(s): ${invalidAttendees(
+        attendees_emails
+      ).join(", ")}`,
+    });
+  }
+
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [[room]] = await conn.query(
+      `
+      SELECT
+        r.id,
+        r.site_id,
+        r.name AS room_name,
+        s.name AS site_name
+      FROM rooms r
+      JOIN sites s ON s.id = r.site_id
+      WHERE r.id = ?
+        AND s.id = ?
+        AND r.is_active = TRUE
+      LIMIT 1;
+      `,
+      [room_id, site_id]
+    );
+
+    if (!room) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ message: "Invalid site/room combination." });
+    }
+
+    // Same lock as a booking → "is it free?" cannot race a cancel
+    await lockRoomForBooking(conn, room.id);
+
+    const conflicts = await findConflictingReservations(conn, {
+      roomId: room.id,
+      startSQL: start_time,
+      endSQL: end_time,
+    });
+
+    if (conflicts.length === 0) {
+      await conn.rollback();
+      return res.status(409).json({
+        message: "This time is free — you can book it directly.",
+        code: "SLOT_AVAILABLE",
+      });
+    }
+
+    const address = String(email).trim().toLowerCase();
+
+    const [existing] = await conn.query(
+      `
+      SELECT id
+      FROM room_waitlist
+      WHERE room_id = ?
+        AND LOWER(email) = ?
+        AND status IN ('waiting', 'offered')
+        AND start_time < ?
+        AND end_time > ?
+      LIMIT 1;
+      `,
+      [room.id, address, end_time, start_time]
+    );
+
+    if (existing.length > 0) {
+      await conn.rollback();
+      return res.status(409).json({
+        message: "You are already on the waitlist for this time.",
+        code: "ALREADY_WAITING",
+      });
+    }
+
+    const [result] = await conn.query(
+      `
+      INSERT INTO room_waitlist (
+        site_id,
+        room_id,
+        room_name_snapshot,
+        site_name_snapshot,
+        start_time,
+        end_time,
+        title,
+        description,
+        created_by_name,
+        email,
+        attendees_emails,
+        auto_book,
+        status,
+        created_at_utc
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'waiting', UTC_TIMESTAMP());
+      `,
+      [
+        room.site_id,
+        room.id,
+        room.room_name,
+        room.site_name,
+        start_time,
+        end_time,
+        title || null,
+        description || null,
+        String(created_by_name).trim(),
+        address,
+        attendees_emails || null,
+        Boolean(auto_book),
+      ]
+    );
+
+    // Position = people ahead of you for an overlapping range (+ you)
+    const [[{ ahead }]] = await conn.query(
+      `
+      SELECT COUNT(*) AS ahead
+      FROM room_waitlist
+      WHERE room_id = ?
+        AND id < ?
+        AND status IN ('waiting', 'offered')
+        AND start_time < ?
+        AND end_time > ?;
+      `,
+      [room.id, result.insertId, end_time, start_time]
+    );
+
+    await conn.commit();
+
+    console.log(`📝 Waitlist entry ${result.insertId} created`);
+
+    return res.status(201).json({
+      id: result.insertId,
+      room_id: room.id,
+      start_time,
+      end_time,
+      auto_book: Boolean(auto_book),
+      position: Number(ahead) + 1,
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ JOIN waitlist failed:", err.message);
+    return res.status(500).json({ message: "Unable to join the waitlist." });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   GET /api/waitlist/claim?token=… (PREVIEW)
+   =============================================================================
+   Read-only → safe for mail scanners that prefetch links.
+   Returns the entry view: { title, start_time, end_time, status,
+   offer_expires_at_utc, room / site snapshots, … }
+============================================================================= */
+export async function getWaitlistOffer(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  try {
+    const entry = await findEntryByClaimToken(pool, req.query.token);
+
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ message: "This waitlist link is invalid." });
+    }
+
+    return res.json(toEntryView(entry));
+  } catch (err) {
+    console.error("❌ GET waitlist offer failed:", err.message);
+    return res.status(500).json({ message: "Unable to load this offer." });
+  }
+}
+
+/**
+ * Offer state → null (claimable) | [status, message]
+ */
+function offerBlockedReason(entry) {
+  if (entry.status === "booked") {
+    return [409, "This slot has already been booked from this offer."];
+  }
+
+  if (entry.status === "declined") {
+    return [409, "You already passed on this slot."];
+  }
+
+  if (
+    entry.status !== "offered" ||
+    new Date(`${String(entry.offer_expires_at_utc).replace(" ", "T")}Z`) <=
+      new Date()
+  ) {
+    return [410, "This offer has expired."];
+  }
+
+  return null;
+}
+
+/* =============================================================================
+   POST /api/waitlist/claim (BOOK IT)
+   =============================================================================
+   Body: { token }
+
+   Responses:
+   • 201 → { entry, reservation } — booked (pending for restricted rooms)
+   • 404 → unknown link
+   • 409 → already booked / declined, or someone booked the time first
+           (the entry goes back to 'waiting' in that case)
+   • 410 → offer expired
+============================================================================= */
+export async function claimWaitlistOffer(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const token = req.body?.token;
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const preview = await findEntryByClaimToken(conn, token);
+    if (!preview) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ message: "This waitlist link is invalid." });
+    }
+
+    // Room lock BEFORE the entry lock (same order as serving the queue)
+    await lockRoomForBooking(conn, preview.room_id);
+
+    const entry = await findEntryByClaimToken(conn, token, {
+      forUpdate: true,
+    });
+
+    const blocked = offerBlockedReason(entry);
+    if (blocked) {
+      await conn.rollback();
+      return res.status(blocked[0]).json({ message: blocked[1] });
+    }
+
+    const booked = await bookWaitlistEntry(conn, entry, {
+      role: null,
+      email: entry.email,
+    });
+
+    // Someone's create modal holds the slot → the offer stays open
+    if (booked.holds) {
+      await conn.rollback();
+      return res.status(409).json(buildHoldConflictResponse(booked.holds));
+    }
+
+    if (booked.conflicts) {
+      // Taken again meanwhile → back in line for the next opening
+      await conn.query(
+        `
+        UPDATE room_waitlist
+        SET status = 'waiting', updated_at_utc = UTC_TIMESTAMP()
+        WHERE id = ?;
+        `,
+        [entry.id]
+      );
+      await conn.commit();
+
+      return res.status(409).json({
+        message:
+          "Someone booked this time before you claimed it. You are still on the waitlist.",
+      });
+    }
+
+    await conn.commit();
+
+    notifyWaitlistBooking(booked.reservation);
+
+    return res.status(201).json({
+      entry: toEntryView({ ...entry, status: "booked" }),
+      reservation: booked.reservation,
+    });
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ CLAIM waitlist offer failed:", err.message);
+    return res.status(500).json({ message: "Unable to claim this slot." });
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   POST /api/waitlist/decline (PASS)
+   =============================================================================
+   Body: { token } → entry 'declined', the next person is served right away
+============================================================================= */
+export async function declineWaitlistOffer(req, res) {
+  if (!dbReady) {
+    return res.status(503).json({ message: "System warming up." });
+  }
+
+  const conn = await pool.getConnection();
+  let entry;
+
+  try {
+    await conn.beginTransaction();
+
+    entry = await findEntryByClaimToken(conn, req.body?.token, {
+      forUpdate: true,
+    });
+
+    if (!entry) {
+      await conn.rollback();
+      return res
+        .status(404)
+        .json({ message: "This waitlist link is invalid." });
+    }
+
+    const blocked = offerBlockedReason(entry);
+    if (blocked) {
+      await conn.rollback();
+      return res.status(blocked[0]).json({ message: blocked[1] });
+    }
+
+    await conn.query(
+      `
+      UPDATE room_waitlist
+      SET status = 'declined', updated_at_utc = UTC_TIMESTAMP()
+      WHERE id = ?;
+      `,
+      [entry.id]
+    );
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error("❌ DECLINE waitlist offer failed:", err.message);
+    return res.status(500).json({ message: "Unable to update this offer." });
+  } finally {
+    conn.release();
+  }
+
+  // 🔔 Next in line (post-commit)
+  notifyWaitlistOfFreedSlot({
+    roomId: entry.room_id,
+    startSQL: entry.start_time,
+    endSQL: entry.end_time,
+  });
+
+  return res.json(toEntryView({ ...entry, status: "declined" }));
+}
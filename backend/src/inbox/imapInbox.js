@@ -0,0 +1,92 @@
+// src/inbox/imapInbox.js
+// -----------------------------------------------------------------------------
+// IMAP INBOX
+// -----------------------------------------------------------------------------
+// Reads inbound messages from a mailbox (e.g. the MAIL_FROM account, where
+// calendar apps send their RSVP replies).
+//
+// • One short connection per poll (no idle socket to babysit)
+// • UNSEEN messages are handled, then flagged \Seen
+// • A message whose handler throws stays unseen (retried next poll)
+// • Socket errors are logged, never thrown as an unhandled 'error' event
+//   (that would take the whole email worker down); the poll just fails
+// -----------------------------------------------------------------------------
+
+import { ImapFlow } from "imapflow";
+
+/**
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} options.secure
+ * @param {string} options.user
+ * @param {string} options.pass
+ * @param {string} [options.mailbox]
+ * @returns {{ name: "imap",
+ *             poll: (handleMessage: (raw: Buffer) => Promise<void>) => Promise<number> }}
+ */
+export function createImapInbox({
+  host,
+  port,
+  secure,
+  user,
+  pass,
+  mailbox = "INBOX",
+}) {
+  return {
+    name: "imap",
+
+    async poll(handleMessage) {
+      const client = new ImapFlow({
+        host,
+        port,
+        secure,
+        auth: { user, pass },
+        logger: false,
+      });
+
+      client.on("error", (err) => {
+        console.error("❌ RSVP IMAP connection error:", err.message);
+      });
+
+      let handled = 0;
+
+      try {
+        await client.connect();
+
+        const lock = await client.getMailboxLock(mailbox);
+
+        try {
+          const uids =
+            (await client.search({ seen: false }, { uid: true })) || [];
+
+          for (const uid of uids) {
+            const message = await client.fetchOne(
+              uid,
+              { source: true },
+              { uid: true }
+            );
+            if (!message?.source) continue;
+
+            try {
+              await handleMessage(message.source);
+            } catch (err) {
+              console.error(`❌ RSVP message UID ${uid} failed:`, err.message);
+              continue;
+            }
+
+            await client.messageFlagsAdd(uid, ["\\Seen"], { uid: true });
+            handled += 1;
+          }
+        } finally {
+          lock.release();
+        }
+      } finally {
+        // Always let go of the connection (logout fails on a dead socket)
+        await client.logout().catch(() => client.close());
+      }
+
+      return handled;
+    },
+  };
+}
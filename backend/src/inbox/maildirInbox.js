@@ -0,0 +1,71 @@
+// src/inbox/maildirInbox.js
+// -----------------------------------------------------------------------------
+// MAILDIR / SPOOL DIRECTORY INBOX
+// -----------------------------------------------------------------------------
+// Reads inbound messages from a directory the mail server delivers to.
+//
+// Two layouts:
+// • Maildir (has new/) → new/<file> is processed, then moved to
+//   cur/<file>:2,S ("seen") like any mail client would
+// • Plain spool dir    → every file (.eml or bare .ics) is processed,
+//   then moved to processed/
+//
+// A message whose handler throws stays where it is (retried next poll).
+// -----------------------------------------------------------------------------
+
+import fs from "fs/promises";
+import path from "path";
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - maildir root or spool directory
+ * @returns {{ name: "maildir",
+ *             poll: (handleMessage: (raw: Buffer) => Promise<void>) => Promise<number> }}
+ */
+export function createMaildirInbox({ dir }) {
+  return {
+    name: "maildir",
+
+    async poll(handleMessage) {
+      const isMaildir = await isDirectory(path.join(dir, "new"));
+
+      const incomingDir = isMaildir ? path.join(dir, "new") : dir;
+      const doneDir = path.join(dir, isMaildir ? "cur" : "processed");
+
+      await fs.mkdir(doneDir, { recursive: true });
+
+      const entries = await fs.readdir(incomingDir, { withFileTypes: true });
+      const fileNames = entries
+        .filter((e) => e.isFile() && !e.name.startsWith("."))
+        .map((e) => e.name)
+        .sort();
+
+      let handled = 0;
+
+      for (const fileName of fileNames) {
+        const file = path.join(incomingDir, fileName);
+
+        try {
+          await handleMessage(await fs.readFile(file));
+        } catch (err) {
+          console.error(`❌ RSVP message ${fileName} failed:`, err.message);
+          continue;
+        }
+
+        const doneName = isMaildir ? `${fileName.split(":")[0]}:2,S` : fileName;
+        await fs.rename(file, path.join(doneDir, doneName));
+        handled += 1;
+      }
+
+      return handled;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// src/inbox/rsvpInbox.js
+// -----------------------------------------------------------------------------
+// RSVP INBOX (PLUGGABLE SOURCE OF INBOUND CALENDAR REPLIES)
+// -----------------------------------------------------------------------------
+// Picks the adapter the email worker polls, from RSVP_INBOX:
+// • ""        → no inbox (replies only via POST /api/reservations/rsvp)
+// • "maildir" → RSVP_MAILDIR (maildir root or plain spool directory)
+// • "imap"    → RSVP_IMAP_HOST / _PORT / _SECURE / _USER / _PASS / _MAILBOX
+//
+// Every adapter has the same shape:
+//   { name, poll(handleMessage) → Promise<number handled> }
+// handleMessage(raw) receives the raw message; when it resolves the
+// adapter marks the message done, when it throws the message is retried.
+// -----------------------------------------------------------------------------
+
+import { createMaildirInbox } from "./maildirInbox.js";
+import { createImapInbox } from "./imapInbox.js";
+
+/**
+ * @returns {{ name: string, poll: Function } | null}
+ * @throws {Error} when RSVP_INBOX is set but incomplete / unknown
+ */
+export function createRsvpInbox(env = process.env) {
+  const kind = String(env.RSVP_INBOX || "")
+    .trim()
+    .toLowerCase();
+
+  if (!kind) return null;
+
+  if (kind === "maildir") {
+    if (!env.RSVP_MAILDIR) {
+      throw new Error("RSVP_INBOX=maildir needs RSVP_MAILDIR");
+    }
+    return createMaildirInbox({ dir: env.RSVP_MAILDIR });
+  }
+
+  if (kind === "imap") {
+    if (!env.RSVP_IMAP_HOST || !env.RSVP_IMAP_USER) {
+      throw new Error("RSVP_INBOX=imap needs RSVP_IMAP_HOST and RSVP_IMAP_USER");
+    }
+
+    return createImapInbox({
+      host: env.RSVP_IMAP_HOST,
+      port: Number(env.RSVP_IMAP_PORT) || 993,
+      secure: env.RSVP_IMAP_SECURE !== "false",
+      user: env.RSVP_IMAP_USER,
+      pass: env.RSVP_IMAP_PASS,
+      mailbox: env.RSVP_IMAP_MAILBOX || "INBOX",
+    });
+  }
+
+  throw new Error(`Unknown RSVP_INBOX "${kind}" (use maildir or imap)`);
+}
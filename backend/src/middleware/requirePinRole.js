@@ -0,0 +1,55 @@
+// src/middleware/requirePinRole.js
+// -----------------------------------------------------------------------------
+// PIN ROLE GUARD (TEMP / DEMO / DEVICE-BASED)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Map a PIN to its role (same PINs as POST /internal/pin/verify)
+// • Protect admin-only routes: the client re-sends its PIN on every call
+//   in the X-Access-Pin header (no server-side session)
+//
+// IMPORTANT DESIGN NOTES:
+// • Stateless on purpose — matches the rest of the PIN system
+// • The resolved role is exposed as req.accessRole (audit columns)
+// -----------------------------------------------------------------------------
+
+/**
+ * PIN → "user" | "admin" | "super_admin" | null
+ */
+export function resolvePinRole(pin) {
+  if (!pin) return null;
+
+  if (pin === process.env.PIN_USER) return "user";
+  if (pin === process.env.PIN_ADMIN) return "admin";
+  if (pin === process.env.PIN_SUPER_ADMIN) return "super_admin";
+
+  return null;
+}
+
+/**
+ * Express middleware factory
+ * Example:
+ *   router.get("/pending", requirePinRole("admin", "super_admin"), handler)
+ *
+ * • 401 → missing / unknown PIN
+ * • 403 → valid PIN, role not allowed
+ */
+export function requirePinRole(...allowedRoles) {
+  return (req, res, next) => {
+    const role = resolvePinRole(req.get("x-access-pin"));
+
+    if (!role) {
+      return res
+        .status(401)
+        .json({ message: "A valid access PIN is required." });
+    }
+
+    if (!allowedRoles.includes(role)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to do this." });
+    }
+
+    req.accessRole = role;
+    next();
+  };
+}
@@ -13,11 +13,19 @@ import { pool } from "../db/mysql.js"; // ✅ FIX: correct relative path
 /**
  * Enqueue an email job
  *
- * @param {"invite_create"|"invite_update"|"invite_cancel"} type
+ * @param {"invite_create"|"invite_update"|"invite_cancel"|"access_link"|"approval_pending"|"approval_approved"|"approval_rejected"|"no_show_released"|"waitlist_offer"|"waitlist_booked"|"reminder"|"site_digest"} type
  * @param {Object} payload - stored as JSON
+ *   • { reservation, recipients } → single event invite
+ *   • { series, recipients }      → recurring series invite (RRULE)
+ *   • { recipients, code, link }  → one-time access link (no ICS)
+ *   • { reservation | series, recipients, reason? } → approval notice (no ICS)
+ *   • { reservation, recipients, grace_minutes } → no-show release notice
+ *   • { reservation, recipients, offset_minutes, reminder_id } → reminder
+ *   • { site, days, recipients } → daily site schedule digest
+ * @param {Object} [db] - pool (default) or a transaction connection
  */
-  export async function enqueueEmailJob(type, payload) {
-    await pool.query(
+  export async function enqueueEmailJob(type, payload, db = pool) {
+    await db.query(
       `
       INSERT INTO email_jobs (type, payload, status, attempts, created_at)
       VALUES (?, ?, 'pending', 0, NOW())
@@ -39,6 +39,99 @@ export function isWeekend(date) {
   return day === 0 || day === 6;
 }
 
+/**
+ * Helper: parse the recurrence "until" value as a LOCAL date
+ * ---------------------------------------------------------------------------
+ * WHY:
+ * • new Date("YYYY-MM-DD") is parsed as UTC midnight
+ * • In America/New_York that is the PREVIOUS local day → last occurrence lost
+ * • Date-only strings are therefore built from local parts
+ *
+ * Accepts: "YYYY-MM-DD" | ISO / MySQL string | Date
+ * Returns: Date (may be Invalid Date — callers check getTime())
+ */
+export function parseUntilDate(until) {
+  if (typeof until === "string") {
+    const m = until.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (m) {
+      return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    }
+  }
+
+  return new Date(until);
+}
+
+/**
+ * Helper: LOCAL "YYYY-MM-DD" key for a Date
+ * (toISOString() would introduce UTC date drift)
+ */
+export function toDayKey(date) {
+  return (
+    date.getFullYear() +
+    "-" +
+    String(date.getMonth() + 1).padStart(2, "0") +
+    "-" +
+    String(date.getDate()).padStart(2, "0")
+  );
+}
+
+/* ---------------------------------------------------------------------------
+   RECURRENCE PAYLOAD VALIDATION — PUBLIC EXPORT (DEFENSE-IN-DEPTH)
+   ---------------------------------------------------------------------------
+   Shared by the create endpoint and the CSV import.
+   Returns an array of error messages (empty → valid).
+--------------------------------------------------------------------------- */
+export const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// Hard cap on expanded instances (a full year of daily bookings)
+export const MAX_RECURRENCE_INSTANCES = 366;
+
+export function validateRecurrencePayload(recurrence, start, end) {
+  if (!recurrence) return [];
+
+  const errors = [];
+
+  if (!recurrence.frequency) {
+    errors.push("Recurrence frequency is required.");
+  } else if (!RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    errors.push("Recurrence frequency must be daily, weekly, or monthly.");
+  }
+
+  if (
+    recurrence.interval !== undefined &&
+    (!Number.isInteger(Number(recurrence.interval)) ||
+      Number(recurrence.interval) < 1)
+  ) {
+    errors.push("Recurrence interval must be an integer >= 1.");
+  }
+
+  if (!recurrence.until) {
+    errors.push("Recurrence end date is required.");
+  }
+
+  // Date-only "YYYY-MM-DD" is parsed as LOCAL (not UTC) midnight
+  const until = parseUntilDate(recurrence.until);
+  if (isNaN(until.getTime())) {
+    errors.push("Recurring end date must be a valid date.");
+  }
+
+  if (until <= end) {
+    errors.push("Recurring end date must be after reservation end.");
+  }
+
+  if (recurrence.excludeDates && !Array.isArray(recurrence.excludeDates)) {
+    errors.push("excludeDates must be an array.");
+  } else if (
+    (recurrence.excludeDates ?? []).some(
+      (d) => typeof d !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(d)
+    )
+  ) {
+    errors.push("excludeDates must contain YYYY-MM-DD dates.");
+  }
+
+  return errors;
+}
+
 /* ---------------------------------------------------------------------------
    CORE GENERATOR — PUBLIC EXPORT
    ---------------------------------------------------------------------------
@@ -54,6 +147,8 @@ export function isWeekend(date) {
        - monthly  → every N months
    • until: YYYY-MM-DD or ISO string
    • excludeDates: ["YYYY-MM-DD", ...]
+   • skipWeekends: defaults to the backend rule switch above
+       (false is used to reproduce the raw RRULE date set)
 --------------------------------------------------------------------------- */
 export function generateRecurrenceInstances({
   start,
@@ -62,6 +157,7 @@ export function generateRecurrenceInstances({
   interval = 1, // defaults safely to 1
   until,
   excludeDates = [],
+  skipWeekends = !IS_WEEKENDS_ENABLED,
 }) {
   const instances = [];
 
@@ -70,7 +166,7 @@ export function generateRecurrenceInstances({
   // -------------------------------------------------------------------------
   let cursorStart = new Date(start);
   let cursorEnd = new Date(end);
-  const untilDate = new Date(until);
+  const untilDate = parseUntilDate(until);
 
   if (Number.isNaN(cursorStart.getTime())) {
     throw new Error("generateRecurrenceInstances: invalid start date");
@@ -103,15 +199,10 @@ export function generateRecurrenceInstances({
      * We generate the dayKey using LOCAL date parts.
      * Using toISOString() here would cause UTC date drift.
      */
-    const dayKey =
-      cursorStart.getFullYear() +
-      "-" +
-      String(cursorStart.getMonth() + 1).padStart(2, "0") +
-      "-" +
-      String(cursorStart.getDate()).padStart(2, "0");
+    const dayKey = toDayKey(cursorStart);
 
     // Weekend rule
-    const weekendOk = IS_WEEKENDS_ENABLED || !isWeekend(cursorStart);
+    const weekendOk = !skipWeekends || !isWeekend(cursorStart);
 
     // Exclusion rule
     const excluded = excludeSet.has(dayKey);
@@ -153,6 +244,50 @@ export function generateRecurrenceInstances({
   return instances;
 }
 
+/* ---------------------------------------------------------------------------
+   SKIPPED OCCURRENCES (ICS EXDATE SOURCE)
+   ---------------------------------------------------------------------------
+   Calendar clients expand a series from its RRULE, which knows nothing about
+   our weekend rule or excludeDates. This returns every "YYYY-MM-DD" the RRULE
+   would produce but the series does NOT contain, so invites can list them
+   as EXDATE and attendees' calendars match the database exactly.
+
+   • rruleSkipsWeekends → true when the RRULE itself already restricts days
+     (daily series are sent with BYDAY=MO..FR when weekends are disabled)
+--------------------------------------------------------------------------- */
+export function getSkippedOccurrenceDates({
+  start,
+  end,
+  frequency,
+  interval = 1,
+  until,
+  excludeDates = [],
+  rruleSkipsWeekends = false,
+}) {
+  const ruleDates = generateRecurrenceInstances({
+    start,
+    end,
+    frequency,
+    interval,
+    until,
+    excludeDates: [],
+    skipWeekends: rruleSkipsWeekends,
+  }).map((i) => toDayKey(i.start));
+
+  const actualDates = new Set(
+    generateRecurrenceInstances({
+      start,
+      end,
+      frequency,
+      interval,
+      until,
+      excludeDates,
+    }).map((i) => toDayKey(i.start))
+  );
+
+  return ruleDates.filter((day) => !actualDates.has(day));
+}
+
 /* ---------------------------------------------------------------------------
    BACKWARD-COMPATIBLE WRAPPER
    ---------------------------------------------------------------------------
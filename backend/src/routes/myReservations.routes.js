@@ -0,0 +1,103 @@
+// routes/myReservations.routes.js
+// -----------------------------------------------------------------------------
+// "MY RESERVATIONS" ROUTES
+// Base path: /api/my-reservations
+//
+// Responsibilities:
+// • Emailed one-time access (request / verify / sign out)
+// • Personal reservation list + organizer cancel
+// • Personal calendar feed (secret .ics URL, own emailed access)
+//
+// IMPORTANT DESIGN NOTES:
+// • This file contains NO business logic
+// • Session checks live in the controller (Authorization: Bearer <token>)
+// -----------------------------------------------------------------------------
+
+import { Router } from "express";
+
+import {
+  requestMyReservationsAccess,
+  verifyMyReservationsAccess,
+  endMyReservationsAccess,
+  getMyReservations,
+  cancelMyReservation,
+} from "../controllers/myReservations.controller.js";
+import {
+  requestCalendarFeedAccess,
+  verifyCalendarFeedAccess,
+  getCalendarFeedStatus,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getPersonalCalendarFeed,
+} from "../controllers/myCalendarFeed.controller.js";
+
+const router = Router();
+
+/**
+ * POST /api/my-reservations/access
+ * Body: { email }
+ *
+ * Mails a one-time sign-in link + 6-digit code (202, generic message)
+ */
+router.post("/access", requestMyReservationsAccess);
+
+/**
+ * POST /api/my-reservations/access/verify
+ * Body: { token } | { email, code }
+ *
+ * Returns { email, token, expires_at_utc } (token → Authorization header)
+ */
+router.post("/access/verify", verifyMyReservationsAccess);
+
+/**
+ * DELETE /api/my-reservations/access
+ * Signs out (revokes the session token)
+ */
+router.delete("/access", endMyReservationsAccess);
+
+/**
+ * POST /api/my-reservations/feed/access
+ * Body: { email }
+ *
+ * Mails a one-time link to set up the personal calendar feed (202)
+ */
+router.post("/feed/access", requestCalendarFeedAccess);
+
+/**
+ * POST /api/my-reservations/feed/access/verify
+ * Body: { token } | { email, code }
+ *
+ * Returns { email, token, expires_at_utc } (feed-management session)
+ */
+router.post("/feed/access/verify", verifyCalendarFeedAccess);
+
+/**
+ * GET    /api/my-reservations/feed → { email, feed } (status, no URL)
+ * POST   /api/my-reservations/feed → 201 { token } (old link revoked)
+ * DELETE /api/my-reservations/feed → 204 (feed turned off)
+ *
+ * Declared BEFORE /:id
+ */
+router.get("/feed", getCalendarFeedStatus);
+router.post("/feed", createCalendarFeed);
+router.delete("/feed", deleteCalendarFeed);
+
+/**
+ * GET /api/my-reservations/feed/:token/calendar.ics
+ * The personal feed itself (calendar apps; token = credential)
+ */
+router.get("/feed/:token/calendar.ics", getPersonalCalendarFeed);
+
+/**
+ * GET /api/my-reservations
+ * Returns { email, reservations: [...] } for the signed-in address
+ */
+router.get("/", getMyReservations);
+
+/**
+ * DELETE /api/my-reservations/:id
+ * Organizer-only cancel (same behavior as DELETE /api/reservations/:id)
+ */
+router.delete("/:id", cancelMyReservation);
+
+export default router;
@@ -14,7 +14,7 @@
 // • Safe to extend later (permissions, approvals, recurrence)
 // -----------------------------------------------------------------------------
 
-import { Router } from "express";
+import express, { Router } from "express";
 
 /**
  * Controllers
@@ -22,28 +22,272 @@ import { Router } from "express";
  * Each controller function handles a single responsibility:
  *
  * • getReservationsByRoom   → READ (calendar display)
+ * • searchReservations      → READ (global search page)
  * • createReservation       → CREATE (modal-based reservation creation)
  * • updateReservationTime   → UPDATE (drag & resize + modal edit)
+ * • cancelReservation       → DELETE (soft delete + CANCEL invites)
+ * • getPendingApprovals     → READ (admin approval queue)
+ * • approve / reject        → UPDATE (pending → confirmed | rejected)
+ * • getReservationHistory   → READ (audit trail, modal History tab)
+ * • checkIn* / getNoShowReport → checkIn.controller.js (no-show release)
+ * • *Hold(s)                → reservationHolds.controller.js (create modal)
+ * • *ReservationImport      → reservationImport.controller.js (CSV upload)
+ * • exportReservations      → reservationExport.controller.js (CSV download)
+ * • *Rsvp(s)                → rsvp.controller.js (attendee replies)
  */
 import {
   getReservationsByRoom,
+  searchReservations,
   updateReservationTime,
   createReservation, // ✅ NEW (modal-based creation)
+  cancelReservation,
+  getPendingApprovals,
+  approveReservation,
+  rejectReservation,
+  getReservationHistory,
 } from "../controllers/reservations.controller.js";
+import {
+  checkInReservation,
+  checkInWithLink,
+  getNoShowReport,
+} from "../controllers/checkIn.controller.js";
+import {
+  getActiveHolds,
+  createHold,
+  deleteHold,
+} from "../controllers/reservationHolds.controller.js";
+import {
+  previewReservationImport,
+  commitReservationImport,
+} from "../controllers/reservationImport.controller.js";
+import { exportReservations } from "../controllers/reservationExport.controller.js";
+import {
+  receiveRsvpReply,
+  getReservationRsvps,
+} from "../controllers/rsvp.controller.js";
+import { requirePinRole } from "../middleware/requirePinRole.js";
+
+// Approval queue actions (PIN re-sent as X-Access-Pin)
+const requireApprover = requirePinRole("admin", "super_admin");
+
+// Any device PIN (exports contain organizer / attendee emails)
+const requireAnyPin = requirePinRole("user", "admin", "super_admin");
+
+// CSV uploads arrive as raw text (app.js only parses JSON)
+const csvBody = express.text({
+  type: ["text/csv", "text/plain"],
+  limit: "2mb",
+});
+
+// Inbound RSVP replies: a bare .ics or the whole email
+const rsvpBody = express.text({
+  type: ["text/calendar", "message/rfc822", "text/plain"],
+  limit: "5mb",
+});
 
 const router = Router();
 
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/reservations/search
+ * -----------------------------------------------------------------------------
+ * Searches reservations across every site and room.
+ *
+ * Used by:
+ * • Search.jsx
+ *
+ * Query (optional):
+ * • q         → title / description / booked by / organizer / attendees
+ * • email     → organizer or attendee email
+ * • site      → site slug
+ * • from / to → YYYY-MM-DD window (to is exclusive)
+ * • page, pageSize (max 100)
+ * • sort      → start_time | title | site | room | created_by_name
+ * • order     → asc | desc
+ *
+ * Example:
+ * • /api/reservations/search?q=casas&from=2025-09-15&to=2025-09-22
+ *
+ * NOTE: declared BEFORE "/:siteSlug/:roomId" so it is never shadowed
+ * -----------------------------------------------------------------------------
+ */
+router.get("/search", searchReservations);
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/reservations/pending
+ * -----------------------------------------------------------------------------
+ * Admin approval queue — bookings in rooms that require approval.
+ *
+ * Used by:
+ * • Approvals.jsx
+ *
+ * Returns [...] oldest start first; a recurring series is ONE entry
+ * (its first pending occurrence + occurrence_count).
+ *
+ * Auth: X-Access-Pin → admin | super_admin (401 / 403 otherwise)
+ * -----------------------------------------------------------------------------
+ */
+router.get("/pending", requireApprover, getPendingApprovals);
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/reservations/no-shows
+ * -----------------------------------------------------------------------------
+ * Repeat no-show report — organizers whose bookings were released because
+ * nobody checked in.
+ *
+ * Used by:
+ * • NoShowReport.jsx
+ *
+ * Query (optional):
+ * • from / to → YYYY-MM-DD window (to is exclusive; default last 90 days)
+ * • min_count → minimum no-shows per organizer (default 2)
+ *
+ * Returns { from, to, min_count, organizers: [...] } most no-shows first
+ *
+ * Auth: X-Access-Pin → admin | super_admin (401 / 403 otherwise)
+ * -----------------------------------------------------------------------------
+ */
+router.get("/no-shows", requireApprover, getNoShowReport);
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET    /api/reservations/holds?room_id=&from=&to=
+ * POST   /api/reservations/holds        Body: { room_id, start_time, end_time }
+ * DELETE /api/reservations/holds/:id    Header: X-Hold-Token
+ * -----------------------------------------------------------------------------
+ * Tentative holds — a free slot is held for 5 minutes while the create
+ * modal is open, so a second person cannot book it out from under them.
+ *
+ * Used by:
+ * • RoomCalendar.jsx (hold on modal open, release on close,
+ *   "being booked" blocks for everyone else)
+ *
+ * Responses:
+ * • GET    → [{ id, start_time, end_time, expires_at_utc }] (active only)
+ * • POST   → 201 { id, token, start_time, end_time, expires_at_utc }
+ *            409 already booked | { code: "SLOT_HELD", holds }
+ * • DELETE → 204 | 404 (expired / already converted)
+ *
+ * Notes:
+ * • Declared BEFORE /:siteSlug/:roomId
+ * • POST /api/reservations with hold_token converts the hold
+ * • Holds expire on their own — no cleanup job needed
+ * -----------------------------------------------------------------------------
+ */
+router.get("/holds", getActiveHolds);
+router.post("/holds", createHold);
+router.delete("/holds/:id", deleteHold);
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/reservations/import/dry-run
+ * POST /api/reservations/import
+ * -----------------------------------------------------------------------------
+ * Bulk CSV import (term schedules). Body: the CSV file as text/csv.
+ *
+ * Columns (header row, any order):
+ * • site, room, organizer, email, start, end          (required)
+ * • title, description, attendees                     (optional)
+ * • frequency, interval, until, exclude_dates         (optional recurrence)
+ *
+ * Used by:
+ * • ImportReservations.jsx
+ *
+ * Responses:
+ * • dry-run → 200 { dry_run: true, total, valid, invalid, rows: [...] }
+ * • import  → 201 same report (all rows inserted, invites queued)
+ *             422 same report (a row failed → nothing inserted)
+ * • 400 → empty / unreadable file, missing columns, > 500 rows
+ *
+ * Auth: X-Access-Pin → admin | super_admin (401 / 403 otherwise)
+ * -----------------------------------------------------------------------------
+ */
+router.post(
+  "/import/dry-run",
+  requireApprover,
+  csvBody,
+  previewReservationImport
+);
+router.post("/import", requireApprover, csvBody, commitReservationImport);
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/reservations/export
+ * -----------------------------------------------------------------------------
+ * Schedule as a CSV download (snapshot names, organizer, attendees, local
+ * wall times, duration, series id).
+ *
+ * Used by:
+ * • Rooms.jsx (whole site) and Calendar.jsx (one room)
+ *
+ * Query (optional):
+ * • site, room_id
+ * • from / to → YYYY-MM-DD window (to is exclusive)
+ * • status    → comma list or "all" (default confirmed,pending)
+ *
+ * Auth: X-Access-Pin → any valid PIN (401 otherwise)
+ * NOTE: declared BEFORE "/:siteSlug/:roomId"
+ * -----------------------------------------------------------------------------
+ */
+router.get("/export", requireAnyPin, exportReservations);
+
+/**
+ * -----------------------------------------------------------------------------
+ * GET /api/reservations/:id/history
+ * -----------------------------------------------------------------------------
+ * Change history (audit trail) for one reservation, oldest first.
+ *
+ * Used by:
+ * • ReservationModal.jsx ("History" tab in edit mode)
+ *
+ * Returns:
+ * [{ id, action, edit_scope, changes: { field: { from, to } },
+ *    actor_role, actor_email, created_at_utc }]
+ *
+ * Notes:
+ * • Declared BEFORE /:siteSlug/:roomId ("/42/history" would match it)
+ * • Writes send X-Access-Pin (optional) so entries carry the PIN role
+ * -----------------------------------------------------------------------------
+ */
+router.get("/:id/history", getReservationHistory);
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/reservations/rsvp
+ * GET  /api/reservations/:id/rsvps
+ * -----------------------------------------------------------------------------
+ * Attendee replies to invites (iTIP METHOD:REPLY).
+ *
+ * • POST → a mail provider / relay forwards the reply (raw .ics or email)
+ *          with X-Inbound-Secret; the worker's RSVP inbox is the other way in
+ * • GET  → accepted / tentative / declined counts + per-attendee answers
+ *
+ * Used by:
+ * • ReservationModal.jsx (edit mode, under Attendees)
+ * -----------------------------------------------------------------------------
+ */
+router.post("/rsvp", rsvpBody, receiveRsvpReply);
+router.get("/:id/rsvps", getReservationRsvps);
+
 /**
  * -----------------------------------------------------------------------------
  * GET /api/reservations/:siteSlug/:roomId
  * -----------------------------------------------------------------------------
- * Returns all reservations for a specific room at a specific site.
+ * Returns reservations for a specific room at a specific site.
  *
  * Used by:
  * • Calendar.jsx → RoomCalendar.jsx
  *
+ * Query (optional):
+ * • from → YYYY-MM-DD (inclusive)
+ * • to   → YYYY-MM-DD (exclusive)
+ *   Only reservations overlapping [from, to) are returned.
+ *
  * Example:
  * • /api/reservations/fort-totten/101
+ * • /api/reservations/fort-totten/101?from=2025-09-07&to=2025-09-21
  * -----------------------------------------------------------------------------
  */
 router.get("/:siteSlug/:roomId", getReservationsByRoom);
@@ -63,9 +307,29 @@ router.get("/:siteSlug/:roomId", getReservationsByRoom);
  *   room_id: number,
  *   created_by_name: string,
  *   start_time: Date | ISO string,
- *   end_time:   Date | ISO string
+ *   end_time:   Date | ISO string,
+ *   recurrence?: {
+ *     frequency: "daily" | "weekly" | "monthly",
+ *     interval:  number,            // bi-weekly = weekly + 2
+ *     until:     "YYYY-MM-DD",
+ *     excludeDates: ["YYYY-MM-DD"]
+ *   }
  * }
  *
+ * Headers (optional):
+ * • Idempotency-Key → one key per modal submission; a retry with the same
+ *   key replays the first 201 instead of booking twice
+ *
+ * Body (optional):
+ * • hold_token → the create modal's hold (POST /holds); converted on success
+ *
+ * Responses:
+ * • 201 → created reservation
+ * • 201 → { series, reservations: [...] } when recurrence is provided
+ * • 409 → room already booked ({ message, conflicts: [{ id, title, start_time, end_time }] })
+ * • 409 → { code: "SLOT_HELD", holds } — someone else is booking this time
+ * • 422 → Idempotency-Key reused with a different payload
+ *
  * Notes:
  * • Used ONLY for creation (never for drag & drop)
  * • Ownership, permissions, and approvals can be added later
@@ -74,6 +338,33 @@ router.get("/:siteSlug/:roomId", getReservationsByRoom);
  */
 router.post("/", createReservation); // ✅ NEW
 
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/reservations/check-in        Body: { token }
+ * POST /api/reservations/:id/check-in
+ * -----------------------------------------------------------------------------
+ * Confirms a booking is in use ("check in").
+ *
+ * Used by:
+ * • CheckIn.jsx (link in the invite email → signed token)
+ * • ReservationModal.jsx ("Check In" in edit mode → X-Access-Pin required)
+ *
+ * Responses:
+ * • 200 → { id, status, checked_in_at_utc, version, …, already_checked_in }
+ * • 400 → invalid / forged link
+ * • 401 → calendar check-in without a valid PIN
+ * • 409 → not open yet, already ended, released, cancelled or pending
+ *
+ * Notes:
+ * • Opens 15 minutes before start_time, closes at end_time
+ * • A series link checks in the occurrence that is open right now
+ * • Confirmed bookings still not checked in CHECK_IN_GRACE_MINUTES after
+ *   the start are released by the email worker (status 'no_show')
+ * -----------------------------------------------------------------------------
+ */
+router.post("/check-in", checkInWithLink);
+router.post("/:id/check-in", checkInReservation);
+
 /**
  * -----------------------------------------------------------------------------
  * PUT /api/reservations/:id
@@ -88,16 +379,80 @@ router.post("/", createReservation); // ✅ NEW
  * Payload:
  * {
  *   start_time: Date | ISO string,
- *   end_time:   Date | ISO string
+ *   end_time:   Date | ISO string,
+ *   edit_scope: "single" | "following" | "series",  // recurring rows only
+ *   version:    3,                                  // row version from GET
+ *   room_id:    42,                                 // optional: move rooms
+ *   hold_token: "…"                                 // optional: own hold
  * }
+ * (or header If-Match: "3" instead of `version`)
+ *
+ * Recurring occurrences (edit_scope):
+ * • "single"    → only this occurrence (invite override via RECURRENCE-ID)
+ * • "following" → this + later occurrences; the series is split in two
+ * • "series"    → every occurrence shifted by the same wall-time offset
+ *
+ * Responses:
+ * • 200 → updated reservation ("single")
+ *         { series, reservations: [...] } ("following" | "series")
+ * • 400 → invalid scope, or organizer/attendee change on "single"
+ * • 409 → new time overlaps another reservation in the same room
+ * • 409 → { code: "SLOT_HELD", holds } — someone else is booking this time
+ * • 409 → { code: "STALE_VERSION", current } — someone saved first
+ * • 400 → room change on a single occurrence of a series
+ * • 403 → move into a room that requires approval without an admin PIN
+ * • 404 → target room not found / inactive
  *
  * Notes:
- * • Only updates time-related fields
- * • Does NOT change site, room, or ownership
+ * • room_id moves the booking (site follows the room); conflicts are
+ *   checked in the target room and invites keep the same UID
+ * • Does NOT change ownership
  * • Keeps drag & resize behavior stable
  * • Safe for incremental rollout
  * -----------------------------------------------------------------------------
  */
 router.put("/:id", updateReservationTime);
 
+/**
+ * -----------------------------------------------------------------------------
+ * DELETE /api/reservations/:id
+ * -----------------------------------------------------------------------------
+ * Cancels a reservation (soft delete).
+ *
+ * Used by:
+ * • ReservationModal.jsx ("Cancel Reservation" / "Skip This Date" in edit mode)
+ *
+ * Responses:
+ * • 200 → { id, status: "cancelled" } (also when already cancelled)
+ * • 404 → reservation not found
+ *
+ * Notes:
+ * • Row is kept for audit; it disappears from the calendar
+ * • CANCEL invites reuse the stable reservation-{id}@briya.org UID
+ * • Recurring occurrence → only that date is skipped: it is added to the
+ *   series' exclude_dates (EXDATE) and a RECURRENCE-ID CANCEL is sent
+ * -----------------------------------------------------------------------------
+ */
+router.delete("/:id", cancelReservation);
+
+/**
+ * -----------------------------------------------------------------------------
+ * POST /api/reservations/:id/approve
+ * POST /api/reservations/:id/reject   Body: { reason }
+ * -----------------------------------------------------------------------------
+ * Decides a pending booking (every pending occurrence of its series).
+ *
+ * Responses:
+ * • 200 → { reservations: [...] } updated rows
+ * • 400 → reject without a reason
+ * • 409 → no longer pending (already decided / cancelled)
+ *
+ * Notes:
+ * • Organizer is emailed either way; approval also sends the REQUEST
+ * • Auth: X-Access-Pin → admin | super_admin
+ * -----------------------------------------------------------------------------
+ */
+router.post("/:id/approve", requireApprover, approveReservation);
+router.post("/:id/reject", requireApprover, rejectReservation);
+
 export default router;
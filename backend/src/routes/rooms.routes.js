@@ -2,6 +2,7 @@ import { Router } from "express";
 import {
   getRoomsBySiteSlug,
   getRoomById,
+  getRoomCalendarFeed,
 } from "../controllers/rooms.controller.js";
 
 const router = Router();
@@ -17,6 +18,16 @@ const router = Router();
  * ---------------------------------------------------------------------------
  */
 
+/**
+ * GET /api/rooms/:siteSlug/:roomId/calendar.ics
+ * Example:
+ *   /api/rooms/fort-totten/12/calendar.ics
+ *
+ * Subscribable iCalendar feed of the room's upcoming bookings
+ * (ETag / Last-Modified → 304 Not Modified)
+ */
+router.get("/:siteSlug/:roomId/calendar.ics", getRoomCalendarFeed);
+
 /**
  * GET /api/rooms/:siteSlug/:roomId
  * Example:
@@ -1,5 +1,15 @@
 import { Router } from "express";
 import { getSites } from "../controllers/sites.controller.js";
+import { getSiteAvailability } from "../controllers/availability.controller.js";
+import {
+  getDigestSubscriptions,
+  createDigestSubscription,
+  deleteDigestSubscription,
+} from "../controllers/siteDigest.controller.js";
+import { requirePinRole } from "../middleware/requirePinRole.js";
+
+// Digest subscriptions are managed by admins (PIN as X-Access-Pin)
+const requireApprover = requirePinRole("admin", "super_admin");
 
 const router = Router();
 
@@ -8,4 +18,39 @@ const router = Router();
  */
 router.get("/", getSites);
 
+/**
+ * GET /api/sites/:siteSlug/availability?start=&end=&min_capacity=
+ * Example:
+ *   /api/sites/shepherd/availability?start=2025-09-16 14:00&end=2025-09-16 15:00&min_capacity=12
+ *
+ * Returns { start, end, min_capacity, rooms: [...] } — active rooms free for
+ * the slot (min_capacity optional; rooms with unknown capacity are included)
+ * (used by the Rooms page search form)
+ */
+router.get("/:siteSlug/availability", getSiteAvailability);
+
+/**
+ * GET    /api/sites/:siteSlug/digest-subscriptions
+ * POST   /api/sites/:siteSlug/digest-subscriptions      { email }
+ * DELETE /api/sites/:siteSlug/digest-subscriptions/:id
+ *
+ * Who gets the site's daily schedule digest (email worker, DIGEST_SEND_TIME)
+ * (used by the SiteDigest page)
+ */
+router.get(
+  "/:siteSlug/digest-subscriptions",
+  requireApprover,
+  getDigestSubscriptions
+);
+router.post(
+  "/:siteSlug/digest-subscriptions",
+  requireApprover,
+  createDigestSubscription
+);
+router.delete(
+  "/:siteSlug/digest-subscriptions/:id",
+  requireApprover,
+  deleteDigestSubscription
+);
+
 export default router;
@@ -0,0 +1,62 @@
+// routes/waitlist.routes.js
+// -----------------------------------------------------------------------------
+// WAITLIST ROUTES
+// Base path: /api/waitlist
+//
+// Responsibilities:
+// • Join the queue for a booked room + time range
+// • Claim / decline the emailed "claim this slot" offer
+//
+// IMPORTANT DESIGN NOTES:
+// • This file contains NO business logic
+// • The claim token (from the email link) is the only credential
+// -----------------------------------------------------------------------------
+
+import { Router } from "express";
+
+import {
+  joinWaitlist,
+  getWaitlistOffer,
+  claimWaitlistOffer,
+  declineWaitlistOffer,
+} from "../controllers/waitlist.controller.js";
+
+const router = Router();
+
+/**
+ * POST /api/waitlist
+ * Body: { site_id, room_id, start_time, end_time, title, description,
+ *         created_by_name, email, attendees_emails, auto_book? }
+ *
+ * Used by: ReservationModal.jsx (after a 409 "room already booked")
+ *
+ * • 201 → { id, position, auto_book, … }
+ * • 409 → SLOT_AVAILABLE (just book it) | ALREADY_WAITING
+ */
+router.post("/", joinWaitlist);
+
+/**
+ * GET /api/waitlist/claim?token=…
+ * Read-only offer preview for WaitlistClaim.jsx (safe for link scanners)
+ */
+router.get("/claim", getWaitlistOffer);
+
+/**
+ * POST /api/waitlist/claim
+ * Body: { token }
+ *
+ * • 201 → { entry, reservation } (invites go out like a normal booking)
+ * • 409 → taken again meanwhile (still on the waitlist) / already used
+ * • 409 → { code: "SLOT_HELD", holds } — someone is booking it right now
+ *         (the offer stays open)
+ * • 410 → offer expired
+ */
+router.post("/claim", claimWaitlistOffer);
+
+/**
+ * POST /api/waitlist/decline
+ * Body: { token } → passes on the slot; the next person is offered it
+ */
+router.post("/decline", declineWaitlistOffer);
+
+export default router;
@@ -0,0 +1,293 @@
+// src/services/calendarFeedService.js
+// -----------------------------------------------------------------------------
+// SUBSCRIBABLE CALENDAR FEEDS (.ics)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Load the upcoming bookings (+ their series rows) a feed publishes
+// • Send the feed with conditional GET support (ETag / Last-Modified → 304)
+// • Personal feeds: secret per-email tokens (issue / revoke / resolve)
+//
+// IMPORTANT DESIGN NOTES:
+// • "Upcoming" = ends today or later (LOCAL wall time) — past bookings drop
+//   out of the feed, past series dates become EXDATEs (see buildFeedICS)
+// • Only confirmed + pending bookings are published (pending = TENTATIVE)
+// • ETag = hash of the exact file → it is the authority; Last-Modified is
+//   the newest row change in scope (cancellations included) for clients
+//   that only send If-Modified-Since
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+import { pool } from "../db/mysql.js";
+import { buildFeedICS } from "../utils/buildICS.js";
+import { sha256 } from "../utils/helpers.js";
+import { localNowMySQL } from "./checkInService.js";
+
+// Calendar clients poll on their own; this just tells proxies to revalidate
+const FEED_CACHE_CONTROL = "no-cache";
+
+const FEED_TIME_ZONE = "America/New_York";
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" (UTC) → Date | null
+ */
+function utcSQLToDate(value) {
+  return value ? new Date(`${String(value).replace(" ", "T")}Z`) : null;
+}
+
+/* =============================================================================
+   LOAD FEED ROWS
+   =============================================================================
+   scopeSQL / scopeParams → WHERE fragment on reservations r
+     (e.g. "r.room_id = ?", [roomId])
+   ownsSeries(series)     → true when the series belongs in this feed
+     (published as ONE RRULE event; otherwise its occurrences stand alone)
+
+   Returns { reservations, seriesById, lastModified: Date | null }
+============================================================================= */
+export async function loadFeedEvents(
+  db,
+  { scopeSQL, scopeParams, ownsSeries }
+) {
+  const today = `${localNowMySQL().slice(0, 10)} 00:00:00`;
+
+  const [reservations] = await db.query(
+    `
+    SELECT
+      r.id,
+      r.recurrence_id,
+      r.occurrence_start,
+      r.status,
+      r.title,
+      r.description,
+      r.created_by_name,
+      r.start_time,
+      r.end_time,
+      r.room_name_snapshot,
+      r.site_name_snapshot,
+      r.created_at_utc,
+      r.updated_at_utc
+    FROM reservations r
+    WHERE ${scopeSQL}
+      AND r.status IN ('confirmed', 'pending')
+      AND r.end_time > ?
+    ORDER BY r.start_time ASC, r.id ASC;
+    `,
+    [...scopeParams, today]
+  );
+
+  const seriesIds = [
+    ...new Set(reservations.map((r) => r.recurrence_id).filter(Boolean)),
+  ];
+
+  let seriesRows = [];
+  if (seriesIds.length > 0) {
+    [seriesRows] = await db.query(
+      `SELECT * FROM reservation_series WHERE id IN (?)`,
+      [seriesIds]
+    );
+  }
+
+  const seriesById = new Map(
+    seriesRows.filter(ownsSeries).map((s) => [Number(s.id), s])
+  );
+
+  // Newest change in scope — cancelled / rejected rows count too
+  const [[{ changed }]] = await db.query(
+    `
+    SELECT MAX(GREATEST(
+      r.created_at_utc,
+      COALESCE(r.updated_at_utc, r.created_at_utc),
+      COALESCE(r.cancelled_at_utc, r.created_at_utc)
+    )) AS changed
+    FROM reservations r
+    WHERE ${scopeSQL}
+      AND r.end_time > ?;
+    `,
+    [...scopeParams, today]
+  );
+
+  const stamps = [
+    utcSQLToDate(changed),
+    ...seriesRows.map((s) =>
+      utcSQLToDate(s.updated_at_utc || s.created_at_utc)
+    ),
+  ].filter(Boolean);
+
+  return {
+    reservations,
+    seriesById,
+    lastModified:
+      stamps.length > 0 ? new Date(Math.max(...stamps.map(Number))) : null,
+  };
+}
+
+/* =============================================================================
+   SEND A FEED (CONDITIONAL GET)
+   =============================================================================
+   • 200 text/calendar with ETag + Last-Modified
+   • 304 when If-None-Match / If-Modified-Since still match
+============================================================================= */
+export function sendCalendarFeed(req, res, { name, fileName, feed }) {
+  const ics = buildFeedICS({
+    name,
+    reservations: feed.reservations,
+    seriesById: feed.seriesById,
+    timeZone: FEED_TIME_ZONE,
+  });
+
+  const etag = `"${crypto.createHash("sha1").update(ics).digest("hex")}"`;
+
+  res.setHeader("Cache-Control", FEED_CACHE_CONTROL);
+  res.setHeader("ETag", etag);
+
+  if (feed.lastModified) {
+    // HTTP dates have whole seconds
+    res.setHeader(
+      "Last-Modified",
+      new Date(Math.floor(feed.lastModified / 1000) * 1000).toUTCString()
+    );
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${fileName}"`);
+
+  return res.send(ics);
+}
+
+/* =============================================================================
+   PERSONAL FEEDS (ORGANIZER OR ATTENDEE)
+   =============================================================================
+   Same match as GET /api/my-reservations: `email` OR listed in
+   attendees_emails ("a@x.org, b@y.org" → compared as ",a@x.org,b@y.org,")
+============================================================================= */
+function isOnBooking(row, email) {
+  const attendees = `,${String(row.attendees_emails || "")
+    .toLowerCase()
+    .replace(/\s/g, "")},`;
+
+  return (
+    String(row.email || "").toLowerCase() === email ||
+    attendees.includes(`,${email},`)
+  );
+}
+
+export function loadPersonalFeedEvents(db, email) {
+  return loadFeedEvents(db, {
+    scopeSQL: `(
+      LOWER(r.email) = ?
+      OR FIND_IN_SET(?, REPLACE(LOWER(r.attendees_emails), ' ', '')) > 0
+    )`,
+    scopeParams: [email, email],
+    ownsSeries: (series) => isOnBooking(series, email),
+  });
+}
+
+/* ------------------------------------------------------------------
+   FEED TOKENS (see 015_calendar_feed_tokens.sql)
+   • One live token per address; only the SHA-256 is stored
+------------------------------------------------------------------ */
+/**
+ * Live token for an address → { created_at_utc, last_used_at_utc } | null
+ */
+export async function getFeedTokenStatus(email) {
+  const [[row]] = await pool.query(
+    `
+    SELECT created_at_utc, last_used_at_utc
+    FROM calendar_feed_tokens
+    WHERE email = ?
+      AND revoked_at_utc IS NULL
+    ORDER BY id DESC
+    LIMIT 1;
+    `,
+    [email]
+  );
+
+  return row ?? null;
+}
+
+/**
+ * Revoke every live token of an address → number revoked
+ */
+export async function revokeFeedTokens(email, db = pool) {
+  const [result] = await db.query(
+    `
+    UPDATE calendar_feed_tokens
+    SET revoked_at_utc = UTC_TIMESTAMP()
+    WHERE email = ?
+      AND revoked_at_utc IS NULL;
+    `,
+    [email]
+  );
+
+  return result.affectedRows;
+}
+
+/**
+ * New token for an address (the previous one stops working)
+ * Returns { token, created_at_utc } — the plain token is never stored
+ */
+export async function issueFeedToken(email) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    await revokeFeedTokens(email, conn);
+
+    await conn.query(
+      `
+      INSERT INTO calendar_feed_tokens (email, token_hash, created_at_utc)
+      VALUES (?, ?, UTC_TIMESTAMP());
+      `,
+      [email, sha256(token)]
+    );
+
+    const [[row]] = await conn.query(
+      `SELECT created_at_utc FROM calendar_feed_tokens WHERE token_hash = ?`,
+      [sha256(token)]
+    );
+
+    await conn.commit();
+
+    return { token, created_at_utc: row.created_at_utc };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Feed URL token → email | null (unknown / revoked)
+ * • Records the poll time so the owner can see the feed is in use
+ */
+export async function resolveFeedToken(token) {
+  if (!token) return null;
+
+  const [[row]] = await pool.query(
+    `
+    SELECT id, email
+    FROM calendar_feed_tokens
+    WHERE token_hash = ?
+      AND revoked_at_utc IS NULL
+    LIMIT 1;
+    `,
+    [sha256(token)]
+  );
+
+  if (!row) return null;
+
+  await pool.query(
+    `UPDATE calendar_feed_tokens SET last_used_at_utc = UTC_TIMESTAMP() WHERE id = ?`,
+    [row.id]
+  );
+
+  return row.email;
+}
@@ -17,6 +17,11 @@ import {
   inviteCreatedTemplate,
   inviteUpdatedTemplate,
   inviteCancelledTemplate,
+  seriesInviteCreatedTemplate,
+  seriesInviteUpdatedTemplate,
+  approvalPendingTemplate,
+  approvalApprovedTemplate,
+  approvalRejectedTemplate,
 } from "./emailTemplates.js";
 
 /* =============================================================================
@@ -51,6 +56,42 @@ async function removeInvitedEmail(reservationId, email) {
   );
 }
 
+async function clearInvitedEmails(reservationId) {
+  await pool.query(
+    `DELETE FROM reservation_invites WHERE reservation_id = ?`,
+    [reservationId]
+  );
+}
+
+async function getAlreadyInvitedSeriesEmails(seriesId) {
+  const [rows] = await pool.query(
+    `SELECT email FROM reservation_series_invites WHERE series_id = ?`,
+    [seriesId]
+  );
+  return rows.map((r) => r.email);
+}
+
+async function markSeriesEmailInvited(seriesId, email) {
+  await pool.query(
+    `
+    INSERT INTO reservation_series_invites (series_id, email, last_sent_at)
+    VALUES (?, ?, NOW())
+    ON DUPLICATE KEY UPDATE last_sent_at = NOW()
+    `,
+    [seriesId, email]
+  );
+}
+
+async function removeSeriesInvitedEmail(seriesId, email) {
+  await pool.query(
+    `
+    DELETE FROM reservation_series_invites
+    WHERE series_id = ? AND email = ?
+    `,
+    [seriesId, email]
+  );
+}
+
 /* =============================================================================
    EMAIL NORMALIZATION
 ============================================================================= */
@@ -100,6 +141,157 @@ async function sendInvitesOnCreate(reservation) {
   console.log("📥 Email job enqueued (create):", newRecipients);
 }
 
+/* =============================================================================
+   SEND SERIES INVITES ON CREATE (ONE REQUEST + RRULE → QUEUE)
+   =============================================================================
+   • ONE job for the whole series (never one email per instance)
+   • Worker detects payload.series and builds a recurring ICS
+============================================================================= */
+async function sendSeriesInvitesOnCreate(series) {
+  const { id, email, attendees_emails } = series;
+
+  const allRecipients = Array.from(
+    new Set([email, ...splitEmails(attendees_emails)].filter(Boolean))
+  );
+
+  const alreadyInvited = await getAlreadyInvitedSeriesEmails(id);
+  const newRecipients = allRecipients.filter(
+    (addr) => !alreadyInvited.includes(addr)
+  );
+
+  if (newRecipients.length === 0) {
+    console.log("ℹ️ No new recipients to invite (series create)");
+    return;
+  }
+
+  await enqueueEmailJob("invite_create", {
+    series,
+    recipients: newRecipients,
+    template: seriesInviteCreatedTemplate(series),
+  });
+
+  for (const addr of newRecipients) {
+    await markSeriesEmailInvited(id, addr);
+  }
+
+  console.log("📥 Email job enqueued (series create):", newRecipients);
+}
+
+/* =============================================================================
+   SEND SERIES INVITES ON UPDATE (REQUEST ALL / CANCEL REMOVED → QUEUE)
+   =============================================================================
+   • Time/title changes affect every occurrence → ALL current recipients
+     receive the updated series REQUEST (same series UID)
+   • Addresses no longer on the series receive a series CANCEL
+   • Also used when a "this and following" edit shortens the ORIGINAL series
+============================================================================= */
+async function sendSeriesInvitesOnUpdate({ series, previousSeries }) {
+  const seriesId = series.id;
+
+  const recipientsOf = (s) =>
+    new Set([s.email, ...splitEmails(s.attendees_emails)].filter(Boolean));
+
+  const nextRecipients = recipientsOf(series);
+  const prevRecipients = new Set([
+    ...recipientsOf(previousSeries),
+    ...(await getAlreadyInvitedSeriesEmails(seriesId)),
+  ]);
+
+  // STEP 1 — everyone still on the series → REQUEST (update)
+  if (nextRecipients.size > 0) {
+    await enqueueEmailJob("invite_update", {
+      series,
+      recipients: [...nextRecipients],
+      template: seriesInviteUpdatedTemplate(series),
+    });
+
+    for (const addr of nextRecipients) {
+      await markSeriesEmailInvited(seriesId, addr);
+    }
+  }
+
+  // STEP 2 — removed → CANCEL (whole series)
+  const removed = [...prevRecipients].filter(
+    (addr) => !nextRecipients.has(addr)
+  );
+
+  if (removed.length > 0) {
+    await enqueueEmailJob("invite_cancel", {
+      series: previousSeries,
+      recipients: removed,
+      template: inviteCancelledTemplate(previousSeries),
+    });
+
+    for (const addr of removed) {
+      await removeSeriesInvitedEmail(seriesId, addr);
+    }
+  }
+
+  console.log("📥 Email jobs enqueued (series update)");
+}
+
+/* =============================================================================
+   SEND OCCURRENCE UPDATE (ONE DATE OF A SERIES → QUEUE)
+   =============================================================================
+   • Series UID + RECURRENCE-ID → clients change only that date
+   • Goes to everyone invited to the series
+============================================================================= */
+async function getOccurrenceRecipients(series) {
+  const invited = await getAlreadyInvitedSeriesEmails(series.id);
+
+  return Array.from(
+    new Set(
+      [
+        ...invited,
+        series.email,
+        ...splitEmails(series.attendees_emails),
+      ].filter(Boolean)
+    )
+  );
+}
+
+async function sendOccurrenceInvitesOnUpdate({ series, occurrence }) {
+  const recipients = await getOccurrenceRecipients(series);
+
+  if (recipients.length === 0) {
+    console.log("ℹ️ No recipients to notify (occurrence update)");
+    return;
+  }
+
+  await enqueueEmailJob("invite_update", {
+    series,
+    occurrence,
+    recipients,
+    template: inviteUpdatedTemplate({ ...series, ...occurrence }),
+  });
+
+  console.log("📥 Email job enqueued (occurrence update):", recipients);
+}
+
+/* =============================================================================
+   SEND OCCURRENCE CANCEL (SKIP ONE DATE OF A SERIES → QUEUE)
+   =============================================================================
+   • METHOD:CANCEL + RECURRENCE-ID → clients drop only that date
+   • Series invite tracking is untouched (everyone stays on the series)
+============================================================================= */
+async function sendOccurrenceInvitesOnCancel({ series, occurrence }) {
+  const recipients = await getOccurrenceRecipients(series);
+
+  if (recipients.length === 0) {
+    console.log("ℹ️ No recipients to notify (occurrence cancel)");
+    return;
+  }
+
+  await enqueueEmailJob("invite_cancel", {
+    series,
+    occurrence,
+    recipients,
+    template: inviteCancelledTemplate({ ...series, ...occurrence }),
+  });
+
+  console.log("📥 Email job enqueued (occurrence cancel):", recipients);
+}
+
 /* =============================================================================
    SEND INVITES ON UPDATE (DIFF → REQUEST / CANCEL → QUEUE)
 ============================================================================= */
@@ -156,10 +348,107 @@ async function sendInvitesOnUpdate({ reservation, previousReservation }) {
     }
   }
 
+  // STEP 4 — moved to another room/site -> REQUEST (new LOCATION, same UID)
+  // for everyone who was already invited and still is
+  const locationChanged =
+    reservation.room_name_snapshot !== previousReservation.room_name_snapshot ||
+    reservation.site_name_snapshot !== previousReservation.site_name_snapshot;
+
+  if (locationChanged) {
+    const kept = [
+      oldOrganizer && oldOrganizer === newOrganizer ? newOrganizer : null,
+      ...[...nextEmails].filter((addr) => prevEmails.has(addr)),
+    ].filter(Boolean);
+
+    if (kept.length > 0) {
+      await enqueueEmailJob("invite_update", {
+        reservation,
+        recipients: kept,
+        template: inviteUpdatedTemplate(reservation),
+      });
+    }
+  }
+
   console.log("📥 Email jobs enqueued (update)");
 }
 
+/* =============================================================================
+   SEND INVITES ON CANCEL (CANCEL → QUEUE)
+   =============================================================================
+   • Everyone who ever received the REQUEST gets the CANCEL
+   • Same stable UID (reservation-{id}@briya.org) → clients remove the event
+   • Invite tracking rows are cleared afterwards (nothing left to update)
+============================================================================= */
+async function sendInvitesOnCancel(reservation) {
+  const { id, email, attendees_emails } = reservation;
+
+  const alreadyInvited = await getAlreadyInvitedEmails(id);
+
+  const recipients = Array.from(
+    new Set(
+      [...alreadyInvited, email, ...splitEmails(attendees_emails)].filter(
+        Boolean
+      )
+    )
+  );
+
+  if (recipients.length === 0) {
+    console.log("ℹ️ No recipients to notify (cancel)");
+    return;
+  }
+
+  await enqueueEmailJob("invite_cancel", {
+    reservation,
+    recipients,
+    template: inviteCancelledTemplate(reservation),
+  });
+
+  await clearInvitedEmails(id);
+
+  console.log("📥 Email job enqueued (cancel):", recipients);
+}
+
+/* =============================================================================
+   SEND APPROVAL NOTICE (ORGANIZER ONLY → QUEUE)
+   =============================================================================
+   Restricted rooms — one plain email per transition, NO ICS:
+   • "pending"  → request received, waiting for review
+   • "approved" → caller follows up with the normal REQUEST invites
+   • "rejected" → includes the admin's reason
+============================================================================= */
+const APPROVAL_TEMPLATES = {
+  pending: approvalPendingTemplate,
+  approved: approvalApprovedTemplate,
+  rejected: approvalRejectedTemplate,
+};
+
+async function sendApprovalNotice({ decision, reservation, series, reason }) {
+  const view = series ?? reservation;
+
+  if (!view.email) {
+    console.log(`ℹ️ No organizer to notify (approval ${decision})`);
+    return;
+  }
+
+  const payload = series ? { series } : { reservation };
+  if (reason) payload.reason = reason;
+
+  await enqueueEmailJob(`approval_${decision}`, {
+    ...payload,
+    recipients: [view.email],
+    template: APPROVAL_TEMPLATES[decision](payload),
+  });
+
+  console.log(`📥 Email job enqueued (approval ${decision}):`, view.email);
+}
+
 export default {
   sendInvitesOnCreate,
   sendInvitesOnUpdate,
+  sendInvitesOnCancel,
+  sendSeriesInvitesOnCreate,
+  sendSeriesInvitesOnUpdate,
+  sendOccurrenceInvitesOnUpdate,
+  sendOccurrenceInvitesOnCancel,
+  sendApprovalNotice,
 };
@@ -0,0 +1,318 @@
+// src/services/checkInService.js
+// -----------------------------------------------------------------------------
+// CHECK-IN + NO-SHOW RELEASE
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Sign / verify the check-in links emailed with invites
+// • Decide whether a booking can be checked in right now
+// • Release confirmed bookings nobody checked in to (email worker sweep)
+//
+// IMPORTANT DESIGN NOTES:
+// • Links are HMAC-signed with CHECK_IN_LINK_SECRET → nothing is stored,
+//   and every re-sent invite carries the same link
+//   (no secret configured → invites simply carry no link, and nothing is
+//   ever released: nobody could have checked in)
+// • A series link checks in whichever occurrence is open right now
+// • start_time / end_time are LOCAL wall time → "now" is computed in
+//   CHECK_IN_TZ, never with UTC math
+// • Each release runs in its own transaction and re-checks the row under
+//   FOR UPDATE → cannot race a check-in, and several workers are safe
+// • A release cuts end_time back to the release time: the part that
+//   already elapsed stays on the calendar (status 'no_show'), the rest of
+//   the slot is free again
+// • See 012_reservation_check_in.sql
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+import { pool } from "../db/mysql.js";
+import { enqueueEmailJob } from "../queue/emailQueue.js";
+import { shiftWallTime } from "../utils/calendarUtils.js";
+import { recordRowChanges } from "./reservationHistoryService.js";
+import { notifyWaitlistOfFreedSlot } from "./waitlistService.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+const CHECK_IN_TZ = "America/New_York";
+
+// Check-in opens this long before start_time
+export const CHECK_IN_OPENS_MINUTES = 15;
+
+// Auto-release is opt-in (CHECK_IN_GRACE_MINUTES)
+const DEFAULT_GRACE_MINUTES = 0;
+const RELEASE_BATCH_SIZE = 50;
+
+// Audit identity of the release sweep (reservation_history.actor_role)
+const SYSTEM_ACTOR = { role: "system", email: null };
+
+/**
+ * CHECK_IN_GRACE_MINUTES (env) → minutes after start_time before release
+ * • 0 / unset → never release (check-in is still recorded)
+ */
+export function getCheckInGraceMinutes() {
+  const raw = process.env.CHECK_IN_GRACE_MINUTES;
+  if (raw == null || raw === "") return DEFAULT_GRACE_MINUTES;
+
+  const minutes = Number(raw);
+  return Number.isInteger(minutes) && minutes >= 0
+    ? minutes
+    : DEFAULT_GRACE_MINUTES;
+}
+
+/**
+ * Current LOCAL wall time as MySQL DATETIME ("YYYY-MM-DD HH:MM:SS")
+ */
+export function localNowMySQL(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: CHECK_IN_TZ,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/* =============================================================================
+   CHECK-IN LINKS (HMAC, STATELESS)
+   =============================================================================
+   token = "<subject>.<signature>"
+   • subject → "r<reservationId>" (one booking) | "s<seriesId>" (a series)
+============================================================================= */
+function signSubject(subject, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`check-in:${subject}`)
+    .digest("base64url");
+}
+
+/**
+ * CHECK_IN_LINK_SECRET set → invites carry check-in links
+ */
+export function isCheckInLinkEnabled() {
+  return Boolean(process.env.CHECK_IN_LINK_SECRET);
+}
+
+/**
+ * Link for an invite email → null when CHECK_IN_LINK_SECRET is not set
+ */
+export function buildCheckInLink({ reservationId, seriesId }) {
+  if (!isCheckInLinkEnabled()) return null;
+
+  const secret = process.env.CHECK_IN_LINK_SECRET;
+
+  const subject = seriesId != null ? `s${seriesId}` : `r${reservationId}`;
+  const token = `${subject}.${signSubject(subject, secret)}`;
+  const base = (process.env.APP_BASE_URL || "").replace(/\/+$/, "");
+
+  return `${base}/check-in?token=${token}`;
+}
+
+/**
+ * token → { reservationId } | { seriesId } | null (invalid / forged)
+ */
+export function verifyCheckInToken(token) {
+  const secret = process.env.CHECK_IN_LINK_SECRET;
+  if (!secret || typeof token !== "string") return null;
+
+  const match = token.match(/^([rs])(\d+)\.([\w-]+)$/);
+  if (!match) return null;
+
+  const [, kind, id, signature] = match;
+  const expected = Buffer.from(signSubject(`${kind}${id}`, secret));
+  const received = Buffer.from(signature);
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  return kind === "s" ? { seriesId: Number(id) } : { reservationId: Number(id) };
+}
+
+/* =============================================================================
+   CHECK-IN WINDOW
+   =============================================================================
+   Returns null when the row can be checked in now, otherwise the reason
+   (409 message). Already checked in is NOT an error (idempotent).
+============================================================================= */
+export function checkInBlockedReason(row, now = localNowMySQL()) {
+  if (row.status === "no_show") {
+    return "This booking was released because nobody checked in.";
+  }
+
+  if (row.status === "pending") {
+    return "This booking is still waiting for approval.";
+  }
+
+  if (row.status !== "confirmed") {
+    return "This reservation is no longer active.";
+  }
+
+  if (row.checked_in_at_utc) return null;
+
+  const opensAt = shiftWallTime(row.start_time, {
+    minutes: -CHECK_IN_OPENS_MINUTES,
+  });
+
+  if (now < opensAt) {
+    return `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the booking starts.`;
+  }
+
+  if (now >= String(row.end_time)) {
+    return "This booking has already ended.";
+  }
+
+  return null;
+}
+
+/* =============================================================================
+   NO-SHOW RELEASE (EMAIL WORKER SWEEP)
+   =============================================================================
+   Candidates:
+   • status 'confirmed', never checked in
+   • started at least `grace` minutes ago and still running
+     (bookings that already ended are left alone → enabling the feature
+     never rewrites history)
+   • booked at least `grace` minutes ago (a late walk-in booking is not
+     released the moment it is made)
+   • Off unless CHECK_IN_GRACE_MINUTES > 0 AND check-in links are enabled
+
+   Returns the number of bookings released.
+============================================================================= */
+export async function releaseNoShowReservations() {
+  const grace = getCheckInGraceMinutes();
+  if (grace === 0 || !isCheckInLinkEnabled()) return 0;
+
+  const now = localNowMySQL();
+  const cutoff = shiftWallTime(now, { minutes: -grace });
+
+  const [candidates] = await pool.query(
+    `
+    SELECT id
+    FROM reservations
+    WHERE status = 'confirmed'
+      AND checked_in_at_utc IS NULL
+      AND start_time <= ?
+      AND end_time > ?
+      AND created_at_utc <= UTC_TIMESTAMP() - INTERVAL ? MINUTE
+    ORDER BY start_time ASC
+    LIMIT ?;
+    `,
+    [cutoff, now, grace, RELEASE_BATCH_SIZE]
+  );
+
+  let released = 0;
+
+  for (const { id } of candidates) {
+    if (await releaseNoShow(id, { cutoff, now, grace })) released += 1;
+  }
+
+  return released;
+}
+
+async function releaseNoShow(reservationId, { cutoff, now, grace }) {
+  const conn = await pool.getConnection();
+  let reservation;
+
+  // Keep what elapsed (on the minute), free the rest of the slot
+  const releasedAt = `${now.slice(0, 16)}:00`;
+
+  try {
+    await conn.beginTransaction();
+
+    // Re-check under lock: a check-in / edit may have landed meanwhile
+    [[reservation]] = await conn.query(
+      `
+      SELECT
+        id,
+        title,
+        email,
+        created_by_name,
+        start_time,
+        end_time,
+        room_id,
+        status,
+        room_name_snapshot,
+        site_name_snapshot
+      FROM reservations
+      WHERE id = ?
+        AND status = 'confirmed'
+        AND checked_in_at_utc IS NULL
+        AND start_time <= ?
+        AND end_time > ?
+      LIMIT 1
+      FOR UPDATE;
+      `,
+      [reservationId, cutoff, now]
+    );
+
+    if (!reservation) {
+      await conn.rollback();
+      return false;
+    }
+
+    await conn.query(
+      `
+      UPDATE reservations
+      SET
+        status = 'no_show',
+        end_time = ?,
+        released_at_utc = UTC_TIMESTAMP(),
+        version = version + 1,
+        updated_at_utc = UTC_TIMESTAMP()
+      WHERE id = ?;
+      `,
+      [releasedAt, reservationId]
+    );
+
+    await recordRowChanges(conn, SYSTEM_ACTOR, {
+      action: "no_show",
+      beforeRows: [reservation],
+      afterRows: [
+        { ...reservation, status: "no_show", end_time: releasedAt },
+      ],
+    });
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    console.error(`❌ No-show release failed (#${reservationId}):`, err.message);
+    return false;
+  } finally {
+    conn.release();
+  }
+
+  /* --------------------------------------------------------------
+     🔔 TELL THE ORGANIZER (POST-COMMIT, NO ICS)
+  -------------------------------------------------------------- */
+  if (reservation.email) {
+    await enqueueEmailJob("no_show_released", {
+      recipients: [reservation.email],
+      reservation,
+      grace_minutes: grace,
+    }).catch((err) =>
+      console.error("⚠️ No-show notice enqueue failed:", err.message)
+    );
+  }
+
+  // The rest of the booking is free → offer it to the waitlist
+  notifyWaitlistOfFreedSlot({
+    roomId: reservation.room_id,
+    startSQL: releasedAt,
+    endSQL: reservation.end_time,
+  });
+
+  return true;
+}
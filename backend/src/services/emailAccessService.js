@@ -0,0 +1,260 @@
+// src/services/emailAccessService.js
+// -----------------------------------------------------------------------------
+// EMAILED ONE-TIME ACCESS (NO ACCOUNT SYSTEM)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Mail a one-time link + 6-digit code to an address (via email_jobs)
+// • Trade a valid link/code for a short-lived session token
+// • Resolve a session token back to the verified email
+//
+// IMPORTANT DESIGN NOTES:
+// • Only SHA-256 hashes are stored (see 006_email_access.sql)
+// • Codes are single-use, expire after ACCESS_CODE_TTL_MINUTES and lock
+//   after MAX_CODE_ATTEMPTS wrong guesses
+// • `purpose` scopes codes + sessions to one feature, so a token issued for
+//   "my_reservations" can never be replayed against another feature
+// • Callers never learn whether an address has reservations (no enumeration)
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+import { pool } from "../db/mysql.js";
+import { enqueueEmailJob } from "../queue/emailQueue.js";
+import { sha256 } from "../utils/helpers.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+const ACCESS_CODE_TTL_MINUTES = 15;
+const SESSION_TTL_HOURS = 12;
+const MAX_CODE_ATTEMPTS = 5;
+
+// At most this many codes per address + purpose per TTL window
+const MAX_CODES_PER_WINDOW = 3;
+
+/* Feature → page that consumes the emailed link */
+const ACCESS_PURPOSES = {
+  my_reservations: { path: "/my-reservations", label: "My Reservations" },
+  calendar_feed: { path: "/my-reservations/feed", label: "My Calendar Feed" },
+};
+
+/* ------------------------------------------------------------------
+   HELPERS
+------------------------------------------------------------------ */
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function buildAccessLink(purpose, token) {
+  const base = (process.env.APP_BASE_URL || "").replace(/\/+$/, "");
+  return `${base}${ACCESS_PURPOSES[purpose].path}?token=${token}`;
+}
+
+/* =============================================================================
+   REQUEST ACCESS (MAIL LINK + CODE)
+   =============================================================================
+   Returns:
+   • true  → email job queued
+   • false → rate-limited (caller still answers generically)
+============================================================================= */
+export async function requestEmailAccess({ email, purpose }) {
+  const address = normalizeEmail(email);
+
+  const [[{ recent }]] = await pool.query(
+    `
+    SELECT COUNT(*) AS recent
+    FROM email_access_codes
+    WHERE email = ?
+      AND purpose = ?
+      AND created_at_utc > UTC_TIMESTAMP() - INTERVAL ? MINUTE;
+    `,
+    [address, purpose, ACCESS_CODE_TTL_MINUTES]
+  );
+
+  if (Number(recent) >= MAX_CODES_PER_WINDOW) {
+    console.warn("⚠️ Access code rate limit hit:", purpose);
+    return false;
+  }
+
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  const linkToken = crypto.randomBytes(32).toString("base64url");
+
+  await pool.query(
+    `
+    INSERT INTO email_access_codes (
+      email,
+      purpose,
+      code_hash,
+      link_token_hash,
+      expires_at_utc,
+      created_at_utc
+    )
+    VALUES (?, ?, ?, ?, UTC_TIMESTAMP() + INTERVAL ? MINUTE, UTC_TIMESTAMP());
+    `,
+    [
+      address,
+      purpose,
+      sha256(code),
+      sha256(linkToken),
+      ACCESS_CODE_TTL_MINUTES,
+    ]
+  );
+
+  await enqueueEmailJob("access_link", {
+    recipients: [address],
+    purpose: ACCESS_PURPOSES[purpose].label,
+    code,
+    link: buildAccessLink(purpose, linkToken),
+    expires_in_minutes: ACCESS_CODE_TTL_MINUTES,
+  });
+
+  return true;
+}
+
+/* =============================================================================
+   VERIFY ACCESS (LINK TOKEN OR EMAIL + CODE)
+   =============================================================================
+   Returns:
+   • { email, token, expires_at_utc } → new session
+   • null                             → invalid / expired / used / locked
+============================================================================= */
+export async function verifyEmailAccess({ purpose, token, email, code }) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    let row = null;
+
+    if (token) {
+      [[row]] = await conn.query(
+        `
+        SELECT id, email
+        FROM email_access_codes
+        WHERE link_token_hash = ?
+          AND purpose = ?
+          AND used_at_utc IS NULL
+          AND expires_at_utc > UTC_TIMESTAMP()
+        LIMIT 1
+        FOR UPDATE;
+        `,
+        [sha256(token), purpose]
+      );
+    } else if (email && code) {
+      // Newest live code for this address; wrong guesses count against it
+      const [[latest]] = await conn.query(
+        `
+        SELECT id, email, code_hash, attempts
+        FROM email_access_codes
+        WHERE email = ?
+          AND purpose = ?
+          AND used_at_utc IS NULL
+          AND expires_at_utc > UTC_TIMESTAMP()
+        ORDER BY created_at_utc DESC, id DESC
+        LIMIT 1
+        FOR UPDATE;
+        `,
+        [normalizeEmail(email), purpose]
+      );
+
+      if (latest && latest.attempts < MAX_CODE_ATTEMPTS) {
+        if (latest.code_hash === sha256(String(code).trim())) {
+          row = latest;
+        } else {
+          await conn.query(
+            `UPDATE email_access_codes SET attempts = attempts + 1 WHERE id = ?`,
+            [latest.id]
+          );
+        }
+      }
+    }
+
+    if (!row) {
+      await conn.commit(); // keep the attempt counter
+      return null;
+    }
+
+    await conn.query(
+      `UPDATE email_access_codes SET used_at_utc = UTC_TIMESTAMP() WHERE id = ?`,
+      [row.id]
+    );
+
+    const sessionToken = crypto.randomBytes(32).toString("base64url");
+
+    await conn.query(
+      `
+      INSERT INTO email_access_sessions (
+        email,
+        purpose,
+        token_hash,
+        expires_at_utc,
+        created_at_utc
+      )
+      VALUES (?, ?, ?, UTC_TIMESTAMP() + INTERVAL ? HOUR, UTC_TIMESTAMP());
+      `,
+      [row.email, purpose, sha256(sessionToken), SESSION_TTL_HOURS]
+    );
+
+    const [[session]] = await conn.query(
+      `
+      SELECT expires_at_utc
+      FROM email_access_sessions
+      WHERE token_hash = ?
+      LIMIT 1;
+      `,
+      [sha256(sessionToken)]
+    );
+
+    await conn.commit();
+
+    return {
+      email: row.email,
+      token: sessionToken,
+      expires_at_utc: session.expires_at_utc,
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   RESOLVE SESSION (Authorization: Bearer <token>)
+   =============================================================================
+   Returns the verified email, or null when missing / expired / wrong purpose.
+============================================================================= */
+export async function getEmailSession(req, purpose) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+
+  const [[session]] = await pool.query(
+    `
+    SELECT email
+    FROM email_access_sessions
+    WHERE token_hash = ?
+      AND purpose = ?
+      AND expires_at_utc > UTC_TIMESTAMP()
+    LIMIT 1;
+    `,
+    [sha256(match[1]), purpose]
+  );
+
+  return session?.email ?? null;
+}
+
+/* =============================================================================
+   END SESSION (SIGN OUT)
+============================================================================= */
+export async function revokeEmailSession(req, purpose) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return;
+
+  await pool.query(
+    `DELETE FROM email_access_sessions WHERE token_hash = ? AND purpose = ?`,
+    [sha256(match[1]), purpose]
+  );
+}
@@ -48,6 +48,74 @@ function formatDateRange(start, end) {
   `;
 }
 
+/**
+ * Describe a series repeat rule in plain English
+ * Example:
+ * { frequency: "weekly", interval_count: 2, until_date: "2026-06-12" } →
+ * Every 2 weeks until Friday, June 12, 2026
+ */
+function formatRecurrence(series) {
+  const units = { daily: "day", weekly: "week", monthly: "month" };
+  const unit = units[series.frequency] || series.frequency;
+  const interval = Number(series.interval_count) || 1;
+
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  const until = new Date(`${String(series.until_date).slice(0, 10)}T12:00:00`);
+  const untilLabel = until.toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+
+  return `${every} until ${untilLabel}`;
+}
+
+/* =============================================================================
+   HTML ESCAPING
+   =============================================================================
+   Titles, names, reasons and links come from users / the request →
+   escape before they go into an HTML body (subjects + text stay raw)
+============================================================================= */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * "Room – Site" line (snapshots) for HTML bodies
+ */
+function roomSiteLine(view) {
+  return `${escapeHtml(view.room_name_snapshot)} – ${escapeHtml(
+    view.site_name_snapshot
+  )}`;
+}
+
+/**
+ * "Check in when you arrive" block (invites + reminders)
+ * • view.check_in_link is attached by the email worker / reminder sweep
+ *   (absent when CHECK_IN_LINK_SECRET is not configured)
+ */
+function checkInBlock(view) {
+  if (!view.check_in_link) return "";
+
+  return `
+    <p>
+      <strong>Check in when you arrive:</strong><br/>
+      <a href="${escapeHtml(view.check_in_link)}">Confirm this room is in use</a><br/>
+      <span style="font-size:12px; color:#6b7280;">
+        Bookings that are not checked in shortly after the start time are
+        released so others can use the room.
+      </span>
+    </p>
+  `;
+}
+
 /* =============================================================================
    BASE LAYOUT (BRIYA BRANDING)
 ============================================================================= */
@@ -105,6 +173,8 @@ export function inviteCreatedTemplate(reservation) {
     <p>
       Please accept the calendar invitation to add this event to your calendar.
     </p>
+
+    ${checkInBlock(reservation)}
   `;
 
   return {
@@ -137,6 +207,8 @@ export function inviteUpdatedTemplate(reservation) {
     <p>
       Your calendar will update automatically once you accept the change.
     </p>
+
+    ${checkInBlock(reservation)}
   `;
 
   return {
@@ -209,3 +281,537 @@ export function inviteCancelledTemplate(reservation) {
     text: `A reservation was cancelled: ${reservation.title}`,
   };
 }
+
+/* =============================================================================
+   SERIES CREATE / REQUEST TEMPLATE
+   =============================================================================
+   One email for the whole recurring booking (the ICS carries the RRULE).
+============================================================================= */
+export function seriesInviteCreatedTemplate(series) {
+  const body = `
+    <p>You have been invited to a recurring room reservation.</p>
+
+    <p>
+      <strong>Room:</strong><br/>
+      ${roomSiteLine(series)}
+    </p>
+
+    <p>
+      <strong>First Occurrence:</strong><br/>
+      ${formatDateRange(series.start_time, series.end_time)}
+    </p>
+
+    <p>
+      <strong>Repeats:</strong><br/>
+      ${formatRecurrence(series)}
+    </p>
+
+    <p>
+      Please accept the calendar invitation to add the whole series to your calendar.
+    </p>
+
+    ${checkInBlock(series)}
+  `;
+
+  return {
+    subject: `Recurring Reservation: ${series.title}`,
+    html: baseLayout({
+      title: escapeHtml(series.title),
+      body,
+    }),
+    text: `You have been invited to a recurring room reservation: ${series.title} (${formatRecurrence(series)})`,
+  };
+}
+
+/* =============================================================================
+   SERIES UPDATE / REQUEST TEMPLATE
+============================================================================= */
+export function seriesInviteUpdatedTemplate(series) {
+  const body = `
+    <p>A recurring room reservation you are part of has been updated.</p>
+
+    <p>
+      <strong>Room:</strong><br/>
+      ${roomSiteLine(series)}
+    </p>
+
+    <p>
+      <strong>First Occurrence:</strong><br/>
+      ${formatDateRange(series.start_time, series.end_time)}
+    </p>
+
+    <p>
+      <strong>Repeats:</strong><br/>
+      ${formatRecurrence(series)}
+    </p>
+
+    <p>
+      Your calendar will update every occurrence once you accept the change.
+    </p>
+
+    ${checkInBlock(series)}
+  `;
+
+  return {
+    subject: `Updated Recurring Reservation: ${series.title}`,
+    html: baseLayout({
+      title: "Recurring Reservation Updated",
+      body,
+    }),
+    text: `A recurring reservation was updated: ${series.title} (${formatRecurrence(series)})`,
+  };
+}
+
+/* =============================================================================
+   ACCESS LINK TEMPLATE (ONE-TIME SIGN-IN)
+   =============================================================================
+   Sent by emailAccessService — no ICS attached.
+============================================================================= */
+export function accessLinkTemplate({ purpose, code, link, expires_in_minutes }) {
+  const body = `
+    <p>Use the button or the code below to open <strong>${escapeHtml(purpose)}</strong>.</p>
+
+    <p style="text-align:center; margin:24px 0;">
+      <a
+        href="${escapeHtml(link)}"
+        style="background:#0f172a; color:#ffffff; padding:12px 20px; border-radius:6px; text-decoration:none; display:inline-block;"
+      >
+        Open ${escapeHtml(purpose)}
+      </a>
+    </p>
+
+    <p>
+      <strong>Your code:</strong><br/>
+      <span style="font-size:24px; letter-spacing:4px;">${escapeHtml(code)}</span>
+    </p>
+
+    <p>
+      This link and code expire in ${expires_in_minutes} minutes and can be used once.
+      If you did not ask for this, you can ignore this email.
+    </p>
+  `;
+
+  return {
+    subject: `Your ${purpose} sign-in code: ${code}`,
+    html: baseLayout({
+      title: escapeHtml(purpose),
+      body,
+    }),
+    text: `Your ${purpose} sign-in code is ${code} (expires in ${expires_in_minutes} minutes). Or open: ${link}`,
+  };
+}
+
+/* =============================================================================
+   APPROVAL TEMPLATES (ORGANIZER ONLY — NO ICS)
+   =============================================================================
+   Restricted rooms: pending → approved | rejected.
+   Payload: { reservation } or { series } (+ reason when rejected)
+============================================================================= */
+function approvalDetails({ reservation, series }) {
+  const view = series ?? reservation;
+
+  return `
+    <p>
+      <strong>Room:</strong><br/>
+      ${roomSiteLine(view)}
+    </p>
+
+    <p>
+      <strong>${series ? "First Occurrence" : "Date & Time"}:</strong><br/>
+      ${formatDateRange(view.start_time, view.end_time)}
+    </p>
+    ${
+      series
+        ? `
+    <p>
+      <strong>Repeats:</strong><br/>
+      ${formatRecurrence(series)}
+    </p>`
+        : ""
+    }
+  `;
+}
+
+export function approvalPendingTemplate(payload) {
+  const view = payload.series ?? payload.reservation;
+
+  const body = `
+    <p>Your request has been received. This room requires approval, so the
+    time is held for you while an administrator reviews it.</p>
+
+    ${approvalDetails(payload)}
+
+    <p>
+      You will get another email once it is approved or declined. Calendar
+      invitations are sent only after approval.
+    </p>
+  `;
+
+  return {
+    subject: `Reservation Pending Approval: ${view.title}`,
+    html: baseLayout({
+      title: "Reservation Pending Approval",
+      body,
+    }),
+    text: `Your reservation "${view.title}" is pending approval.`,
+  };
+}
+
+export function approvalApprovedTemplate(payload) {
+  const view = payload.series ?? payload.reservation;
+
+  const body = `
+    <p>Good news — your reservation has been <strong>approved</strong>.</p>
+
+    ${approvalDetails(payload)}
+
+    <p>
+      A calendar invitation is on its way to you and your attendees.
+    </p>
+  `;
+
+  return {
+    subject: `Reservation Approved: ${view.title}`,
+    html: baseLayout({
+      title: "Reservation Approved",
+      body,
+    }),
+    text: `Your reservation "${view.title}" was approved.`,
+  };
+}
+
+export function approvalRejectedTemplate(payload) {
+  const view = payload.series ?? payload.reservation;
+
+  const body = `
+    <p>Your reservation request was <strong>not approved</strong>.</p>
+
+    ${approvalDetails(payload)}
+
+    <p>
+      <strong>Reason:</strong><br/>
+      ${escapeHtml(payload.reason)}
+    </p>
+
+    <p>
+      The time has been released. Please contact the site office if you
+      have questions.
+    </p>
+  `;
+
+  return {
+    subject: `Reservation Not Approved: ${view.title}`,
+    html: baseLayout({
+      title: "Reservation Not Approved",
+      body,
+    }),
+    text: `Your reservation "${view.title}" was not approved. Reason: ${payload.reason}`,
+  };
+}
+
+/* =============================================================================
+   NO-SHOW RELEASED TEMPLATE (ORGANIZER ONLY — NO ICS)
+   =============================================================================
+   Sent by the email worker when a confirmed booking was not checked in
+   within the grace period. Payload: { reservation, grace_minutes }
+============================================================================= */
+export function noShowReleasedTemplate({ reservation, grace_minutes }) {
+  const body = `
+    <p>
+      Nobody checked in to your booking within ${grace_minutes} minutes of
+      the start time, so the rest of the slot has been
+      <strong>released</strong> for others to use.
+    </p>
+
+    <p>
+      <strong>Room:</strong><br/>
+      ${roomSiteLine(reservation)}
+    </p>
+
+    <p>
+      <strong>Date & Time:</strong><br/>
+      ${formatDateRange(reservation.start_time, reservation.end_time)}
+    </p>
+
+    <p>
+      If you still need the room, please book it again. Next time, use the
+      check-in link in your invitation (or the calendar) when you arrive.
+    </p>
+  `;
+
+  return {
+    subject: `Reservation Released: ${reservation.title}`,
+    html: baseLayout({
+      title: "Reservation Released",
+      body,
+    }),
+    text: `Your reservation "${reservation.title}" was released because nobody checked in within ${grace_minutes} minutes of the start time.`,
+  };
+}
+
+/* =============================================================================
+   WAITLIST TEMPLATES (WAITLISTED PERSON ONLY — NO ICS)
+   =============================================================================
+   Sent by waitlistService when a slot someone queued for frees up.
+   • waitlist_offer  → { entry, link, expires_in_minutes }
+   • waitlist_booked → { entry } (auto-book; the invite follows separately)
+============================================================================= */
+function waitlistDetails(entry) {
+  return `
+    <p>
+      <strong>Room:</strong><br/>
+      ${roomSiteLine(entry)}
+    </p>
+
+    <p>
+      <strong>Date & Time:</strong><br/>
+      ${formatDateRange(entry.start_time, entry.end_time)}
+    </p>
+  `;
+}
+
+export function waitlistOfferTemplate({ entry, link, expires_in_minutes }) {
+  const body = `
+    <p>
+      Good news — the time you were waiting for is <strong>free</strong>.
+      You are first in line.
+    </p>
+
+    ${waitlistDetails(entry)}
+
+    <p style="text-align:center; margin:24px 0;">
+      <a
+        href="${link}"
+        style="background:#0f172a; color:#ffffff; padding:12px 20px; border-radius:6px; text-decoration:none; display:inline-block;"
+      >
+        Claim this slot
+      </a>
+    </p>
+
+    <p>
+      This offer expires in ${expires_in_minutes} minutes. After that the next
+      person on the waitlist is offered the slot.
+    </p>
+  `;
+
+  return {
+    subject: `Room Available: ${entry.title || entry.room_name_snapshot}`,
+    html: baseLayout({
+      title: "Room Available",
+      body,
+    }),
+    text: `The room you were waiting for (${entry.room_name_snapshot}) is free. Claim it within ${expires_in_minutes} minutes: ${link}`,
+  };
+}
+
+export function waitlistBookedTemplate({ entry }) {
+  const body = `
+    <p>
+      The time you were waiting for became free and has been
+      <strong>booked for you</strong> automatically.
+    </p>
+
+    ${waitlistDetails(entry)}
+
+    <p>
+      Your calendar invitation (or the approval notice, for rooms that need
+      approval) follows in a separate email.
+    </p>
+  `;
+
+  return {
+    subject: `Booked From Waitlist: ${entry.title || entry.room_name_snapshot}`,
+    html: baseLayout({
+      title: "Booked From Waitlist",
+      body,
+    }),
+    text: `The room you were waiting for (${entry.room_name_snapshot}) was booked for you automatically.`,
+  };
+}
+
+/* =============================================================================
+   REMINDER TEMPLATE (NO ICS)
+   =============================================================================
+   Queued by the reminder sweep (reminderService) REMINDER_OFFSETS_MINUTES
+   before start_time. Payload: { reservation, offset_minutes }
+   • Wording uses the actual start, not the offset (a booking moved closer
+     may be reminded later than the offset)
+============================================================================= */
+export function reminderTemplate({ reservation }) {
+  const body = `
+    <p>This is a reminder that your room booking is coming up.</p>
+
+    <p>
+      <strong>Room:</strong><br/>
+      ${roomSiteLine(reservation)}
+    </p>
+
+    <p>
+      <strong>Date & Time:</strong><br/>
+      ${formatDateRange(reservation.start_time, reservation.end_time)}
+    </p>
+
+    <p>
+      No longer need the room? Please cancel the booking so others can use
+      it.
+    </p>
+
+    ${checkInBlock(reservation)}
+  `;
+
+  return {
+    subject: `Reminder: ${reservation.title}`,
+    html: baseLayout({
+      title: `Reminder: ${escapeHtml(reservation.title)}`,
+      body,
+    }),
+    text: `Reminder: "${reservation.title}" in ${reservation.room_name_snapshot} (${reservation.site_name_snapshot}) starts ${formatDateTime(reservation.start_time)}.`,
+  };
+}
+
+/* =============================================================================
+   SITE DIGEST TEMPLATE (SUBSCRIBED SITE MANAGERS — NO ICS)
+   =============================================================================
+   Queued by the digest sweep (siteDigestService) at DIGEST_SEND_TIME.
+   Payload: { site: { slug, name }, days: [{ date, reservations }] }
+   • days[0] = today, days[1] = next open day (when there is one)
+============================================================================= */
+
+/**
+ * "2026-01-12" → "Monday, January 12, 2026" (noon anchor → no drift)
+ */
+function formatDigestDay(dayKey) {
+  return new Date(`${dayKey}T12:00:00`).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+/**
+ * "2026-01-12 14:30:00" → "2:30 PM" (wall time as stored, no conversion)
+ */
+function formatWallClock(mysqlDateTime) {
+  const [hh, mm] = String(mysqlDateTime).slice(11, 16).split(":").map(Number);
+  return `${hh % 12 || 12}:${String(mm).padStart(2, "0")} ${hh < 12 ? "AM" : "PM"}`;
+}
+
+/**
+ * Time column for one day (multi-day bookings continue across midnight)
+ */
+function digestTimeRange(reservation, dayKey) {
+  const start =
+    reservation.start_time.slice(0, 10) < dayKey
+      ? "(earlier)"
+      : formatWallClock(reservation.start_time);
+  const end =
+    reservation.end_time.slice(0, 10) > dayKey
+      ? "(next day)"
+      : formatWallClock(reservation.end_time);
+
+  return `${start} – ${end}`;
+}
+
+function digestDaySection(day, label) {
+  const heading = `
+    <h3 style="margin:24px 0 8px; font-size:16px; color:#111827;">
+      ${label} · ${formatDigestDay(day.date)}
+    </h3>
+  `;
+
+  if (day.reservations.length === 0) {
+    return `${heading}<p style="color:#6b7280;">No reservations.</p>`;
+  }
+
+  const rows = day.reservations
+    .map(
+      (r) => `
+      <tr>
+        <td style="padding:6px 8px; border-top:1px solid #e5e7eb; white-space:nowrap;">
+          ${digestTimeRange(r, day.date)}
+        </td>
+        <td style="padding:6px 8px; border-top:1px solid #e5e7eb;">
+          ${escapeHtml(r.room_name_snapshot)}
+        </td>
+        <td style="padding:6px 8px; border-top:1px solid #e5e7eb;">
+          <strong>${escapeHtml(r.title || "Untitled reservation")}</strong><br/>
+          <span style="color:#6b7280;">${escapeHtml(r.created_by_name)}</span>
+          ${
+            r.status === "pending"
+              ? `<br/><span style="color:#b45309;">Pending approval</span>`
+              : ""
+          }
+        </td>
+      </tr>
+    `
+    )
+    .join("");
+
+  return `
+    ${heading}
+    <table style="width:100%; border-collapse:collapse; font-size:14px;">
+      <tr style="text-align:left; color:#6b7280;">
+        <th style="padding:6px 8px;">Time</th>
+        <th style="padding:6px 8px;">Room</th>
+        <th style="padding:6px 8px;">Booking</th>
+      </tr>
+      ${rows}
+    </table>
+  `;
+}
+
+function digestDayText(day, label) {
+  const lines = day.reservations.map(
+    (r) =>
+      `• ${digestTimeRange(r, day.date)} · ${r.room_name_snapshot} · ${
+        r.title || "Untitled reservation"
+      } (${r.created_by_name})${r.status === "pending" ? " [pending]" : ""}`
+  );
+
+  return [
+    `${label} · ${formatDigestDay(day.date)}`,
+    ...(lines.length > 0 ? lines : ["No reservations."]),
+  ].join("\n");
+}
+
+export function siteDigestTemplate({ site, days }) {
+  const [today, next] = days;
+
+  // Friday's digest (weekends closed) shows Monday as the next open day
+  const daysAhead = next
+    ? Math.round(
+        (Date.parse(`${next.date}T12:00:00`) -
+          Date.parse(`${today.date}T12:00:00`)) /
+          86_400_000
+      )
+    : 0;
+  const nextLabel = daysAhead === 1 ? "Tomorrow" : "Next open day";
+
+  const body = `
+    <p>Here is today's room schedule for <strong>${escapeHtml(site.name)}</strong>.</p>
+
+    ${digestDaySection(today, "Today")}
+    ${next ? digestDaySection(next, nextLabel) : ""}
+
+    <p style="margin-top:24px; font-size:12px; color:#6b7280;">
+      You receive this digest as a site manager. Ask a Briya admin to
+      change who gets it.
+    </p>
+  `;
+
+  return {
+    subject: `Today at ${site.name}: ${today.reservations.length} reservation${
+      today.reservations.length === 1 ? "" : "s"
+    }`,
+    html: baseLayout({
+      title: `${escapeHtml(site.name)} — Daily Schedule`,
+      body,
+    }),
+    text: [
+      `${site.name} — Daily Schedule`,
+      digestDayText(today, "Today"),
+      ...(next ? [digestDayText(next, nextLabel)] : []),
+    ].join("\n\n"),
+  };
+}
@@ -0,0 +1,152 @@
+// src/services/idempotencyService.js
+// -----------------------------------------------------------------------------
+// IDEMPOTENCY KEYS (SAFE RETRIES FOR RESERVATION CREATE)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Read + validate the `Idempotency-Key` request header
+// • Fingerprint a request body (SHA-256 of canonical JSON)
+// • Look up / store the response of a completed create
+//
+// IMPORTANT DESIGN NOTES:
+// • Lookups + stores take a TRANSACTION connection: the stored response
+//   commits together with the reservation rows it describes
+// • The lookup is a locking read → always sees the latest committed key,
+//   even after the transaction's first snapshot
+// • Two requests with the same key race on the UNIQUE key; the loser gets
+//   ER_DUP_ENTRY and the caller replays the winner's response
+// • See 010_reservation_idempotency.sql
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 128;
+
+// Printable ASCII, no spaces (UUIDs, ULIDs, base64url …)
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]+$/;
+
+/**
+ * Idempotency-Key header → key | null (not sent) | undefined (invalid)
+ */
+export function parseIdempotencyKey(req) {
+  const raw = req.get("idempotency-key");
+  if (raw == null || raw === "") return null;
+
+  const key = String(raw).trim();
+  if (
+    key.length === 0 ||
+    key.length > MAX_IDEMPOTENCY_KEY_LENGTH ||
+    !IDEMPOTENCY_KEY_PATTERN.test(key)
+  ) {
+    return undefined;
+  }
+
+  return key;
+}
+
+/**
+ * Stable JSON (object keys sorted) → same payload, same hash
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+export function hashRequestBody(body) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(body ?? {}))
+    .digest("hex");
+}
+
+function parseStoredBody(value) {
+  if (value && typeof value === "object") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stored result for a key (locking read) → null when unused / expired
+ * Returns { requestHash, status, body }
+ */
+export async function findIdempotentResult(conn, key) {
+  const [[row]] = await conn.query(
+    `
+    SELECT request_hash, response_status, response_body
+    FROM reservation_idempotency_keys
+    WHERE idempotency_key = ?
+      AND created_at_utc > UTC_TIMESTAMP() - INTERVAL ? HOUR
+    LIMIT 1
+    FOR UPDATE;
+    `,
+    [key, IDEMPOTENCY_KEY_TTL_HOURS]
+  );
+
+  if (!row) return null;
+
+  return {
+    requestHash: row.request_hash,
+    status: Number(row.response_status),
+    body: parseStoredBody(row.response_body),
+  };
+}
+
+/**
+ * Store the response of a successful create (same transaction)
+ * • An expired row for the same key is replaced
+ */
+export async function storeIdempotentResult(
+  conn,
+  { key, requestHash, status, body }
+) {
+  await conn.query(
+    `
+    DELETE FROM reservation_idempotency_keys
+    WHERE idempotency_key = ?
+      AND created_at_utc <= UTC_TIMESTAMP() - INTERVAL ? HOUR;
+    `,
+    [key, IDEMPOTENCY_KEY_TTL_HOURS]
+  );
+
+  await conn.query(
+    `
+    INSERT INTO reservation_idempotency_keys (
+      idempotency_key,
+      request_hash,
+      response_status,
+      response_body,
+      created_at_utc
+    )
+    VALUES (?, ?, ?, ?, UTC_TIMESTAMP());
+    `,
+    [key, requestHash, status, JSON.stringify(body)]
+  );
+}
+
+/**
+ * 422 body for a key reused with a different payload
+ */
+export function buildIdempotencyMismatchResponse() {
+  return {
+    message:
+      "This Idempotency-Key was already used for a different reservation request.",
+    code: "IDEMPOTENCY_KEY_REUSED",
+  };
+}
@@ -0,0 +1,288 @@
+// src/services/reminderService.js
+// -----------------------------------------------------------------------------
+// REMINDER EMAILS (BEFORE A BOOKING STARTS)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Find confirmed bookings that reached a reminder offset (worker sweep)
+// • Enqueue ONE 'reminder' job per booking + offset + start time
+// • Let the worker drop reminders whose booking changed after queueing
+//
+// IMPORTANT DESIGN NOTES:
+// • Nothing is scheduled ahead of time — each sweep derives what is due
+//   from the CURRENT start_time / status, so moving a booking reschedules
+//   its reminders and cancelling it stops them, without hooks in every
+//   write path
+// • reservation_reminders (017) has a UNIQUE key → restarts and several
+//   workers cannot queue duplicates
+// • Only the SMALLEST due offset is sent: a worker that was down (or a
+//   booking moved closer) gets one reminder, not a burst of stale ones
+// • A booking made after an offset's due time skips that offset
+//   (booked at 3 PM for 10 AM tomorrow → no "24 hours" reminder)
+// • start_time is LOCAL wall time → "now" comes from localNowMySQL()
+// -----------------------------------------------------------------------------
+
+import { pool } from "../db/mysql.js";
+import { enqueueEmailJob } from "../queue/emailQueue.js";
+import { shiftWallTime } from "../utils/calendarUtils.js";
+import { localNowMySQL, buildCheckInLink } from "./checkInService.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+const DEFAULT_OFFSETS_MINUTES = [1440, 30];
+
+/**
+ * REMINDER_OFFSETS_MINUTES (env) → minutes before start_time, largest first
+ * • "1440,30" (default) → 24 hours and 30 minutes before
+ * • "off" / "0"         → no reminders
+ */
+export function getReminderOffsets() {
+  const raw = process.env.REMINDER_OFFSETS_MINUTES;
+  if (raw == null || raw.trim() === "") return DEFAULT_OFFSETS_MINUTES;
+
+  const offsets = raw
+    .split(",")
+    .map((v) => Number(v.trim()))
+    .filter((n) => Number.isInteger(n) && n > 0);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * REMINDER_INCLUDE_ATTENDEES=true → attendees get reminders too
+ * (organizer only by default)
+ */
+function includeAttendees() {
+  return process.env.REMINDER_INCLUDE_ATTENDEES === "true";
+}
+
+function reminderRecipients(row) {
+  const emails = [row.email];
+
+  if (includeAttendees()) {
+    emails.push(...String(row.attendees_emails || "").split(","));
+  }
+
+  return [
+    ...new Set(emails.map((e) => String(e || "").trim()).filter(Boolean)),
+  ];
+}
+
+/**
+ * Which offset (if any) should be sent for this booking right now
+ */
+function dueOffset(row, offsets, now) {
+  const due = offsets.filter(
+    (minutes) => shiftWallTime(row.start_time, { minutes: -minutes }) <= now
+  );
+  if (due.length === 0) return null;
+
+  const offset = Math.min(...due);
+  const dueAt = shiftWallTime(row.start_time, { minutes: -offset });
+
+  const bookedAt = localNowMySQL(
+    new Date(`${String(row.created_at_utc).replace(" ", "T")}Z`)
+  );
+
+  return bookedAt < dueAt ? offset : null;
+}
+
+/* ------------------------------------------------------------------
+   CLAIM A REMINDER ROW → reminder id | null (already queued / sent)
+   ------------------------------------------------------------------
+   • New key → INSERT
+   • 'skipped' row (booking moved away and back) → queued again
+------------------------------------------------------------------ */
+async function claimReminder(conn, row, offset) {
+  const key = [row.id, offset, row.start_time];
+
+  const [inserted] = await conn.query(
+    `
+    INSERT IGNORE INTO reservation_reminders
+      (reservation_id, offset_minutes, start_time, status, queued_at_utc)
+    VALUES (?, ?, ?, 'queued', UTC_TIMESTAMP());
+    `,
+    key
+  );
+
+  if (inserted.affectedRows === 1) return inserted.insertId;
+
+  const [requeued] = await conn.query(
+    `
+    UPDATE reservation_reminders
+    SET status = 'queued',
+        queued_at_utc = UTC_TIMESTAMP()
+    WHERE reservation_id = ?
+      AND offset_minutes = ?
+      AND start_time = ?
+      AND status = 'skipped';
+    `,
+    key
+  );
+
+  if (requeued.affectedRows === 0) return null;
+
+  const [[claimed]] = await conn.query(
+    `
+    SELECT id
+    FROM reservation_reminders
+    WHERE reservation_id = ?
+      AND offset_minutes = ?
+      AND start_time = ?;
+    `,
+    key
+  );
+
+  return claimed.id;
+}
+
+/* ------------------------------------------------------------------
+   QUEUE ONE REMINDER (CLAIM ROW + JOB IN ONE TRANSACTION)
+------------------------------------------------------------------ */
+async function queueReminder(row, offset) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const reminderId = await claimReminder(conn, row, offset);
+
+    if (!reminderId) {
+      await conn.rollback();
+      return false;
+    }
+
+    await enqueueEmailJob(
+      "reminder",
+      {
+        reminder_id: reminderId,
+        offset_minutes: offset,
+        recipients: reminderRecipients(row),
+        reservation: {
+          ...row,
+          check_in_link: buildCheckInLink({ reservationId: row.id }),
+        },
+      },
+      conn
+    );
+
+    await conn.commit();
+    return true;
+  } catch (err) {
+    await conn.rollback();
+    console.error(`❌ Reminder enqueue failed (#${row.id}):`, err.message);
+    return false;
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   REMINDER SWEEP (EMAIL WORKER)
+   =============================================================================
+   Returns the number of reminder jobs queued
+============================================================================= */
+export async function queueDueReminders() {
+  const offsets = getReminderOffsets();
+  if (offsets.length === 0) return 0;
+
+  const now = localNowMySQL();
+  const horizon = shiftWallTime(now, { minutes: offsets[0] });
+
+  const [rows] = await pool.query(
+    `
+    SELECT
+      id,
+      recurrence_id,
+      title,
+      description,
+      created_by_name,
+      email,
+      attendees_emails,
+      start_time,
+      end_time,
+      room_name_snapshot,
+      site_name_snapshot,
+      created_at_utc
+    FROM reservations
+    WHERE status = 'confirmed'
+      AND start_time > ?
+      AND start_time <= ?
+    ORDER BY start_time ASC;
+    `,
+    [now, horizon]
+  );
+
+  if (rows.length === 0) return 0;
+
+  // Reminders already queued / sent for these bookings (skip the claim)
+  const [existing] = await pool.query(
+    `
+    SELECT reservation_id, offset_minutes, start_time
+    FROM reservation_reminders
+    WHERE reservation_id IN (?)
+      AND status <> 'skipped';
+    `,
+    [rows.map((r) => r.id)]
+  );
+
+  const reminderKey = (id, offset, start) => `${id}|${offset}|${start}`;
+  const done = new Set(
+    existing.map((r) =>
+      reminderKey(r.reservation_id, r.offset_minutes, r.start_time)
+    )
+  );
+
+  let queued = 0;
+
+  for (const row of rows) {
+    if (!row.email) continue;
+
+    const offset = dueOffset(row, offsets, now);
+    if (offset === null) continue;
+    if (done.has(reminderKey(row.id, offset, row.start_time))) continue;
+
+    if (await queueReminder(row, offset)) queued += 1;
+  }
+
+  return queued;
+}
+
+/* =============================================================================
+   BEFORE SENDING (EMAIL WORKER)
+   =============================================================================
+   The booking may have changed since the job was queued.
+   Returns the skip reason, or null when the reminder is still right.
+============================================================================= */
+export async function getStaleReminderReason(payload) {
+  const [[row]] = await pool.query(
+    `SELECT status, start_time FROM reservations WHERE id = ? LIMIT 1`,
+    [payload.reservation?.id]
+  );
+
+  if (!row) return "reservation no longer exists";
+  if (row.status !== "confirmed") return `reservation is ${row.status}`;
+  if (row.start_time !== payload.reservation.start_time) {
+    return "reservation was moved";
+  }
+  if (row.start_time <= localNowMySQL()) return "reservation already started";
+
+  return null;
+}
+
+/**
+ * Record the outcome of a reminder job ('sent' | 'skipped' | 'failed')
+ */
+export async function finishReminder(reminderId, status) {
+  if (!reminderId) return;
+
+  await pool.query(
+    `
+    UPDATE reservation_reminders
+    SET status = ?,
+        sent_at_utc = IF(? = 'sent', UTC_TIMESTAMP(), sent_at_utc)
+    WHERE id = ?;
+    `,
+    [status, status, reminderId]
+  );
+}
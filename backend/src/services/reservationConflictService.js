@@ -0,0 +1,245 @@
+// src/services/reservationConflictService.js
+// -----------------------------------------------------------------------------
+// RESERVATION CONFLICT SERVICE (DOUBLE-BOOKING PREVENTION)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Serialize concurrent bookings for the SAME room
+// • Detect overlapping reservations inside a transaction
+// • Shape conflict details for 409 responses
+//
+// IMPORTANT DESIGN NOTES:
+// • Every function here takes a TRANSACTION connection (never the pool)
+// • lockRoomForBooking() MUST run before findConflictingReservations()
+//   so two simultaneous requests cannot both see "no conflicts"
+// • Overlap rule is half-open: [start, end)
+//   → 9:00–10:00 and 10:00–11:00 do NOT conflict
+// • Room buffers widen every booking to
+//   [start - buffer_before, end + buffer_after) — see 011_room_buffers.sql
+//   → two bookings need (before + after) minutes between them
+// • Cancelled / rejected / no-show reservations never block a room
+//   (pending ones DO — the slot is held while an admin reviews it)
+// -----------------------------------------------------------------------------
+
+/* =============================================================================
+   ROOM LOCK (CONCURRENCY GUARD)
+   =============================================================================
+   WHY:
+   • Checking for overlaps and inserting are two statements
+   • Without a lock, two requests can both pass the check and both insert
+   • Locking the parent room row (FOR UPDATE) makes every booking for that
+     room wait its turn until the holder commits or rolls back
+
+   Returns:
+   • true  → room exists and is now locked for this transaction
+   • false → room does not exist
+============================================================================= */
+export async function lockRoomForBooking(conn, roomId) {
+  const [rows] = await conn.query(
+    `SELECT id FROM rooms WHERE id = ? LIMIT 1 FOR UPDATE`,
+    [roomId]
+  );
+
+  return rows.length > 0;
+}
+
+/**
+ * Lock SEVERAL rooms (room move: source + target)
+ * • Always in ascending id order → two opposite moves cannot deadlock
+ */
+export async function lockRoomsForBooking(conn, roomIds) {
+  const ordered = [...new Set(roomIds.map(Number))].sort((a, b) => a - b);
+
+  for (const roomId of ordered) {
+    await lockRoomForBooking(conn, roomId);
+  }
+}
+
+/* =============================================================================
+   ROOM BUFFERS (SETUP / TEARDOWN)
+   =============================================================================
+   Returns the minimum gap (minutes) required between two bookings:
+   buffer_before_minutes + buffer_after_minutes (0 → bookings may touch)
+============================================================================= */
+export async function getRoomBufferGap(conn, roomId) {
+  const [[room]] = await conn.query(
+    `
+    SELECT buffer_before_minutes, buffer_after_minutes
+    FROM rooms
+    WHERE id = ?
+    LIMIT 1;
+    `,
+    [roomId]
+  );
+
+  if (!room) return 0;
+
+  return (
+    Number(room.buffer_before_minutes || 0) +
+    Number(room.buffer_after_minutes || 0)
+  );
+}
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" ± minutes → same format
+ * • Wall-time arithmetic (UTC math on the digits → no DST shifts)
+ */
+function addMinutesSQL(value, minutes) {
+  if (!minutes) return value;
+
+  const [day, clock = "00:00:00"] = String(value).split(" ");
+  const [y, m, d] = day.split("-").map(Number);
+  const [hh, mm, ss = 0] = clock.split(":").map(Number);
+
+  return new Date(Date.UTC(y, m - 1, d, hh, mm + minutes, ss))
+    .toISOString()
+    .slice(0, 19)
+    .replace("T", " ");
+}
+
+/**
+ * Mark conflicts that only hit the setup / teardown gap
+ * (no real overlap) → clearer 409 message
+ */
+function annotateConflict(conflict, { startSQL, endSQL }, gapMinutes) {
+  return {
+    ...conflict,
+    gap_minutes: gapMinutes,
+    within_buffer: !(
+      conflict.start_time < endSQL && conflict.end_time > startSQL
+    ),
+  };
+}
+
+/* =============================================================================
+   OVERLAP QUERY
+   =============================================================================
+   Finds reservations in the same room whose time range intersects
+   [startSQL, endSQL) — widened by the room's buffer gap.
+
+   Inputs:
+   • roomId
+   • startSQL / endSQL → MySQL DATETIME strings (LOCAL wall time)
+   • excludeIds        → reservation ids to ignore (e.g. the row being edited)
+============================================================================= */
+export async function findConflictingReservations(
+  conn,
+  { roomId, startSQL, endSQL, excludeIds = [] }
+) {
+  const gap = await getRoomBufferGap(conn, roomId);
+
+  const rows = await queryOverlaps(conn, {
+    roomId,
+    startSQL: addMinutesSQL(startSQL, -gap),
+    endSQL: addMinutesSQL(endSQL, gap),
+    excludeIds,
+  });
+
+  return rows.map((c) => annotateConflict(c, { startSQL, endSQL }, gap));
+}
+
+async function queryOverlaps(conn, { roomId, startSQL, endSQL, excludeIds }) {
+  const params = [roomId, endSQL, startSQL];
+  let excludeClause = "";
+
+  if (excludeIds.length > 0) {
+    excludeClause = `AND r.id NOT IN (${excludeIds.map(() => "?").join(", ")})`;
+    params.push(...excludeIds);
+  }
+
+  const [rows] = await conn.query(
+    `
+    SELECT
+      r.id,
+      r.title,
+      r.start_time,
+      r.end_time
+    FROM reservations r
+    WHERE r.room_id = ?
+      AND r.status NOT IN ('cancelled', 'rejected', 'no_show')
+      AND r.start_time < ?
+      AND r.end_time > ?
+      ${excludeClause}
+    ORDER BY r.start_time ASC;
+    `,
+    params
+  );
+
+  return rows;
+}
+
+/* =============================================================================
+   OVERLAP QUERY — MANY CANDIDATE RANGES (RECURRING SERIES)
+   =============================================================================
+   WHY:
+   • A semester-long series can expand into 100+ instances
+   • One query per instance would hold the room lock far too long
+   • Instead: load every booking inside the series' outer window ONCE,
+     then test each instance in memory
+
+   Inputs:
+   • ranges → [{ startSQL, endSQL }, ...]
+
+   Returns:
+   • De-duplicated conflicting rows (same shape as findConflictingReservations)
+============================================================================= */
+export async function findConflictsForRanges(
+  conn,
+  { roomId, ranges, excludeIds = [] }
+) {
+  if (ranges.length === 0) return [];
+
+  // MySQL DATETIME strings sort chronologically → plain string min/max is safe
+  const windowStart = ranges.reduce(
+    (min, r) => (r.startSQL < min ? r.startSQL : min),
+    ranges[0].startSQL
+  );
+  const windowEnd = ranges.reduce(
+    (max, r) => (r.endSQL > max ? r.endSQL : max),
+    ranges[0].endSQL
+  );
+
+  const gap = await getRoomBufferGap(conn, roomId);
+
+  const candidates = await queryOverlaps(conn, {
+    roomId,
+    startSQL: addMinutesSQL(windowStart, -gap),
+    endSQL: addMinutesSQL(windowEnd, gap),
+    excludeIds,
+  });
+
+  const conflicts = [];
+
+  for (const c of candidates) {
+    const hit = ranges.find(
+      (r) =>
+        c.start_time < addMinutesSQL(r.endSQL, gap) &&
+        c.end_time > addMinutesSQL(r.startSQL, -gap)
+    );
+
+    if (hit) conflicts.push(annotateConflict(c, hit, gap));
+  }
+
+  return conflicts;
+}
+
+/* =============================================================================
+   409 RESPONSE BODY
+============================================================================= */
+export function buildConflictResponse(conflicts) {
+  // Nothing actually overlaps — only the setup / teardown gap is too short
+  const bufferOnly =
+    conflicts.length > 0 && conflicts.every((c) => c.within_buffer);
+
+  return {
+    message: bufferOnly
+      ? `Too close to another booking — this room needs ${conflicts[0].gap_minutes} minutes between bookings for setup and cleanup.`
+      : "This room is already booked for the selected time.",
+    conflicts: conflicts.map((c) => ({
+      id: c.id,
+      title: c.title,
+      start_time: c.start_time,
+      end_time: c.end_time,
+      within_buffer: Boolean(c.within_buffer),
+    })),
+  };
+}
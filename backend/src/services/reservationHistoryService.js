@@ -0,0 +1,141 @@
+// src/services/reservationHistoryService.js
+// -----------------------------------------------------------------------------
+// RESERVATION HISTORY SERVICE (AUDIT TRAIL)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Resolve WHO is making a change (PIN role / verified email)
+// • Diff a reservation row before vs. after a write
+// • Append history rows (reservation_history)
+//
+// IMPORTANT DESIGN NOTES:
+// • recordReservationHistory() takes a TRANSACTION connection (never the
+//   pool) → the audit row commits or rolls back WITH the change itself
+// • Only whitelisted fields are diffed (no audit / version noise)
+// • Rows are append-only — nothing here updates or deletes history
+// -----------------------------------------------------------------------------
+
+import { resolvePinRole } from "../middleware/requirePinRole.js";
+
+/**
+ * Fields that make up a reservation's "story"
+ * (audit columns, version and ids are intentionally left out)
+ */
+export const HISTORY_FIELDS = [
+  "title",
+  "description",
+  "start_time",
+  "end_time",
+  "created_by_name",
+  "email",
+  "attendees_emails",
+  "room_name_snapshot",
+  "site_name_snapshot",
+  "recurrence_id",
+  "status",
+  "review_reason",
+  "checked_in_at_utc",
+];
+
+/**
+ * Acting identity for a request
+ * • accessRole  → set by requirePinRole() (admin routes)
+ * • X-Access-Pin → optional on calendar writes (device PIN)
+ * • accessEmail → verified My Reservations session
+ */
+export function resolveHistoryActor(req) {
+  return {
+    role: req.accessRole ?? resolvePinRole(req.get("x-access-pin")),
+    email: req.accessEmail ?? null,
+  };
+}
+
+function normalizeValue(value) {
+  if (value === undefined || value === "") return null;
+  if (typeof value === "bigint") return Number(value);
+  return value;
+}
+
+/**
+ * before / after → { field: { from, to } } (changed fields only)
+ * • before = null → create (every populated field, "from" null)
+ */
+export function diffReservation(before, after) {
+  const changes = {};
+
+  for (const field of HISTORY_FIELDS) {
+    if (!after || !(field in after)) continue;
+
+    const from = normalizeValue(before ? before[field] : null);
+    const to = normalizeValue(after[field]);
+
+    if (from !== to && String(from) !== String(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Append history rows (bulk)
+ * entries: [{ reservationId, action, changes, editScope? }]
+ * • Empty diffs are skipped for "update" (a no-op save changes nothing)
+ */
+export async function recordReservationHistory(conn, actor, entries) {
+  const rows = entries
+    .filter(
+      (e) => e.action !== "update" || Object.keys(e.changes).length > 0
+    )
+    .map((e) => [
+      e.reservationId,
+      e.action,
+      e.editScope ?? null,
+      JSON.stringify(e.changes),
+      actor?.role ?? null,
+      actor?.email ?? null,
+    ]);
+
+  if (rows.length === 0) return;
+
+  await conn.query(
+    `
+    INSERT INTO reservation_history (
+      reservation_id,
+      action,
+      edit_scope,
+      changes,
+      actor_role,
+      actor_email,
+      created_at_utc
+    )
+    VALUES ${rows.map(() => "(?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())").join(", ")};
+    `,
+    rows.flat()
+  );
+}
+
+/**
+ * Pair rows by id and record one history entry per row
+ * • beforeRows / afterRows → same shape (fetchReservationRowsByIds)
+ */
+export async function recordRowChanges(
+  conn,
+  actor,
+  { action, beforeRows, afterRows, editScope = null }
+) {
+  const beforeById = new Map(beforeRows.map((r) => [Number(r.id), r]));
+
+  await recordReservationHistory(
+    conn,
+    actor,
+    afterRows.map((after) => ({
+      reservationId: Number(after.id),
+      action,
+      editScope,
+      changes: diffReservation(
+        beforeById.get(Number(after.id)) ?? null,
+        after
+      ),
+    }))
+  );
+}
@@ -0,0 +1,153 @@
+// src/services/reservationHoldService.js
+// -----------------------------------------------------------------------------
+// TENTATIVE HOLDS (CREATE MODAL OPEN)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Place / release a short-lived hold on a room + time range
+// • Find holds that block someone else's create
+//
+// IMPORTANT DESIGN NOTES:
+// • Holds are taken under lockRoomForBooking() → two viewers opening the
+//   same slot cannot both get it
+// • Expired holds are simply ignored (expires_at_utc > UTC_TIMESTAMP());
+//   rows are purged lazily whenever a new hold is placed
+// • The holder proves ownership with the token returned on create
+//   (only its SHA-256 is stored)
+// • A hold blocks everyone else's writes into its range: creates, edits /
+//   drags of existing bookings and waitlist bookings
+// • See 014_reservation_holds.sql
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+import { sha256 } from "../utils/helpers.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+export const HOLD_MINUTES = 5;
+
+/* =============================================================================
+   FIND BLOCKING HOLDS
+   =============================================================================
+   Active holds overlapping ANY of the ranges ([{ startSQL, endSQL }]),
+   except the caller's own hold (holdToken).
+
+   Returns [{ id, start_time, end_time, expires_at_utc }]
+============================================================================= */
+export async function findConflictingHolds(
+  conn,
+  { roomId, ranges, holdToken = null }
+) {
+  if (ranges.length === 0) return [];
+
+  const from = ranges.map((r) => r.startSQL).sort()[0];
+  const to = ranges
+    .map((r) => r.endSQL)
+    .sort()
+    .at(-1);
+
+  const [holds] = await conn.query(
+    `
+    SELECT id, start_time, end_time, expires_at_utc
+    FROM reservation_holds
+    WHERE room_id = ?
+      AND expires_at_utc > UTC_TIMESTAMP()
+      AND start_time < ?
+      AND end_time > ?
+      AND token_hash <> ?
+    ORDER BY start_time ASC;
+    `,
+    [roomId, to, from, holdToken ? sha256(holdToken) : ""]
+  );
+
+  return holds.filter((h) =>
+    ranges.some(
+      (r) =>
+        String(h.start_time) < r.endSQL && String(h.end_time) > r.startSQL
+    )
+  );
+}
+
+/**
+ * 409 body when someone else's hold blocks the range
+ * (same shape as buildConflictResponse + code / holds)
+ */
+export function buildHoldConflictResponse(holds) {
+  return {
+    message:
+      "Someone else is booking this time right now. Try again in a few minutes or pick another time.",
+    code: "SLOT_HELD",
+    conflicts: [],
+    holds: holds.map((h) => ({
+      id: h.id,
+      start_time: h.start_time,
+      end_time: h.end_time,
+      expires_at_utc: h.expires_at_utc,
+    })),
+  };
+}
+
+/* =============================================================================
+   PLACE A HOLD
+   =============================================================================
+   Runs inside the caller's transaction, AFTER lockRoomForBooking().
+   Returns { id, token, start_time, end_time, expires_at_utc }
+============================================================================= */
+export async function placeHold(conn, { roomId, startSQL, endSQL }) {
+  await conn.query(
+    `DELETE FROM reservation_holds WHERE expires_at_utc <= UTC_TIMESTAMP()`
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const [result] = await conn.query(
+    `
+    INSERT INTO reservation_holds (
+      room_id,
+      start_time,
+      end_time,
+      token_hash,
+      expires_at_utc,
+      created_at_utc
+    )
+    VALUES (?, ?, ?, ?, UTC_TIMESTAMP() + INTERVAL ? MINUTE, UTC_TIMESTAMP());
+    `,
+    [roomId, startSQL, endSQL, sha256(token), HOLD_MINUTES]
+  );
+
+  const [[hold]] = await conn.query(
+    `SELECT expires_at_utc FROM reservation_holds WHERE id = ? LIMIT 1`,
+    [result.insertId]
+  );
+
+  return {
+    id: result.insertId,
+    token,
+    start_time: startSQL,
+    end_time: endSQL,
+    expires_at_utc: hold.expires_at_utc,
+  };
+}
+
+/* =============================================================================
+   RELEASE A HOLD
+   =============================================================================
+   • id + token → only the holder can release it
+   • id omitted → the hold is found by token alone (create converts it)
+   Returns true when a hold was removed.
+============================================================================= */
+export async function releaseHold(conn, { id = null, token }) {
+  if (typeof token !== "string" || token.length === 0) return false;
+
+  const [result] = await conn.query(
+    `
+    DELETE FROM reservation_holds
+    WHERE token_hash = ?
+      ${id != null ? "AND id = ?" : ""};
+    `,
+    id != null ? [sha256(token), id] : [sha256(token)]
+  );
+
+  return result.affectedRows > 0;
+}
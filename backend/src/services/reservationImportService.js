@@ -0,0 +1,614 @@
+// src/services/reservationImportService.js
+// -----------------------------------------------------------------------------
+// BULK CSV IMPORT (TERM SCHEDULES)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Parse an admin-uploaded CSV (one booking or recurring series per row)
+// • Validate every row: columns, calendar policy, site / room, recurrence
+// • Check conflicts against the calendar AND earlier rows of the same file
+// • Insert the bookings (same rows as the create endpoint)
+// • Queue invites / approval notices once the import is committed
+//
+// IMPORTANT DESIGN NOTES:
+// • runReservationImport() works inside the CALLER's transaction:
+//     dry run → always ROLLBACK (the report is exactly what a commit would do)
+//     commit  → COMMIT only when every row is valid (all-or-nothing)
+// • Every room named in the file is locked up front (ascending id order,
+//   like a room move) → no booking can slip in between check and insert
+// • Earlier rows are inserted before later rows are checked → two rows of
+//   the same file cannot double-book a room
+// -----------------------------------------------------------------------------
+
+import {
+  getCalendarPolicy,
+  validateReservationRange,
+} from "@briya/calendar-core";
+
+import calendarInviteService from "./calendarInviteService.js";
+import {
+  lockRoomsForBooking,
+  findConflictsForRanges,
+  buildConflictResponse,
+} from "./reservationConflictService.js";
+import {
+  findConflictingHolds,
+  buildHoldConflictResponse,
+} from "./reservationHoldService.js";
+import { recordRowChanges } from "./reservationHistoryService.js";
+import { localNowMySQL } from "./checkInService.js";
+import {
+  generateRecurrenceInstances,
+  validateRecurrencePayload,
+  MAX_RECURRENCE_INSTANCES,
+} from "../recurrence/recurrenceEngine.js";
+import { parseCsv } from "../utils/csv.js";
+import { isValidEmail, nowUtcMySQL, dateToSQL } from "../utils/helpers.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+export const MAX_IMPORT_ROWS = 500;
+
+const AUDIT_TZ = "America/New_York";
+
+// Canonical column → accepted header spellings (case / spacing ignored)
+const COLUMN_ALIASES = {
+  site: ["site", "site_slug"],
+  room: ["room", "room_name", "room_id"],
+  title: ["title"],
+  description: ["description", "notes"],
+  organizer: ["organizer", "created_by_name", "booked_by"],
+  email: ["email", "organizer_email"],
+  attendees: ["attendees", "attendees_emails"],
+  start: ["start", "start_time"],
+  end: ["end", "end_time"],
+  frequency: ["frequency", "repeat"],
+  interval: ["interval"],
+  until: ["until", "repeat_until"],
+  exclude_dates: ["exclude_dates", "skip_dates"],
+};
+
+const REQUIRED_COLUMNS = ["site", "room", "organizer", "email", "start", "end"];
+
+/* ------------------------------------------------------------------
+   HELPERS
+------------------------------------------------------------------ */
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function sqlToDate(value) {
+  return new Date(value.replace(" ", "T"));
+}
+
+/**
+ * CSV cell → MySQL DATETIME | null
+ * Accepts "YYYY-MM-DD HH:MM[:SS]", "YYYY-MM-DDTHH:MM" and the US format
+ * spreadsheets save ("9/8/2025 9:00 AM", "9/8/2025 13:30")
+ */
+function parseCsvDateTime(value) {
+  const s = String(value ?? "").trim();
+
+  let parts = null;
+
+  const iso = s.match(
+    /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::\d{2})?$/
+  );
+  if (iso) {
+    const [, y, mo, d, h, mm] = iso;
+    parts = { y, mo, d, hours: Number(h), mm };
+  }
+
+  const us = s.match(
+    /^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?:\s*([AaPp])[Mm])?$/
+  );
+  if (us) {
+    const [, mo, d, y, h, mm, meridiem] = us;
+    let hours = Number(h);
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (/p/i.test(meridiem) ? 12 : 0);
+    }
+
+    parts = { y, mo, d, hours, mm };
+  }
+
+  if (!parts || parts.hours > 23 || Number(parts.mm) > 59) return null;
+
+  const { y, mo, d, hours, mm } = parts;
+  const sql = `${y}-${pad2(mo)}-${pad2(d)} ${pad2(hours)}:${mm}:00`;
+
+  // Reject dates that roll over (2025-02-30 → March 2)
+  return dateToSQL(sqlToDate(sql)) === sql ? sql : null;
+}
+
+/**
+ * "YYYY-MM-DD" or "M/D/YYYY" → "YYYY-MM-DD" | null
+ */
+function parseCsvDate(value) {
+  const s = String(value ?? "").trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+
+  const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return us ? `${us[3]}-${pad2(us[1])}-${pad2(us[2])}` : null;
+}
+
+function splitList(value) {
+  return String(value ?? "")
+    .split(/[;,\s]+/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/* =============================================================================
+   CSV → RECORDS
+   =============================================================================
+   Returns { records: [{ line, values: { site, room, … } }] }
+   or      { message } when the file itself is unusable (no header, missing
+   required columns, too many rows, broken quotes)
+============================================================================= */
+function readImportCsv(text) {
+  let table;
+
+  try {
+    table = parseCsv(text);
+  } catch (err) {
+    return { message: err.message };
+  }
+
+  if (table.length < 2) {
+    return { message: "The file needs a header row and at least one booking." };
+  }
+
+  const [header, ...body] = table;
+
+  const columns = header.map((name) => {
+    const key = name.trim().toLowerCase().replace(/[\s-]+/g, "_");
+    return (
+      Object.keys(COLUMN_ALIASES).find((c) =>
+        COLUMN_ALIASES[c].includes(key)
+      ) ?? null
+    );
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((c) => !columns.includes(c));
+  if (missing.length > 0) {
+    return { message: `Missing column(s): ${missing.join(", ")}.` };
+  }
+
+  if (body.length > MAX_IMPORT_ROWS) {
+    return {
+      message: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file.`,
+    };
+  }
+
+  return {
+    records: body.map((cells) => {
+      const values = {};
+
+      columns.forEach((column, i) => {
+        if (column) values[column] = (cells[i] ?? "").trim();
+      });
+
+      return { line: cells.line, values };
+    }),
+  };
+}
+
+/* =============================================================================
+   ONE ROW → BOOKING PLAN (NO DB)
+   =============================================================================
+   Returns { errors, booking } — booking.ranges = every occurrence
+============================================================================= */
+function planRow(values, { policy, now }) {
+  const errors = [];
+
+  const startSQL = parseCsvDateTime(values.start);
+  const endSQL = parseCsvDateTime(values.end);
+
+  if (!values.site) errors.push("Site is required.");
+  if (!values.room) errors.push("Room is required.");
+  if (!values.organizer) errors.push("Organizer is required.");
+
+  if (!isValidEmail(values.email)) {
+    errors.push("Organizer email is invalid.");
+  }
+
+  const attendees = splitList(values.attendees);
+  const badAttendees = attendees.filter((e) => !isValidEmail(e));
+  if (badAttendees.length > 0) {
+    errors.push(`Invalid attendee emails: ${badAttendees.join(", ")}`);
+  }
+
+  if (!startSQL || !endSQL) {
+    errors.push("Start / end must be valid dates and times (YYYY-MM-DD HH:MM).");
+  }
+
+  /* --------------------------------------------------------------
+     RECURRENCE (optional) — same rules as the create endpoint
+     "bi-weekly" = weekly + interval 2 (like the booking modal)
+  -------------------------------------------------------------- */
+  let recurrence = null;
+
+  if (values.frequency) {
+    const frequency = values.frequency.toLowerCase().replace(/[\s_]/g, "-");
+    const isBiWeekly = frequency === "bi-weekly" || frequency === "biweekly";
+    const excludeDates = splitList(values.exclude_dates).map(parseCsvDate);
+
+    if (excludeDates.includes(null)) {
+      errors.push("Exclude dates must be YYYY-MM-DD.");
+    }
+
+    recurrence = {
+      frequency: isBiWeekly ? "weekly" : frequency,
+      interval: isBiWeekly ? 2 : Number(values.interval || 1),
+      until: parseCsvDate(values.until) ?? values.until ?? "",
+      excludeDates: excludeDates.filter(Boolean),
+    };
+  }
+
+  if (errors.length > 0) return { errors, booking: null };
+
+  const start = sqlToDate(startSQL);
+  const end = sqlToDate(endSQL);
+
+  /* --------------------------------------------------------------
+     CALENDAR POLICY (business hours, weekends, past dates)
+     • The recurrence end date is checked by validateRecurrencePayload
+  -------------------------------------------------------------- */
+  errors.push(...validateReservationRange({ start, end, policy }));
+
+  if (!policy.rules.allowPastDates && startSQL < now) {
+    errors.push("Start time is in the past.");
+  }
+
+  errors.push(...validateRecurrencePayload(recurrence, start, end));
+
+  if (errors.length > 0) return { errors, booking: null };
+
+  let ranges = [{ startSQL, endSQL }];
+
+  if (recurrence) {
+    try {
+      ranges = generateRecurrenceInstances({
+        start,
+        end,
+        frequency: recurrence.frequency,
+        interval: recurrence.interval,
+        until: recurrence.until,
+        excludeDates: recurrence.excludeDates,
+      }).map((i) => ({
+        startSQL: dateToSQL(i.start),
+        endSQL: dateToSQL(i.end),
+      }));
+    } catch (err) {
+      return { errors: [err.message], booking: null };
+    }
+
+    if (ranges.length === 0) {
+      errors.push("This recurrence does not produce any bookable dates.");
+    } else if (ranges.length > MAX_RECURRENCE_INSTANCES) {
+      errors.push(
+        `Recurring reservations are limited to ${MAX_RECURRENCE_INSTANCES} occurrences.`
+      );
+    }
+  }
+
+  if (errors.length > 0) return { errors, booking: null };
+
+  return {
+    errors,
+    booking: {
+      title: values.title || null,
+      description: values.description || null,
+      created_by_name: values.organizer,
+      email: values.email,
+      attendees_emails: attendees.length > 0 ? attendees.join(", ") : null,
+      recurrence,
+      ranges,
+    },
+  };
+}
+
+/* ------------------------------------------------------------------
+   SITE / ROOM LOOKUP (one query for the whole file)
+   • site → slug; room → name (case-insensitive) or numeric id
+------------------------------------------------------------------ */
+async function loadRoomDirectory(conn) {
+  const [rooms] = await conn.query(
+    `
+    SELECT
+      r.id,
+      r.name,
+      r.site_id,
+      r.is_active,
+      r.requires_approval,
+      s.slug AS site_slug,
+      s.name AS site_name
+    FROM rooms r
+    JOIN sites s ON s.id = r.site_id;
+    `
+  );
+
+  return function findRoom(siteSlug, roomRef) {
+    const slug = siteSlug.toLowerCase();
+    const ref = roomRef.toLowerCase();
+
+    const atSite = rooms.filter((r) => r.site_slug.toLowerCase() === slug);
+    if (atSite.length === 0) return { error: `Unknown site "${siteSlug}".` };
+
+    const room = atSite.find(
+      (r) => r.name.toLowerCase() === ref || String(r.id) === ref
+    );
+
+    if (!room) return { error: `No room "${roomRef}" at ${siteSlug}.` };
+    if (!room.is_active) return { error: `${room.name} is not bookable.` };
+
+    return { room };
+  };
+}
+
+/* ------------------------------------------------------------------
+   INSERTS (same columns as POST /api/reservations)
+------------------------------------------------------------------ */
+async function insertBooking(conn, { room, booking, status, actor }) {
+  const createdAtUtc = nowUtcMySQL();
+  let seriesId = null;
+  let series = null;
+
+  if (booking.recurrence) {
+    const { recurrence, ranges } = booking;
+
+    series = {
+      site_id: room.site_id,
+      room_id: room.id,
+      title: booking.title,
+      description: booking.description,
+      room_name_snapshot: room.name,
+      site_name_snapshot: room.site_name,
+      created_by_name: booking.created_by_name,
+      email: booking.email,
+      attendees_emails: booking.attendees_emails,
+      start_time: ranges[0].startSQL,
+      end_time: ranges[0].endSQL,
+      frequency: recurrence.frequency,
+      interval_count: recurrence.interval,
+      until_date: String(recurrence.until).slice(0, 10),
+      exclude_dates: recurrence.excludeDates,
+    };
+
+    const [seriesResult] = await conn.query(
+      `
+      INSERT INTO reservation_series (
+        site_id,
+        room_id,
+        title,
+        description,
+        room_name_snapshot,
+        site_name_snapshot,
+        created_by_name,
+        email,
+        attendees_emails,
+        start_time,
+        end_time,
+        frequency,
+        interval_count,
+        until_date,
+        exclude_dates,
+        created_at_utc,
+        created_tz
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+      `,
+      [
+        series.site_id,
+        series.room_id,
+        series.title,
+        series.description,
+        series.room_name_snapshot,
+        series.site_name_snapshot,
+        series.created_by_name,
+        series.email,
+        series.attendees_emails,
+        series.start_time,
+        series.end_time,
+        series.frequency,
+        series.interval_count,
+        series.until_date,
+        JSON.stringify(series.exclude_dates),
+        createdAtUtc,
+        AUDIT_TZ,
+      ]
+    );
+
+    seriesId = seriesResult.insertId;
+    series.id = seriesId;
+  }
+
+  const [result] = await conn.query(
+    `
+    INSERT INTO reservations (
+      site_id,
+      room_id,
+      title,
+      description,
+      room_name_snapshot,
+      site_name_snapshot,
+      created_by_name,
+      email,
+      attendees_emails,
+      start_time,
+      end_time,
+      recurrence_id,
+      occurrence_start,
+      status,
+      created_at_utc,
+      created_tz
+    )
+    VALUES ?;
+    `,
+    [
+      booking.ranges.map((r) => [
+        room.site_id,
+        room.id,
+        booking.title,
+        booking.description,
+        room.name,
+        room.site_name,
+        booking.created_by_name,
+        booking.email,
+        booking.attendees_emails,
+        r.startSQL,
+        r.endSQL,
+        seriesId,
+        seriesId ? r.startSQL : null,
+        status,
+        createdAtUtc,
+        AUDIT_TZ,
+      ]),
+    ]
+  );
+
+  // Read the rows back by series (multi-row INSERT ids need not be
+  // consecutive — innodb_autoinc_lock_mode = 2); a single booking is
+  // exactly insertId
+  const [rows] = seriesId
+    ? await conn.query(
+        `SELECT * FROM reservations WHERE recurrence_id = ? ORDER BY start_time ASC`,
+        [seriesId]
+      )
+    : await conn.query(`SELECT * FROM reservations WHERE id = ?`, [
+        result.insertId,
+      ]);
+
+  await recordRowChanges(conn, actor, {
+    action: "create",
+    beforeRows: [],
+    afterRows: rows,
+  });
+
+  return { status, series, reservation: series ? null : rows[0] };
+}
+
+/* =============================================================================
+   RUN AN IMPORT (INSIDE THE CALLER'S TRANSACTION)
+   =============================================================================
+   Returns
+   • { message }              → file unusable (400)
+   • { rows, created }        → per-row report + what was inserted
+     rows: [{ line, status: "ok" | "error", errors, site, room, title,
+              start_time, end_time, occurrences, requires_approval,
+              conflicts }]
+============================================================================= */
+export async function runReservationImport(conn, text, { actor }) {
+  const parsed = readImportCsv(text);
+  if (parsed.message) return { message: parsed.message };
+
+  const policy = getCalendarPolicy();
+  const now = localNowMySQL();
+  const findRoom = await loadRoomDirectory(conn);
+
+  const planned = parsed.records.map(({ line, values }) => {
+    const { errors, booking } = planRow(values, { policy, now });
+    let room = null;
+
+    if (values.site && values.room) {
+      const found = findRoom(values.site, values.room);
+      if (found.error) errors.push(found.error);
+      room = found.room ?? null;
+    }
+
+    return { line, values, errors, booking, room };
+  });
+
+  await lockRoomsForBooking(
+    conn,
+    planned.filter((p) => p.room).map((p) => p.room.id)
+  );
+
+  const rows = [];
+  const created = [];
+
+  for (const { line, values, errors, booking, room } of planned) {
+    let conflicts = [];
+
+    if (errors.length === 0) {
+      conflicts = await findConflictsForRanges(conn, {
+        roomId: room.id,
+        ranges: booking.ranges,
+      });
+
+      if (conflicts.length > 0) {
+        errors.push(buildConflictResponse(conflicts).message);
+      } else {
+        const holds = await findConflictingHolds(conn, {
+          roomId: room.id,
+          ranges: booking.ranges,
+        });
+
+        if (holds.length > 0) {
+          errors.push(buildHoldConflictResponse(holds).message);
+        }
+      }
+    }
+
+    if (errors.length === 0) {
+      created.push(
+        await insertBooking(conn, {
+          room,
+          booking,
+          status: room.requires_approval ? "pending" : "confirmed",
+          actor,
+        })
+      );
+    }
+
+    rows.push({
+      line,
+      status: errors.length === 0 ? "ok" : "error",
+      errors,
+      site: room?.site_name ?? values.site ?? null,
+      room: room?.name ?? values.room ?? null,
+      title: values.title || null,
+      start_time: booking?.ranges[0].startSQL ?? values.start ?? null,
+      end_time: booking?.ranges[0].endSQL ?? values.end ?? null,
+      occurrences: booking?.ranges.length ?? 0,
+      requires_approval: Boolean(room?.requires_approval),
+      conflicts: buildConflictResponse(conflicts).conflicts,
+    });
+  }
+
+  return { rows, created };
+}
+
+/* =============================================================================
+   INVITES (POST-COMMIT, FIRE-AND-FORGET)
+   =============================================================================
+   Same emails as one-by-one booking:
+   • confirmed → REQUEST (one per booking, one RRULE per series)
+   • pending   → organizer "waiting for approval" notice
+============================================================================= */
+export function queueImportInvites(created) {
+  (async () => {
+    for (const { status, series, reservation } of created) {
+      const target = series ? { series } : { reservation };
+
+      try {
+        if (status === "pending") {
+          await calendarInviteService.sendApprovalNotice({
+            decision: "pending",
+            ...target,
+          });
+        } else if (series) {
+          await calendarInviteService.sendSeriesInvitesOnCreate(series);
+        } else {
+          await calendarInviteService.sendInvitesOnCreate(reservation);
+        }
+      } catch (err) {
+        console.error("⚠️ Calendar invite send failed (import):", err.message);
+      }
+    }
+  })();
+}
@@ -0,0 +1,366 @@
+// src/services/rsvpService.js
+// -----------------------------------------------------------------------------
+// ATTENDEE RSVP REPLIES (iTIP METHOD:REPLY)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Turn an inbound reply (raw email or bare .ics) into stored PARTSTATs
+// • Map the UID back to the reservation / series it was sent for
+// • Summarize who is coming for one reservation (ReservationModal)
+//
+// IMPORTANT DESIGN NOTES:
+// • UIDs are the ones buildICS.js sends (⚠️ keep both formats in sync):
+//     reservation-{id}@briya.org → one reservation
+//     series-{id}@briya.org      → a series (+ RECURRENCE-ID = one occurrence)
+// • Only addresses on the attendee list are recorded — a reply for
+//   someone who was never invited is ignored
+// • Replies can arrive late or twice: the newest DTSTAMP wins
+// • Nothing in a bad message throws — it is reported as "ignored"
+//   (only database errors throw, so the inbox retries the message)
+// -----------------------------------------------------------------------------
+
+import { pool } from "../db/mysql.js";
+import { parseICS, parseICSDateTime } from "../utils/parseICS.js";
+import { extractCalendarParts } from "../utils/mimeCalendar.js";
+import { localNowMySQL } from "./checkInService.js";
+
+export const RSVP_PARTSTATS = [
+  "ACCEPTED",
+  "DECLINED",
+  "TENTATIVE",
+  "NEEDS-ACTION",
+  "DELEGATED",
+];
+
+const UID_PATTERNS = [
+  { kind: "reservation", pattern: /^reservation-(\d+)@briya\.org$/i },
+  { kind: "series", pattern: /^series-(\d+)@briya\.org$/i },
+];
+
+/* ------------------------------------------------------------------
+   HELPERS
+------------------------------------------------------------------ */
+function splitEmails(value) {
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function toUtcMySQL(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * "series-4@briya.org" → { kind: "series", id: 4 } | null
+ */
+function parseEventUid(uid) {
+  for (const { kind, pattern } of UID_PATTERNS) {
+    const match = pattern.exec(String(uid || "").trim());
+    if (match) return { kind, id: Number(match[1]) };
+  }
+  return null;
+}
+
+/**
+ * RECURRENCE-ID → occurrence_start (LOCAL wall time) | null
+ * • Invites send floating local times; most clients echo them back
+ * • Some convert to UTC ("…Z") → back to local wall time
+ */
+function recurrenceIdToLocal(recurrenceId) {
+  const parsed = parseICSDateTime(recurrenceId?.value);
+  if (!parsed) return null;
+  if (!parsed.utc) return parsed.wallTime;
+
+  return localNowMySQL(new Date(`${parsed.wallTime.replace(" ", "T")}Z`));
+}
+
+/**
+ * DTSTAMP → UTC MySQL DATETIME (never in the future; missing → now)
+ */
+function replyStampToUtc(dtstamp) {
+  const now = new Date();
+  const parsed = parseICSDateTime(dtstamp);
+  if (!parsed?.utc) return toUtcMySQL(now);
+
+  const stamp = new Date(`${parsed.wallTime.replace(" ", "T")}Z`);
+  if (isNaN(stamp.getTime()) || stamp > now) return toUtcMySQL(now);
+
+  return toUtcMySQL(stamp);
+}
+
+/* ------------------------------------------------------------------
+   REPLY TARGET (UID → ROW + WHO WAS INVITED)
+   ------------------------------------------------------------------
+   Returns { reply_key, reservation_id, series_id, occurrence_start,
+             invited: Set<email> } | null
+------------------------------------------------------------------ */
+async function loadReplyTarget(db, { kind, id }, occurrenceStart) {
+  if (kind === "reservation") {
+    const [[row]] = await db.query(
+      `SELECT id, attendees_emails FROM reservations WHERE id = ? LIMIT 1`,
+      [id]
+    );
+    if (!row) return null;
+
+    return {
+      reply_key: `reservation-${id}`,
+      reservation_id: id,
+      series_id: null,
+      occurrence_start: null,
+      invited: new Set(splitEmails(row.attendees_emails)),
+    };
+  }
+
+  const [[series]] = await db.query(
+    `SELECT id, attendees_emails FROM reservation_series WHERE id = ? LIMIT 1`,
+    [id]
+  );
+  if (!series) return null;
+
+  let attendees = series.attendees_emails;
+
+  // One occurrence → its own attendee list (it may have been edited)
+  if (occurrenceStart) {
+    const [[occurrence]] = await db.query(
+      `
+      SELECT attendees_emails
+      FROM reservations
+      WHERE recurrence_id = ?
+        AND occurrence_start = ?
+      LIMIT 1;
+      `,
+      [id, occurrenceStart]
+    );
+    if (occurrence) attendees = occurrence.attendees_emails;
+  }
+
+  return {
+    reply_key: occurrenceStart
+      ? `series-${id}@${occurrenceStart}`
+      : `series-${id}`,
+    reservation_id: null,
+    series_id: id,
+    occurrence_start: occurrenceStart,
+    invited: new Set(splitEmails(attendees)),
+  };
+}
+
+/* ------------------------------------------------------------------
+   STORE ONE ATTENDEE REPLY
+   ------------------------------------------------------------------
+   Upsert per (reply_key, attendee). Only a reply at least as new as
+   the stored one changes it; replied_at_utc is assigned LAST because
+   MySQL evaluates the assignments left to right.
+------------------------------------------------------------------ */
+async function upsertRsvp(db, target, reply) {
+  await db.query(
+    `
+    INSERT INTO reservation_rsvps (
+      reply_key,
+      reservation_id,
+      series_id,
+      occurrence_start,
+      attendee_email,
+      partstat,
+      comment,
+      replied_at_utc,
+      received_at_utc,
+      source
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(), ?)
+    ON DUPLICATE KEY UPDATE
+      partstat = IF(VALUES(replied_at_utc) >= replied_at_utc,
+                    VALUES(partstat), partstat),
+      comment = IF(VALUES(replied_at_utc) >= replied_at_utc,
+                   VALUES(comment), comment),
+      source = IF(VALUES(replied_at_utc) >= replied_at_utc,
+                  VALUES(source), source),
+      received_at_utc = IF(VALUES(replied_at_utc) >= replied_at_utc,
+                           VALUES(received_at_utc), received_at_utc),
+      replied_at_utc = GREATEST(replied_at_utc, VALUES(replied_at_utc));
+    `,
+    [
+      target.reply_key,
+      target.reservation_id,
+      target.series_id,
+      target.occurrence_start,
+      reply.email,
+      reply.partstat,
+      reply.comment,
+      reply.replied_at_utc,
+      reply.source,
+    ]
+  );
+}
+
+/* =============================================================================
+   APPLY ONE iCALENDAR REPLY
+   =============================================================================
+   Returns { applied, ignored: string[] } — applied = attendee replies stored
+============================================================================= */
+export async function applyCalendarReply(icsText, { source, db = pool }) {
+  const { method, events } = parseICS(icsText);
+  const result = { applied: 0, ignored: [] };
+
+  if (method !== "REPLY") {
+    result.ignored.push(`METHOD ${method || "(missing)"} is not REPLY`);
+    return result;
+  }
+
+  for (const event of events) {
+    const ref = parseEventUid(event.uid);
+    if (!ref) {
+      result.ignored.push(`Unknown UID ${event.uid || "(missing)"}`);
+      continue;
+    }
+
+    let occurrenceStart = null;
+    if (event.recurrenceId) {
+      occurrenceStart = recurrenceIdToLocal(event.recurrenceId);
+
+      if (ref.kind !== "series" || !occurrenceStart) {
+        result.ignored.push(`${event.uid}: unusable RECURRENCE-ID`);
+        continue;
+      }
+    }
+
+    const target = await loadReplyTarget(db, ref, occurrenceStart);
+    if (!target) {
+      result.ignored.push(`${event.uid}: no such ${ref.kind}`);
+      continue;
+    }
+
+    const repliedAt = replyStampToUtc(event.dtstamp);
+
+    for (const attendee of event.attendees) {
+      if (!RSVP_PARTSTATS.includes(attendee.partstat)) {
+        result.ignored.push(`${event.uid}: ${attendee.email} has no PARTSTAT`);
+        continue;
+      }
+
+      if (!target.invited.has(attendee.email)) {
+        result.ignored.push(`${event.uid}: ${attendee.email} is not invited`);
+        continue;
+      }
+
+      await upsertRsvp(db, target, {
+        email: attendee.email,
+        partstat: attendee.partstat,
+        comment: event.comment,
+        replied_at_utc: repliedAt,
+        source,
+      });
+
+      result.applied += 1;
+    }
+  }
+
+  return result;
+}
+
+/* =============================================================================
+   PROCESS ONE INBOUND MESSAGE (RAW EMAIL OR BARE .ics)
+   =============================================================================
+   Used by the RSVP inbox (worker) and POST /api/reservations/rsvp
+============================================================================= */
+export async function processRsvpMessage(raw, { source, db = pool }) {
+  const parts = extractCalendarParts(raw);
+  const result = { applied: 0, ignored: [] };
+
+  if (parts.length === 0) {
+    result.ignored.push("No calendar part in message");
+    return result;
+  }
+
+  for (const part of parts) {
+    const partResult = await applyCalendarReply(part, { source, db });
+    result.applied += partResult.applied;
+    result.ignored.push(...partResult.ignored);
+  }
+
+  if (result.applied > 0) {
+    console.log(`📨 Stored ${result.applied} RSVP reply(ies) (${source})`);
+  }
+
+  return result;
+}
+
+/* =============================================================================
+   RSVP SUMMARY FOR ONE RESERVATION
+   =============================================================================
+   • Every CURRENT attendee is listed (no reply yet → NEEDS-ACTION)
+   • Series occurrences: an occurrence reply overrides the series reply
+
+   Returns { counts: { accepted, tentative, declined, no_reply },
+             responses: [{ email, partstat, comment, replied_at_utc }] }
+   or null when the reservation does not exist
+============================================================================= */
+export async function getRsvpSummary(reservationId, db = pool) {
+  const [[reservation]] = await db.query(
+    `
+    SELECT id, recurrence_id, occurrence_start, attendees_emails
+    FROM reservations
+    WHERE id = ?
+    LIMIT 1;
+    `,
+    [reservationId]
+  );
+
+  if (!reservation) return null;
+
+  let replies;
+
+  if (reservation.recurrence_id) {
+    // Series-wide replies first so occurrence replies overwrite them below
+    [replies] = await db.query(
+      `
+      SELECT attendee_email, partstat, comment, replied_at_utc
+      FROM reservation_rsvps
+      WHERE series_id = ?
+        AND (occurrence_start IS NULL OR occurrence_start = ?)
+      ORDER BY occurrence_start IS NOT NULL, replied_at_utc;
+      `,
+      [reservation.recurrence_id, reservation.occurrence_start]
+    );
+  } else {
+    [replies] = await db.query(
+      `
+      SELECT attendee_email, partstat, comment, replied_at_utc
+      FROM reservation_rsvps
+      WHERE reservation_id = ?;
+      `,
+      [reservation.id]
+    );
+  }
+
+  const byEmail = new Map(replies.map((r) => [r.attendee_email, r]));
+
+  const responses = splitEmails(reservation.attendees_emails).map((email) => {
+    const reply = byEmail.get(email);
+
+    return {
+      email,
+      partstat: reply?.partstat ?? "NEEDS-ACTION",
+      comment: reply?.comment ?? null,
+      replied_at_utc: reply?.replied_at_utc ?? null,
+    };
+  });
+
+  const count = (partstat) =>
+    responses.filter((r) => r.partstat === partstat).length;
+
+  const accepted = count("ACCEPTED");
+  const tentative = count("TENTATIVE");
+  const declined = count("DECLINED");
+
+  return {
+    counts: {
+      accepted,
+      tentative,
+      declined,
+      no_reply: responses.length - accepted - tentative - declined,
+    },
+    responses,
+  };
+}
@@ -0,0 +1,290 @@
+// src/services/siteDigestService.js
+// -----------------------------------------------------------------------------
+// DAILY SITE SCHEDULE DIGEST
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Site manager subscriptions (admin-managed list of addresses per site)
+// • Assemble a site's schedule: today + the next open day, all rooms
+// • Queue ONE 'site_digest' job per site per open day (email worker sweep)
+//
+// IMPORTANT DESIGN NOTES:
+// • DIGEST_SEND_TIME is LOCAL wall time ("07:00"); a worker that starts
+//   later in the day still sends that day's digest (late beats never)
+// • Closed days = weekends when the calendar policy disables them, plus
+//   DIGEST_CLOSED_DATES (holidays / breaks) → no digest that day, and
+//   "tomorrow" means the next OPEN day (Friday's digest lists Monday)
+// • site_digest_runs (018) has a UNIQUE (site, day) key → restarts and
+//   several workers cannot queue the same digest twice
+// • Confirmed + pending bookings are listed (pending is marked)
+// -----------------------------------------------------------------------------
+
+import { getCalendarPolicy } from "@briya/calendar-core";
+
+import { pool } from "../db/mysql.js";
+import { enqueueEmailJob } from "../queue/emailQueue.js";
+import { shiftDateKey } from "../utils/calendarUtils.js";
+import { isValidEmail } from "../utils/helpers.js";
+import { localNowMySQL } from "./checkInService.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+const DEFAULT_SEND_TIME = "07:00";
+
+// Look this far ahead for the next open day (long breaks)
+const MAX_CLOSED_RUN_DAYS = 31;
+
+/**
+ * DIGEST_SEND_TIME (env) → "HH:MM" | null (off)
+ */
+export function getDigestSendTime() {
+  const raw = String(process.env.DIGEST_SEND_TIME ?? "").trim();
+  if (raw === "") return DEFAULT_SEND_TIME;
+  if (raw.toLowerCase() === "off") return null;
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(raw);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    console.error(`⚠️ Invalid DIGEST_SEND_TIME "${raw}" — digest is off`);
+    return null;
+  }
+
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+/**
+ * DIGEST_CLOSED_DATES (env) → Set of "YYYY-MM-DD"
+ */
+function getClosedDates() {
+  return new Set(
+    String(process.env.DIGEST_CLOSED_DATES || "")
+      .split(",")
+      .map((d) => d.trim())
+      .filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+  );
+}
+
+/**
+ * Is the site closed on this LOCAL day? (noon anchor → no DST drift)
+ */
+export function isClosedDay(dayKey, closedDates = getClosedDates()) {
+  if (closedDates.has(dayKey)) return true;
+
+  const weekday = new Date(`${dayKey}T12:00:00`).getDay();
+  const isWeekend = weekday === 0 || weekday === 6;
+
+  return isWeekend && getCalendarPolicy().rules.disableWeekends;
+}
+
+/**
+ * First open day after dayKey | null (closed for over a month)
+ */
+function nextOpenDay(dayKey, closedDates) {
+  for (let i = 1; i <= MAX_CLOSED_RUN_DAYS; i++) {
+    const candidate = shiftDateKey(dayKey, i);
+    if (!isClosedDay(candidate, closedDates)) return candidate;
+  }
+  return null;
+}
+
+/* =============================================================================
+   SUBSCRIPTIONS (ADMIN)
+============================================================================= */
+
+/**
+ * Site slug → { id, slug, name } | null
+ */
+export async function findSiteBySlug(slug) {
+  const [[site]] = await pool.query(
+    `SELECT id, slug, name FROM sites WHERE slug = ? LIMIT 1`,
+    [slug]
+  );
+  return site ?? null;
+}
+
+export async function listDigestSubscriptions(siteId) {
+  const [rows] = await pool.query(
+    `
+    SELECT id, email, created_at_utc
+    FROM site_digest_subscriptions
+    WHERE site_id = ?
+    ORDER BY email ASC;
+    `,
+    [siteId]
+  );
+  return rows;
+}
+
+/**
+ * Subscribe an address → { subscription } | { message } (400 / 409)
+ */
+export async function addDigestSubscription(siteId, rawEmail) {
+  const email = String(rawEmail || "")
+    .trim()
+    .toLowerCase();
+
+  if (!isValidEmail(email)) {
+    return { status: 400, message: "Please enter a valid email." };
+  }
+
+  const [result] = await pool.query(
+    `
+    INSERT IGNORE INTO site_digest_subscriptions (site_id, email, created_at_utc)
+    VALUES (?, ?, UTC_TIMESTAMP());
+    `,
+    [siteId, email]
+  );
+
+  if (result.affectedRows === 0) {
+    return {
+      status: 409,
+      message: `${email} already gets this site's digest.`,
+    };
+  }
+
+  const [[subscription]] = await pool.query(
+    `SELECT id, email, created_at_utc FROM site_digest_subscriptions WHERE id = ?`,
+    [result.insertId]
+  );
+
+  return { subscription };
+}
+
+/**
+ * Unsubscribe → true when a row was removed
+ */
+export async function removeDigestSubscription(siteId, subscriptionId) {
+  const [result] = await pool.query(
+    `DELETE FROM site_digest_subscriptions WHERE id = ? AND site_id = ?`,
+    [subscriptionId, siteId]
+  );
+  return result.affectedRows > 0;
+}
+
+/* =============================================================================
+   ASSEMBLE ONE DAY OF A SITE'S SCHEDULE
+============================================================================= */
+async function loadSiteDay(db, siteId, dayKey) {
+  const [reservations] = await db.query(
+    `
+    SELECT
+      id,
+      status,
+      title,
+      created_by_name,
+      room_name_snapshot,
+      start_time,
+      end_time
+    FROM reservations
+    WHERE site_id = ?
+      AND status IN ('confirmed', 'pending')
+      AND start_time < ?
+      AND end_time > ?
+    ORDER BY start_time ASC, room_name_snapshot ASC, id ASC;
+    `,
+    [siteId, `${shiftDateKey(dayKey, 1)} 00:00:00`, `${dayKey} 00:00:00`]
+  );
+
+  return { date: dayKey, reservations };
+}
+
+/* ------------------------------------------------------------------
+   QUEUE ONE SITE'S DIGEST (CLAIM DAY + JOB IN ONE TRANSACTION)
+------------------------------------------------------------------ */
+async function queueSiteDigest(site, recipients, today, nextDay) {
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const days = [await loadSiteDay(conn, site.id, today)];
+    if (nextDay) days.push(await loadSiteDay(conn, site.id, nextDay));
+
+    const reservationCount = days.reduce(
+      (sum, day) => sum + day.reservations.length,
+      0
+    );
+
+    const [claim] = await conn.query(
+      `
+      INSERT IGNORE INTO site_digest_runs
+        (site_id, digest_date, reservation_count, queued_at_utc)
+      VALUES (?, ?, ?, UTC_TIMESTAMP());
+      `,
+      [site.id, today, reservationCount]
+    );
+
+    if (claim.affectedRows === 0) {
+      await conn.rollback();
+      return false;
+    }
+
+    await enqueueEmailJob(
+      "site_digest",
+      {
+        recipients,
+        site: { slug: site.slug, name: site.name },
+        days,
+      },
+      conn
+    );
+
+    await conn.commit();
+    return true;
+  } catch (err) {
+    await conn.rollback();
+    console.error(`❌ Site digest enqueue failed (${site.slug}):`, err.message);
+    return false;
+  } finally {
+    conn.release();
+  }
+}
+
+/* =============================================================================
+   DIGEST SWEEP (EMAIL WORKER)
+   =============================================================================
+   Returns the number of site digests queued
+============================================================================= */
+export async function queueDueSiteDigests() {
+  const sendTime = getDigestSendTime();
+  if (!sendTime) return 0;
+
+  const now = localNowMySQL();
+  const today = now.slice(0, 10);
+
+  if (now.slice(11, 16) < sendTime) return 0;
+
+  const closedDates = getClosedDates();
+  if (isClosedDay(today, closedDates)) return 0;
+
+  // Subscribed sites without a digest for today yet
+  const [sites] = await pool.query(
+    `
+    SELECT
+      s.id,
+      s.slug,
+      s.name,
+      GROUP_CONCAT(sub.email ORDER BY sub.email SEPARATOR ',') AS emails
+    FROM sites s
+    JOIN site_digest_subscriptions sub ON sub.site_id = s.id
+    LEFT JOIN site_digest_runs run
+      ON run.site_id = s.id
+     AND run.digest_date = ?
+    WHERE run.id IS NULL
+    GROUP BY s.id, s.slug, s.name;
+    `,
+    [today]
+  );
+
+  if (sites.length === 0) return 0;
+
+  const nextDay = nextOpenDay(today, closedDates);
+  let queued = 0;
+
+  for (const site of sites) {
+    const recipients = site.emails.split(",");
+
+    if (await queueSiteDigest(site, recipients, today, nextDay)) queued += 1;
+  }
+
+  return queued;
+}
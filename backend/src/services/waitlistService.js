@@ -0,0 +1,494 @@
+// src/services/waitlistService.js
+// -----------------------------------------------------------------------------
+// ROOM WAITLIST SERVICE
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Serve the queue when a booked slot frees up (cancel / shorten / move /
+//   reject / no-show release)
+// • Email a time-limited "claim this slot" link — or book it directly for
+//   auto-book entries
+// • Turn a waitlist entry into a reservation (claim + auto-book share it)
+// • Expire stale offers and past entries (email worker sweep)
+//
+// IMPORTANT DESIGN NOTES:
+// • offerFreedSlots() is called AFTER the freeing write commits and never
+//   blocks the API response (fire-and-forget, errors logged)
+// • FIFO: the oldest entry whose WHOLE range is free goes first; an entry
+//   overlapping a still-open offer waits until that offer is settled
+// • Every entry is served in its own transaction under the room lock →
+//   the free-slot check cannot race a booking
+// • An offer does not hold the room: claiming re-checks for conflicts
+// • Claim tokens: only SHA-256 hashes are stored (like email access codes);
+//   the hash is kept after the offer is settled so the link can still say
+//   "already booked" / "expired"
+// • See 013_room_waitlist.sql
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+import { pool } from "../db/mysql.js";
+import { enqueueEmailJob } from "../queue/emailQueue.js";
+import { sha256 } from "../utils/helpers.js";
+import calendarInviteService from "./calendarInviteService.js";
+import {
+  lockRoomForBooking,
+  findConflictingReservations,
+} from "./reservationConflictService.js";
+import { findConflictingHolds } from "./reservationHoldService.js";
+import { recordRowChanges } from "./reservationHistoryService.js";
+import { localNowMySQL } from "./checkInService.js";
+
+/* ------------------------------------------------------------------
+   CONFIG
+------------------------------------------------------------------ */
+export const WAITLIST_OFFER_MINUTES = 30;
+
+// Entries considered per freed range (keeps one sweep bounded)
+const MAX_ENTRIES_PER_PASS = 20;
+
+const AUDIT_TZ = "America/New_York";
+
+// Audit identity for auto-booked reservations
+const SYSTEM_ACTOR = { role: "system", email: null };
+
+/* ------------------------------------------------------------------
+   HELPERS
+------------------------------------------------------------------ */
+/**
+ * Fields the waitlist emails / claim page need (no token hash, no ids
+ * beyond the entry's own)
+ */
+export function toEntryView(entry) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    created_by_name: entry.created_by_name,
+    start_time: entry.start_time,
+    end_time: entry.end_time,
+    room_name_snapshot: entry.room_name_snapshot,
+    site_name_snapshot: entry.site_name_snapshot,
+    auto_book: Boolean(entry.auto_book),
+    status: entry.status,
+    offer_expires_at_utc: entry.offer_expires_at_utc,
+  };
+}
+
+function buildClaimLink(token) {
+  const base = (process.env.APP_BASE_URL || "").replace(/\/+$/, "");
+  return `${base}/waitlist/claim?token=${token}`;
+}
+
+/**
+ * Open offer (not expired) overlapping this entry's range?
+ * → it must be settled before the next person is served
+ */
+async function hasOverlappingOpenOffer(conn, entry) {
+  const [rows] = await conn.query(
+    `
+    SELECT id
+    FROM room_waitlist
+    WHERE room_id = ?
+      AND id <> ?
+      AND status = 'offered'
+      AND offer_expires_at_utc > UTC_TIMESTAMP()
+      AND start_time < ?
+      AND end_time > ?
+    LIMIT 1;
+    `,
+    [entry.room_id, entry.id, entry.end_time, entry.start_time]
+  );
+
+  return rows.length > 0;
+}
+
+/* =============================================================================
+   BOOK A WAITLIST ENTRY (CLAIM + AUTO-BOOK)
+   =============================================================================
+   Runs inside the caller's transaction, AFTER lockRoomForBooking().
+
+   Returns:
+   • { conflicts: [...] }      → slot is taken again (nothing written)
+   • { holds: [...] }          → someone's create modal holds the slot
+                                 (nothing written)
+   • { reservation, status }   → row inserted + entry marked 'booked'
+   Restricted rooms → 'pending' (admin approval), like a normal booking.
+============================================================================= */
+export async function bookWaitlistEntry(conn, entry, actor) {
+  const conflicts = await findConflictingReservations(conn, {
+    roomId: entry.room_id,
+    startSQL: entry.start_time,
+    endSQL: entry.end_time,
+  });
+
+  if (conflicts.length > 0) return { conflicts };
+
+  const holds = await findConflictingHolds(conn, {
+    roomId: entry.room_id,
+    ranges: [{ startSQL: entry.start_time, endSQL: entry.end_time }],
+  });
+
+  if (holds.length > 0) return { holds };
+
+  const [[room]] = await conn.query(
+    `SELECT requires_approval FROM rooms WHERE id = ? LIMIT 1`,
+    [entry.room_id]
+  );
+
+  const status = room?.requires_approval ? "pending" : "confirmed";
+
+  const [result] = await conn.query(
+    `
+    INSERT INTO reservations (
+      site_id,
+      room_id,
+
+      title,
+      description,
+
+      room_name_snapshot,
+      site_name_snapshot,
+
+      created_by_name,
+      email,
+      attendees_emails,
+
+      start_time,
+      end_time,
+
+      status,
+
+      created_at_utc,
+      created_tz
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(), ?);
+    `,
+    [
+      entry.site_id,
+      entry.room_id,
+      entry.title,
+      entry.description,
+      entry.room_name_snapshot,
+      entry.site_name_snapshot,
+      entry.created_by_name,
+      entry.email,
+      entry.attendees_emails,
+      entry.start_time,
+      entry.end_time,
+      status,
+      AUDIT_TZ,
+    ]
+  );
+
+  const reservation = {
+    id: result.insertId,
+    site_id: entry.site_id,
+    room_id: entry.room_id,
+    title: entry.title,
+    description: entry.description,
+    email: entry.email,
+    attendees_emails: entry.attendees_emails,
+    created_by_name: entry.created_by_name,
+    start_time: entry.start_time,
+    end_time: entry.end_time,
+    room_name_snapshot: entry.room_name_snapshot,
+    site_name_snapshot: entry.site_name_snapshot,
+    status,
+  };
+
+  await recordRowChanges(conn, actor, {
+    action: "create",
+    beforeRows: [],
+    afterRows: [reservation],
+  });
+
+  await conn.query(
+    `
+    UPDATE room_waitlist
+    SET
+      status = 'booked',
+      reservation_id = ?,
+      updated_at_utc = UTC_TIMESTAMP()
+    WHERE id = ?;
+    `,
+    [reservation.id, entry.id]
+  );
+
+  return { reservation, status };
+}
+
+/**
+ * POST-COMMIT: invites (or the approval notice) for a waitlist booking
+ */
+export function notifyWaitlistBooking(reservation) {
+  const notify =
+    reservation.status === "pending"
+      ? calendarInviteService.sendApprovalNotice({
+          decision: "pending",
+          reservation,
+        })
+      : calendarInviteService.sendInvitesOnCreate(reservation);
+
+  notify.catch((err) => {
+    console.error("⚠️ Calendar invite send failed (waitlist):", err.message);
+  });
+}
+
+/* =============================================================================
+   SERVE ONE ENTRY (OWN TRANSACTION)
+   =============================================================================
+   Returns true when the entry was offered / booked.
+============================================================================= */
+async function serveEntry(entryId) {
+  const conn = await pool.getConnection();
+  let outcome = null;
+
+  try {
+    await conn.beginTransaction();
+
+    const [[candidate]] = await conn.query(
+      `SELECT room_id FROM room_waitlist WHERE id = ? LIMIT 1`,
+      [entryId]
+    );
+
+    if (!candidate) {
+      await conn.rollback();
+      return false;
+    }
+
+    await lockRoomForBooking(conn, candidate.room_id);
+
+    // Re-check under lock (another worker / request may have served it)
+    const [[entry]] = await conn.query(
+      `
+      SELECT *
+      FROM room_waitlist
+      WHERE id = ?
+        AND status = 'waiting'
+      LIMIT 1
+      FOR UPDATE;
+      `,
+      [entryId]
+    );
+
+    if (!entry || (await hasOverlappingOpenOffer(conn, entry))) {
+      await conn.rollback();
+      return false;
+    }
+
+    /* ---------------------------------------------------------------
+       AUTO-BOOK → reservation now, no link
+    --------------------------------------------------------------- */
+    if (entry.auto_book) {
+      const booked = await bookWaitlistEntry(conn, entry, SYSTEM_ACTOR);
+
+      // Taken or held → stays 'waiting' for the next opening
+      if (!booked.reservation) {
+        await conn.rollback();
+        return false;
+      }
+
+      await conn.commit();
+      outcome = { type: "booked", entry, reservation: booked.reservation };
+    } else {
+      /* -------------------------------------------------------------
+         OFFER → time-limited claim link
+      ------------------------------------------------------------- */
+      const conflicts = await findConflictingReservations(conn, {
+        roomId: entry.room_id,
+        startSQL: entry.start_time,
+        endSQL: entry.end_time,
+      });
+
+      if (conflicts.length > 0) {
+        await conn.rollback();
+        return false;
+      }
+
+      // Someone's create modal holds it → no link; stays 'waiting'
+      const holds = await findConflictingHolds(conn, {
+        roomId: entry.room_id,
+        ranges: [{ startSQL: entry.start_time, endSQL: entry.end_time }],
+      });
+
+      if (holds.length > 0) {
+        await conn.rollback();
+        return false;
+      }
+
+      const token = crypto.randomBytes(32).toString("base64url");
+
+      await conn.query(
+        `
+        UPDATE room_waitlist
+        SET
+          status = 'offered',
+          offer_token_hash = ?,
+          offered_at_utc = UTC_TIMESTAMP(),
+          offer_expires_at_utc = UTC_TIMESTAMP() + INTERVAL ? MINUTE,
+          updated_at_utc = UTC_TIMESTAMP()
+        WHERE id = ?;
+        `,
+        [sha256(token), WAITLIST_OFFER_MINUTES, entry.id]
+      );
+
+      await conn.commit();
+      outcome = { type: "offered", entry, token };
+    }
+  } catch (err) {
+    await conn.rollback();
+    console.error(`❌ Waitlist entry ${entryId} failed:`, err.message);
+    return false;
+  } finally {
+    conn.release();
+  }
+
+  /* --------------------------------------------------------------
+     🔔 EMAILS (POST-COMMIT)
+  -------------------------------------------------------------- */
+  if (outcome.type === "booked") {
+    notifyWaitlistBooking(outcome.reservation);
+
+    await enqueueEmailJob("waitlist_booked", {
+      recipients: [outcome.entry.email],
+      entry: toEntryView(outcome.entry),
+    });
+  } else {
+    await enqueueEmailJob("waitlist_offer", {
+      recipients: [outcome.entry.email],
+      entry: toEntryView(outcome.entry),
+      link: buildClaimLink(outcome.token),
+      expires_in_minutes: WAITLIST_OFFER_MINUTES,
+    });
+  }
+
+  console.log(`📣 Waitlist entry ${outcome.entry.id} ${outcome.type}`);
+  return true;
+}
+
+/* =============================================================================
+   SLOT FREED → SERVE THE QUEUE
+   =============================================================================
+   roomId + [startSQL, endSQL) = the range that just stopped being booked.
+   Waiting entries overlapping it are served oldest first; each one is
+   re-checked (its WHOLE range must be free).
+
+   Returns the number of entries offered / booked.
+============================================================================= */
+export async function offerFreedSlots({ roomId, startSQL, endSQL }) {
+  const [entries] = await pool.query(
+    `
+    SELECT id
+    FROM room_waitlist
+    WHERE room_id = ?
+      AND status = 'waiting'
+      AND start_time < ?
+      AND end_time > ?
+      AND start_time > ?
+    ORDER BY created_at_utc ASC, id ASC
+    LIMIT ?;
+    `,
+    [roomId, endSQL, startSQL, localNowMySQL(), MAX_ENTRIES_PER_PASS]
+  );
+
+  let served = 0;
+
+  for (const { id } of entries) {
+    if (await serveEntry(id)) served += 1;
+  }
+
+  return served;
+}
+
+/**
+ * Fire-and-forget wrapper for controllers (post-commit)
+ */
+export function notifyWaitlistOfFreedSlot(range) {
+  offerFreedSlots(range).catch((err) => {
+    console.error("⚠️ Waitlist notification failed:", err.message);
+  });
+}
+
+/* =============================================================================
+   EXPIRY SWEEP (EMAIL WORKER)
+   =============================================================================
+   • Waiting entries whose slot already started → 'expired'
+   • Offers past offer_expires_at_utc → 'expired', then the NEXT person in
+     line for that range is served
+
+   Returns the number of offers that expired.
+============================================================================= */
+export async function expireWaitlistOffers() {
+  await pool.query(
+    `
+    UPDATE room_waitlist
+    SET status = 'expired', updated_at_utc = UTC_TIMESTAMP()
+    WHERE status IN ('waiting', 'offered')
+      AND start_time <= ?;
+    `,
+    [localNowMySQL()]
+  );
+
+  const [stale] = await pool.query(
+    `
+    SELECT id, room_id, start_time, end_time
+    FROM room_waitlist
+    WHERE status = 'offered'
+      AND offer_expires_at_utc <= UTC_TIMESTAMP()
+    ORDER BY offer_expires_at_utc ASC
+    LIMIT ?;
+    `,
+    [MAX_ENTRIES_PER_PASS]
+  );
+
+  let expired = 0;
+
+  for (const entry of stale) {
+    const [result] = await pool.query(
+      `
+      UPDATE room_waitlist
+      SET status = 'expired', updated_at_utc = UTC_TIMESTAMP()
+      WHERE id = ?
+        AND status = 'offered';
+      `,
+      [entry.id]
+    );
+
+    if (result.affectedRows === 0) continue;
+    expired += 1;
+
+    await offerFreedSlots({
+      roomId: entry.room_id,
+      startSQL: entry.start_time,
+      endSQL: entry.end_time,
+    });
+  }
+
+  return expired;
+}
+
+/* =============================================================================
+   CLAIM TOKEN LOOKUP
+   =============================================================================
+   token → entry row | null (unknown token)
+   • forUpdate → locking read (claim / decline)
+============================================================================= */
+export async function findEntryByClaimToken(
+  conn,
+  token,
+  { forUpdate = false } = {}
+) {
+  if (typeof token !== "string" || token.length === 0) return null;
+
+  const [[entry]] = await conn.query(
+    `
+    SELECT *
+    FROM room_waitlist
+    WHERE offer_token_hash = ?
+    LIMIT 1
+    ${forUpdate ? "FOR UPDATE" : ""};
+    `,
+    [sha256(token)]
+  );
+
+  return entry ?? null;
+}
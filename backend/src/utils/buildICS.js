@@ -11,13 +11,20 @@
 //
 // IMPORTANT DESIGN NOTES:
 // • DTSTART / DTEND are sent WITHOUT "Z" (local wall time)
-// • UID must be STABLE per reservation
+// • UID must be STABLE per reservation (and per series)
 // • METHOD determines client behavior:
 //   - REQUEST → create/update
 //   - CANCEL  → remove event
+//   - PUBLISH → subscribable read-only feed (buildFeedICS)
 // -----------------------------------------------------------------------------
 
 import { formatICSDate } from "./calendarUtils.js";
+import {
+  IS_WEEKENDS_ENABLED,
+  getSkippedOccurrenceDates,
+  generateRecurrenceInstances,
+  toDayKey,
+} from "../recurrence/recurrenceEngine.js";
 
 /* ------------------------------------------------------------------
    Escape text fields for ICS safety
@@ -55,7 +62,8 @@ export function buildICS({ method = "REQUEST", reservation, attendees = [] }) {
   // ------------------------------------------------------------------
   // STABLE EVENT UID (⚠️ NEVER CHANGE THIS FORMAT)
   // ------------------------------------------------------------------
-  // Google / Outlook rely on UID to match updates & cancellations
+  // Google / Outlook rely on UID to match updates & cancellations;
+  // RSVP replies are mapped back through it (services/rsvpService.js)
   const uid = `reservation-${id}@briya.org`;
 
   const dtStart = formatICSDate(start_time);
@@ -104,3 +112,393 @@ export function buildICS({ method = "REQUEST", reservation, attendees = [] }) {
     .filter(Boolean)
     .join("\r\n");
 }
+
+/* =============================================================================
+   RECURRING SERIES (ONE EVENT + RRULE)
+   =============================================================================
+   WHY:
+   • A weekly class for a semester would otherwise mean N separate invites
+   • Clients expand the RRULE themselves; EXDATE removes dates the series
+     skips (weekends, excluded dates) so calendars match the database
+============================================================================= */
+
+const RRULE_FREQ = {
+  daily: "DAILY",
+  weekly: "WEEKLY",
+  monthly: "MONTHLY",
+};
+
+/**
+ * Daily series skip weekends via BYDAY instead of dozens of EXDATE lines.
+ */
+function rruleSkipsWeekends(series) {
+  return series.frequency === "daily" && !IS_WEEKENDS_ENABLED;
+}
+
+/**
+ * Build the RRULE value for a series row.
+ * UNTIL is floating (no "Z") because DTSTART is floating local wall time.
+ */
+export function buildRRule(series) {
+  const freq = RRULE_FREQ[series.frequency];
+  if (!freq) {
+    throw new Error(`Unsupported recurrence frequency: ${series.frequency}`);
+  }
+
+  const until = String(series.until_date).slice(0, 10).replace(/-/g, "");
+
+  return [
+    `FREQ=${freq}`,
+    `INTERVAL=${Number(series.interval_count) || 1}`,
+    `UNTIL=${until}T235959`,
+    rruleSkipsWeekends(series) ? "BYDAY=MO,TU,WE,TH,FR" : "",
+  ]
+    .filter(Boolean)
+    .join(";");
+}
+
+/**
+ * Normalize exclude_dates (JSON column → array, string, or null)
+ */
+function parseExcludeDates(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Build ICS content for a whole recurring series
+ *
+ * @param {Object} params
+ * @param {"REQUEST"|"CANCEL"} params.method
+ * @param {Object} params.series - reservation_series row
+ * @param {string[]} [params.attendees]
+ */
+export function buildSeriesICS({ method = "REQUEST", series, attendees = [] }) {
+  const {
+    id,
+    title,
+    description,
+    email,
+    start_time,
+    end_time,
+    room_name_snapshot,
+    site_name_snapshot,
+  } = series;
+
+  // ------------------------------------------------------------------
+  // STABLE SERIES UID (⚠️ NEVER CHANGE THIS FORMAT)
+  // ------------------------------------------------------------------
+  const uid = `series-${id}@briya.org`;
+
+  const dtStart = formatICSDate(start_time);
+  const dtEnd = formatICSDate(end_time);
+  const dtStamp = formatICSDate(new Date());
+
+  // EXDATE must carry the same time-of-day as DTSTART
+  const startClock = dtStart.slice(8);
+  const exdates = getSkippedOccurrenceDates({
+    start: start_time,
+    end: end_time,
+    frequency: series.frequency,
+    interval: series.interval_count,
+    until: String(series.until_date).slice(0, 10),
+    excludeDates: parseExcludeDates(series.exclude_dates),
+    rruleSkipsWeekends: rruleSkipsWeekends(series),
+  }).map((day) => `${day.replace(/-/g, "")}${startClock}`);
+
+  const attendeeLines = attendees
+    .map((addr) => `ATTENDEE;CN=${escapeICS(addr)};RSVP=TRUE:MAILTO:${addr}`)
+    .join("\r\n");
+
+  const organizerLine = email ? `ORGANIZER;CN=Organizer:MAILTO:${email}` : "";
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Briya//Room Reservations//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${dtStamp}`,
+    `DTSTART:${dtStart}`,
+    `DTEND:${dtEnd}`,
+    `RRULE:${buildRRule(series)}`,
+    exdates.length > 0 ? `EXDATE:${exdates.join(",")}` : "",
+    `SUMMARY:${escapeICS(title || "Room Reservation")}`,
+    `DESCRIPTION:${escapeICS(description || "")}`,
+    `LOCATION:${escapeICS(`${site_name_snapshot} - ${room_name_snapshot}`)}`,
+    organizerLine,
+    attendeeLines,
+    method === "CANCEL" ? "STATUS:CANCELLED" : "",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .join("\r\n");
+}
+
+/**
+ * Build ICS content for ONE occurrence of a recurring series
+ * ---------------------------------------------------------------------------
+ * • Same UID as the series + RECURRENCE-ID = original occurrence start
+ * • REQUEST → clients replace just that occurrence (moved / retitled)
+ * • CANCEL  → clients remove just that occurrence
+ *
+ * @param {Object} params
+ * @param {"REQUEST"|"CANCEL"} params.method
+ * @param {Object} params.series     - reservation_series row
+ * @param {Object} params.occurrence - { occurrence_start, start_time, end_time, title?, description? }
+ * @param {string[]} [params.attendees]
+ */
+export function buildOccurrenceICS({
+  method = "REQUEST",
+  series,
+  occurrence,
+  attendees = [],
+}) {
+  const uid = `series-${series.id}@briya.org`;
+
+  const title = occurrence.title ?? series.title;
+  const description = occurrence.description ?? series.description;
+
+  const attendeeLines = attendees
+    .map((addr) => `ATTENDEE;CN=${escapeICS(addr)};RSVP=TRUE:MAILTO:${addr}`)
+    .join("\r\n");
+
+  const organizerLine = series.email
+    ? `ORGANIZER;CN=Organizer:MAILTO:${series.email}`
+    : "";
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Briya//Room Reservations//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `RECURRENCE-ID:${formatICSDate(occurrence.occurrence_start)}`,
+    `DTSTAMP:${formatICSDate(new Date())}`,
+    `DTSTART:${formatICSDate(occurrence.start_time)}`,
+    `DTEND:${formatICSDate(occurrence.end_time)}`,
+    `SUMMARY:${escapeICS(title || "Room Reservation")}`,
+    `DESCRIPTION:${escapeICS(description || "")}`,
+    `LOCATION:${escapeICS(
+      `${series.site_name_snapshot} - ${series.room_name_snapshot}`
+    )}`,
+    organizerLine,
+    attendeeLines,
+    method === "CANCEL" ? "STATUS:CANCELLED" : "",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .join("\r\n");
+}
+
+/* =============================================================================
+   SUBSCRIBABLE FEEDS (METHOD:PUBLISH)
+   =============================================================================
+   A read-only calendar Outlook / Google / Apple poll on their own schedule.
+
+   • Same UIDs as the invites → a person who got the invite AND subscribes
+     sees one event, not two
+   • A series is ONE event + RRULE. EXDATE removes every rule date with no
+     active occurrence in the feed (skipped, cancelled, past, moved away)
+   • Occurrences edited on their own → RECURRENCE-ID overrides
+   • An occurrence whose series is not in the feed (moved to another room)
+     is published on its own with its reservation UID
+   • DTSTAMP comes from the row (not "now") → identical data gives an
+     identical file, so ETags stay valid between polls
+   • No organizer / attendee emails — feeds are read by anyone with the URL
+============================================================================= */
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1)
+ */
+function foldICSLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    // Continuation lines start with " " → one octet less
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+
+    current += ch;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * MySQL UTC DATETIME → "YYYYMMDDTHHMMSSZ"
+ */
+function formatICSUtc(value) {
+  return `${formatICSDate(String(value))}Z`;
+}
+
+function feedStamp(row) {
+  return formatICSUtc(row.updated_at_utc || row.created_at_utc);
+}
+
+function feedStatus(row) {
+  return row.status === "pending" ? "TENTATIVE" : "CONFIRMED";
+}
+
+function feedDescription(row) {
+  return [
+    row.description || "",
+    row.created_by_name ? `Booked by ${row.created_by_name}` : "",
+    row.status === "pending" ? "Waiting for approval" : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+function feedEventLines(row, { uid, recurrenceId = null, rrule = null }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    recurrenceId ? `RECURRENCE-ID:${formatICSDate(recurrenceId)}` : "",
+    `DTSTAMP:${feedStamp(row)}`,
+    `DTSTART:${formatICSDate(row.start_time)}`,
+    `DTEND:${formatICSDate(row.end_time)}`,
+    ...(rrule ?? []),
+    `SUMMARY:${escapeICS(row.title || "Room Reservation")}`,
+    `DESCRIPTION:${escapeICS(feedDescription(row))}`,
+    `LOCATION:${escapeICS(
+      `${row.site_name_snapshot} - ${row.room_name_snapshot}`
+    )}`,
+    `STATUS:${feedStatus(row)}`,
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Wall-time duration of a row in minutes (DST-proof: both ends local)
+ */
+function durationMinutes(row) {
+  const toDate = (v) => new Date(String(v).replace(" ", "T"));
+  return (toDate(row.end_time) - toDate(row.start_time)) / 60000;
+}
+
+/**
+ * Build a subscribable calendar
+ *
+ * @param {Object} params
+ * @param {string} params.name            - X-WR-CALNAME (shown by clients)
+ * @param {Object[]} params.reservations  - ACTIVE reservation rows to publish
+ * @param {Map<number, Object>} [params.seriesById]
+ *        reservation_series rows published as RRULE events
+ * @param {string} [params.timeZone]      - X-WR-TIMEZONE (floating times)
+ */
+export function buildFeedICS({
+  name,
+  reservations,
+  seriesById = new Map(),
+  timeZone = "America/New_York",
+}) {
+  const events = [];
+  const bySeries = new Map();
+
+  for (const row of reservations) {
+    if (row.recurrence_id && seriesById.has(Number(row.recurrence_id))) {
+      const key = Number(row.recurrence_id);
+      if (!bySeries.has(key)) bySeries.set(key, []);
+      bySeries.get(key).push(row);
+    } else {
+      events.push(
+        ...feedEventLines(row, { uid: `reservation-${row.id}@briya.org` })
+      );
+    }
+  }
+
+  for (const [seriesId, occurrences] of bySeries) {
+    const series = seriesById.get(seriesId);
+    const uid = `series-${seriesId}@briya.org`;
+    const startClock = formatICSDate(series.start_time).slice(8);
+    const seriesMinutes = durationMinutes(series);
+
+    // Rule dates (exactly what the RRULE expands to) without a live occurrence
+    const liveDays = new Set(
+      occurrences.map((o) => String(o.occurrence_start).slice(0, 10))
+    );
+    const exdates = generateRecurrenceInstances({
+      start: series.start_time,
+      end: series.end_time,
+      frequency: series.frequency,
+      interval: series.interval_count,
+      until: String(series.until_date).slice(0, 10),
+      skipWeekends: rruleSkipsWeekends(series),
+    })
+      .map((i) => toDayKey(i.start))
+      .filter((day) => !liveDays.has(day))
+      .map((day) => `${day.replace(/-/g, "")}${startClock}`);
+
+    // Master carries the series fields + the first live occurrence's status
+    events.push(
+      ...feedEventLines(
+        { ...series, status: occurrences[0].status },
+        {
+          uid,
+          rrule: [
+            `RRULE:${buildRRule(series)}`,
+            exdates.length > 0 ? `EXDATE:${exdates.join(",")}` : "",
+          ],
+        }
+      )
+    );
+
+    for (const o of occurrences) {
+      const edited =
+        o.start_time !== o.occurrence_start ||
+        durationMinutes(o) !== seriesMinutes ||
+        (o.title || null) !== (series.title || null) ||
+        (o.description || null) !== (series.description || null) ||
+        o.status !== occurrences[0].status;
+
+      if (edited) {
+        events.push(
+          ...feedEventLines(o, { uid, recurrenceId: o.occurrence_start })
+        );
+      }
+    }
+  }
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Briya//Room Reservations//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeICS(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT15M",
+    "X-PUBLISHED-TTL:PT15M",
+    ...events,
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .map(foldICSLine)
+    .join("\r\n")
+    .concat("\r\n");
+}
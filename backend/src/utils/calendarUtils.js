@@ -44,3 +44,72 @@ export function formatICSDate(value) {
 
   throw new Error("Unsupported ICS date format");
 }
+
+/* =============================================================================
+   WALL-TIME ARITHMETIC (SERIES EDITS)
+   =============================================================================
+   WHY:
+   • Moving a recurring series must keep every occurrence at the same
+     clock time, even across DST changes
+   • Adding raw milliseconds would turn 9:00 into 8:00 / 10:00 after a DST
+     boundary, so shifts are expressed as { days, minutes } of WALL time
+============================================================================= */
+
+/**
+ * Parse "YYYY-MM-DD HH:MM[:SS]" into LOCAL date parts
+ */
+function parseMySQLParts(value) {
+  const m = String(value).match(
+    /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/
+  );
+  if (!m) throw new Error("Invalid datetime value");
+
+  const [, y, mo, d, hh, mm, ss] = m.map(Number);
+  return { y, mo, d, hh, mm, ss: ss || 0 };
+}
+
+function formatMySQLParts(date) {
+  return (
+    `${date.getFullYear()}-` +
+    `${String(date.getMonth() + 1).padStart(2, "0")}-` +
+    `${String(date.getDate()).padStart(2, "0")} ` +
+    `${String(date.getHours()).padStart(2, "0")}:` +
+    `${String(date.getMinutes()).padStart(2, "0")}:` +
+    `${String(date.getSeconds()).padStart(2, "0")}`
+  );
+}
+
+/**
+ * Difference between two MySQL DATETIME strings as WALL-TIME
+ * { days, minutes } (calendar days + clock minutes, DST-safe)
+ */
+export function wallTimeDelta(fromSQL, toSQL) {
+  const a = parseMySQLParts(fromSQL);
+  const b = parseMySQLParts(toSQL);
+
+  const days = Math.round(
+    (Date.UTC(b.y, b.mo - 1, b.d) - Date.UTC(a.y, a.mo - 1, a.d)) / 86_400_000
+  );
+  const minutes = b.hh * 60 + b.mm - (a.hh * 60 + a.mm);
+
+  return { days, minutes };
+}
+
+/**
+ * Apply a wall-time { days, minutes } shift to a MySQL DATETIME string
+ */
+export function shiftWallTime(valueSQL, { days = 0, minutes = 0 }) {
+  const p = parseMySQLParts(valueSQL);
+  return formatMySQLParts(
+    new Date(p.y, p.mo - 1, p.d + days, p.hh, p.mm + minutes, p.ss)
+  );
+}
+
+/**
+ * Shift a "YYYY-MM-DD" date by whole days (LOCAL calendar)
+ */
+export function shiftDateKey(dayKey, days) {
+  return shiftWallTime(`${String(dayKey).slice(0, 10)} 00:00:00`, {
+    days,
+  }).slice(0, 10);
+}
@@ -0,0 +1,100 @@
+// src/utils/csv.js
+// -----------------------------------------------------------------------------
+// CSV HELPERS (RFC 4180)
+// -----------------------------------------------------------------------------
+// • Quoted fields may contain commas, quotes ("") and line breaks
+// • CRLF / LF line endings, optional UTF-8 BOM (Excel exports)
+// • parseCsv() reads imports, toCsv() writes exports
+// • No dependency — the files we handle are small (a term's bookings)
+// -----------------------------------------------------------------------------
+
+/**
+ * CSV text → array of records (each an array of raw string fields)
+ * • Blank lines are skipped
+ * • Each record carries .line (1-based line where it starts) for reports
+ */
+export function parseCsv(text) {
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    field = "";
+
+    if (record.length > 1 || record[0].trim() !== "") {
+      record.line = recordLine;
+      records.push(record);
+    }
+
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line += 1;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(
+      `Unclosed quote in the record starting on line ${recordLine}.`
+    );
+  }
+
+  if (field !== "" || record.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Array of records (arrays of values) → CSV text
+ * • CRLF line endings + quotes only where needed (what Excel expects)
+ * • null / undefined → empty field
+ * • Cells starting with = + - @ are prefixed with ' so a spreadsheet
+ *   never runs them as formulas (titles / names are user input)
+ */
+export function toCsv(records) {
+  const escapeField = (value) => {
+    let s = value == null ? "" : String(value);
+
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  return records
+    .map((record) => record.map(escapeField).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
@@ -0,0 +1,56 @@
+// src/utils/helpers.js
+// -----------------------------------------------------------------------------
+// SHARED BACKEND HELPERS
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Email address validation
+// • MySQL-safe timestamps (UTC audit columns + local wall time)
+// • Token hashing (only hashes are stored, never raw tokens)
+// -----------------------------------------------------------------------------
+
+import crypto from "crypto";
+
+/* ------------------------------------------------------------------
+   EMAIL VALIDATION
+------------------------------------------------------------------ */
+export function isValidEmail(email) {
+  if (!email || typeof email !== "string") return false;
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+/* ------------------------------------------------------------------
+   MYSQL DATETIME STRINGS
+------------------------------------------------------------------ */
+
+/**
+ * Generate a MySQL-safe UTC timestamp string.
+ * Format: YYYY-MM-DD HH:MM:SS
+ *
+ * Used ONLY for audit columns.
+ * NEVER use this for start_time / end_time.
+ */
+export function nowUtcMySQL() {
+  return new Date().toISOString().slice(0, 19).replace("T", " ");
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Local Date → "YYYY-MM-DD HH:MM:00" (wall time, no UTC conversion)
+ */
+export function dateToSQL(date) {
+  return (
+    `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-` +
+    `${pad2(date.getDate())} ${pad2(date.getHours())}:` +
+    `${pad2(date.getMinutes())}:00`
+  );
+}
+
+/* ------------------------------------------------------------------
+   TOKEN HASHING
+------------------------------------------------------------------ */
+export function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
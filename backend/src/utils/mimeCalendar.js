@@ -0,0 +1,157 @@
+// src/utils/mimeCalendar.js
+// -----------------------------------------------------------------------------
+// CALENDAR PARTS FROM RAW EMAIL (RFC 822 / MIME)
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Find the text/calendar (or .ics attachment) parts of an inbound email
+// • Decode base64 / quoted-printable bodies to text
+//
+// IMPORTANT DESIGN NOTES:
+// • Deliberately small: walks multipart/* trees, nothing else
+// • Input that already IS an iCalendar object is returned as-is
+//   (POST endpoint / spool directories with plain .ics files)
+// -----------------------------------------------------------------------------
+
+/* ------------------------------------------------------------------
+   HEADERS
+   ------------------------------------------------------------------
+   "Content-Type: text/calendar; method=REPLY;\r\n charset=UTF-8"
+   → { "content-type": "text/calendar; method=REPLY; charset=UTF-8" }
+------------------------------------------------------------------ */
+function splitHeadersAndBody(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  if (!match) return { headerText: raw, body: "" };
+
+  return {
+    headerText: raw.slice(0, match.index),
+    body: raw.slice(match.index + match[0].length),
+  };
+}
+
+function parseHeaders(headerText) {
+  const headers = {};
+
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+
+    headers[line.slice(0, colon).trim().toLowerCase()] = line
+      .slice(colon + 1)
+      .trim();
+  }
+
+  return headers;
+}
+
+/**
+ * 'multipart/mixed; boundary="abc"' → { type: "multipart/mixed",
+ *                                       params: { boundary: "abc" } }
+ */
+function parseHeaderValue(value = "") {
+  const [type, ...rest] = value.split(";");
+  const params = {};
+
+  for (const part of rest) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+
+    params[part.slice(0, eq).trim().toLowerCase()] = part
+      .slice(eq + 1)
+      .trim()
+      .replace(/^"|"$/g, "");
+  }
+
+  return { type: type.trim().toLowerCase(), params };
+}
+
+/* ------------------------------------------------------------------
+   TRANSFER ENCODINGS
+------------------------------------------------------------------ */
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, ""); // soft line breaks
+
+  for (let i = 0; i < source.length; i++) {
+    const hex = source.slice(i + 1, i + 3);
+
+    if (source[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], "utf8"));
+    }
+  }
+
+  return Buffer.from(bytes).toString("utf8");
+}
+
+function decodeBody(body, encoding = "") {
+  switch (encoding.trim().toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+    case "quoted-printable":
+      return decodeQuotedPrintable(body);
+    default:
+      return body;
+  }
+}
+
+function isCalendarPart(contentType, disposition) {
+  if (contentType.type === "text/calendar") return true;
+  if (contentType.type === "application/ics") return true;
+
+  const fileName = disposition.params.filename || contentType.params.name;
+  return /\.ics$/i.test(fileName || "");
+}
+
+/* ------------------------------------------------------------------
+   WALK ONE MIME ENTITY (RECURSIVE FOR multipart/*)
+------------------------------------------------------------------ */
+function collectCalendarParts(raw, found, depth = 0) {
+  if (depth > 10) return; // malformed / hostile nesting
+
+  const { headerText, body } = splitHeadersAndBody(raw);
+  const headers = parseHeaders(headerText);
+
+  const contentType = parseHeaderValue(headers["content-type"] || "text/plain");
+  const disposition = parseHeaderValue(headers["content-disposition"] || "");
+
+  if (contentType.type.startsWith("multipart/")) {
+    const boundary = contentType.params.boundary;
+    if (!boundary) return;
+
+    const parts = body.split(`--${boundary}`).slice(1); // drop the preamble
+
+    for (const part of parts) {
+      if (part.startsWith("--")) break; // closing delimiter
+
+      collectCalendarParts(part.replace(/^\r?\n/, ""), found, depth + 1);
+    }
+    return;
+  }
+
+  if (contentType.type === "message/rfc822") {
+    collectCalendarParts(body, found, depth + 1);
+    return;
+  }
+
+  if (isCalendarPart(contentType, disposition)) {
+    found.push(decodeBody(body, headers["content-transfer-encoding"]));
+  }
+}
+
+/**
+ * Raw email (or bare iCalendar text) → iCalendar texts found in it
+ *
+ * @param {string|Buffer} raw
+ * @returns {string[]}
+ */
+export function extractCalendarParts(raw) {
+  const text = Buffer.isBuffer(raw) ? raw.toString("utf8") : String(raw || "");
+
+  if (/^\s*BEGIN:VCALENDAR/i.test(text)) return [text];
+
+  const found = [];
+  collectCalendarParts(text, found);
+  return found;
+}
@@ -0,0 +1,205 @@
+// src/utils/parseICS.js
+// -----------------------------------------------------------------------------
+// ICS (iCalendar) PARSER — INBOUND MESSAGES
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Read the iTIP messages calendar apps send back (METHOD:REPLY)
+// • Unfold lines, split NAME;PARAM=VALUE:VALUE, unescape TEXT values
+// • Return only what the RSVP processor needs (no full RFC 5545 model)
+//
+// IMPORTANT DESIGN NOTES:
+// • Lenient on input: LF or CRLF, lower-case names, quoted params
+// • Unknown components (VTIMEZONE, VALARM, …) are skipped
+// -----------------------------------------------------------------------------
+
+/* ------------------------------------------------------------------
+   CONTENT LINES
+   ------------------------------------------------------------------
+   "ATTENDEE;PARTSTAT=ACCEPTED;CN="Doe, Jane":mailto:jane@x.org"
+   → { name: "ATTENDEE",
+       params: { PARTSTAT: "ACCEPTED", CN: "Doe, Jane" },
+       value: "mailto:jane@x.org" }
+------------------------------------------------------------------ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/\r\n/g, "\n")
+    .replace(/\r/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+}
+
+function parseContentLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  const segments = [];
+  let current = "";
+
+  // Name + params end at the first ":" outside double quotes
+  for (; i < line.length; i++) {
+    const ch = line[i];
+
+    if (ch === '"') inQuotes = !inQuotes;
+
+    if (!inQuotes && (ch === ";" || ch === ":")) {
+      segments.push(current);
+      current = "";
+      if (ch === ":") break;
+      continue;
+    }
+
+    current += ch;
+  }
+
+  if (i >= line.length) return null; // no value → not a content line
+
+  const [name, ...rawParams] = segments;
+  const params = {};
+
+  for (const raw of rawParams) {
+    const eq = raw.indexOf("=");
+    if (eq === -1) continue;
+
+    params[raw.slice(0, eq).trim().toUpperCase()] = raw
+      .slice(eq + 1)
+      .replace(/^"|"$/g, "");
+  }
+
+  return {
+    name: name.trim().toUpperCase(),
+    params,
+    value: line.slice(i + 1),
+  };
+}
+
+function unescapeText(value = "") {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) =>
+    ch === "n" || ch === "N" ? "\n" : ch
+  );
+}
+
+/**
+ * "mailto:Jane@X.org" → "jane@x.org"
+ */
+function calAddressToEmail(value = "") {
+  return value
+    .trim()
+    .replace(/^mailto:/i, "")
+    .toLowerCase();
+}
+
+/**
+ * Parse an iCalendar object
+ *
+ * @param {string} text
+ * @returns {{ method: string|null, events: Array<{
+ *   uid: string|null,
+ *   recurrenceId: { value: string, params: Object }|null,
+ *   sequence: number,
+ *   dtstamp: string|null,
+ *   comment: string|null,
+ *   attendees: Array<{ email: string, partstat: string|null, params: Object }>
+ * }> }}
+ */
+export function parseICS(text) {
+  const result = { method: null, events: [] };
+
+  // Component stack → only properties directly inside VCALENDAR / VEVENT count
+  const stack = [];
+  let event = null;
+
+  for (const line of unfoldLines(text)) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+
+    if (prop.name === "BEGIN") {
+      const component = prop.value.trim().toUpperCase();
+      stack.push(component);
+
+      if (component === "VEVENT") {
+        event = {
+          uid: null,
+          recurrenceId: null,
+          sequence: 0,
+          dtstamp: null,
+          comment: null,
+          attendees: [],
+        };
+      }
+      continue;
+    }
+
+    if (prop.name === "END") {
+      const component = stack.pop();
+
+      if (component === "VEVENT" && event) {
+        result.events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (current === "VCALENDAR" && prop.name === "METHOD") {
+      result.method = prop.value.trim().toUpperCase();
+      continue;
+    }
+
+    if (current !== "VEVENT" || !event) continue;
+
+    switch (prop.name) {
+      case "UID":
+        event.uid = prop.value.trim();
+        break;
+      case "RECURRENCE-ID":
+        event.recurrenceId = {
+          value: prop.value.trim(),
+          params: prop.params,
+        };
+        break;
+      case "SEQUENCE":
+        event.sequence = Number(prop.value) || 0;
+        break;
+      case "DTSTAMP":
+        event.dtstamp = prop.value.trim();
+        break;
+      case "COMMENT":
+        event.comment = unescapeText(prop.value);
+        break;
+      case "ATTENDEE":
+        event.attendees.push({
+          email: calAddressToEmail(prop.value),
+          partstat: prop.params.PARTSTAT
+            ? prop.params.PARTSTAT.toUpperCase()
+            : null,
+          params: prop.params,
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * ICS DATE-TIME → { wallTime: "YYYY-MM-DD HH:MM:SS", utc: boolean } | null
+ * • "20260112T090000"  → floating / TZID local time
+ * • "20260112T140000Z" → UTC (caller converts)
+ * • "20260112"         → DATE value (midnight)
+ */
+export function parseICSDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec(
+    String(value || "").trim()
+  );
+  if (!match) return null;
+
+  const [, y, mo, d, h = "00", mi = "00", s = "00", z] = match;
+
+  return {
+    wallTime: `${y}-${mo}-${d} ${h}:${mi}:${s}`,
+    utc: Boolean(z),
+  };
+}
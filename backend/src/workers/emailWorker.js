@@ -7,22 +7,60 @@
 // • Send emails
 // • Retry failed jobs with exponential backoff
 // • Move permanently failed jobs to dead-letter table
+// • Release no-show bookings (check-in grace period sweep)
+// • Expire unclaimed waitlist offers → offer the next person in line
+// • Read attendee RSVP replies from the RSVP inbox (maildir / IMAP)
+// • Queue reminder emails before bookings start (REMINDER_OFFSETS_MINUTES)
+// • Queue each site's daily schedule digest (DIGEST_SEND_TIME)
 // -----------------------------------------------------------------------------
 
 import { pool } from "../db/mysql.js";
 import { sendMail } from "../utils/mailer.js";
-import { buildICS } from "../utils/buildICS.js";
+import {
+  buildICS,
+  buildSeriesICS,
+  buildOccurrenceICS,
+} from "../utils/buildICS.js";
 import {
   inviteCreatedTemplate,
   inviteUpdatedTemplate,
   inviteCancelledTemplate,
+  seriesInviteCreatedTemplate,
+  seriesInviteUpdatedTemplate,
+  accessLinkTemplate,
+  approvalPendingTemplate,
+  approvalApprovedTemplate,
+  approvalRejectedTemplate,
+  noShowReleasedTemplate,
+  waitlistOfferTemplate,
+  waitlistBookedTemplate,
+  reminderTemplate,
+  siteDigestTemplate,
 } from "../services/emailTemplates.js";
+import {
+  buildCheckInLink,
+  releaseNoShowReservations,
+} from "../services/checkInService.js";
+import { expireWaitlistOffers } from "../services/waitlistService.js";
+import { processRsvpMessage } from "../services/rsvpService.js";
+import { createRsvpInbox } from "../inbox/rsvpInbox.js";
+import {
+  queueDueReminders,
+  getStaleReminderReason,
+  finishReminder,
+} from "../services/reminderService.js";
+import { queueDueSiteDigests } from "../services/siteDigestService.js";
 
 /* ------------------------------------------------------------------
    CONFIG
 ------------------------------------------------------------------ */
 const MAX_ATTEMPTS = 5;
 const BASE_DELAY_MINUTES = 2;
+const NO_SHOW_SWEEP_MS = 60_000;
+const WAITLIST_SWEEP_MS = 60_000;
+const RSVP_POLL_MS = 60_000;
+const REMINDER_SWEEP_MS = 60_000;
+const DIGEST_SWEEP_MS = 60_000;
 
 /**
  * Calculate retry delay using exponential backoff
@@ -52,11 +90,122 @@ async function processJobs() {
   }
 }
 
+/* ------------------------------------------------------------------
+   JOB → EMAIL CONTENT (TEMPLATE + ICS)
+   ------------------------------------------------------------------
+   Payload shapes:
+   • { reservation }          → single event (UID reservation-{id})
+   • { series }               → whole recurring series (RRULE)
+   • { series, occurrence }   → ONE occurrence of a series (RECURRENCE-ID)
+------------------------------------------------------------------ */
+const JOB_METHODS = {
+  invite_create: "REQUEST",
+  invite_update: "REQUEST",
+  invite_cancel: "CANCEL",
+};
+
+// Plain notifications (no calendar attachment)
+const NOTIFICATION_TEMPLATES = {
+  access_link: accessLinkTemplate,
+  approval_pending: approvalPendingTemplate,
+  approval_approved: approvalApprovedTemplate,
+  approval_rejected: approvalRejectedTemplate,
+  no_show_released: noShowReleasedTemplate,
+  waitlist_offer: waitlistOfferTemplate,
+  waitlist_booked: waitlistBookedTemplate,
+  reminder: reminderTemplate,
+  site_digest: siteDigestTemplate,
+};
+
+function buildJobEmail(type, payload) {
+  if (NOTIFICATION_TEMPLATES[type]) {
+    return { template: NOTIFICATION_TEMPLATES[type](payload), ics: null };
+  }
+
+  const icsMethod = JOB_METHODS[type];
+  if (!icsMethod) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const attendees = payload.recipients;
+
+  // REQUEST emails carry a check-in link (series → "today's" occurrence)
+  const withCheckIn = (view, ids) =>
+    icsMethod === "REQUEST"
+      ? { ...view, check_in_link: buildCheckInLink(ids) }
+      : view;
+
+  // ONE OCCURRENCE OF A SERIES
+  if (payload.series && payload.occurrence) {
+    const view = withCheckIn(
+      { ...payload.series, ...payload.occurrence },
+      { seriesId: payload.series.id }
+    );
+
+    return {
+      icsMethod,
+      template:
+        icsMethod === "CANCEL"
+          ? inviteCancelledTemplate(view)
+          : inviteUpdatedTemplate(view),
+      ics: buildOccurrenceICS({
+        method: icsMethod,
+        series: payload.series,
+        occurrence: payload.occurrence,
+        attendees,
+      }),
+    };
+  }
+
+  // WHOLE SERIES
+  if (payload.series) {
+    const templates = {
+      invite_create: seriesInviteCreatedTemplate,
+      invite_update: seriesInviteUpdatedTemplate,
+      invite_cancel: inviteCancelledTemplate,
+    };
+
+    return {
+      icsMethod,
+      template: templates[type](
+        withCheckIn(payload.series, { seriesId: payload.series.id })
+      ),
+      ics: buildSeriesICS({
+        method: icsMethod,
+        series: payload.series,
+        attendees,
+      }),
+    };
+  }
+
+  // SINGLE RESERVATION
+  const templates = {
+    invite_create: inviteCreatedTemplate,
+    invite_update: inviteUpdatedTemplate,
+    invite_cancel: inviteCancelledTemplate,
+  };
+
+  return {
+    icsMethod,
+    template: templates[type](
+      withCheckIn(payload.reservation, {
+        reservationId: payload.reservation.id,
+      })
+    ),
+    ics: buildICS({
+      method: icsMethod,
+      reservation: payload.reservation,
+      attendees,
+    }),
+  };
+}
+
 /* ------------------------------------------------------------------
    PROCESS ONE JOB
 ------------------------------------------------------------------ */
 async function processSingleJob(job) {
   const attempts = (job.attempts || 0) + 1;
+  let payload = null;
 
   try {
     await pool.query(
@@ -69,28 +218,23 @@ async function processSingleJob(job) {
     );
 
     // ✅ SAFE PARSE
-    const payload =
+    payload =
       typeof job.payload === "string" ? JSON.parse(job.payload) : job.payload;
 
-    let template;
-    let icsMethod = "REQUEST";
-
-    if (job.type === "invite_create") {
-      template = inviteCreatedTemplate(payload.reservation);
-    } else if (job.type === "invite_update") {
-      template = inviteUpdatedTemplate(payload.reservation);
-    } else if (job.type === "invite_cancel") {
-      template = inviteCancelledTemplate(payload.reservation);
-      icsMethod = "CANCEL";
-    } else {
-      throw new Error(`Unknown job type: ${job.type}`);
+    // ⏭️ REMINDER FOR A BOOKING THAT CHANGED SINCE IT WAS QUEUED → DROP
+    if (job.type === "reminder") {
+      const staleReason = await getStaleReminderReason(payload);
+
+      if (staleReason) {
+        await pool.query(`DELETE FROM email_jobs WHERE id = ?`, [job.id]);
+        await finishReminder(payload.reminder_id, "skipped");
+
+        console.log(`⏭️ Reminder job ${job.id} skipped (${staleReason})`);
+        return;
+      }
     }
 
-    const ics = buildICS({
-      reservation: payload.reservation,
-      method: icsMethod,
-      attendees: payload.recipients,
-    });
+    const { template, ics, icsMethod } = buildJobEmail(job.type, payload);
 
     await sendMail({
       to: payload.recipients,
@@ -113,6 +257,10 @@ async function processSingleJob(job) {
       [job.id]
     );
 
+    if (job.type === "reminder") {
+      await finishReminder(payload.reminder_id, "sent");
+    }
+
     console.log(`✅ Email job ${job.id} sent`);
   } catch (err) {
     // ⛔ DEAD LETTER
@@ -134,6 +282,11 @@ async function processSingleJob(job) {
 
       await pool.query(`DELETE FROM email_jobs WHERE id = ?`, [job.id]);
 
+      // Out of retries → close the reminder row (not 'queued' forever)
+      if (job.type === "reminder") {
+        await finishReminder(payload?.reminder_id, "failed");
+      }
+
       console.error(
         `💀 Email job ${job.id} permanently failed and moved to dead-letter table`
       );
@@ -170,3 +323,107 @@ setInterval(() => {
     console.error("Worker loop error:", err.message)
   );
 }, 30_000);
+
+/* ------------------------------------------------------------------
+   NO-SHOW RELEASE LOOP
+   ------------------------------------------------------------------
+   Confirmed bookings not checked in CHECK_IN_GRACE_MINUTES after
+   start_time → 'no_show', rest of the slot freed + organizer notice job
+   (off unless CHECK_IN_GRACE_MINUTES > 0 and CHECK_IN_LINK_SECRET is set)
+------------------------------------------------------------------ */
+setInterval(() => {
+  releaseNoShowReservations()
+    .then((released) => {
+      if (released > 0) {
+        console.log(`🚪 Released ${released} no-show reservation(s)`);
+      }
+    })
+    .catch((err) => console.error("No-show sweep error:", err.message));
+}, NO_SHOW_SWEEP_MS);
+
+/* ------------------------------------------------------------------
+   WAITLIST EXPIRY LOOP
+   ------------------------------------------------------------------
+   Unclaimed offers past WAITLIST_OFFER_MINUTES → 'expired' + the next
+   waiting entry for that range is offered (or auto-booked)
+------------------------------------------------------------------ */
+setInterval(() => {
+  expireWaitlistOffers()
+    .then((expired) => {
+      if (expired > 0) {
+        console.log(`⏳ Expired ${expired} waitlist offer(s)`);
+      }
+    })
+    .catch((err) => console.error("Waitlist sweep error:", err.message));
+}, WAITLIST_SWEEP_MS);
+
+/* ------------------------------------------------------------------
+   REMINDER LOOP
+   ------------------------------------------------------------------
+   Confirmed bookings that reached a REMINDER_OFFSETS_MINUTES offset
+   → one 'reminder' job each (reservation_reminders prevents repeats,
+   also across restarts)
+------------------------------------------------------------------ */
+setInterval(() => {
+  queueDueReminders()
+    .then((queued) => {
+      if (queued > 0) {
+        console.log(`⏰ Queued ${queued} reminder email(s)`);
+      }
+    })
+    .catch((err) => console.error("Reminder sweep error:", err.message));
+}, REMINDER_SWEEP_MS);
+
+/* ------------------------------------------------------------------
+   SITE DIGEST LOOP
+   ------------------------------------------------------------------
+   From DIGEST_SEND_TIME (local) on each open day: one 'site_digest'
+   job per subscribed site (site_digest_runs prevents repeats)
+------------------------------------------------------------------ */
+setInterval(() => {
+  queueDueSiteDigests()
+    .then((queued) => {
+      if (queued > 0) {
+        console.log(`📰 Queued ${queued} site digest(s)`);
+      }
+    })
+    .catch((err) => console.error("Site digest sweep error:", err.message));
+}, DIGEST_SWEEP_MS);
+
+/* ------------------------------------------------------------------
+   RSVP INBOX LOOP
+   ------------------------------------------------------------------
+   METHOD:REPLY messages (attendee accepted / declined / tentative)
+   → reservation_rsvps. Off unless RSVP_INBOX is configured; a slow
+   poll (IMAP) is never overlapped by the next one.
+------------------------------------------------------------------ */
+let rsvpInbox = null;
+
+try {
+  rsvpInbox = createRsvpInbox();
+} catch (err) {
+  console.error("❌ RSVP inbox disabled:", err.message);
+}
+
+if (rsvpInbox) {
+  let rsvpPolling = false;
+
+  console.log(`📬 RSVP inbox: ${rsvpInbox.name}`);
+
+  setInterval(() => {
+    if (rsvpPolling) return;
+    rsvpPolling = true;
+
+    rsvpInbox
+      .poll((raw) => processRsvpMessage(raw, { source: rsvpInbox.name }))
+      .then((handled) => {
+        if (handled > 0) {
+          console.log(`📨 Processed ${handled} RSVP inbox message(s)`);
+        }
+      })
+      .catch((err) => console.error("RSVP inbox error:", err.message))
+      .finally(() => {
+        rsvpPolling = false;
+      });
+  }, RSVP_POLL_MS);
+}
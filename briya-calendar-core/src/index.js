@@ -1,6 +1,6 @@
-import { getDefaultCalendarPolicy } from "./calendarPolicy";
-import { isWeekend, rangeTouchesWeekend } from "./calendarUtils";
-import { validateReservationRange } from "./reservationValidation";
+import { getDefaultCalendarPolicy } from "./calendarPolicy.js";
+import { isWeekend, rangeTouchesWeekend } from "./calendarUtils.js";
+import { validateReservationRange } from "./reservationValidation.js";
 
 export {
   getDefaultCalendarPolicy as getCalendarPolicy,
@@ -23,6 +23,15 @@ import { useSwipeable } from "react-swipeable";
 import Home from "./pages/Home";
 import Rooms from "./pages/Rooms";
 import Calendar from "./pages/Calendar";
+import Search from "./pages/Search";
+import MyReservations from "./pages/MyReservations";
+import MyCalendarFeed from "./pages/MyCalendarFeed";
+import Approvals from "./pages/Approvals";
+import NoShowReport from "./pages/NoShowReport";
+import ImportReservations from "./pages/ImportReservations";
+import SiteDigest from "./pages/SiteDigest";
+import CheckIn from "./pages/CheckIn";
+import WaitlistClaim from "./pages/WaitlistClaim";
 
 // Layout components
 import Footer from "./components/Footer";
@@ -153,6 +162,94 @@ export default function App() {
             }
           />
 
+          {/* SEARCH (all sites + rooms) */}
+          <Route
+            path="/search"
+            element={
+              <Search
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* MY RESERVATIONS (emailed-code access) */}
+          <Route
+            path="/my-reservations"
+            element={
+              <MyReservations
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+          <Route
+            path="/my-reservations/feed"
+            element={
+              <MyCalendarFeed
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* APPROVALS (admin PIN) */}
+          <Route
+            path="/approvals"
+            element={
+              <Approvals
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* NO-SHOW REPORT (admin PIN) */}
+          <Route
+            path="/reports/no-shows"
+            element={
+              <NoShowReport
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* BULK CSV IMPORT (admin PIN) */}
+          <Route
+            path="/import"
+            element={
+              <ImportReservations
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* DAILY SITE DIGEST SUBSCRIPTIONS (admin PIN) */}
+          <Route
+            path="/digest"
+            element={
+              <SiteDigest
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* CHECK-IN (link in invite emails) */}
+          <Route
+            path="/check-in"
+            element={
+              <CheckIn
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
+          {/* WAITLIST CLAIM (link in waitlist offer emails) */}
+          <Route
+            path="/waitlist/claim"
+            element={
+              <WaitlistClaim
+                headerTransitionClass={`${transitionStage} ${direction}`}
+              />
+            }
+          />
+
           {/* CALENDAR (by site + room) */}
           <Route
             path="/calendar/:siteSlug/:roomId"
@@ -0,0 +1,132 @@
+// AvailabilitySearch.jsx
+// -----------------------------------------------------------------------------
+// "Find a free room" search form (Rooms page)
+// -----------------------------------------------------------------------------
+// Design principles:
+// • Render + input state only (NO data fetching)
+// • Parent runs the search and filters the Cards grid
+// • Time options come from the calendar policy (same slots as the modal)
+// • Emits MySQL-style wall-time strings ("YYYY-MM-DD HH:MM:SS")
+// • "People" is optional → minCapacity null = any size
+// -----------------------------------------------------------------------------
+
+import { useMemo, useState } from "react";
+import "../css/availabilitySearch.css";
+
+import {
+  generateTimeSlots,
+  formatTime12h,
+  getTodayInputDate,
+} from "../utils/reservationDateTime";
+import { getCalendarPolicy } from "../policies/calendarPolicy.adapter";
+
+const policy = getCalendarPolicy();
+
+export default function AvailabilitySearch({
+  onSearch,
+  onClear,
+  isSearching = false,
+  isActive = false, // a search result is currently filtering the grid
+  error = "",
+}) {
+  // ---------------------------------------------------------------------------
+  // TIME OPTIONS (BUSINESS HOURS ONLY)
+  // ---------------------------------------------------------------------------
+  const timeOptions = useMemo(
+    () => generateTimeSlots(policy.time.min, policy.time.max),
+    []
+  );
+
+  // ---------------------------------------------------------------------------
+  // FORM STATE
+  // ---------------------------------------------------------------------------
+  const [date, setDate] = useState(getTodayInputDate());
+  const [startTime, setStartTime] = useState(timeOptions[0] ?? "");
+  const [endTime, setEndTime] = useState(timeOptions[2] ?? "");
+  const [people, setPeople] = useState("");
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!date || !startTime || !endTime) return;
+
+    const headcount = Number(people);
+
+    onSearch({
+      start: `${date} ${startTime}:00`,
+      end: `${date} ${endTime}:00`,
+      minCapacity:
+        Number.isInteger(headcount) && headcount > 0 ? headcount : null,
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <form className="availability-search" onSubmit={handleSubmit}>
+      <div className="availability-search-fields">
+        <label>
+          Date
+          <input
+            type="date"
+            value={date}
+            min={getTodayInputDate()}
+            onChange={(e) => setDate(e.target.value)}
+          />
+        </label>
+
+        <label>
+          From
+          <select
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+          >
+            {timeOptions.map((t) => (
+              <option key={t} value={t}>
+                {formatTime12h(t)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          To
+          <select value={endTime} onChange={(e) => setEndTime(e.target.value)}>
+            {timeOptions.map((t) => (
+              <option key={t} value={t}>
+                {formatTime12h(t)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          People
+          <input
+            type="number"
+            className="availability-search-people"
+            min="1"
+            step="1"
+            placeholder="Any"
+            value={people}
+            onChange={(e) => setPeople(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="availability-search-actions">
+        <button type="submit" disabled={isSearching}>
+          {isSearching ? "Searching…" : "Find a free room"}
+        </button>
+
+        {isActive && (
+          <button type="button" className="secondary" onClick={onClear}>
+            Show all rooms
+          </button>
+        )}
+      </div>
+
+      {error && <div className="availability-search-error">{error}</div>}
+    </form>
+  );
+}
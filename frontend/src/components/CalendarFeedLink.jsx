@@ -0,0 +1,41 @@
+// CalendarFeedLink.jsx
+// -----------------------------------------------------------------------------
+// "Subscribe in your calendar app" for an .ics feed URL
+// -----------------------------------------------------------------------------
+// Design principles:
+// • webcal:// link → Outlook / Apple Calendar open a subscribe dialog
+// • Copy button → paste into Google Calendar "From URL"
+// • Render only (the parent builds the feed URL)
+// -----------------------------------------------------------------------------
+
+import { useState } from "react";
+import "../css/calendarFeedLink.css";
+
+export default function CalendarFeedLink({ url, label = "Subscribe" }) {
+  const [copied, setCopied] = useState(false);
+
+  const webcalUrl = url.replace(/^https?:/, "webcal:");
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard blocked (http / old browser) → let the user copy by hand
+      window.prompt("Copy this calendar link:", url);
+    }
+  }
+
+  return (
+    <div className="calendar-feed-link">
+      <a href={webcalUrl}>{label}</a>
+      <button type="button" onClick={handleCopy}>
+        {copied ? "Link copied" : "Copy link"}
+      </button>
+      <span className="calendar-feed-hint">
+        Read-only · updates on its own in Outlook or Google Calendar
+      </span>
+    </div>
+  );
+}
@@ -24,7 +24,7 @@ import { useEffect, useRef, useMemo } from "react";
 // 🔹 Non-blocking preload helper (Room metadata ONLY)
 import { preloadRoom } from "../services/roomsService";
 
-export default function Cards({ items = [], siteSlug = null }) {
+export default function Cards({ items = [], siteSlug = null, linkQuery = "" }) {
   const location = useLocation();
 
   // ---------------------------------------------------------------------------
@@ -90,9 +90,10 @@ export default function Cards({ items = [], siteSlug = null }) {
         // ---------------------------------------------------------------------
         // LINK GENERATION (CONTEXT-AWARE)
         // ---------------------------------------------------------------------
+        // linkQuery → e.g. "?start=…&end=…" from the availability search
         const link = isHome
           ? `/rooms/${item.slug}`
-          : `/calendar/${siteSlug}/${item.id}`;
+          : `/calendar/${siteSlug}/${item.id}${linkQuery}`;
 
         return (
           <Link
@@ -0,0 +1,109 @@
+// ExportCsvButton.jsx
+// -----------------------------------------------------------------------------
+// "Download CSV" for a site (Rooms page) or one room (Calendar page)
+// -----------------------------------------------------------------------------
+// Design principles:
+// • Date range + status filter, defaults to the current month
+// • The backend builds the file (snapshot names, local wall times)
+// • Sends the device PIN (the export contains emails) → a 401 message is
+//   shown when this device has no PIN yet
+// -----------------------------------------------------------------------------
+
+import { useState } from "react";
+import "../css/exportCsv.css";
+
+import { exportReservationsCsv } from "../services/reservationsService";
+
+const STATUS_OPTIONS = [
+  { value: "", label: "Confirmed + pending" },
+  { value: "confirmed", label: "Confirmed only" },
+  { value: "all", label: "All (incl. cancelled / no-show)" },
+];
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// First day of this month / next month → "YYYY-MM-DD" (LOCAL)
+function monthStartInput(offset) {
+  const now = new Date();
+  const d = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-01`;
+}
+
+export default function ExportCsvButton({ siteSlug, roomId = null }) {
+  const [from, setFrom] = useState(() => monthStartInput(0));
+  const [to, setTo] = useState(() => monthStartInput(1));
+  const [status, setStatus] = useState("");
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleDownload(e) {
+    e.preventDefault();
+
+    try {
+      setIsExporting(true);
+      setError("");
+
+      const { blob, fileName } = await exportReservationsCsv({
+        site: siteSlug,
+        room_id: roomId,
+        from,
+        to,
+        status,
+      });
+
+      // Save through a temporary link (works for every browser we support)
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <form className="export-csv" onSubmit={handleDownload}>
+      <label>
+        From
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+        />
+      </label>
+
+      <label>
+        To (exclusive)
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+      </label>
+
+      <label>
+        Status
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          {STATUS_OPTIONS.map((o) => (
+            <option key={o.value} value={o.value}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <button type="submit" disabled={isExporting}>
+        {isExporting ? "Preparing…" : "Download CSV"}
+      </button>
+
+      {error && <div className="export-csv-error">{error}</div>}
+    </form>
+  );
+}
@@ -71,9 +71,11 @@ export default function PinAccessModal({
       const data = await res.json();
 
       // Store access for this device/session
-      localStorage.setItem("calendarAccess", JSON.stringify(data));
+      // (PIN kept so admin-only calls can re-send it as X-Access-Pin)
+      const access = { ...data, pin };
+      localStorage.setItem("calendarAccess", JSON.stringify(access));
 
-      onSuccess?.(data);
+      onSuccess?.(access);
     } catch (err) {
       setError(err.message || "Verification failed");
     } finally {
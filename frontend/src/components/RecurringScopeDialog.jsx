@@ -0,0 +1,108 @@
+// src/components/RecurringScopeDialog.jsx
+// ------------------------------------------------------------
+// "Which occurrences?" prompt for recurring reservations.
+//
+// Shown before a recurring instance is changed by:
+// • Drag & drop / resize in RoomCalendar
+//
+// Returns the chosen edit_scope through onChoose:
+// • "single"    → only this occurrence
+// • "following" → this and every later occurrence (series is split)
+// • "series"    → every occurrence
+//
+// Design goals:
+// • Same look as ReservationModal (rr-modal classes)
+// • No API calls here — parent owns the update
+// ------------------------------------------------------------
+
+import { useEffect, useState } from "react";
+import "../css/reservationModal.css";
+
+import { EDIT_SCOPE } from "../services/reservationsService";
+
+const SCOPE_OPTIONS = [
+  { value: EDIT_SCOPE.SINGLE, label: "This occurrence" },
+  { value: EDIT_SCOPE.FOLLOWING, label: "This and following occurrences" },
+  { value: EDIT_SCOPE.SERIES, label: "All occurrences" },
+];
+
+export default function RecurringScopeDialog({ isOpen, onChoose, onClose }) {
+  // Parent mounts the dialog per prompt → always starts at the least
+  // destructive choice
+  const [scope, setScope] = useState(EDIT_SCOPE.SINGLE);
+
+  /* ------------------------------------------------------------------
+     ESC KEY SUPPORT
+  ------------------------------------------------------------------ */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onChoose(scope);
+  }
+
+  return (
+    <div className="rr-modal-overlay" role="presentation">
+      <div
+        className="rr-modal rr-modal-compact"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Edit recurring reservation"
+      >
+        <div className="rr-modal-header">
+          <h2>Edit recurring reservation</h2>
+
+          <button
+            type="button"
+            className="rr-modal-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="rr-modal-body">
+          <div className="rr-scope-options">
+            {SCOPE_OPTIONS.map((option) => (
+              <label key={option.value}>
+                <input
+                  type="radio"
+                  name="editScope"
+                  checked={scope === option.value}
+                  onChange={() => setScope(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          <div className="rr-modal-footer">
+            <button
+              type="button"
+              className="rr-btn rr-btn-secondary"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+
+            <button type="submit" className="rr-btn rr-btn-primary">
+              OK
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+// src/components/ReservationHistory.jsx
+// ------------------------------------------------------------
+// "History" tab of ReservationModal (edit mode).
+//
+// Shows the audit trail of one reservation, oldest first:
+// • What happened (created / updated / cancelled / approved / rejected /
+//   checked in / released as a no-show)
+// • Who did it (PIN role and/or verified email)
+// • When (UTC audit time → shown in the browser's local time)
+// • Field-by-field before → after values
+//
+// Design goals:
+// • Read-only — no edits from here
+// • Parent mounts it only while the tab is open (fresh load each time)
+// ------------------------------------------------------------
+
+import { useEffect, useState } from "react";
+
+import { getReservationHistory } from "../services/reservationsService";
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  cancel: "Cancelled",
+  approve: "Approved",
+  reject: "Rejected",
+  check_in: "Checked in",
+  no_show: "Released (no-show)",
+};
+
+const SCOPE_LABELS = {
+  single: "this occurrence",
+  following: "this and following occurrences",
+  series: "all occurrences",
+};
+
+const FIELD_LABELS = {
+  title: "Title",
+  description: "Description",
+  start_time: "Start",
+  end_time: "End",
+  created_by_name: "Booked by",
+  email: "Organizer email",
+  attendees_emails: "Attendees",
+  room_name_snapshot: "Room",
+  site_name_snapshot: "Site",
+  recurrence_id: "Series",
+  status: "Status",
+  review_reason: "Review note",
+  checked_in_at_utc: "Checked in (UTC)",
+};
+
+const ROLE_LABELS = {
+  user: "PIN user",
+  admin: "Admin",
+  super_admin: "Super admin",
+  system: "Automatic",
+};
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" (UTC) → local, human-readable
+ */
+function formatAuditTime(utc) {
+  const date = new Date(`${String(utc).replace(" ", "T")}Z`);
+  if (isNaN(date.getTime())) return String(utc);
+
+  return date.toLocaleString("en-US", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+function describeActor(entry) {
+  const parts = [];
+  if (entry.actor_role) {
+    parts.push(ROLE_LABELS[entry.actor_role] ?? entry.actor_role);
+  }
+  if (entry.actor_email) parts.push(entry.actor_email);
+  return parts.length > 0 ? parts.join(" · ") : "Anonymous device";
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  return String(value);
+}
+
+export default function ReservationHistory({ reservationId }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+
+    getReservationHistory(reservationId)
+      .then((data) => {
+        if (alive) setEntries(Array.isArray(data) ? data : []);
+      })
+      .catch((err) => {
+        if (alive) setError(err.message);
+      })
+      .finally(() => {
+        if (alive) setLoading(false);
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [reservationId]);
+
+  if (loading) {
+    return <p className="rr-history-empty">Loading history…</p>;
+  }
+
+  if (error) {
+    return (
+      <div className="rr-errors rr-errors-critical" role="alert">
+        {error}
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return (
+      <p className="rr-history-empty">
+        No changes recorded yet for this reservation.
+      </p>
+    );
+  }
+
+  return (
+    <ol className="rr-history">
+      {entries.map((entry) => {
+        const fields = Object.entries(entry.changes ?? {});
+
+        return (
+          <li key={entry.id} className="rr-history-entry">
+            <div className="rr-history-head">
+              <strong>{ACTION_LABELS[entry.action] ?? entry.action}</strong>
+              {entry.edit_scope && entry.edit_scope !== "single" && (
+                <span className="rr-history-scope">
+                  ({SCOPE_LABELS[entry.edit_scope] ?? entry.edit_scope})
+                </span>
+              )}
+              <span className="rr-history-meta">
+                {formatAuditTime(entry.created_at_utc)} · {describeActor(entry)}
+              </span>
+            </div>
+
+            {entry.action !== "create" && fields.length > 0 && (
+              <ul className="rr-history-changes">
+                {fields.map(([field, { from, to }]) => (
+                  <li key={field}>
+                    <span className="rr-history-field">
+                      {FIELD_LABELS[field] ?? field}:
+                    </span>{" "}
+                    <del>{formatValue(from)}</del> → {formatValue(to)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
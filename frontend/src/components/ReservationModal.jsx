@@ -9,6 +9,10 @@
 // • Booked by
 // • Optional description
 // • Recurring event UI (logic added later)
+// • History tab (edit mode) → audit trail of the reservation
+// • RSVP counts under Attendees (edit mode) → replies from calendar apps
+// • Room picker (edit mode) → move the booking to another room / site
+// • Check-in (edit mode) → confirm a booking is in use (no-show release)
 //
 // Validation:
 // • Weekend rules (rule-driven)
@@ -34,6 +38,7 @@ import {
   generateTimeSlots,
   formatTime12h,
   toMySQLDateTime,
+  formatMySQLRange,
 } from "../utils/reservationDateTime";
 
 import {
@@ -41,6 +46,11 @@ import {
   validateReservationRange,
 } from "../policies/calendarPolicy.adapter";
 
+import { EDIT_SCOPE } from "../services/reservationsService";
+import { getRoomDirectory } from "../services/roomsService";
+import ReservationHistory from "./ReservationHistory";
+import ReservationRsvps from "./ReservationRsvps";
+
 const policy = getCalendarPolicy();
 
 /* ------------------------------------------------------------------
@@ -55,16 +65,54 @@ const policy = getCalendarPolicy();
 const MIN_TIME_STRING = policy.time.min.toTimeString().slice(0, 5);
 const MAX_TIME_STRING = policy.time.max.toTimeString().slice(0, 5);
 
+/* ------------------------------------------------------------------
+   CHECK-IN WINDOW (mirrors backend checkInService)
+   ------------------------------------------------------------------
+   • Opens CHECK_IN_OPENS_MINUTES before start_time, closes at end_time
+   • The backend re-checks; this only decides whether to show the button
+------------------------------------------------------------------ */
+const CHECK_IN_OPENS_MINUTES = 15;
+
+function isCheckInOpen(row, now = new Date()) {
+  if (!row?.start_time || !row?.end_time) return false;
+
+  const start = new Date(String(row.start_time).replace(" ", "T"));
+  const end = new Date(String(row.end_time).replace(" ", "T"));
+  const opensAt = new Date(start.getTime() - CHECK_IN_OPENS_MINUTES * 60_000);
+
+  return now >= opensAt && now < end;
+}
+
+/**
+ * checked_in_at_utc / hold expires_at_utc ("YYYY-MM-DD HH:MM:SS", UTC)
+ * → local "2:05 PM"
+ */
+function formatCheckInTime(utc) {
+  const date = new Date(`${String(utc).replace(" ", "T")}Z`);
+  if (isNaN(date.getTime())) return String(utc);
+
+  return date.toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
 
 export default function ReservationModal({
   isOpen,
   mode, // "create" | "edit"
   roomName, // Display room name in header
+  roomId, // Current room (edit mode room picker default)
   initialStart,
   initialEnd,
   activeEvent,
   onClose,
   onSubmit,
+  onCancelReservation, // edit mode only — soft-deletes the reservation
+  onCheckIn, // edit mode only — marks the booking as in use
+  onJoinWaitlist, // create mode only — queue for a slot that is taken
+  hold = null, // create mode only — { status: "mine" | "taken", expires_at_utc }
+  requiresApproval = false, // room bookings start "pending" (admin review)
 }) {
   /* ------------------------------------------------------------------
    TIME SLOT OPTIONS (DROPDOWN)
@@ -299,6 +347,7 @@ export default function ReservationModal({
       setEmail("");
       setAttendeesEmails([]); // ✅ array
       setDescription("");
+      setExcludeDates([]);
       return;
     }
 
@@ -317,6 +366,8 @@ export default function ReservationModal({
           : []
       );
       setDescription(activeEvent.description ?? "");
+      setEditScope(EDIT_SCOPE.SINGLE);
+      setTargetRoomId("");
     }
   }, [mode, activeEvent]);
 
@@ -328,6 +379,57 @@ export default function ReservationModal({
   const [isRecurring, setIsRecurring] = useState(false);
   const [repeatType, setRepeatType] = useState("daily");
   const [repeatEndDate, setRepeatEndDate] = useState("");
+  // Dates the series should skip (holidays, testing weeks) → "YYYY-MM-DD"
+  const [excludeDates, setExcludeDates] = useState([]);
+
+  /* ------------------------------------------------------------------
+     EDIT SCOPE (EDIT MODE, RECURRING ROWS ONLY)
+     ------------------------------------------------------------------
+     • Replaces the "Recurring Event" toggle for an existing occurrence
+     • Defaults to the least destructive choice on every open
+  ------------------------------------------------------------------ */
+  const isRecurringRow = mode === "edit" && activeEvent?.recurrence_id != null;
+
+  /* ------------------------------------------------------------------
+     TABS (EDIT MODE): "details" form | "history" audit trail
+     ------------------------------------------------------------------
+     • Stored per reservation id → opening another reservation starts
+       on "details" again without a reset effect
+  ------------------------------------------------------------------ */
+  const [historyForId, setHistoryForId] = useState(null);
+
+  /* ------------------------------------------------------------------
+     ROOM PICKER (EDIT MODE)
+     ------------------------------------------------------------------
+     • targetRoomId "" → stays in the current room (no room_id sent)
+     • Directory (all sites + rooms) is cached by roomsService
+     • Load failure → picker is simply not shown
+  ------------------------------------------------------------------ */
+  const [roomDirectory, setRoomDirectory] = useState([]);
+  const [targetRoomId, setTargetRoomId] = useState("");
+
+  useEffect(() => {
+    if (!isOpen || mode !== "edit") return;
+
+    let alive = true;
+
+    getRoomDirectory()
+      .then((directory) => {
+        if (alive) setRoomDirectory(directory);
+      })
+      .catch((err) => {
+        console.warn("Room picker unavailable:", err.message);
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [isOpen, mode]);
+  const showHistory =
+    mode === "edit" &&
+    activeEvent?.id != null &&
+    historyForId === activeEvent.id;
+  const [editScope, setEditScope] = useState(EDIT_SCOPE.SINGLE);
 
   /* ------------------------------------------------------------------
      META STATE
@@ -335,6 +437,21 @@ export default function ReservationModal({
   const [errors, setErrors] = useState([]);
   const [isSaving, setIsSaving] = useState(false);
 
+  /* ------------------------------------------------------------------
+   SAVE FAILURE (BACKEND AUTHORITY)
+   ------------------------------------------------------------------
+   • Set when onSubmit throws (e.g. 409 — room already booked)
+   • Shape: { message, conflicts: [{ id, title, start_time, end_time }],
+     waitlistPayload? } — the payload is kept when the create could be
+     queued on the waitlist instead (single bookings only)
+   • Kept separate from validation errors, which are recomputed live
+------------------------------------------------------------------ */
+  const [submitError, setSubmitError] = useState(null);
+
+  // Waitlist (create mode, after a 409) → auto-book choice + confirmation
+  const [waitlistAutoBook, setWaitlistAutoBook] = useState(false);
+  const [waitlistNotice, setWaitlistNotice] = useState("");
+
   /* ------------------------------------------------------------------
    SUBMIT ATTEMPT TRACKING
    ------------------------------------------------------------------
@@ -653,6 +770,9 @@ export default function ReservationModal({
     }
 
     setErrors([]);
+    setSubmitError(null);
+    setWaitlistAutoBook(false);
+    setWaitlistNotice("");
     setIsSaving(false);
     setHasAttemptedSubmit(false);
   }, [isOpen, initialStart, initialEnd, mode]);
@@ -923,8 +1043,12 @@ export default function ReservationModal({
       return;
     }
 
+    let payload = null;
+
     try {
       setIsSaving(true);
+      setSubmitError(null);
+      setWaitlistNotice("");
 
       // ------------------------------------------------------------
       // BUILD RECURRENCE PAYLOAD (FRONTEND AUTHORITY)
@@ -944,7 +1068,8 @@ export default function ReservationModal({
           frequency: isBiWeekly ? "weekly" : repeatType, // daily | weekly | monthly
           interval: isBiWeekly ? 2 : 1,
           until: repeatEndDate, // YYYY-MM-DD
-          excludeDates: [], // future feature
+          // Only dates inside the series range matter; backend ignores others
+          excludeDates: excludeDates.filter((d) => d <= repeatEndDate),
         };
       }
 
@@ -952,7 +1077,7 @@ export default function ReservationModal({
       // FINAL PAYLOAD BEING SENT TO BACKEND MySQL
       // (NO IDs — parent component injects site_id / room_id)
       // ------------------------------------------------------------
-      const payload = {
+      payload = {
         title,
         description,
         created_by_name: bookedBy,
@@ -989,6 +1114,16 @@ export default function ReservationModal({
         // Backend expands recurring events if provided
         // ------------------------------------------------------------------
         recurrence: recurrencePayload,
+
+        // ------------------------------------------------------------------
+        // EDIT SCOPE (recurring occurrences only)
+        // ------------------------------------------------------------------
+        edit_scope: isRecurringRow ? editScope : undefined,
+
+        // ------------------------------------------------------------------
+        // ROOM MOVE (edit mode only — omitted when the room is unchanged)
+        // ------------------------------------------------------------------
+        room_id: targetRoomId ? Number(targetRoomId) : undefined,
       };
 
       // Submit to parent (RoomCalendar handles API + IDs)
@@ -996,6 +1131,117 @@ export default function ReservationModal({
 
       // Close modal on success
       onClose();
+    } catch (err) {
+      // Keep the modal open so typed-in details are not lost
+      const conflicts = Array.isArray(err?.conflicts) ? err.conflicts : [];
+
+      setSubmitError({
+        message: err?.message || "Unable to save this reservation.",
+        conflicts,
+        // Taken single booking → offer the waitlist for the same details
+        waitlistPayload:
+          mode === "create" &&
+          onJoinWaitlist &&
+          payload &&
+          !payload.recurrence &&
+          conflicts.length > 0
+            ? payload
+            : null,
+      });
+      triggerErrorShake();
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+   CANCEL RESERVATION (EDIT MODE)
+   ------------------------------------------------------------------
+   • Explicit confirmation (this emails every attendee)
+   • Parent performs the API call + calendar update
+   • Failures stay visible in the modal (same banner as save errors)
+------------------------------------------------------------------ */
+  async function handleCancelReservation() {
+    if (!onCancelReservation) return;
+
+    const confirmed = window.confirm(
+      isRecurringRow
+        ? "Skip this date? Only this occurrence is cancelled; the rest of the series stays booked."
+        : "Cancel this reservation? The organizer and all attendees will receive a cancellation."
+    );
+    if (!confirmed) return;
+
+    try {
+      setIsSaving(true);
+      setSubmitError(null);
+      await onCancelReservation();
+    } catch (err) {
+      setSubmitError({
+        message: err?.message || "Unable to cancel this reservation.",
+        conflicts: [],
+      });
+      triggerErrorShake();
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+   CHECK IN (EDIT MODE)
+   ------------------------------------------------------------------
+   • Parent performs the API call + refreshes activeEvent
+   • Modal stays open (the note switches to "Checked in")
+------------------------------------------------------------------ */
+  async function handleCheckIn() {
+    if (!onCheckIn) return;
+
+    try {
+      setIsSaving(true);
+      setSubmitError(null);
+      await onCheckIn();
+    } catch (err) {
+      setSubmitError({
+        message: err?.message || "Unable to check in.",
+        conflicts: [],
+      });
+      triggerErrorShake();
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /* ------------------------------------------------------------------
+   JOIN WAITLIST (CREATE MODE, AFTER A 409)
+   ------------------------------------------------------------------
+   • Same details as the failed booking (+ auto-book choice)
+   • Parent injects site_id / room_id and performs the API call
+   • Modal stays open with a confirmation (nothing was booked yet)
+------------------------------------------------------------------ */
+  async function handleJoinWaitlist() {
+    if (!onJoinWaitlist || !submitError?.waitlistPayload) return;
+
+    try {
+      setIsSaving(true);
+
+      const entry = await onJoinWaitlist({
+        ...submitError.waitlistPayload,
+        auto_book: waitlistAutoBook,
+      });
+
+      setSubmitError(null);
+      setWaitlistNotice(
+        `You're #${entry.position} on the waitlist. We'll email ${
+          submitError.waitlistPayload.email
+        } if this time frees up${
+          waitlistAutoBook ? " and book it for you." : "."
+        }`
+      );
+    } catch (err) {
+      setSubmitError({
+        message: err?.message || "Unable to join the waitlist.",
+        conflicts: [],
+      });
+      triggerErrorShake();
     } finally {
       setIsSaving(false);
     }
@@ -1043,10 +1289,105 @@ export default function ReservationModal({
           >
             ✕
           </button>
+
+          {mode === "edit" && activeEvent?.id != null && (
+            <div className="rr-tabs" role="tablist">
+              <button
+                type="button"
+                role="tab"
+                aria-selected={!showHistory}
+                className={`rr-tab ${!showHistory ? "active" : ""}`}
+                onClick={() => setHistoryForId(null)}
+              >
+                Details
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={showHistory}
+                className={`rr-tab ${showHistory ? "active" : ""}`}
+                onClick={() => setHistoryForId(activeEvent.id)}
+              >
+                History
+              </button>
+            </div>
+          )}
         </div>
 
+        {/* HISTORY TAB (read-only) */}
+        {showHistory && (
+          <div className="rr-modal-body">
+            <ReservationHistory reservationId={activeEvent.id} />
+          </div>
+        )}
+
         {/* BODY */}
-        <form onSubmit={handleSubmit} className="rr-modal-body">
+        <form
+          onSubmit={handleSubmit}
+          className="rr-modal-body"
+          hidden={showHistory}
+        >
+          {/* ------------------------------------------------------------
+              APPROVAL NOTICE (RESTRICTED ROOMS)
+              ------------------------------------------------------------
+              • Create → explain that the booking is a request
+              • Edit   → show that it is still waiting for review
+          ------------------------------------------------------------ */}
+          {mode === "create" && requiresApproval && (
+            <div className="rr-approval-note">
+              This room requires approval. Your booking will be held as
+              pending until an administrator approves it — calendar invites
+              are sent after approval.
+            </div>
+          )}
+
+          {mode === "edit" && activeEvent?.status === "pending" && (
+            <div className="rr-approval-note">
+              Pending approval — calendar invites go out once an
+              administrator approves this booking.
+            </div>
+          )}
+
+          {mode === "edit" && activeEvent?.status === "no_show" && (
+            <div className="rr-checkin-note rr-hold-taken" role="status">
+              Released at {formatCheckInTime(activeEvent.released_at_utc)}{" "}
+              because nobody checked in — the rest of the slot was freed.
+              This booking can no longer be edited.
+            </div>
+          )}
+
+          {/* ------------------------------------------------------------
+              CHECK-IN (CONFIRMED BOOKINGS)
+              ------------------------------------------------------------
+              • Not checked in shortly after the start → released
+          ------------------------------------------------------------ */}
+          {mode === "edit" &&
+            activeEvent?.status === "confirmed" &&
+            (activeEvent.checked_in_at_utc ? (
+              <div className="rr-checkin-note rr-checkin-done">
+                ✅ Checked in at{" "}
+                {formatCheckInTime(activeEvent.checked_in_at_utc)}
+              </div>
+            ) : (
+              onCheckIn &&
+              isCheckInOpen(activeEvent) && (
+                <div className="rr-checkin-note">
+                  <span>
+                    Here now? Check in so this booking is not released as a
+                    no-show.
+                  </span>
+                  <button
+                    type="button"
+                    className="rr-btn rr-btn-primary"
+                    onClick={handleCheckIn}
+                    disabled={isSaving}
+                  >
+                    Check In
+                  </button>
+                </div>
+              )
+            ))}
+
           {/* ------------------------------------------------------------
               CRITICAL ERROR SUMMARY (SHOWN ONLY AFTER SUBMIT ATTEMPT)
               ------------------------------------------------------------
@@ -1069,6 +1410,78 @@ export default function ReservationModal({
             </div>
           )}
 
+          {/* ------------------------------------------------------------
+              SAVE FAILURE (BACKEND)
+              ------------------------------------------------------------
+              • 409 → lists the reservations already holding this slot
+          ------------------------------------------------------------ */}
+          {submitError && (
+            <div className="rr-errors rr-errors-critical" role="alert">
+              <strong>⚠ {submitError.message}</strong>
+              {submitError.conflicts.length > 0 && (
+                <ul>
+                  {submitError.conflicts.map((c) => (
+                    <li key={c.id}>
+                      {c.title || "Untitled reservation"} (
+                      {formatMySQLRange(c.start_time, c.end_time)})
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {submitError.waitlistPayload && (
+                <div className="rr-waitlist">
+                  <span>
+                    Want this time if it frees up? Join the waitlist and
+                    you'll be emailed first.
+                  </span>
+                  <label className="rr-waitlist-auto">
+                    <input
+                      type="checkbox"
+                      checked={waitlistAutoBook}
+                      onChange={(e) => setWaitlistAutoBook(e.target.checked)}
+                    />
+                    Book it for me automatically
+                  </label>
+                  <button
+                    type="button"
+                    className="rr-btn rr-btn-secondary"
+                    onClick={handleJoinWaitlist}
+                    disabled={isSaving}
+                  >
+                    Join the Waitlist
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* ------------------------------------------------------------
+              TENTATIVE HOLD (CREATE MODE)
+              ------------------------------------------------------------
+              • mine  → the slot is kept for this person for a few minutes
+              • taken → someone else's create modal is open on it
+          ------------------------------------------------------------ */}
+          {mode === "create" && hold?.status === "mine" && (
+            <div className="rr-checkin-note" role="status">
+              ⏳ This time is held for you until{" "}
+              {formatCheckInTime(hold.expires_at_utc)}.
+            </div>
+          )}
+
+          {mode === "create" && hold?.status === "taken" && (
+            <div className="rr-checkin-note rr-hold-taken" role="status">
+              ⚠ Someone else is booking this time right now. It frees up by{" "}
+              {formatCheckInTime(hold.expires_at_utc)} if they don't finish.
+            </div>
+          )}
+
+          {waitlistNotice && (
+            <div className="rr-checkin-note rr-checkin-done" role="status">
+              📝 {waitlistNotice}
+            </div>
+          )}
+
           {/* EVENT TITLE */}
           <div className="rr-field">
             <label>Event Title *</label>
@@ -1320,44 +1733,145 @@ export default function ReservationModal({
             </div>
           </div>
 
+          {/* EDIT SCOPE — existing recurring occurrence */}
+          {isRecurringRow && (
+            <div className="rr-field">
+              <label>Apply changes to</label>
+              <div className="rr-scope-options">
+                {[
+                  [EDIT_SCOPE.SINGLE, "This occurrence"],
+                  [EDIT_SCOPE.FOLLOWING, "This and following occurrences"],
+                  [EDIT_SCOPE.SERIES, "All occurrences"],
+                ].map(([value, label]) => (
+                  <label key={value}>
+                    <input
+                      type="radio"
+                      name="editScope"
+                      checked={editScope === value}
+                      onChange={() => setEditScope(value)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* ROOM — move an existing booking (edit mode) */}
+          {mode === "edit" && roomDirectory.length > 0 && (
+            <div className="rr-field">
+              <label htmlFor="rr-room">Room</label>
+              <select
+                id="rr-room"
+                value={targetRoomId || String(roomId)}
+                onChange={(e) =>
+                  setTargetRoomId(
+                    e.target.value === String(roomId) ? "" : e.target.value
+                  )
+                }
+              >
+                {roomDirectory.map(({ site, rooms }) => (
+                  <optgroup key={site.id} label={site.name}>
+                    {rooms.map((r) => (
+                      <option key={r.id} value={String(r.id)}>
+                        {r.name}
+                        {r.requires_approval ? " (approval required)" : ""}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+
+              {targetRoomId && (
+                <small className="rr-hint">
+                  {isRecurringRow && editScope === EDIT_SCOPE.SINGLE
+                    ? "A recurring booking moves as a whole — choose all occurrences (or this and following) above."
+                    : "Attendees receive an updated invite with the new location."}
+                </small>
+              )}
+            </div>
+          )}
+
           {/* RECURRENCE (UI ONLY) */}
-          <div className="rr-recurring">
-            <label className="rr-recurring-toggle">
-              <input
-                type="checkbox"
-                checked={isRecurring}
-                onChange={(e) => setIsRecurring(e.target.checked)}
-              />
-              Recurring Event
-            </label>
-
-            {isRecurring && (
-              <div className="rr-recurring-panel">
-                <div className="rr-recurring-types">
-                  {["daily", "weekly", "bi-weekly", "monthly"].map((t) => (
-                    <label key={t}>
+          {!isRecurringRow && (
+            <div className="rr-recurring">
+              <label className="rr-recurring-toggle">
+                <input
+                  type="checkbox"
+                  checked={isRecurring}
+                  onChange={(e) => setIsRecurring(e.target.checked)}
+                />
+                Recurring Event
+              </label>
+
+              {isRecurring && (
+                <div className="rr-recurring-panel">
+                  <div className="rr-recurring-types">
+                    {["daily", "weekly", "bi-weekly", "monthly"].map((t) => (
+                      <label key={t}>
+                        <input
+                          type="radio"
+                          name="repeatType"
+                          checked={repeatType === t}
+                          onChange={() => setRepeatType(t)}
+                        />
+                        {t.replace("-", " ")}
+                      </label>
+                    ))}
+                  </div>
+
+                  <div className="rr-field">
+                    <label>Ends On *</label>
+                    <input
+                      type="date"
+                      value={repeatEndDate}
+                      onChange={(e) => setRepeatEndDate(e.target.value)}
+                    />
+                  </div>
+
+                  {/* SKIP DATES — series exceptions (EXDATE) */}
+                  <div className="rr-field">
+                    <label>Skip Dates</label>
+
+                    <div className="rr-chips-input">
+                      {excludeDates.map((day) => (
+                        <span key={day} className="rr-chip">
+                          {day}
+                          <button
+                            type="button"
+                            aria-label="Remove skipped date"
+                            onClick={() =>
+                              setExcludeDates((prev) =>
+                                prev.filter((d) => d !== day)
+                              )
+                            }
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+
                       <input
-                        type="radio"
-                        name="repeatType"
-                        checked={repeatType === t}
-                        onChange={() => setRepeatType(t)}
+                        type="date"
+                        value=""
+                        onChange={(e) => {
+                          const day = e.target.value;
+                          if (!day) return;
+                          setExcludeDates((prev) =>
+                            prev.includes(day) ? prev : [...prev, day].sort()
+                          );
+                        }}
                       />
-                      {t.replace("-", " ")}
-                    </label>
-                  ))}
-                </div>
+                    </div>
 
-                <div className="rr-field">
-                  <label>Ends On *</label>
-                  <input
-                    type="date"
-                    value={repeatEndDate}
-                    onChange={(e) => setRepeatEndDate(e.target.value)}
-                  />
+                    <small className="rr-hint">
+                      Occurrences on these dates will not be booked
+                    </small>
+                  </div>
                 </div>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
+          )}
 
           {/* BOOKED BY */}
           <div className="rr-field">
@@ -1444,6 +1958,16 @@ export default function ReservationModal({
             <small className="rr-hint">
               Press Enter or Tab to add each email
             </small>
+
+            {/* RSVP REPLIES (saved attendees only) */}
+            {mode === "edit" &&
+              activeEvent?.id != null &&
+              activeEvent.attendees_emails && (
+                <ReservationRsvps
+                  key={activeEvent.id}
+                  reservationId={activeEvent.id}
+                />
+              )}
           </div>
 
           {/* DESCRIPTION */}
@@ -1477,6 +2001,18 @@ export default function ReservationModal({
                   • Tooltip explains WHY action is blocked
                   • Works with shake + focus behavior
                 ------------------------------------------------------------------ */}
+            {/* DESTRUCTIVE ACTION — EDIT MODE ONLY (left-aligned) */}
+            {mode === "edit" && onCancelReservation && (
+              <button
+                type="button"
+                className="rr-btn rr-btn-danger"
+                onClick={handleCancelReservation}
+                disabled={isSaving}
+              >
+                {isRecurringRow ? "Skip This Date" : "Cancel Reservation"}
+              </button>
+            )}
+
             <button
               type="button"
               className="rr-btn rr-btn-secondary"
@@ -0,0 +1,93 @@
+// src/components/ReservationRsvps.jsx
+// ------------------------------------------------------------
+// RSVP summary under "Attendees" in ReservationModal (edit mode).
+//
+// Shows how attendees answered the calendar invite:
+// • Counts: accepted / tentative / declined / no reply
+// • Expandable per-attendee list (with their note, if any)
+//
+// Design goals:
+// • Read-only — replies come from the attendees' calendar apps
+// • Reflects the SAVED attendee list (unsaved chips are not counted)
+// • Quiet on failure (a hint, never blocks editing)
+// ------------------------------------------------------------
+
+import { useEffect, useState } from "react";
+
+import { getReservationRsvps } from "../services/reservationsService";
+
+const PARTSTAT_LABELS = {
+  ACCEPTED: "Accepted",
+  TENTATIVE: "Tentative",
+  DECLINED: "Declined",
+  "NEEDS-ACTION": "No reply",
+  DELEGATED: "Delegated",
+};
+
+const PARTSTAT_CLASSES = {
+  ACCEPTED: "accepted",
+  TENTATIVE: "tentative",
+  DECLINED: "declined",
+};
+
+export default function ReservationRsvps({ reservationId }) {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+
+    getReservationRsvps(reservationId)
+      .then((data) => {
+        if (alive) setSummary(data);
+      })
+      .catch((err) => {
+        if (alive) setError(err.message);
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [reservationId]);
+
+  if (error) {
+    return <small className="rr-hint">RSVPs unavailable: {error}</small>;
+  }
+
+  if (!summary || summary.responses.length === 0) return null;
+
+  const { counts, responses } = summary;
+
+  return (
+    <details className="rr-rsvps">
+      <summary>
+        <span className="rr-rsvp-count accepted">
+          {counts.accepted} accepted
+        </span>
+        <span className="rr-rsvp-count tentative">
+          {counts.tentative} tentative
+        </span>
+        <span className="rr-rsvp-count declined">
+          {counts.declined} declined
+        </span>
+        {counts.no_reply > 0 && (
+          <span className="rr-rsvp-count">{counts.no_reply} no reply</span>
+        )}
+      </summary>
+
+      <ul className="rr-rsvp-list">
+        {responses.map((r) => (
+          <li key={r.email}>
+            <span className="rr-rsvp-email">{r.email}</span>
+            <span
+              className={`rr-rsvp-status ${PARTSTAT_CLASSES[r.partstat] ?? ""}`}
+            >
+              {PARTSTAT_LABELS[r.partstat] ?? r.partstat}
+            </span>
+            {r.comment && <q className="rr-rsvp-comment">{r.comment}</q>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
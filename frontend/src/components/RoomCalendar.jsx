@@ -14,6 +14,8 @@
 // • Click empty slot → Create Reservation modal
 // • Click existing event → Edit Reservation modal
 // • POST create + PUT edit (syncs immediately with UI)
+// • Cancel reservation from the Edit modal (removed from UI on success)
+// • Double-booking feedback (backend 409 → conflict list, event snaps back)
 //
 // Guarantees:
 // • Drag & Drop and Resize behavior remain unchanged
@@ -22,25 +24,50 @@
 // • Rule-driven behavior only
 // -----------------------------------------------------------------------------
 
-import { useEffect, useMemo, useState, useCallback } from "react";
+import { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { Calendar, dateFnsLocalizer } from "react-big-calendar";
 import withDragAndDrop from "react-big-calendar/lib/addons/dragAndDrop";
-import { format, parse, startOfWeek, getDay } from "date-fns";
+import {
+  format,
+  parse,
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  startOfDay,
+  addDays,
+  getDay,
+} from "date-fns";
 import enUS from "date-fns/locale/en-US";
 
 import Breadcrumbs from "./Breadcrumbs";
 import ReservationModal from "./ReservationModal";
+import RecurringScopeDialog from "./RecurringScopeDialog";
 
 import { getCalendarPolicy } from "../policies/calendarPolicy.adapter";
-import { mapReservationsToEvents } from "../utils/calendarUtils";
+import {
+  mapReservationsToEvents,
+  buildBufferEvents,
+  buildHoldEvents,
+} from "../utils/calendarUtils";
 
-import { toMySQLDateTime } from "../utils/reservationDateTime";
+import {
+  toMySQLDateTime,
+  formatMySQLRange,
+} from "../utils/reservationDateTime";
 
 import {
   getReservationsByRoom,
   updateReservation,
   createReservation,
+  cancelReservation,
+  checkInReservation,
+  getActiveHolds,
+  createHold,
+  releaseHold,
+  EDIT_SCOPE,
 } from "../services/reservationsService";
+import { joinWaitlist } from "../services/waitlistService";
 
 import "react-big-calendar/lib/addons/dragAndDrop/styles.css";
 import "../css/roomCalendar.css";
@@ -58,11 +85,12 @@ import { isWeekend } from "../policies/calendarPolicy.adapter";
 const policy = getCalendarPolicy();
 
 /* =============================================================================
-   RECURRENCE GUARD — INSTANCE DETECTION
+   RECURRENCE — INSTANCE DETECTION
    -----------------------------------------------------------------------------
    Why this exists:
-   • Your backend may generate expanded instances for recurring series
-   • Until "Edit series vs Edit single" is implemented, editing is blocked
+   • Backend expands recurring series into one row per occurrence
+   • Changing one of them must first ask WHICH occurrences to change
+     (this one / this and following / all)
 ============================================================================= */
 function isRecurringInstance(event) {
   // Defensive: recurrence_id may exist in event.resource OR directly on event
@@ -72,10 +100,112 @@ function isRecurringInstance(event) {
   );
 }
 
-const RECURRENCE_BLOCK_MSG = "Recurring reservations cannot be edited yet.";
+/* =============================================================================
+   MERGE PUT RESPONSE INTO LOCAL STATE
+   -----------------------------------------------------------------------------
+   • Single edit        → backend returns ONE row
+   • Series / following → backend returns { series, reservations: [...] }
+   Rows are replaced by id; anything not returned is left untouched.
+============================================================================= */
+function mergeUpdatedReservations(prev, result, roomId) {
+  const updatedRows = Array.isArray(result?.reservations)
+    ? result.reservations
+    : [result];
+
+  // Moved to another room → no longer belongs on this calendar
+  const movedIds = new Set(
+    updatedRows
+      .filter((row) => row.room_id != null && roomId != null)
+      .filter((row) => Number(row.room_id) !== Number(roomId))
+      .map((row) => Number(row.id))
+  );
+
+  const byId = new Map(updatedRows.map((row) => [Number(row.id), row]));
+
+  return prev
+    .filter((r) => !movedIds.has(Number(r.id)))
+    .map((r) => byId.get(Number(r.id)) ?? r);
+}
+
+/* =============================================================================
+   SAVE FAILURES — STALE EDIT (409 + current row)
+   -----------------------------------------------------------------------------
+   • Someone else saved this reservation after we loaded it
+   • Backend returns the latest row → swap it in so the calendar is current
+============================================================================= */
+function isStaleEditError(err) {
+  return err?.status === 409 && err?.current != null;
+}
+
+/* =============================================================================
+   SAVE FAILURES — DOUBLE-BOOKING (409) FEEDBACK
+   -----------------------------------------------------------------------------
+   Why this exists:
+   • Backend is the final authority on overlaps (room lock + conflict check)
+   • Drag / resize have no form to show errors in, so we alert instead
+   • State is only replaced on success → the event snaps back on failure
+============================================================================= */
+function describeReservationError(err) {
+  const conflicts = Array.isArray(err?.conflicts) ? err.conflicts : [];
+
+  if (conflicts.length === 0) {
+    return err?.message || "Unable to save this reservation.";
+  }
+
+  return [
+    err.message,
+    "",
+    ...conflicts.map(
+      (c) =>
+        `• ${c.title || "Untitled reservation"} (${formatMySQLRange(
+          c.start_time,
+          c.end_time
+        )})`
+    ),
+  ].join("\n");
+}
+
+/* =============================================================================
+   DATE-WINDOWED LOADING
+   -----------------------------------------------------------------------------
+   Why this exists:
+   • A room's full history grows every semester (recurring series included)
+   • We only fetch the range the current view shows, padded on both sides
+     so "next week" / "previous week" usually needs no request at all
+   • Windows are "YYYY-MM-DD" keys, `to` is exclusive (matches backend)
+============================================================================= */
+const WINDOW_PADDING_DAYS = 14;
 
-function blockRecurringAction() {
-  alert(RECURRENCE_BLOCK_MSG);
+// Other viewers' tentative holds ("being booked") are refreshed this often
+const HOLDS_POLL_MS = 20_000;
+
+function toDayKey(date) {
+  return format(date, "yyyy-MM-dd");
+}
+
+function getVisibleRange(view, date) {
+  if (view === "month") {
+    // Month grid shows leading/trailing days of neighbouring months
+    const from = startOfWeek(startOfMonth(date));
+    const to = addDays(startOfDay(endOfWeek(endOfMonth(date))), 1);
+    return { from, to };
+  }
+
+  if (view === "day") {
+    const from = startOfDay(date);
+    return { from, to: addDays(from, 1) };
+  }
+
+  // week + work_week
+  const from = startOfWeek(date);
+  return { from, to: addDays(from, 7) };
+}
+
+/* Loaded rows win over stale local copies; unseen rows are appended */
+function mergeLoadedReservations(prev, rows) {
+  const byId = new Map(prev.map((r) => [Number(r.id), r]));
+  rows.forEach((r) => byId.set(Number(r.id), r));
+  return Array.from(byId.values());
 }
 
 /* =============================================================================
@@ -97,7 +227,14 @@ const localizer = dateFnsLocalizer({
 
 const DnDCalendar = withDragAndDrop(Calendar);
 
-export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
+export default function RoomCalendar({
+  site,
+  room,
+  breadcrumbItems = [],
+  initialSlot = null, // { start, end } Dates → open "create" on this slot
+  initialDate = null, // Date → open the calendar on this day (search results)
+  initialEditId = null, // reservation id → open "edit" once it loads (My Reservations)
+}) {
   /* ===========================================================================
      STATE — RAW RESERVATIONS (DB SHAPE ONLY)
      ---------------------------------------------------------------------------
@@ -111,16 +248,39 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
      STATE — CALENDAR CONTROL (CONTROLLED MODE)
   ========================================================================== */
   const [currentView, setCurrentView] = useState("week");
-  const [currentDate, setCurrentDate] = useState(new Date());
+  const [currentDate, setCurrentDate] = useState(
+    () => initialSlot?.start ?? initialDate ?? new Date()
+  );
+
+  /* ===========================================================================
+     STATE — LOADED WINDOWS CACHE
+     ---------------------------------------------------------------------------
+     • key     → "siteSlug/roomId" (a new room starts an empty cache)
+     • windows → [{ from, to }] already fetched for that room
+     • A ref (not state): changing it must never trigger a render
+  ========================================================================== */
+  const windowCacheRef = useRef({ key: null, windows: [] });
+
+  // Deep-linked edit → consumed by the first window load (one time only)
+  const pendingEditIdRef = useRef(initialEditId);
 
   /* ===========================================================================
      STATE — MODAL CONTROL
   ========================================================================== */
-  const [modalOpen, setModalOpen] = useState(false);
+  // Deep-linked slot (availability search) → modal starts open on it
+  const [modalOpen, setModalOpen] = useState(initialSlot !== null);
   const [modalMode, setModalMode] = useState("create"); // "create" | "edit"
   const [activeEvent, setActiveEvent] = useState(null); // FULL DB ROW (not RBC event)
-  const [modalStart, setModalStart] = useState(null); // Date (from calendar selection)
-  const [modalEnd, setModalEnd] = useState(null); // Date (from calendar selection)
+  const [modalStart, setModalStart] = useState(initialSlot?.start ?? null); // Date (from calendar selection)
+  const [modalEnd, setModalEnd] = useState(initialSlot?.end ?? null); // Date (from calendar selection)
+
+  // Pending "which occurrences?" prompt (drag / resize of recurring rows)
+  const [scopePrompt, setScopePrompt] = useState(null); // { resolve } | null
+
+  // Tentative holds → others' open create modals + this viewer's own hold
+  const [holds, setHolds] = useState([]); // [{ id, start_time, end_time, … }]
+  const [modalHold, setModalHold] = useState(null); // { status, expires_at_utc }
+  const ownHoldRef = useRef(null); // { id, token } until converted / released
 
   /* ===========================================================================
      MODAL HELPERS
@@ -135,12 +295,6 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
 
   const openEditModal = useCallback(
     (event) => {
-      // 🚫 Block editing of recurring instances (until series editing is built)
-      if (isRecurringInstance(event)) {
-        blockRecurringAction();
-        return;
-      }
-
       // ------------------------------------------------------------------
       // React Big Calendar event ≠ DB reservation row
       //
@@ -179,19 +333,76 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
   }
 
   /* ===========================================================================
-     LOAD RESERVATIONS (API)
+     LOAD RESERVATIONS (API) — VISIBLE WINDOW ONLY
+     ---------------------------------------------------------------------------
+     • Re-runs when onNavigate / onView move the visible range
+     • Skips the request if a cached window already covers the range
+     • First load for a room replaces state; later loads merge by id
   ========================================================================== */
+  const { rangeFrom, rangeTo, fetchFrom, fetchTo } = useMemo(() => {
+    const { from, to } = getVisibleRange(currentView, currentDate);
+
+    return {
+      rangeFrom: toDayKey(from),
+      rangeTo: toDayKey(to),
+      fetchFrom: toDayKey(addDays(from, -WINDOW_PADDING_DAYS)),
+      fetchTo: toDayKey(addDays(to, WINDOW_PADDING_DAYS)),
+    };
+  }, [currentView, currentDate]);
+
   useEffect(() => {
     let alive = true;
 
+    const cacheKey = `${site.slug}/${room.id}`;
+    if (windowCacheRef.current.key !== cacheKey) {
+      windowCacheRef.current = { key: cacheKey, windows: [] };
+    }
+
+    const cache = windowCacheRef.current;
+    const isCovered = cache.windows.some(
+      (w) => w.from <= rangeFrom && w.to >= rangeTo
+    );
+    if (isCovered) return;
+
     async function load() {
+      const isFirstWindow = cache.windows.length === 0;
+
       try {
-        setLoading(true);
-        const data = await getReservationsByRoom(site.slug, room.id);
-        if (alive) setReservations(Array.isArray(data) ? data : []);
+        if (isFirstWindow) setLoading(true);
+
+        const data = await getReservationsByRoom(site.slug, room.id, {
+          from: fetchFrom,
+          to: fetchTo,
+        });
+        if (!alive) return;
+
+        const rows = Array.isArray(data) ? data : [];
+        cache.windows.push({ from: fetchFrom, to: fetchTo });
+
+        setReservations((prev) =>
+          isFirstWindow ? rows : mergeLoadedReservations(prev, rows)
+        );
+
+        // Deep-linked edit (?edit=<id>) → open the modal on that row
+        if (pendingEditIdRef.current !== null) {
+          const target = rows.find(
+            (r) => Number(r.id) === Number(pendingEditIdRef.current)
+          );
+          pendingEditIdRef.current = null;
+
+          if (target) {
+            const segments = mapReservationsToEvents([target]);
+
+            setModalMode("edit");
+            setActiveEvent(target);
+            setModalStart(segments[0]?.start ?? null);
+            setModalEnd(segments.at(-1)?.end ?? null);
+            setModalOpen(true);
+          }
+        }
       } catch (err) {
         console.error("Failed to load reservations:", err);
-        if (alive) setReservations([]);
+        if (alive && isFirstWindow) setReservations([]);
       } finally {
         if (alive) setLoading(false);
       }
@@ -201,7 +412,7 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
     return () => {
       alive = false;
     };
-  }, [site.slug, room.id]);
+  }, [site.slug, room.id, rangeFrom, rangeTo, fetchFrom, fetchTo]);
 
   /* ===========================================================================
      DB → CALENDAR EVENTS
@@ -214,6 +425,111 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
     return mapReservationsToEvents(reservations);
   }, [reservations]);
 
+  /* ===========================================================================
+     ROOM BUFFERS (SETUP / TEARDOWN)
+     ---------------------------------------------------------------------------
+     Shaded blocks around each booking → people see why a slot next to an
+     event is refused (backend enforces the same gap on every save)
+  ========================================================================== */
+  const bufferEvents = useMemo(
+    () =>
+      buildBufferEvents(reservations, {
+        beforeMinutes: room?.buffer_before_minutes,
+        afterMinutes: room?.buffer_after_minutes,
+      }),
+    [reservations, room?.buffer_before_minutes, room?.buffer_after_minutes]
+  );
+
+  /* ===========================================================================
+     TENTATIVE HOLDS — "BEING BOOKED"
+     ---------------------------------------------------------------------------
+     • Other viewers' open create modals, polled for the fetched window
+     • Holds expire on the backend after a few minutes → the next poll
+       simply stops returning them
+  ========================================================================== */
+  useEffect(() => {
+    let alive = true;
+
+    async function loadHolds() {
+      try {
+        const data = await getActiveHolds(room.id, {
+          from: fetchFrom,
+          to: fetchTo,
+        });
+        if (alive) setHolds(Array.isArray(data) ? data : []);
+      } catch (err) {
+        console.error("Failed to load holds:", err);
+      }
+    }
+
+    loadHolds();
+    const timer = setInterval(loadHolds, HOLDS_POLL_MS);
+
+    return () => {
+      alive = false;
+      clearInterval(timer);
+    };
+  }, [room.id, fetchFrom, fetchTo]);
+
+  const holdEvents = useMemo(
+    () => buildHoldEvents(holds, { excludeId: modalHold?.id }),
+    [holds, modalHold?.id]
+  );
+
+  /* ===========================================================================
+     OWN HOLD — CREATE MODAL OPEN ON A SLOT
+     ---------------------------------------------------------------------------
+     • Opening the create modal holds the selected slot (backend: 5 min)
+     • Someone else already holds it → the modal says so (409 SLOT_HELD)
+     • Closing / re-opening releases it; a successful create converts it
+       (hold_token in the create payload → ownHoldRef cleared first)
+  ========================================================================== */
+  useEffect(() => {
+    if (!modalOpen || modalMode !== "create" || !modalStart || !modalEnd) {
+      return;
+    }
+
+    let alive = true;
+
+    createHold({ roomId: room.id, start: modalStart, end: modalEnd })
+      .then((hold) => {
+        if (!alive) {
+          releaseHold(hold).catch(() => {});
+          return;
+        }
+
+        ownHoldRef.current = hold;
+        setModalHold({
+          status: "mine",
+          id: hold.id,
+          expires_at_utc: hold.expires_at_utc,
+        });
+      })
+      .catch((err) => {
+        // Already booked → the submit reports it; nothing to show yet
+        if (alive && err.holds?.length) {
+          setModalHold({
+            status: "taken",
+            expires_at_utc: err.holds[0].expires_at_utc,
+          });
+        }
+      });
+
+    return () => {
+      alive = false;
+
+      const hold = ownHoldRef.current;
+      ownHoldRef.current = null;
+      setModalHold(null);
+
+      if (hold) {
+        releaseHold(hold).catch((err) =>
+          console.error("Failed to release hold:", err)
+        );
+      }
+    };
+  }, [modalOpen, modalMode, modalStart, modalEnd, room.id]);
+
   /* ===========================================================================
      CALENDAR NAVIGATION (CONTROLLED)
   ========================================================================== */
@@ -233,6 +549,8 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
     (event) => {
       // If weekends are disabled, do not allow interactions on weekend days
       if (!policy.rules.allowWeekends && isWeekend(event.start)) return;
+      // Buffer / hold blocks are decoration only
+      if (event?.resource?.isBuffer || event?.resource?.isHold) return;
       openEditModal(event);
     },
     [openEditModal]
@@ -249,7 +567,7 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
      Your backend PUT validates multiple fields (title/email/etc).
      So drag/resize MUST NOT send partial payloads.
   ========================================================================== */
-  function buildEditablePutPayload(row, startDate, endDate) {
+  function buildEditablePutPayload(row, startDate, endDate, editScope) {
     if (!row) return null;
 
     return {
@@ -264,8 +582,11 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
       email: row.email ?? null,
       attendees_emails: row.attendees_emails ?? null,
 
-      // Future-safe flag (backend can ignore or enforce later)
-      edit_scope: "single",
+      // Recurring rows: chosen in RecurringScopeDialog
+      edit_scope: editScope ?? EDIT_SCOPE.SINGLE,
+
+      // Optimistic concurrency — the version this drag/resize is based on
+      version: row.version,
     };
   }
 
@@ -288,10 +609,14 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
         site_id: site.id,
         room_id: room.id,
         ...modalPayload,
+        hold_token: ownHoldRef.current?.token,
       };
 
       const result = await createReservation(payload);
 
+      // The hold is now this reservation → nothing to release on close
+      ownHoldRef.current = null;
+
       // Backend may return:
       // • { id: ... } single row
       // • { reservations: [...] } for expanded recurring creation
@@ -303,12 +628,20 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
         console.error("Unexpected createReservation response:", result);
       }
 
+      // Restricted room → booking is only a request for now
+      const createdStatus = result?.reservations?.[0]?.status ?? result?.status;
+      if (createdStatus === "pending") {
+        alert(
+          "Your booking was submitted for approval. You'll get an email once an administrator reviews it."
+        );
+      }
+
       closeModal();
       return;
     }
 
     // ------------------------------
-    // EDIT (single instance only)
+    // EDIT (modal sends edit_scope for recurring rows)
     // ------------------------------
     const id = activeEvent?.id;
 
@@ -318,16 +651,104 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
       return;
     }
 
-    const updated = await updateReservation(id, modalPayload);
+    let updated;
+    try {
+      updated = await updateReservation(id, {
+        ...modalPayload,
+        version: activeEvent?.version,
+      });
+    } catch (err) {
+      // Stale → reload the row (calendar + modal fields); modal shows message
+      if (isStaleEditError(err)) {
+        setReservations((prev) => mergeUpdatedReservations(prev, err.current));
+        setActiveEvent(err.current);
+      }
+      throw err;
+    }
 
-    // Replace local row with backend-returned row
+    // Replace local row(s) with backend-returned row(s)
+    // (rows moved to another room drop off this calendar)
     setReservations((prev) =>
-      prev.map((r) => (Number(r.id) === Number(id) ? updated : r))
+      mergeUpdatedReservations(prev, updated, room.id)
     );
 
     closeModal();
   }
 
+  /* ===========================================================================
+     CANCEL RESERVATION (EDIT MODAL)
+     ---------------------------------------------------------------------------
+     • Backend soft-deletes + queues CANCEL invites
+     • Row is dropped locally (GET no longer returns cancelled rows)
+     • Errors bubble to the modal so it can show them
+  ========================================================================== */
+  async function handleCancelReservation() {
+    const id = activeEvent?.id;
+    if (!Number.isInteger(Number(id))) return;
+
+    await cancelReservation(id);
+
+    setReservations((prev) => prev.filter((r) => Number(r.id) !== Number(id)));
+
+    closeModal();
+  }
+
+  /* ===========================================================================
+     CHECK IN (EDIT MODAL)
+     ---------------------------------------------------------------------------
+     • Backend stamps checked_in_at_utc (+ version) → merged into the row
+     • Modal stays open and shows "Checked in"
+     • Errors (too early / already ended / released) bubble to the modal
+  ========================================================================== */
+  async function handleCheckIn() {
+    const id = activeEvent?.id;
+    if (!Number.isInteger(Number(id))) return;
+
+    const result = await checkInReservation(id);
+    const checkedIn = {
+      ...activeEvent,
+      checked_in_at_utc: result.checked_in_at_utc,
+      version: result.version,
+    };
+
+    setReservations((prev) => mergeUpdatedReservations(prev, checkedIn));
+    setActiveEvent(checkedIn);
+  }
+
+  /* ===========================================================================
+     JOIN WAITLIST (CREATE MODAL, AFTER A 409)
+     ---------------------------------------------------------------------------
+     • Same ownership rule as create: RoomCalendar injects site_id + room_id
+     • Nothing changes on the calendar — the slot is still taken
+  ========================================================================== */
+  function handleJoinWaitlist(modalPayload) {
+    return joinWaitlist({
+      site_id: site.id,
+      room_id: room.id,
+      ...modalPayload,
+    });
+  }
+
+  /* ===========================================================================
+     RECURRING EDIT SCOPE PROMPT
+     ---------------------------------------------------------------------------
+     Drag / resize handlers await the user's choice:
+     • resolves "single" | "following" | "series"
+     • resolves null when the dialog is dismissed (event snaps back)
+  ========================================================================== */
+  const askEditScope = useCallback(
+    () => new Promise((resolve) => setScopePrompt({ resolve })),
+    []
+  );
+
+  const closeScopePrompt = useCallback(
+    (scope) => {
+      scopePrompt?.resolve(scope);
+      setScopePrompt(null);
+    },
+    [scopePrompt]
+  );
+
   /* ===========================================================================
      DRAG EVENT (MOVE)
   ========================================================================== */
@@ -335,24 +756,33 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
     async ({ event, start, end }) => {
       if (!policy.rules.allowWeekends && isWeekend(start)) return;
 
-      if (isRecurringInstance(event)) {
-        blockRecurringAction();
-        return;
-      }
+      // Recurring → ask which occurrences first (null = user backed out)
+      const editScope = isRecurringInstance(event)
+        ? await askEditScope()
+        : EDIT_SCOPE.SINGLE;
+      if (!editScope) return;
 
       const parentId = Number(event?.resource?.parentId ?? event?.id);
       const row = reservations.find((r) => Number(r.id) === parentId);
 
-      const payload = buildEditablePutPayload(row, start, end);
+      const payload = buildEditablePutPayload(row, start, end, editScope);
       if (!payload) return;
 
-      const updated = await updateReservation(parentId, payload);
+      try {
+        const updated = await updateReservation(parentId, payload);
 
-      setReservations((prev) =>
-        prev.map((r) => (Number(r.id) === parentId ? updated : r))
-      );
+        setReservations((prev) => mergeUpdatedReservations(prev, updated));
+      } catch (err) {
+        // 409 → overlap (event stays put) or stale (event reloads)
+        if (isStaleEditError(err)) {
+          setReservations((prev) =>
+            mergeUpdatedReservations(prev, err.current)
+          );
+        }
+        alert(describeReservationError(err));
+      }
     },
-    [reservations]
+    [reservations, askEditScope]
   );
 
   /* ===========================================================================
@@ -362,24 +792,33 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
     async ({ event, start, end }) => {
       if (!policy.rules.allowWeekends && isWeekend(start)) return;
 
-      if (isRecurringInstance(event)) {
-        blockRecurringAction();
-        return;
-      }
+      // Recurring → ask which occurrences first (null = user backed out)
+      const editScope = isRecurringInstance(event)
+        ? await askEditScope()
+        : EDIT_SCOPE.SINGLE;
+      if (!editScope) return;
 
       const parentId = Number(event?.resource?.parentId ?? event?.id);
       const row = reservations.find((r) => Number(r.id) === parentId);
 
-      const payload = buildEditablePutPayload(row, start, end);
+      const payload = buildEditablePutPayload(row, start, end, editScope);
       if (!payload) return;
 
-      const updated = await updateReservation(parentId, payload);
+      try {
+        const updated = await updateReservation(parentId, payload);
 
-      setReservations((prev) =>
-        prev.map((r) => (Number(r.id) === parentId ? updated : r))
-      );
+        setReservations((prev) => mergeUpdatedReservations(prev, updated));
+      } catch (err) {
+        // 409 → overlap (event stays put) or stale (event reloads)
+        if (isStaleEditError(err)) {
+          setReservations((prev) =>
+            mergeUpdatedReservations(prev, err.current)
+          );
+        }
+        alert(describeReservationError(err));
+      }
     },
-    [reservations]
+    [reservations, askEditScope]
   );
 
   /* ===========================================================================
@@ -418,6 +857,12 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
       <DnDCalendar
         localizer={localizer}
         events={events}
+        backgroundEvents={[...bufferEvents, ...holdEvents]}
+        backgroundEventPropGetter={(event) => ({
+          className: event?.resource?.isHold
+            ? "calendar-hold-block"
+            : "calendar-buffer-block",
+        })}
         view={currentView}
         date={currentDate}
         onView={handleViewChange}
@@ -450,13 +895,27 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
         onSelectEvent={handleSelectEvent}
         onEventDrop={handleEventDrop}
         onEventResize={handleEventResize}
+        // Released no-shows are history (backend refuses edits)
+        draggableAccessor={(event) => event?.resource?.status !== "no_show"}
+        resizableAccessor={(event) => event?.resource?.status !== "no_show"}
         dayPropGetter={dayPropGetter}
         slotPropGetter={slotPropGetter}
-        eventPropGetter={(event) =>
-          isRecurringInstance(event)
-            ? { className: "calendar-event-recurring" }
-            : {}
-        }
+        eventPropGetter={(event) => {
+          const classNames = [];
+          if (isRecurringInstance(event)) {
+            classNames.push("calendar-event-recurring");
+          }
+          if (event?.resource?.checked_in_at_utc) {
+            classNames.push("calendar-event-checked-in");
+          }
+          if (event?.resource?.status === "pending") {
+            classNames.push("calendar-event-pending");
+          }
+          if (event?.resource?.status === "no_show") {
+            classNames.push("calendar-event-released");
+          }
+          return classNames.length ? { className: classNames.join(" ") } : {};
+        }}
         popup
         style={{ height: "70vh", minHeight: "520px" }}
       />
@@ -466,12 +925,27 @@ export default function RoomCalendar({ site, room, breadcrumbItems = [] }) {
         isOpen={modalOpen}
         mode={modalMode}
         roomName={room.name}
+        roomId={room.id}
         initialStart={modalStart}
         initialEnd={modalEnd}
         activeEvent={activeEvent} // ✅ FULL DB ROW
         onClose={closeModal}
         onSubmit={handleModalSubmit}
+        onCancelReservation={handleCancelReservation}
+        onCheckIn={handleCheckIn}
+        onJoinWaitlist={handleJoinWaitlist}
+        hold={modalHold}
+        requiresApproval={Boolean(room.requires_approval)}
       />
+
+      {/* Recurring drag / resize → "which occurrences?" */}
+      {scopePrompt && (
+        <RecurringScopeDialog
+          isOpen
+          onChoose={closeScopePrompt}
+          onClose={() => closeScopePrompt(null)}
+        />
+      )}
     </div>
   );
 }
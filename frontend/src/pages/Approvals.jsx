@@ -0,0 +1,303 @@
+// Approvals.jsx — admin approval queue
+// -----------------------------------------------------------------------------
+// APPROVALS PAGE
+// Bookings in restricted rooms (rooms.requires_approval) wait here as
+// "pending" until an admin / super_admin approves or rejects them.
+//
+// Design principles:
+// • Data fetching delegated to services
+// • PIN-gated: admin roles only (backend re-checks every call)
+// • A recurring series is ONE queue entry; deciding it decides every
+//   pending occurrence
+// • Reject requires a reason (emailed to the organizer)
+// -----------------------------------------------------------------------------
+
+import { Link, useNavigate } from "react-router-dom";
+import { useEffect, useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import PinAccessModal from "../components/PinAccessModal";
+
+import {
+  getPendingApprovals,
+  approveReservation,
+  rejectReservation,
+} from "../services/reservationsService";
+import { formatMySQLRange } from "../utils/reservationDateTime";
+
+import "../css/approvals.css";
+
+const APPROVER_ROLES = ["admin", "super_admin"];
+
+const FREQUENCY_LABELS = { daily: "day", weekly: "week", monthly: "month" };
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "Approvals" },
+];
+
+function readStoredAccess() {
+  try {
+    return JSON.parse(localStorage.getItem("calendarAccess"));
+  } catch {
+    return null;
+  }
+}
+
+function isApprover(access) {
+  return Boolean(access?.pin) && APPROVER_ROLES.includes(access?.role);
+}
+
+/**
+ * "Every 2 weeks until 2026-06-12 · 14 dates"
+ */
+function describeSeries(item) {
+  const unit = FREQUENCY_LABELS[item.frequency] || item.frequency;
+  const interval = Number(item.interval_count) || 1;
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  return `${every} until ${String(item.until_date).slice(0, 10)} · ${
+    item.occurrence_count
+  } pending date${item.occurrence_count === 1 ? "" : "s"}`;
+}
+
+export default function Approvals({ headerTransitionClass = "" }) {
+  const navigate = useNavigate();
+
+  // ---------------------------------------------------------------------------
+  // ACCESS (admin PIN)
+  // ---------------------------------------------------------------------------
+  const [access, setAccess] = useState(() => readStoredAccess());
+  const canApprove = isApprover(access);
+
+  // ---------------------------------------------------------------------------
+  // QUEUE STATE
+  // ---------------------------------------------------------------------------
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [busyId, setBusyId] = useState(null);
+
+  // Reject form: { id, reason } while open
+  const [rejecting, setRejecting] = useState(null);
+
+  // ---------------------------------------------------------------------------
+  // LOAD QUEUE
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!canApprove) return;
+
+    let alive = true;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const data = await getPendingApprovals();
+        if (alive) setQueue(Array.isArray(data) ? data : []);
+      } catch (err) {
+        if (alive && !handleAccessError(err)) setError(err.message);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [canApprove]);
+
+  // ---------------------------------------------------------------------------
+  // HANDLERS
+  // ---------------------------------------------------------------------------
+  function removeFromQueue(id) {
+    setQueue((prev) => prev.filter((item) => item.id !== id));
+  }
+
+  // 401 / 403 → stored PIN no longer valid (rotated) → ask again
+  function handleAccessError(err) {
+    if (err.status !== 401 && err.status !== 403) return false;
+
+    setAccess(null);
+    setError(err.message);
+    return true;
+  }
+
+  async function handleApprove(item) {
+    try {
+      setBusyId(item.id);
+      setError("");
+
+      await approveReservation(item.id);
+      removeFromQueue(item.id);
+    } catch (err) {
+      if (handleAccessError(err)) return;
+      setError(err.message);
+      // 409 → someone else already decided it
+      if (err.status === 409) removeFromQueue(item.id);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleReject(e) {
+    e.preventDefault();
+    if (!rejecting?.reason.trim()) return;
+
+    try {
+      setBusyId(rejecting.id);
+      setError("");
+
+      await rejectReservation(rejecting.id, rejecting.reason.trim());
+      removeFromQueue(rejecting.id);
+      setRejecting(null);
+    } catch (err) {
+      if (handleAccessError(err)) return;
+      setError(err.message);
+      if (err.status === 409) {
+        removeFromQueue(rejecting.id);
+        setRejecting(null);
+      }
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      {/* ADMIN PIN GATE */}
+      {!canApprove && (
+        <PinAccessModal
+          onCancel={() => navigate("/", { replace: true })}
+          onSuccess={(data) => {
+            setAccess(data);
+            if (!isApprover(data)) {
+              setError("An admin PIN is required to review bookings.");
+            }
+          }}
+        />
+      )}
+
+      <Header
+        subtitle="Approval Queue"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        {error && <div className="page-error">{error}</div>}
+
+        {canApprove && loading && <p className="approvals-empty">Loading…</p>}
+
+        {canApprove && !loading && queue.length === 0 && !error && (
+          <p className="approvals-empty">Nothing is waiting for approval.</p>
+        )}
+
+        {canApprove && !loading && queue.length > 0 && (
+          <ul className="approvals-list">
+            {queue.map((item) => {
+              const day = String(item.start_time).slice(0, 10);
+              const isBusy = busyId === item.id;
+
+              return (
+                <li key={item.id} className="approvals-item">
+                  <div className="approvals-main">
+                    <span className="approvals-title">
+                      {item.title || "Untitled reservation"}
+                    </span>
+                    <span className="approvals-when">
+                      {formatMySQLRange(item.start_time, item.end_time)}
+                    </span>
+                    {item.recurrence_id && (
+                      <span className="approvals-series">
+                        {describeSeries(item)}
+                      </span>
+                    )}
+                    <span className="approvals-where">
+                      <Link
+                        to={`/calendar/${item.site_slug}/${item.room_id}?date=${day}`}
+                      >
+                        {item.site_name_snapshot} · {item.room_name_snapshot}
+                      </Link>
+                    </span>
+                    <span className="approvals-who">
+                      Requested by {item.created_by_name}
+                      {item.email ? ` (${item.email})` : ""}
+                    </span>
+                    {item.description && (
+                      <span className="approvals-description">
+                        {item.description}
+                      </span>
+                    )}
+                  </div>
+
+                  {rejecting?.id === item.id ? (
+                    <form className="approvals-reject" onSubmit={handleReject}>
+                      <textarea
+                        autoFocus
+                        required
+                        maxLength={500}
+                        placeholder="Reason (sent to the organizer)"
+                        value={rejecting.reason}
+                        onChange={(e) =>
+                          setRejecting({ id: item.id, reason: e.target.value })
+                        }
+                      />
+                      <div className="approvals-actions">
+                        <button
+                          type="submit"
+                          className="approvals-reject-btn"
+                          disabled={isBusy || !rejecting.reason.trim()}
+                        >
+                          {isBusy ? "Rejecting…" : "Confirm Reject"}
+                        </button>
+                        <button
+                          type="button"
+                          disabled={isBusy}
+                          onClick={() => setRejecting(null)}
+                        >
+                          Back
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <div className="approvals-actions">
+                      <button
+                        type="button"
+                        className="approvals-approve-btn"
+                        disabled={isBusy}
+                        onClick={() => handleApprove(item)}
+                      >
+                        {isBusy ? "Approving…" : "Approve"}
+                      </button>
+                      <button
+                        type="button"
+                        className="approvals-reject-btn"
+                        disabled={isBusy}
+                        onClick={() =>
+                          setRejecting({ id: item.id, reason: "" })
+                        }
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </main>
+    </>
+  );
+}
@@ -7,20 +7,23 @@
 // • UI displays err.message only
 // -----------------------------------------------------------------------------
 
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
 import { useEffect, useMemo, useState } from "react";
 
 import Header from "../components/Header";
 import RoomCalendar from "../components/RoomCalendar";
 import PinAccessModal from "../components/PinAccessModal";
 import FloatingPinButton from "../components/FloatingPinButton";
+import ExportCsvButton from "../components/ExportCsvButton";
+import CalendarFeedLink from "../components/CalendarFeedLink";
 
 import { getSites } from "../data/siteService";
-import { getRoomById } from "../services/roomsService";
+import { getRoomById, getRoomFeedUrl } from "../services/roomsService";
 
 export default function Calendar({ headerTransitionClass = "" }) {
   const { siteSlug, roomId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
 
   // ---------------------------------------------------------------------------
   // STATE
@@ -108,6 +111,46 @@ export default function Calendar({ headerTransitionClass = "" }) {
     ];
   }, [site, siteSlug, room]);
 
+  // ---------------------------------------------------------------------------
+  // DEEP-LINKED SLOT (?start=&end=)
+  // ---------------------------------------------------------------------------
+  // Set by the Rooms page availability search → RoomCalendar opens the
+  // booking modal on this slot. "YYYY-MM-DD HH:MM:SS" = LOCAL wall time.
+  const initialSlot = useMemo(() => {
+    const toDate = (value) =>
+      value ? new Date(value.trim().replace(" ", "T")) : null;
+
+    const start = toDate(searchParams.get("start"));
+    const end = toDate(searchParams.get("end"));
+
+    if (!start || !end || isNaN(start) || isNaN(end) || start >= end) {
+      return null;
+    }
+
+    return { start, end };
+  }, [searchParams]);
+
+  // ---------------------------------------------------------------------------
+  // DEEP-LINKED DATE (?date=YYYY-MM-DD)
+  // ---------------------------------------------------------------------------
+  // Set by the Search page → RoomCalendar opens on that date (no modal)
+  const initialDate = useMemo(() => {
+    const value = searchParams.get("date");
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+    const [y, m, d] = value.split("-").map(Number);
+    return new Date(y, m - 1, d); // LOCAL midnight (not UTC)
+  }, [searchParams]);
+
+  // ---------------------------------------------------------------------------
+  // DEEP-LINKED EDIT (?edit=<reservationId>)
+  // ---------------------------------------------------------------------------
+  // Set by My Reservations → RoomCalendar opens the edit modal for that row
+  const initialEditId = useMemo(() => {
+    const value = Number(searchParams.get("edit"));
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }, [searchParams]);
+
   // ---------------------------------------------------------------------------
   // EARLY RETURNS
   // ---------------------------------------------------------------------------
@@ -158,6 +201,18 @@ export default function Calendar({ headerTransitionClass = "" }) {
           room={room}
           access={access}
           breadcrumbItems={breadcrumbItems} 
+          initialSlot={initialSlot}
+          initialDate={initialDate}
+          initialEditId={initialEditId}
+        />
+
+        {/* This room's schedule as a spreadsheet */}
+        <ExportCsvButton siteSlug={siteSlug} roomId={roomId} />
+
+        {/* Live read-only feed for Outlook / Google Calendar */}
+        <CalendarFeedLink
+          url={getRoomFeedUrl(siteSlug, roomId)}
+          label={`Subscribe to ${room?.name ?? "this room"}`}
         />
       </main>
     </>
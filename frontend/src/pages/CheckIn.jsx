@@ -0,0 +1,99 @@
+// CheckIn.jsx — check-in link landing page
+// -----------------------------------------------------------------------------
+// CHECK-IN PAGE
+// Opened from the "Check in when you arrive" link in an invite email
+// (/check-in?token=…). The organizer confirms the room is in use so the
+// booking is not released as a no-show.
+//
+// Design principles:
+// • No PIN — the signed token IS the permission (backend verifies it)
+// • Explicit button press: mail scanners that prefetch links never check in
+// • Series links check in whichever date is open right now
+// -----------------------------------------------------------------------------
+
+import { useSearchParams } from "react-router-dom";
+import { useState } from "react";
+
+import Header from "../components/Header";
+
+import { checkInWithLink } from "../services/reservationsService";
+import { formatMySQLRange } from "../utils/reservationDateTime";
+
+import "../css/checkIn.css";
+
+export default function CheckIn({ headerTransitionClass = "" }) {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+
+  async function handleCheckIn() {
+    try {
+      setBusy(true);
+      setError("");
+
+      setResult(await checkInWithLink(token));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <Header
+        subtitle="Check In"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <main className="body body--compact">
+        <section className="check-in">
+          {!token && (
+            <p>
+              This check-in link is incomplete. Please open the link from
+              your invitation email again.
+            </p>
+          )}
+
+          {token && !result && (
+            <>
+              <p>
+                Arrived for your booking? Check in so the room is not released
+                to someone else.
+              </p>
+
+              <button type="button" disabled={busy} onClick={handleCheckIn}>
+                {busy ? "Checking in…" : "I'm here — Check In"}
+              </button>
+            </>
+          )}
+
+          {result && (
+            <div className="check-in-done" role="status">
+              <strong>
+                {result.already_checked_in
+                  ? "You were already checked in."
+                  : "You're checked in."}
+              </strong>
+              <span>{result.title || "Untitled reservation"}</span>
+              <span>
+                {result.site_name_snapshot} · {result.room_name_snapshot}
+              </span>
+              <span>
+                {formatMySQLRange(result.start_time, result.end_time)}
+              </span>
+            </div>
+          )}
+
+          {error && <div className="page-error">{error}</div>}
+        </section>
+      </main>
+    </>
+  );
+}
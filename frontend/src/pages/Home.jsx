@@ -11,6 +11,7 @@
 // -----------------------------------------------------------------------------
 
 import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
 
 import Header from "../components/Header";
 import Cards from "../components/Cards";
@@ -18,6 +19,14 @@ import FloatingPinButton from "../components/FloatingPinButton";
 
 import { getSites } from "../data/siteService";
 
+function readStoredRole() {
+  try {
+    return JSON.parse(localStorage.getItem("calendarAccess"))?.role ?? null;
+  } catch {
+    return null;
+  }
+}
+
 export default function Home({ headerTransitionClass = "" }) {
   // ---------------------------------------------------------------------------
   // STATE
@@ -72,6 +81,50 @@ export default function Home({ headerTransitionClass = "" }) {
         )}
 
         {!loading && !error && sites.length > 0 && <Cards items={sites} />}
+
+        {!loading && !error && (
+          <Link to="/search" className="page-link">
+            Search all reservations ›
+          </Link>
+        )}
+
+        {!loading && !error && (
+          <Link to="/my-reservations" className="page-link">
+            My reservations ›
+          </Link>
+        )}
+
+        {!loading &&
+          !error &&
+          ["admin", "super_admin"].includes(readStoredRole()) && (
+            <Link to="/approvals" className="page-link">
+              Approval queue ›
+            </Link>
+          )}
+
+        {!loading &&
+          !error &&
+          ["admin", "super_admin"].includes(readStoredRole()) && (
+            <Link to="/reports/no-shows" className="page-link">
+              No-show report ›
+            </Link>
+          )}
+
+        {!loading &&
+          !error &&
+          ["admin", "super_admin"].includes(readStoredRole()) && (
+            <Link to="/import" className="page-link">
+              Import reservations ›
+            </Link>
+          )}
+
+        {!loading &&
+          !error &&
+          ["admin", "super_admin"].includes(readStoredRole()) && (
+            <Link to="/digest" className="page-link">
+              Daily digest emails ›
+            </Link>
+          )}
       </main>
     </>
   );
@@ -0,0 +1,255 @@
+// ImportReservations.jsx — bulk CSV import (term schedules)
+// -----------------------------------------------------------------------------
+// IMPORT RESERVATIONS PAGE
+// Admins upload a CSV of bookings (one booking or recurring series per row).
+//
+// Design principles:
+// • Data fetching delegated to services
+// • PIN-gated: admin roles only (backend re-checks every call)
+// • Choosing a file runs a DRY RUN first → per-row report, nothing saved
+// • "Import" is only offered when every row is valid; the backend inserts
+//   all rows or none and queues the invites afterwards
+// -----------------------------------------------------------------------------
+
+import { Link, useNavigate } from "react-router-dom";
+import { useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import PinAccessModal from "../components/PinAccessModal";
+
+import {
+  previewReservationImport,
+  commitReservationImport,
+} from "../services/reservationsService";
+import { formatMySQLRange } from "../utils/reservationDateTime";
+
+import "../css/approvals.css";
+import "../css/importReservations.css";
+
+const ADMIN_ROLES = ["admin", "super_admin"];
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "Import Reservations" },
+];
+
+// Shown as a starting point for the spreadsheet
+const SAMPLE_HEADER =
+  "site,room,title,organizer,email,attendees,start,end,frequency,interval,until,exclude_dates";
+
+function readStoredAccess() {
+  try {
+    return JSON.parse(localStorage.getItem("calendarAccess"));
+  } catch {
+    return null;
+  }
+}
+
+function isAdmin(access) {
+  return Boolean(access?.pin) && ADMIN_ROLES.includes(access?.role);
+}
+
+export default function ImportReservations({ headerTransitionClass = "" }) {
+  const navigate = useNavigate();
+
+  // ---------------------------------------------------------------------------
+  // ACCESS (admin PIN)
+  // ---------------------------------------------------------------------------
+  const [access, setAccess] = useState(() => readStoredAccess());
+  const canView = isAdmin(access);
+
+  // ---------------------------------------------------------------------------
+  // FILE + REPORT STATE
+  // ---------------------------------------------------------------------------
+  const [fileName, setFileName] = useState("");
+  const [csvText, setCsvText] = useState("");
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  function handleApiError(err) {
+    // 401 / 403 → stored PIN no longer valid (rotated) → ask again
+    if (err.status === 401 || err.status === 403) setAccess(null);
+    if (err.report) setReport(err.report);
+    setError(err.message);
+  }
+
+  async function handleFileChange(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setReport(null);
+    setError("");
+    setNotice("");
+
+    try {
+      setBusy(true);
+
+      const text = await file.text();
+      setCsvText(text);
+      setReport(await previewReservationImport(text));
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleImport() {
+    try {
+      setBusy(true);
+      setError("");
+
+      const result = await commitReservationImport(csvText);
+
+      setNotice(
+        `Imported ${result.total} row${result.total === 1 ? "" : "s"}. Invites are on their way.`
+      );
+      setReport(null);
+      setCsvText("");
+      setFileName("");
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const rows = report?.rows ?? [];
+  const canImport =
+    Boolean(report) && report.invalid === 0 && report.valid > 0 && !busy;
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      {/* ADMIN PIN GATE */}
+      {!canView && (
+        <PinAccessModal
+          onCancel={() => navigate("/", { replace: true })}
+          onSuccess={(data) => {
+            setAccess(data);
+            if (!isAdmin(data)) {
+              setError("An admin PIN is required to import reservations.");
+            }
+          }}
+        />
+      )}
+
+      <Header
+        subtitle="Import Reservations"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        {canView && (
+          <section className="import-upload">
+            <p>
+              Upload a CSV with one booking per row. Required columns: site
+              (slug), room (name), organizer, email, start, end. Add
+              frequency (daily, weekly, bi-weekly, monthly) and until for a
+              recurring booking.
+            </p>
+            <code className="import-sample">{SAMPLE_HEADER}</code>
+
+            <label className="import-file">
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                disabled={busy}
+                onChange={handleFileChange}
+              />
+              <span>{fileName || "Choose a CSV file…"}</span>
+            </label>
+          </section>
+        )}
+
+        {error && <div className="page-error">{error}</div>}
+        {notice && <div className="import-notice">{notice}</div>}
+
+        {canView && busy && <p className="approvals-empty">Checking…</p>}
+
+        {canView && report && (
+          <div className="import-summary">
+            <span>
+              {report.valid} of {report.total} row
+              {report.total === 1 ? "" : "s"} ready
+              {report.invalid > 0 && ` · ${report.invalid} need fixing`}
+            </span>
+
+            <button type="button" disabled={!canImport} onClick={handleImport}>
+              Import {report.valid} row{report.valid === 1 ? "" : "s"}
+            </button>
+          </div>
+        )}
+
+        {canView && rows.length > 0 && (
+          <ul className="approvals-list">
+            {rows.map((row) => (
+              <li
+                key={row.line}
+                className={`approvals-item import-row import-row--${row.status}`}
+              >
+                <div className="approvals-main">
+                  <span className="approvals-title">
+                    Line {row.line} · {row.title || "Untitled reservation"}
+                  </span>
+                  <span className="approvals-where">
+                    {row.site} · {row.room}
+                  </span>
+                  <span className="approvals-when">
+                    {row.status === "ok"
+                      ? formatMySQLRange(row.start_time, row.end_time)
+                      : `${row.start_time ?? ""} – ${row.end_time ?? ""}`}
+                  </span>
+                  {row.occurrences > 1 && (
+                    <span className="approvals-series">
+                      Repeats · {row.occurrences} dates
+                    </span>
+                  )}
+
+                  {row.errors.length > 0 && (
+                    <ul className="import-errors">
+                      {row.errors.map((message) => (
+                        <li key={message}>{message}</li>
+                      ))}
+                      {row.conflicts.map((c) => (
+                        <li key={`conflict-${c.id}`}>
+                          {c.title || "Untitled reservation"} ·{" "}
+                          {formatMySQLRange(c.start_time, c.end_time)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                <span className="import-status">
+                  {row.status === "ok"
+                    ? row.requires_approval
+                      ? "Ready · needs approval"
+                      : "Ready"
+                    : "Error"}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canView && (
+          <Link to="/approvals" className="page-link">
+            Approval queue ›
+          </Link>
+        )}
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,365 @@
+// MyCalendarFeed.jsx — personal calendar feed (secret .ics URL)
+// -----------------------------------------------------------------------------
+// MY CALENDAR FEED PAGE
+// A private subscribe URL with every upcoming booking an email address
+// organizes or attends — for Outlook / Google Calendar.
+//
+// Access (no accounts, same flow as My Reservations):
+// 1. "Subscribe to my bookings" (My Reservations) or the form here mails
+//    a one-time link + code
+// 2. The link (?token=…) or the code opens this page for that address
+// 3. Create the feed link (shown once), replace it, or turn it off
+//
+// Design principles:
+// • Data fetching delegated to services
+// • The feed URL is only known right after it is created (hash stored)
+// -----------------------------------------------------------------------------
+
+import { useSearchParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import FloatingPinButton from "../components/FloatingPinButton";
+import CalendarFeedLink from "../components/CalendarFeedLink";
+
+import {
+  requestFeedAccess,
+  verifyFeedAccess,
+  getStoredFeedAccess,
+  getFeedStatus,
+  createFeed,
+  turnOffFeed,
+  getPersonalFeedUrl,
+} from "../services/myReservationsService";
+
+import "../css/myReservations.css";
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "My Reservations", to: "/my-reservations" },
+  { label: "Calendar Feed" },
+];
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" (UTC) → local "Oct 19, 2026, 9:00 AM"
+ */
+function formatUtc(utc) {
+  const date = new Date(`${String(utc).replace(" ", "T")}Z`);
+  if (isNaN(date.getTime())) return String(utc);
+
+  return date.toLocaleString("en-US", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+export default function MyCalendarFeed({ headerTransitionClass = "" }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkToken = searchParams.get("token");
+
+  // ---------------------------------------------------------------------------
+  // ACCESS STATE
+  // ---------------------------------------------------------------------------
+  const [access, setAccess] = useState(() => getStoredFeedAccess());
+  const [email, setEmail] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [notice, setNotice] = useState("");
+
+  // ---------------------------------------------------------------------------
+  // FEED STATE
+  // ---------------------------------------------------------------------------
+  const [status, setStatus] = useState(null); // { email, feed } from GET
+  const [feedUrl, setFeedUrl] = useState(""); // only right after creating
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // ---------------------------------------------------------------------------
+  // EMAILED LINK (?token=…) → VERIFY ONCE, THEN DROP IT FROM THE URL
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!linkToken) return;
+
+    let alive = true;
+
+    async function verifyLink() {
+      try {
+        const session = await verifyFeedAccess({ token: linkToken });
+        if (alive) setAccess(session);
+      } catch (err) {
+        if (alive) setError(err.message);
+      } finally {
+        if (alive) setSearchParams({}, { replace: true });
+      }
+    }
+
+    verifyLink();
+    return () => {
+      alive = false;
+    };
+  }, [linkToken, setSearchParams]);
+
+  // ---------------------------------------------------------------------------
+  // LOAD STATUS ONCE VERIFIED
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!access?.token) return;
+
+    let alive = true;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const data = await getFeedStatus();
+        if (alive) setStatus(data);
+      } catch (err) {
+        if (!alive) return;
+        setError(err.message);
+        if (err.status === 401) setAccess(null);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [access?.token]);
+
+  // ---------------------------------------------------------------------------
+  // HANDLERS
+  // ---------------------------------------------------------------------------
+  async function handleRequestCode(e) {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const result = await requestFeedAccess(email.trim());
+      setNotice(result.message);
+      setCodeSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleVerifyCode(e) {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const session = await verifyFeedAccess({
+        email: email.trim(),
+        code: code.trim(),
+      });
+      setAccess(session);
+      setNotice("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleCreate() {
+    if (
+      status?.feed &&
+      !window.confirm(
+        "Create a new link? Calendars subscribed to the old link stop updating."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const issued = await createFeed();
+      setFeedUrl(getPersonalFeedUrl(issued.token));
+      setStatus({
+        email: issued.email,
+        feed: {
+          created_at_utc: issued.created_at_utc,
+          last_used_at_utc: null,
+        },
+      });
+    } catch (err) {
+      setError(err.message);
+      if (err.status === 401) setAccess(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleTurnOff() {
+    if (
+      !window.confirm(
+        "Turn off your calendar feed? Subscribed calendars stop updating."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError("");
+
+      await turnOffFeed();
+      setFeedUrl("");
+      setStatus((prev) => ({ ...prev, feed: null }));
+    } catch (err) {
+      setError(err.message);
+      if (err.status === 401) setAccess(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      <Header
+        subtitle="My Calendar Feed"
+        className={headerTransitionClass}
+        showBack
+        backTo="/my-reservations"
+        backLabel="Back to My Reservations"
+      />
+
+      <FloatingPinButton />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        {error && <div className="page-error">{error}</div>}
+
+        {/* VERIFY — STEP 1: EMAIL */}
+        {!access && !linkToken && !codeSent && (
+          <form className="my-res-access" onSubmit={handleRequestCode}>
+            <p>
+              Get a private calendar link with every booking you organize or
+              attend. We&apos;ll email you a one-time link to set it up.
+            </p>
+            <input
+              type="email"
+              required
+              value={email}
+              placeholder="name@briya.org"
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button type="submit" disabled={loading}>
+              {loading ? "Sending…" : "Email me a link"}
+            </button>
+          </form>
+        )}
+
+        {/* VERIFY — STEP 2: CODE */}
+        {!access && !linkToken && codeSent && (
+          <form className="my-res-access" onSubmit={handleVerifyCode}>
+            {notice && <p>{notice}</p>}
+            <input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="\d{6}"
+              maxLength={6}
+              required
+              value={code}
+              placeholder="6-digit code"
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <button type="submit" disabled={loading}>
+              {loading ? "Checking…" : "Continue"}
+            </button>
+            <button
+              type="button"
+              className="my-res-link-button"
+              onClick={() => setCodeSent(false)}
+            >
+              Use a different email
+            </button>
+          </form>
+        )}
+
+        {!access && linkToken && (
+          <p className="my-res-empty">Checking your link…</p>
+        )}
+
+        {/* VERIFIED — FEED */}
+        {access && (
+          <div className="my-res">
+            <div className="my-res-toolbar">
+              <span>
+                Calendar feed for <strong>{access.email}</strong>
+              </span>
+            </div>
+
+            {loading && <p className="my-res-empty">Loading…</p>}
+
+            {!loading && status && !status.feed && (
+              <p>
+                You don&apos;t have a calendar feed yet. Create a link and add
+                it to Outlook or Google Calendar — new bookings, changes and
+                cancellations show up on their own.
+              </p>
+            )}
+
+            {!loading && status?.feed && (
+              <p>
+                Feed created {formatUtc(status.feed.created_at_utc)}
+                {status.feed.last_used_at_utc
+                  ? ` · last checked by a calendar ${formatUtc(
+                      status.feed.last_used_at_utc
+                    )}`
+                  : " · not used by a calendar yet"}
+                .
+              </p>
+            )}
+
+            {feedUrl && (
+              <>
+                <p>
+                  Your private link is below. Keep it to yourself — anyone with
+                  it can see your bookings. It is only shown now.
+                </p>
+                <CalendarFeedLink
+                  url={feedUrl}
+                  label="Subscribe to my bookings"
+                />
+              </>
+            )}
+
+            {!loading && status && (
+              <div className="my-res-feed-actions">
+                <button type="button" onClick={handleCreate}>
+                  {status.feed ? "Create a new link" : "Create my feed link"}
+                </button>
+
+                {status.feed && (
+                  <button
+                    type="button"
+                    className="my-res-link-button"
+                    onClick={handleTurnOff}
+                  >
+                    Turn off feed
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </>
+  );
+}
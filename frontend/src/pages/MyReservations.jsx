@@ -0,0 +1,433 @@
+// MyReservations.jsx — personal reservation list
+// -----------------------------------------------------------------------------
+// MY RESERVATIONS PAGE
+// Every reservation where an email address is the organizer or an attendee,
+// across all sites and rooms.
+//
+// Access (no accounts):
+// 1. Enter email → a one-time link + 6-digit code is mailed
+// 2. Open the link (?token=…) OR type the code
+// 3. The verified session is kept for this tab only
+//
+// Design principles:
+// • Data fetching delegated to services
+// • Upcoming first (soonest on top), past below (most recent on top)
+// • Edit deep-links to the room calendar; cancel is organizer-only
+// -----------------------------------------------------------------------------
+
+import { Link, useSearchParams } from "react-router-dom";
+import { useEffect, useMemo, useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import FloatingPinButton from "../components/FloatingPinButton";
+
+import {
+  requestAccess,
+  verifyAccess,
+  getStoredAccess,
+  getMyReservations,
+  cancelMyReservation,
+  signOut,
+  requestFeedAccess,
+} from "../services/myReservationsService";
+import {
+  formatTime12h,
+  toMySQLDateTime,
+} from "../utils/reservationDateTime";
+
+import "../css/myReservations.css";
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "My Reservations" },
+];
+
+/**
+ * "2026-01-12 09:00:00" → "Monday, January 12, 2026"
+ * (noon anchor → no timezone drift on the day)
+ */
+function formatDayHeading(dayKey) {
+  return new Date(`${dayKey}T12:00:00`).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+/**
+ * Rows → [{ day, rows }] in the given row order
+ */
+function groupByDay(rows) {
+  const groups = [];
+
+  rows.forEach((r) => {
+    const day = String(r.start_time).slice(0, 10);
+    const last = groups[groups.length - 1];
+
+    if (last && last.day === day) {
+      last.rows.push(r);
+    } else {
+      groups.push({ day, rows: [r] });
+    }
+  });
+
+  return groups;
+}
+
+export default function MyReservations({ headerTransitionClass = "" }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkToken = searchParams.get("token");
+
+  // ---------------------------------------------------------------------------
+  // ACCESS STATE
+  // ---------------------------------------------------------------------------
+  const [access, setAccess] = useState(() => getStoredAccess());
+  const [email, setEmail] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [notice, setNotice] = useState("");
+
+  // ---------------------------------------------------------------------------
+  // LIST STATE
+  // ---------------------------------------------------------------------------
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  // ---------------------------------------------------------------------------
+  // EMAILED LINK (?token=…) → VERIFY ONCE, THEN DROP IT FROM THE URL
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!linkToken) return;
+
+    let alive = true;
+
+    async function verifyLink() {
+      try {
+        const session = await verifyAccess({ token: linkToken });
+        if (alive) setAccess(session);
+      } catch (err) {
+        if (alive) setError(err.message);
+      } finally {
+        if (alive) setSearchParams({}, { replace: true });
+      }
+    }
+
+    verifyLink();
+    return () => {
+      alive = false;
+    };
+  }, [linkToken, setSearchParams]);
+
+  // ---------------------------------------------------------------------------
+  // LOAD LIST ONCE SIGNED IN
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!access?.token) return;
+
+    let alive = true;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const data = await getMyReservations();
+        if (alive) setReservations(data.reservations ?? []);
+      } catch (err) {
+        if (!alive) return;
+        setError(err.message);
+        if (err.status === 401) setAccess(null);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [access?.token]);
+
+  // ---------------------------------------------------------------------------
+  // UPCOMING / PAST SPLIT (local wall time, string compare)
+  // ---------------------------------------------------------------------------
+  const { upcoming, past } = useMemo(() => {
+    const now = toMySQLDateTime(new Date());
+
+    return {
+      upcoming: groupByDay(reservations.filter((r) => r.end_time >= now)),
+      past: groupByDay(
+        reservations.filter((r) => r.end_time < now).reverse()
+      ),
+    };
+  }, [reservations]);
+
+  // ---------------------------------------------------------------------------
+  // HANDLERS
+  // ---------------------------------------------------------------------------
+  async function handleRequestCode(e) {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const result = await requestAccess(email.trim());
+      setNotice(result.message);
+      setCodeSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleVerifyCode(e) {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const session = await verifyAccess({
+        email: email.trim(),
+        code: code.trim(),
+      });
+      setAccess(session);
+      setNotice("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleCancel(reservation) {
+    const isRecurring = Boolean(reservation.recurrence_id);
+    const confirmed = window.confirm(
+      isRecurring
+        ? `Skip "${reservation.title}" on this date? Other dates in the series stay booked.`
+        : `Cancel "${reservation.title}"? Attendees will be notified.`
+    );
+    if (!confirmed) return;
+
+    try {
+      setBusyId(reservation.id);
+      setError("");
+
+      await cancelMyReservation(reservation.id);
+      setReservations((prev) => prev.filter((r) => r.id !== reservation.id));
+    } catch (err) {
+      setError(err.message);
+      if (err.status === 401) setAccess(null);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  // "Subscribe to my bookings" → mails a link to the feed page
+  async function handleSubscribe() {
+    try {
+      setError("");
+      const result = await requestFeedAccess(access.email);
+      setNotice(result.message);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleSignOut() {
+    await signOut();
+    setAccess(null);
+    setReservations([]);
+    setCode("");
+    setCodeSent(false);
+    setNotice("");
+  }
+
+  // ---------------------------------------------------------------------------
+  // RENDER HELPERS
+  // ---------------------------------------------------------------------------
+  function renderGroups(groups, emptyLabel) {
+    if (groups.length === 0) {
+      return <p className="my-res-empty">{emptyLabel}</p>;
+    }
+
+    return groups.map((group) => (
+      <section key={group.day} className="my-res-day">
+        <h3>{formatDayHeading(group.day)}</h3>
+
+        <ul>
+          {group.rows.map((r) => {
+            const day = String(r.start_time).slice(0, 10);
+            const isOrganizer = r.role === "organizer";
+
+            return (
+              <li key={r.id} className="my-res-item">
+                <div className="my-res-main">
+                  <span className="my-res-time">
+                    {formatTime12h(String(r.start_time).slice(11, 16))} –{" "}
+                    {formatTime12h(String(r.end_time).slice(11, 16))}
+                  </span>
+                  <span className="my-res-title">
+                    {r.title || "Untitled reservation"}
+                    {r.recurrence_id && (
+                      <span className="my-res-badge">Recurring</span>
+                    )}
+                  </span>
+                  <span className="my-res-where">
+                    {r.site_name_snapshot} · {r.room_name_snapshot}
+                  </span>
+                  <span className="my-res-role">
+                    {isOrganizer ? "Organizer" : `Attendee · by ${r.email}`}
+                  </span>
+                </div>
+
+                <div className="my-res-actions">
+                  <Link
+                    to={`/calendar/${r.site_slug}/${r.room_id}?date=${day}&edit=${r.id}`}
+                  >
+                    {isOrganizer ? "Edit" : "View"}
+                  </Link>
+
+                  {isOrganizer && (
+                    <button
+                      type="button"
+                      disabled={busyId === r.id}
+                      onClick={() => handleCancel(r)}
+                    >
+                      {busyId === r.id
+                        ? "Cancelling…"
+                        : r.recurrence_id
+                          ? "Skip Date"
+                          : "Cancel"}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+    ));
+  }
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      <Header
+        subtitle="My Reservations"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <FloatingPinButton />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        {error && <div className="page-error">{error}</div>}
+
+        {/* SIGN IN — STEP 1: EMAIL */}
+        {!access && !linkToken && !codeSent && (
+          <form className="my-res-access" onSubmit={handleRequestCode}>
+            <p>
+              Enter the email you book with. We&apos;ll send a one-time link
+              and code.
+            </p>
+            <input
+              type="email"
+              required
+              value={email}
+              placeholder="name@briya.org"
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button type="submit" disabled={loading}>
+              {loading ? "Sending…" : "Email me a link"}
+            </button>
+          </form>
+        )}
+
+        {/* SIGN IN — STEP 2: CODE */}
+        {!access && !linkToken && codeSent && (
+          <form className="my-res-access" onSubmit={handleVerifyCode}>
+            {notice && <p>{notice}</p>}
+            <input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="\d{6}"
+              maxLength={6}
+              required
+              value={code}
+              placeholder="6-digit code"
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <button type="submit" disabled={loading}>
+              {loading ? "Checking…" : "Continue"}
+            </button>
+            <button
+              type="button"
+              className="my-res-link-button"
+              onClick={() => setCodeSent(false)}
+            >
+              Use a different email
+            </button>
+          </form>
+        )}
+
+        {!access && linkToken && (
+          <p className="my-res-empty">Checking your link…</p>
+        )}
+
+        {/* SIGNED IN — LIST */}
+        {access && (
+          <div className="my-res">
+            <div className="my-res-toolbar">
+              <span>
+                Signed in as <strong>{access.email}</strong>
+              </span>
+              <span className="my-res-toolbar-actions">
+                <button
+                  type="button"
+                  className="my-res-link-button"
+                  onClick={handleSubscribe}
+                >
+                  Subscribe to my bookings
+                </button>
+                <button
+                  type="button"
+                  className="my-res-link-button"
+                  onClick={handleSignOut}
+                >
+                  Sign out
+                </button>
+              </span>
+            </div>
+
+            {notice && <p className="my-res-notice">{notice}</p>}
+
+            {loading ? (
+              <p className="my-res-empty">Loading…</p>
+            ) : (
+              <>
+                <h2>Upcoming</h2>
+                {renderGroups(upcoming, "No upcoming reservations.")}
+
+                <h2>Past</h2>
+                {renderGroups(past, "No past reservations.")}
+              </>
+            )}
+          </div>
+        )}
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,229 @@
+// NoShowReport.jsx — repeat no-show report
+// -----------------------------------------------------------------------------
+// NO-SHOW REPORT PAGE
+// Organizers whose confirmed bookings were released because nobody checked
+// in (status "no_show"), most no-shows first.
+//
+// Design principles:
+// • Data fetching delegated to services
+// • PIN-gated: admin roles only (backend re-checks every call)
+// • Filters: date window (default last 90 days) + minimum no-show count
+// • Booking count = bookings that already started → a no-show rate, not
+//   just a raw count
+// -----------------------------------------------------------------------------
+
+import { Link, useNavigate } from "react-router-dom";
+import { useEffect, useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import PinAccessModal from "../components/PinAccessModal";
+
+import { getNoShowReport } from "../services/reservationsService";
+import { formatMySQLRange } from "../utils/reservationDateTime";
+
+import "../css/approvals.css";
+import "../css/noShowReport.css";
+
+const ADMIN_ROLES = ["admin", "super_admin"];
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "No-show Report" },
+];
+
+function readStoredAccess() {
+  try {
+    return JSON.parse(localStorage.getItem("calendarAccess"));
+  } catch {
+    return null;
+  }
+}
+
+function isAdmin(access) {
+  return Boolean(access?.pin) && ADMIN_ROLES.includes(access?.role);
+}
+
+export default function NoShowReport({ headerTransitionClass = "" }) {
+  const navigate = useNavigate();
+
+  // ---------------------------------------------------------------------------
+  // ACCESS (admin PIN)
+  // ---------------------------------------------------------------------------
+  const [access, setAccess] = useState(() => readStoredAccess());
+  const canView = isAdmin(access);
+
+  // ---------------------------------------------------------------------------
+  // FILTERS ("" → backend default) + REPORT STATE
+  // ---------------------------------------------------------------------------
+  const [filters, setFilters] = useState({ from: "", to: "", min_count: "2" });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!canView) return;
+
+    let alive = true;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const data = await getNoShowReport(filters);
+        if (alive) setReport(data);
+      } catch (err) {
+        if (!alive) return;
+        // 401 / 403 → stored PIN no longer valid (rotated) → ask again
+        if (err.status === 401 || err.status === 403) setAccess(null);
+        setError(err.message);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [canView, filters]);
+
+  function updateFilter(key, value) {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  }
+
+  const organizers = report?.organizers ?? [];
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      {/* ADMIN PIN GATE */}
+      {!canView && (
+        <PinAccessModal
+          onCancel={() => navigate("/", { replace: true })}
+          onSuccess={(data) => {
+            setAccess(data);
+            if (!isAdmin(data)) {
+              setError("An admin PIN is required to view this report.");
+            }
+          }}
+        />
+      )}
+
+      <Header
+        subtitle="No-show Report"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        {canView && (
+          <form
+            className="no-show-filters"
+            onSubmit={(e) => e.preventDefault()}
+          >
+            <label>
+              From
+              <input
+                type="date"
+                value={filters.from || report?.from || ""}
+                onChange={(e) => updateFilter("from", e.target.value)}
+              />
+            </label>
+            <label>
+              To (exclusive)
+              <input
+                type="date"
+                value={filters.to || report?.to || ""}
+                onChange={(e) => updateFilter("to", e.target.value)}
+              />
+            </label>
+            <label>
+              At least
+              <select
+                value={filters.min_count}
+                onChange={(e) => updateFilter("min_count", e.target.value)}
+              >
+                {[1, 2, 3, 5, 10].map((n) => (
+                  <option key={n} value={n}>
+                    {n} no-show{n === 1 ? "" : "s"}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </form>
+        )}
+
+        {error && <div className="page-error">{error}</div>}
+
+        {canView && loading && <p className="approvals-empty">Loading…</p>}
+
+        {canView && !loading && report && organizers.length === 0 && (
+          <p className="approvals-empty">
+            Nobody reached that many no-shows in this period.
+          </p>
+        )}
+
+        {canView && !loading && organizers.length > 0 && (
+          <ul className="approvals-list">
+            {organizers.map((o) => (
+              <li key={o.email} className="approvals-item">
+                <div className="approvals-main">
+                  <span className="approvals-title">
+                    {o.created_by_name || o.email}
+                  </span>
+                  <span className="approvals-who">{o.email}</span>
+                  {o.no_shows[0] && (
+                    <span className="approvals-when">
+                      Last no-show:{" "}
+                      {formatMySQLRange(
+                        o.no_shows[0].start_time,
+                        o.no_shows[0].end_time
+                      )}
+                    </span>
+                  )}
+
+                  <details className="no-show-details">
+                    <summary>Released bookings</summary>
+                    <ul>
+                      {o.no_shows.map((r) => (
+                        <li key={r.id}>
+                          {formatMySQLRange(r.start_time, r.end_time)} ·{" "}
+                          {r.title || "Untitled reservation"} ·{" "}
+                          {r.site_name_snapshot} · {r.room_name_snapshot}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                </div>
+
+                <div className="no-show-counts">
+                  <strong>{o.no_show_count}</strong>
+                  <span>
+                    no-show{o.no_show_count === 1 ? "" : "s"} of{" "}
+                    {o.booking_count} booking
+                    {o.booking_count === 1 ? "" : "s"}
+                  </span>
+                  <span>{o.checked_in_count} checked in</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canView && (
+          <Link to="/approvals" className="page-link">
+            Approval queue ›
+          </Link>
+        )}
+      </main>
+    </>
+  );
+}
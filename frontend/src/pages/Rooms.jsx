@@ -17,9 +17,14 @@ import Header from "../components/Header";
 import Breadcrumbs from "../components/Breadcrumbs";
 import Cards from "../components/Cards";
 import FloatingPinButton from "../components/FloatingPinButton";
+import AvailabilitySearch from "../components/AvailabilitySearch";
+import ExportCsvButton from "../components/ExportCsvButton";
 
 import { getSites } from "../data/siteService";
-import { getRoomsBySiteSlug } from "../services/roomsService";
+import {
+  getRoomsBySiteSlug,
+  getSiteAvailability,
+} from "../services/roomsService";
 
 export default function Rooms({ headerTransitionClass = "" }) {
   const { siteSlug } = useParams();
@@ -33,6 +38,13 @@ export default function Rooms({ headerTransitionClass = "" }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
+  // Availability search ("Find a free room")
+  // • availability → { start, end, minCapacity, roomIds:Set } | null
+  //   (null = show all)
+  const [availability, setAvailability] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState("");
+
   // ---------------------------------------------------------------------------
   // FETCH SITES (VALIDATION ONLY)
   // ---------------------------------------------------------------------------
@@ -95,6 +107,53 @@ export default function Rooms({ headerTransitionClass = "" }) {
     }
   }, [sites, site, navigate]);
 
+  // ---------------------------------------------------------------------------
+  // AVAILABILITY SEARCH
+  // ---------------------------------------------------------------------------
+  async function handleAvailabilitySearch(slot) {
+    try {
+      setIsSearching(true);
+      setSearchError("");
+
+      const data = await getSiteAvailability(siteSlug, slot);
+
+      setAvailability({
+        start: data.start,
+        end: data.end,
+        minCapacity: data.min_capacity ?? null,
+        roomIds: new Set(data.rooms.map((r) => Number(r.id))),
+      });
+    } catch (err) {
+      setSearchError(err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  }
+
+  function clearAvailabilitySearch() {
+    setAvailability(null);
+    setSearchError("");
+  }
+
+  // Cards shown: every room, or only the free ones for the searched slot
+  const visibleRooms = useMemo(
+    () =>
+      availability
+        ? rooms.filter((r) => availability.roomIds.has(Number(r.id)))
+        : rooms,
+    [rooms, availability]
+  );
+
+  // Free-room cards open the calendar with the searched slot preselected
+  const calendarLinkQuery = useMemo(() => {
+    if (!availability) return "";
+    const params = new URLSearchParams({
+      start: availability.start,
+      end: availability.end,
+    });
+    return `?${params}`;
+  }, [availability]);
+
   // ---------------------------------------------------------------------------
   // BREADCRUMBS
   // ---------------------------------------------------------------------------
@@ -128,13 +187,42 @@ export default function Rooms({ headerTransitionClass = "" }) {
       <main className="body body--compact">
         {error && <div className="page-error">{error}</div>}
 
+        {!error && rooms.length > 0 && (
+          <AvailabilitySearch
+            onSearch={handleAvailabilitySearch}
+            onClear={clearAvailabilitySearch}
+            isSearching={isSearching}
+            isActive={availability !== null}
+            error={searchError}
+          />
+        )}
+
         {!error && rooms.length === 0 && (
           <p style={{ textAlign: "center" }}>No rooms available.</p>
         )}
 
-        {!error && rooms.length > 0 && (
-          <Cards items={rooms} siteSlug={siteSlug} />
+        {!error &&
+          rooms.length > 0 &&
+          availability &&
+          visibleRooms.length === 0 && (
+            <p style={{ textAlign: "center" }}>
+              {availability.minCapacity
+                ? `No rooms for ${availability.minCapacity} people are free at that time.`
+                : "No rooms are free at that time."}
+            </p>
+          )}
+
+        {!error && visibleRooms.length > 0 && (
+          <Cards
+            key={calendarLinkQuery}
+            items={visibleRooms}
+            siteSlug={siteSlug}
+            linkQuery={calendarLinkQuery}
+          />
         )}
+
+        {/* Whole-site schedule as a spreadsheet */}
+        {!error && rooms.length > 0 && <ExportCsvButton siteSlug={siteSlug} />}
       </main>
     </>
   );
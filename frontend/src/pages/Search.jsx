@@ -0,0 +1,277 @@
+// Search.jsx — global reservation search
+// -----------------------------------------------------------------------------
+// SEARCH PAGE
+// Finds reservations across every site and room
+// ("where is the CASAS testing session next week?").
+//
+// Design principles:
+// • Data fetching delegated to services
+// • The URL query string IS the search state
+//   → refresh-safe, shareable, Back returns to the same results
+// • Each result deep-links to its room calendar on the matching date
+// -----------------------------------------------------------------------------
+
+import { Link, useSearchParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import FloatingPinButton from "../components/FloatingPinButton";
+
+import { searchReservations } from "../services/reservationsService";
+import { formatMySQLRange } from "../utils/reservationDateTime";
+
+import "../css/search.css";
+
+const PAGE_SIZE = 25;
+
+const SORT_OPTIONS = [
+  { value: "start_time", label: "Date" },
+  { value: "title", label: "Title" },
+  { value: "site", label: "Site" },
+  { value: "room", label: "Room" },
+  { value: "created_by_name", label: "Booked by" },
+];
+
+const FORM_FIELDS = ["q", "email", "from", "to", "sort", "order"];
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "Search" },
+];
+
+export default function Search({ headerTransitionClass = "" }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // ---------------------------------------------------------------------------
+  // FORM STATE (seeded from the URL)
+  // ---------------------------------------------------------------------------
+  const [form, setForm] = useState(() => ({
+    q: searchParams.get("q") ?? "",
+    email: searchParams.get("email") ?? "",
+    from: searchParams.get("from") ?? "",
+    to: searchParams.get("to") ?? "",
+    sort: searchParams.get("sort") ?? "start_time",
+    order: searchParams.get("order") ?? "asc",
+  }));
+
+  // ---------------------------------------------------------------------------
+  // RESULT STATE
+  // ---------------------------------------------------------------------------
+  const [data, setData] = useState(null); // { results, page, pageSize, total }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const page = Number(searchParams.get("page") ?? 1);
+  const hasQuery = FORM_FIELDS.some(
+    (k) => k !== "sort" && k !== "order" && searchParams.get(k)
+  );
+
+  // ---------------------------------------------------------------------------
+  // FETCH ON URL CHANGE
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (!hasQuery) return;
+
+    let alive = true;
+
+    async function runSearch() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const result = await searchReservations({
+          ...Object.fromEntries(searchParams),
+          pageSize: PAGE_SIZE,
+        });
+        if (alive) setData(result);
+      } catch (err) {
+        if (alive) setError(err.message);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    runSearch();
+    return () => {
+      alive = false;
+    };
+  }, [searchParams, hasQuery]);
+
+  // ---------------------------------------------------------------------------
+  // HANDLERS
+  // ---------------------------------------------------------------------------
+  function updateField(key, value) {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+
+    const next = {};
+    FORM_FIELDS.forEach((k) => {
+      if (form[k]) next[k] = form[k];
+    });
+
+    setSearchParams(next); // page resets to 1
+  }
+
+  function goToPage(nextPage) {
+    const next = Object.fromEntries(searchParams);
+    next.page = String(nextPage);
+    setSearchParams(next);
+  }
+
+  const totalPages = data ? Math.max(1, Math.ceil(data.total / PAGE_SIZE)) : 1;
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      <Header
+        subtitle="Search Reservations"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <FloatingPinButton />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        <form className="search-form" onSubmit={handleSubmit}>
+          <label className="search-form-wide">
+            Title, description, booked by or email
+            <input
+              type="search"
+              value={form.q}
+              placeholder="e.g. CASAS testing"
+              onChange={(e) => updateField("q", e.target.value)}
+            />
+          </label>
+
+          <label>
+            Organizer / attendee email
+            <input
+              type="search"
+              value={form.email}
+              onChange={(e) => updateField("email", e.target.value)}
+            />
+          </label>
+
+          <label>
+            From
+            <input
+              type="date"
+              value={form.from}
+              onChange={(e) => updateField("from", e.target.value)}
+            />
+          </label>
+
+          <label>
+            Before
+            <input
+              type="date"
+              value={form.to}
+              onChange={(e) => updateField("to", e.target.value)}
+            />
+          </label>
+
+          <label>
+            Sort by
+            <select
+              value={form.sort}
+              onChange={(e) => updateField("sort", e.target.value)}
+            >
+              {SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Order
+            <select
+              value={form.order}
+              onChange={(e) => updateField("order", e.target.value)}
+            >
+              <option value="asc">Ascending</option>
+              <option value="desc">Descending</option>
+            </select>
+          </label>
+
+          <button type="submit" disabled={loading}>
+            {loading ? "Searching…" : "Search"}
+          </button>
+        </form>
+
+        {error && <div className="page-error">{error}</div>}
+
+        {hasQuery && !error && data && data.results.length === 0 && (
+          <p className="search-empty">No reservations match your search.</p>
+        )}
+
+        {hasQuery && !error && data && data.results.length > 0 && (
+          <>
+            <p className="search-summary">
+              {data.total} reservation{data.total === 1 ? "" : "s"} found
+            </p>
+
+            <ul className="search-results">
+              {data.results.map((r) => (
+                <li key={r.id} className="search-result">
+                  <Link
+                    to={`/calendar/${r.site_slug}/${r.room_id}?date=${String(
+                      r.start_time
+                    ).slice(0, 10)}`}
+                  >
+                    <span className="search-result-title">
+                      {r.title || "Untitled reservation"}
+                    </span>
+                    <span className="search-result-when">
+                      {formatMySQLRange(r.start_time, r.end_time)}
+                    </span>
+                    <span className="search-result-where">
+                      {r.site_name_snapshot} · {r.room_name_snapshot}
+                    </span>
+                    <span className="search-result-who">
+                      Booked by {r.created_by_name}
+                      {r.email ? ` (${r.email})` : ""}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+
+            {totalPages > 1 && (
+              <div className="search-pagination">
+                <button
+                  type="button"
+                  disabled={page <= 1 || loading}
+                  onClick={() => goToPage(page - 1)}
+                >
+                  ‹ Previous
+                </button>
+                <span>
+                  Page {page} of {totalPages}
+                </span>
+                <button
+                  type="button"
+                  disabled={page >= totalPages || loading}
+                  onClick={() => goToPage(page + 1)}
+                >
+                  Next ›
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,288 @@
+// SiteDigest.jsx — daily site schedule digest subscriptions
+// -----------------------------------------------------------------------------
+// SITE DIGEST PAGE
+// Admins choose who gets each site's morning email: every reservation
+// across the site's rooms today + the next open day.
+//
+// Design principles:
+// • Data fetching delegated to services
+// • PIN-gated: admin roles only (backend re-checks every call)
+// • One site at a time (selector) → its subscriber list + add form
+// • The send time comes from the backend (DIGEST_SEND_TIME) → shown as-is
+// -----------------------------------------------------------------------------
+
+import { useNavigate } from "react-router-dom";
+import { useEffect, useState } from "react";
+
+import Header from "../components/Header";
+import Breadcrumbs from "../components/Breadcrumbs";
+import PinAccessModal from "../components/PinAccessModal";
+
+import { getSites } from "../data/siteService";
+import {
+  getDigestSubscriptions,
+  addDigestSubscription,
+  removeDigestSubscription,
+} from "../services/siteDigestService";
+
+import "../css/approvals.css";
+import "../css/siteDigest.css";
+
+const ADMIN_ROLES = ["admin", "super_admin"];
+
+const breadcrumbItems = [
+  { label: "All Sites", to: "/" },
+  { label: "Daily Digest" },
+];
+
+function readStoredAccess() {
+  try {
+    return JSON.parse(localStorage.getItem("calendarAccess"));
+  } catch {
+    return null;
+  }
+}
+
+function isAdmin(access) {
+  return Boolean(access?.pin) && ADMIN_ROLES.includes(access?.role);
+}
+
+// "07:00" → "7:00 AM"
+function formatSendTime(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  const suffix = h >= 12 ? "PM" : "AM";
+  return `${h % 12 || 12}:${String(m).padStart(2, "0")} ${suffix}`;
+}
+
+export default function SiteDigest({ headerTransitionClass = "" }) {
+  const navigate = useNavigate();
+
+  // ---------------------------------------------------------------------------
+  // ACCESS (admin PIN)
+  // ---------------------------------------------------------------------------
+  const [access, setAccess] = useState(() => readStoredAccess());
+  const canView = isAdmin(access);
+
+  // ---------------------------------------------------------------------------
+  // SITES + SUBSCRIPTIONS STATE
+  // ---------------------------------------------------------------------------
+  const [sites, setSites] = useState([]);
+  const [siteSlug, setSiteSlug] = useState("");
+  const [digest, setDigest] = useState(null);
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  function handleApiError(err) {
+    // 401 / 403 → stored PIN no longer valid (rotated) → ask again
+    if (err.status === 401 || err.status === 403) setAccess(null);
+    setError(err.message);
+  }
+
+  // Sites for the selector (first site preselected)
+  useEffect(() => {
+    if (!canView) return;
+
+    let alive = true;
+
+    getSites()
+      .then((data) => {
+        if (!alive) return;
+        setSites(data);
+        setSiteSlug((current) => current || data[0]?.slug || "");
+      })
+      .catch((err) => {
+        if (alive) setError(err.message);
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [canView]);
+
+  // Subscribers of the selected site
+  useEffect(() => {
+    if (!canView || !siteSlug) return;
+
+    let alive = true;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const data = await getDigestSubscriptions(siteSlug);
+        if (alive) setDigest(data);
+      } catch (err) {
+        if (alive) handleApiError(err);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [canView, siteSlug]);
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    try {
+      setBusy(true);
+      setError("");
+
+      const subscription = await addDigestSubscription(siteSlug, email.trim());
+
+      setDigest((prev) => ({
+        ...prev,
+        subscriptions: [...prev.subscriptions, subscription].sort((a, b) =>
+          a.email.localeCompare(b.email)
+        ),
+      }));
+      setEmail("");
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleRemove(subscription) {
+    try {
+      setBusy(true);
+      setError("");
+
+      await removeDigestSubscription(siteSlug, subscription.id);
+
+      setDigest((prev) => ({
+        ...prev,
+        subscriptions: prev.subscriptions.filter(
+          (s) => s.id !== subscription.id
+        ),
+      }));
+    } catch (err) {
+      handleApiError(err);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const subscriptions = digest?.subscriptions ?? [];
+
+  // ---------------------------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------------------------
+  return (
+    <>
+      {/* ADMIN PIN GATE */}
+      {!canView && (
+        <PinAccessModal
+          onCancel={() => navigate("/", { replace: true })}
+          onSuccess={(data) => {
+            setAccess(data);
+            if (!isAdmin(data)) {
+              setError("An admin PIN is required to manage digest emails.");
+            }
+          }}
+        />
+      )}
+
+      <Header
+        subtitle="Daily Digest"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <Breadcrumbs items={breadcrumbItems} />
+
+      <main className="body body--compact">
+        {canView && (
+          <section className="digest-intro">
+            <p>
+              Each subscriber gets one email per open day listing every
+              reservation across the site&apos;s rooms for today and the next
+              open day.
+            </p>
+
+            {digest && (
+              <p className="digest-send-time">
+                {digest.send_time
+                  ? `Sent at ${formatSendTime(digest.send_time)} on open days.`
+                  : "Digest emails are turned off on the server."}
+              </p>
+            )}
+
+            <form className="digest-form" onSubmit={handleAdd}>
+              <label>
+                Site
+                <select
+                  value={siteSlug}
+                  onChange={(e) => setSiteSlug(e.target.value)}
+                >
+                  {sites.map((site) => (
+                    <option key={site.slug} value={site.slug}>
+                      {site.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label>
+                Add an email
+                <input
+                  type="email"
+                  value={email}
+                  placeholder="frontdesk@example.org"
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </label>
+
+              <button type="submit" disabled={busy || !siteSlug}>
+                Subscribe
+              </button>
+            </form>
+          </section>
+        )}
+
+        {error && <div className="page-error">{error}</div>}
+
+        {canView && loading && <p className="approvals-empty">Loading…</p>}
+
+        {canView && !loading && digest && subscriptions.length === 0 && (
+          <p className="approvals-empty">
+            Nobody gets {digest.site.name}&apos;s digest yet.
+          </p>
+        )}
+
+        {canView && !loading && subscriptions.length > 0 && (
+          <ul className="approvals-list">
+            {subscriptions.map((s) => (
+              <li key={s.id} className="approvals-item">
+                <div className="approvals-main">
+                  <span className="approvals-title">{s.email}</span>
+                </div>
+
+                <div className="approvals-actions">
+                  <button
+                    type="button"
+                    className="approvals-reject-btn"
+                    disabled={busy}
+                    onClick={() => handleRemove(s)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+    </>
+  );
+}
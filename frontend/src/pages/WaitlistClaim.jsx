@@ -0,0 +1,174 @@
+// WaitlistClaim.jsx — waitlist offer landing page
+// -----------------------------------------------------------------------------
+// WAITLIST CLAIM PAGE
+// Opened from the "Claim this slot" link in a waitlist email
+// (/waitlist/claim?token=…). The person first in line books the freed
+// slot — or passes so the next person is asked.
+//
+// Design principles:
+// • No PIN — the emailed token IS the permission (backend verifies it)
+// • Loading the page only previews; booking needs an explicit button press
+//   (mail scanners that prefetch links never book)
+// -----------------------------------------------------------------------------
+
+import { useSearchParams } from "react-router-dom";
+import { useEffect, useState } from "react";
+
+import Header from "../components/Header";
+
+import {
+  getWaitlistOffer,
+  claimWaitlistOffer,
+  declineWaitlistOffer,
+} from "../services/waitlistService";
+import { formatMySQLRange } from "../utils/reservationDateTime";
+
+import "../css/checkIn.css";
+
+export default function WaitlistClaim({ headerTransitionClass = "" }) {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [offer, setOffer] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [outcome, setOutcome] = useState(null); // "booked" | "declined"
+  const [bookedStatus, setBookedStatus] = useState("");
+
+  /* ------------------------------------------------------------------
+     PREVIEW (READ-ONLY)
+  ------------------------------------------------------------------ */
+  useEffect(() => {
+    if (!token) return;
+
+    let cancelled = false;
+
+    getWaitlistOffer(token)
+      .then((data) => {
+        if (!cancelled) setOffer(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  async function handleClaim() {
+    try {
+      setBusy(true);
+      setError("");
+
+      const result = await claimWaitlistOffer(token);
+      setBookedStatus(result.reservation?.status ?? "");
+      setOutcome("booked");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleDecline() {
+    try {
+      setBusy(true);
+      setError("");
+
+      await declineWaitlistOffer(token);
+      setOutcome("declined");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const isOpenOffer = offer?.status === "offered" && !outcome;
+
+  return (
+    <>
+      <Header
+        subtitle="Waitlist"
+        className={headerTransitionClass}
+        showBack
+        backTo="/"
+        backLabel="Back to All Sites"
+      />
+
+      <main className="body body--compact">
+        <section className="check-in">
+          {!token && (
+            <p>
+              This waitlist link is incomplete. Please open the link from your
+              email again.
+            </p>
+          )}
+
+          {offer && (
+            <div className="check-in-summary">
+              <strong>{offer.title || "Untitled reservation"}</strong>
+              <span>
+                {offer.site_name_snapshot} · {offer.room_name_snapshot}
+              </span>
+              <span>{formatMySQLRange(offer.start_time, offer.end_time)}</span>
+            </div>
+          )}
+
+          {isOpenOffer && (
+            <>
+              <p>
+                This time is free and you are first in line. Book it now, or
+                pass so the next person on the waitlist is asked.
+              </p>
+
+              <div className="check-in-actions">
+                <button type="button" disabled={busy} onClick={handleClaim}>
+                  {busy ? "Working…" : "Book It"}
+                </button>
+                <button
+                  type="button"
+                  className="check-in-secondary"
+                  disabled={busy}
+                  onClick={handleDecline}
+                >
+                  Pass
+                </button>
+              </div>
+            </>
+          )}
+
+          {offer && !outcome && offer.status === "booked" && (
+            <p>This slot has already been booked from this offer.</p>
+          )}
+
+          {offer &&
+            !outcome &&
+            ["expired", "declined", "waiting"].includes(offer.status) && (
+              <p>This offer is no longer open.</p>
+            )}
+
+          {outcome === "booked" && (
+            <div className="check-in-done" role="status">
+              <strong>
+                {bookedStatus === "pending"
+                  ? "Requested — waiting for approval."
+                  : "Booked!"}
+              </strong>
+              <span>Your calendar invitation is on its way.</span>
+            </div>
+          )}
+
+          {outcome === "declined" && (
+            <div className="check-in-done" role="status">
+              <strong>No problem — the next person has been asked.</strong>
+            </div>
+          )}
+
+          {error && <div className="page-error">{error}</div>}
+        </section>
+      </main>
+    </>
+  );
+}
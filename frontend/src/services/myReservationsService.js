@@ -0,0 +1,267 @@
+// services/myReservationsService.js
+// -----------------------------------------------------------------------------
+// MY RESERVATIONS API SERVICE
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Emailed one-time access (request link/code → verify → session token)
+// • Personal reservation list + organizer cancel
+// • Personal calendar feed (own emailed access + session, same flow)
+//
+// Session handling:
+// • The verified session lives in sessionStorage (closes with the tab)
+// • Sent as Authorization: Bearer <token>
+// -----------------------------------------------------------------------------
+
+import { API_BASE } from "./api";
+
+const STORAGE_KEY = "myReservationsAccess";
+const FEED_STORAGE_KEY = "calendarFeedAccess";
+
+/**
+ * Build an Error carrying the backend message + HTTP status
+ */
+async function toApiError(res, fallbackMessage) {
+  const body = await res.json().catch(() => null);
+
+  const err = new Error(body?.message || fallbackMessage);
+  err.status = res.status;
+  return err;
+}
+
+/* ------------------------------------------------------------------
+   SESSION STORAGE
+------------------------------------------------------------------ */
+
+/**
+ * Stored session → { email, token, expires_at_utc } | null
+ */
+export function getStoredAccess() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function storeAccess(session) {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+}
+
+export function clearStoredAccess() {
+  sessionStorage.removeItem(STORAGE_KEY);
+}
+
+function authHeaders() {
+  const session = getStoredAccess();
+  return session?.token ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+/* ------------------------------------------------------------------
+   ACCESS
+------------------------------------------------------------------ */
+
+/**
+ * Mail a one-time link + code
+ * POST /api/my-reservations/access
+ */
+export async function requestAccess(email) {
+  const res = await fetch(`${API_BASE}/my-reservations/access`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email }),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Unable to send an access link");
+  }
+
+  return res.json();
+}
+
+/**
+ * Trade a link token OR email + code for a session (stored on success)
+ * POST /api/my-reservations/access/verify
+ *
+ * @param {{ token?: string, email?: string, code?: string }} credentials
+ */
+export async function verifyAccess(credentials) {
+  const res = await fetch(`${API_BASE}/my-reservations/access/verify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(credentials),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "That link or code is invalid");
+  }
+
+  const session = await res.json();
+  storeAccess(session);
+  return session;
+}
+
+/**
+ * Revoke the session server-side and forget it locally
+ * DELETE /api/my-reservations/access
+ */
+export async function signOut() {
+  try {
+    await fetch(`${API_BASE}/my-reservations/access`, {
+      method: "DELETE",
+      headers: authHeaders(),
+    });
+  } finally {
+    clearStoredAccess();
+  }
+}
+
+/* ------------------------------------------------------------------
+   RESERVATIONS
+------------------------------------------------------------------ */
+
+/**
+ * GET /api/my-reservations → { email, reservations }
+ * A 401 clears the stored session (expired / revoked).
+ */
+export async function getMyReservations() {
+  const res = await fetch(`${API_BASE}/my-reservations`, {
+    headers: authHeaders(),
+  });
+
+  if (!res.ok) {
+    if (res.status === 401) clearStoredAccess();
+    throw await toApiError(res, "Unable to load your reservations");
+  }
+
+  return res.json();
+}
+
+/**
+ * Organizer-only cancel
+ * DELETE /api/my-reservations/:id
+ */
+export async function cancelMyReservation(id) {
+  const res = await fetch(`${API_BASE}/my-reservations/${id}`, {
+    method: "DELETE",
+    headers: authHeaders(),
+  });
+
+  if (!res.ok) {
+    if (res.status === 401) clearStoredAccess();
+    throw await toApiError(res, "Failed to cancel reservation");
+  }
+
+  return res.json();
+}
+
+/* ------------------------------------------------------------------
+   PERSONAL CALENDAR FEED
+   • Separate session (purpose "calendar_feed") in its own storage key
+------------------------------------------------------------------ */
+
+/**
+ * Stored feed session → { email, token, expires_at_utc } | null
+ */
+export function getStoredFeedAccess() {
+  try {
+    return JSON.parse(sessionStorage.getItem(FEED_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function clearStoredFeedAccess() {
+  sessionStorage.removeItem(FEED_STORAGE_KEY);
+}
+
+function feedAuthHeaders() {
+  const session = getStoredFeedAccess();
+  return session?.token ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+/**
+ * Mail a one-time link to set up the feed
+ * POST /api/my-reservations/feed/access
+ */
+export async function requestFeedAccess(email) {
+  const res = await fetch(`${API_BASE}/my-reservations/feed/access`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email }),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Unable to send a calendar feed link");
+  }
+
+  return res.json();
+}
+
+/**
+ * Trade the emailed link token OR email + code for a feed session
+ * POST /api/my-reservations/feed/access/verify
+ */
+export async function verifyFeedAccess(credentials) {
+  const res = await fetch(`${API_BASE}/my-reservations/feed/access/verify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(credentials),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "That link or code is invalid");
+  }
+
+  const session = await res.json();
+  sessionStorage.setItem(FEED_STORAGE_KEY, JSON.stringify(session));
+  return session;
+}
+
+async function feedRequest(method, fallbackMessage) {
+  const res = await fetch(`${API_BASE}/my-reservations/feed`, {
+    method,
+    headers: feedAuthHeaders(),
+  });
+
+  if (!res.ok) {
+    if (res.status === 401) clearStoredFeedAccess();
+    throw await toApiError(res, fallbackMessage);
+  }
+
+  return res.status === 204 ? null : res.json();
+}
+
+/**
+ * GET /api/my-reservations/feed
+ * → { email, feed: { created_at_utc, last_used_at_utc } | null }
+ */
+export function getFeedStatus() {
+  return feedRequest("GET", "Unable to load your calendar feed");
+}
+
+/**
+ * New feed link (the previous one stops working)
+ * POST /api/my-reservations/feed → { email, token, created_at_utc }
+ */
+export function createFeed() {
+  return feedRequest("POST", "Unable to create your calendar feed");
+}
+
+/**
+ * Turn the feed off (every link stops working)
+ * DELETE /api/my-reservations/feed
+ */
+export function turnOffFeed() {
+  return feedRequest("DELETE", "Unable to turn off your calendar feed");
+}
+
+/**
+ * Feed token → absolute subscribe URL
+ * GET /api/my-reservations/feed/:token/calendar.ics
+ */
+export function getPersonalFeedUrl(token) {
+  return new URL(
+    `${API_BASE}/my-reservations/feed/${token}/calendar.ics`,
+    window.location.origin
+  ).toString();
+}
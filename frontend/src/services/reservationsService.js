@@ -14,12 +14,68 @@
 import { API_BASE } from "./api";
 import { toMySQLDateTime } from "../utils/reservationDateTime";
 
+/**
+ * Convert a non-OK response into an Error the UI can inspect.
+ * ---------------------------------------------------------------------------
+ * • err.message   → backend "message" (falls back to raw text)
+ * • err.status    → HTTP status code (409 = room already booked)
+ * • err.conflicts → overlapping reservations returned with a 409
+ * • err.current   → latest row when a 409 is a stale edit (STALE_VERSION)
+ * • err.holds     → other people's holds when a 409 is SLOT_HELD
+ */
+async function toApiError(res, fallbackMessage) {
+  const text = await res.text().catch(() => "");
+
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = null;
+  }
+
+  const err = new Error(body?.message || text || fallbackMessage);
+  err.status = res.status;
+  err.conflicts = Array.isArray(body?.conflicts) ? body.conflicts : [];
+  err.current = body?.code === "STALE_VERSION" ? body.current ?? null : null;
+  err.holds = body?.code === "SLOT_HELD" ? body.holds ?? [] : null;
+  err.report = Array.isArray(body?.rows) ? body : null;
+
+  return err;
+}
+
+/**
+ * Device PIN header (localStorage "calendarAccess", set by PinAccessModal)
+ * ---------------------------------------------------------------------------
+ * • Admin routes (approval queue) require it
+ * • Calendar writes send it when present → history records the PIN role
+ */
+function accessPinHeaders() {
+  try {
+    const access = JSON.parse(localStorage.getItem("calendarAccess"));
+    return access?.pin ? { "X-Access-Pin": access.pin } : {};
+  } catch {
+    return {};
+  }
+}
+
 /**
  * Fetch reservations for a specific room at a specific site
- * GET /api/reservations/:siteSlug/:roomId
+ * GET /api/reservations/:siteSlug/:roomId?from=&to=
+ *
+ * Window (optional):
+ * • from / to → "YYYY-MM-DD" (to is exclusive)
+ * • Omit both to load everything (legacy behavior)
  */
-export async function getReservationsByRoom(siteSlug, roomId) {
-  const res = await fetch(`${API_BASE}/reservations/${siteSlug}/${roomId}`);
+export async function getReservationsByRoom(siteSlug, roomId, window = {}) {
+  const params = new URLSearchParams();
+  if (window.from) params.set("from", window.from);
+  if (window.to) params.set("to", window.to);
+
+  const query = params.toString() ? `?${params}` : "";
+
+  const res = await fetch(
+    `${API_BASE}/reservations/${siteSlug}/${roomId}${query}`
+  );
 
   if (!res.ok) {
     throw new Error("Failed to load reservations");
@@ -44,31 +100,73 @@ export async function getReservationsByRoom(siteSlug, roomId) {
   return data;
 }
 
+/**
+ * Random Idempotency-Key
+ * • crypto.randomUUID needs a secure context (https / localhost)
+ *   → getRandomValues fallback for plain-http intranet hosts
+ */
+function newIdempotencyKey() {
+  if (typeof crypto.randomUUID === "function") return crypto.randomUUID();
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Network-level failures (request may or may not have reached the server)
+const CREATE_MAX_ATTEMPTS = 3;
+const CREATE_RETRY_DELAY_MS = 800;
+
 /**
  * CREATE reservation
  * POST /api/reservations
+ *
+ * Idempotency:
+ * • ONE key per call (= one modal submission), sent as Idempotency-Key
+ * • Network failures are retried with the SAME key → the backend replays
+ *   the first result instead of booking (and emailing) twice
+ *
+ * Throws (see toApiError):
+ * • status 409 + conflicts when the room is already booked
+ * • status 422 when the key was already used for a different payload
  */
 export async function createReservation(payload) {
-  const res = await fetch(`${API_BASE}/reservations`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+  const idempotencyKey = newIdempotencyKey();
+
+  let res;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      res = await fetch(`${API_BASE}/reservations`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKey,
+          ...accessPinHeaders(),
+        },
+        body: JSON.stringify(payload),
+      });
+      break;
+    } catch (err) {
+      if (attempt >= CREATE_MAX_ATTEMPTS) throw err;
+      await new Promise((r) => setTimeout(r, CREATE_RETRY_DELAY_MS * attempt));
+    }
+  }
 
   if (!res.ok) {
-    const msg = await res.text().catch(() => "");
-    throw new Error(msg || "Failed to create reservation");
+    throw await toApiError(res, "Failed to create reservation");
   }
 
   return res.json();
 }
 
 /**
- * EDIT SINGLE vs EDIT SERIES (future-safe hook)
- * For now we ONLY allow "single".
+ * EDIT SCOPE for recurring instances (ignored-safe for one-off rows)
+ * • single    → only this occurrence
+ * • following → this + later occurrences (backend splits the series)
+ * • series    → every occurrence
  */
 export const EDIT_SCOPE = {
   SINGLE: "single",
+  FOLLOWING: "following",
   SERIES: "series",
 };
 
@@ -83,6 +181,10 @@ export const EDIT_SCOPE = {
  * • created_by_name
  * • email
  * • attendees_emails
+ * • room_id → move to another room (omitted = stays put)
+ *
+ * Concurrency:
+ * • version → row version the edit is based on (backend rejects stale)
  *
  * Future-safe:
  * • edit_scope: "single" | "series" (series rejected for now)
@@ -107,8 +209,14 @@ function buildPutPayload(input = {}) {
     email: input.email,
     attendees_emails: input.attendees_emails,
 
+    // --- room move (site follows the room on the backend) ---
+    room_id: input.room_id,
+
     // --- future-safe hook (backend guard can reject "series" for now) ---
     edit_scope: input.edit_scope || EDIT_SCOPE.SINGLE,
+
+    // --- optimistic concurrency (undefined → stripped → no check) ---
+    version: input.version,
   };
 
   // Strip undefined ONLY (keep nulls, because null is a meaningful "clear field")
@@ -120,13 +228,21 @@ function buildPutPayload(input = {}) {
 }
 
 /**
- * UPDATE reservation (single-instance only)
+ * UPDATE reservation
  * PUT /api/reservations/:id
  *
  * SAFETY RULES:
  * • id MUST be numeric DB ID
  * • Payload MUST match backend whitelist
  * • start_time/end_time MUST be MySQL DATETIME strings (LOCAL wall time)
+ *
+ * Returns:
+ * • One-off row / edit_scope "single" → the updated row
+ * • edit_scope "series" | "following" → { series, reservations: [...] }
+ *
+ * Throws (see toApiError):
+ * • status 409 + conflicts when the new time overlaps another booking
+ * • status 409 + current when someone else saved the row first
  */
 export async function updateReservation(id, inputPayload) {
   const numericId = Number(id);
@@ -138,14 +254,378 @@ export async function updateReservation(id, inputPayload) {
 
   const res = await fetch(`${API_BASE}/reservations/${numericId}`, {
     method: "PUT",
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...accessPinHeaders() },
     body: JSON.stringify(safePayload),
   });
 
   if (!res.ok) {
-    const msg = await res.text().catch(() => "");
-    throw new Error(msg || "Failed to update reservation");
+    throw await toApiError(res, "Failed to update reservation");
+  }
+
+  return res.json();
+}
+
+/**
+ * CANCEL reservation (soft delete)
+ * DELETE /api/reservations/:id
+ *
+ * • Backend queues CANCEL invites for every invited address
+ * • Safe to call twice (backend is idempotent)
+ */
+export async function cancelReservation(id) {
+  const numericId = Number(id);
+  if (!Number.isInteger(numericId)) {
+    throw new Error("cancelReservation called with invalid reservation id");
+  }
+
+  const res = await fetch(`${API_BASE}/reservations/${numericId}`, {
+    method: "DELETE",
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to cancel reservation");
+  }
+
+  return res.json();
+}
+
+/**
+ * SEARCH reservations across all sites / rooms
+ * GET /api/reservations/search?q=&email=&site=&from=&to=&page=&pageSize=&sort=&order=
+ *
+ * • Empty / undefined params are dropped
+ * • Returns { results, page, pageSize, total }
+ * • Each result includes site_slug + room_id (calendar deep link)
+ */
+export async function searchReservations(query = {}) {
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, value);
+    }
+  });
+
+  const res = await fetch(`${API_BASE}/reservations/search?${params}`);
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to search reservations");
+  }
+
+  return res.json();
+}
+
+/* ------------------------------------------------------------------
+   APPROVAL QUEUE (admin / super_admin)
+   ------------------------------------------------------------------
+   The backend re-checks the PIN on every call (X-Access-Pin).
+------------------------------------------------------------------ */
+
+/**
+ * Pending bookings (one entry per series)
+ * GET /api/reservations/pending
+ */
+export async function getPendingApprovals() {
+  const res = await fetch(`${API_BASE}/reservations/pending`, {
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load the approval queue");
   }
 
   return res.json();
 }
+
+/**
+ * Approve a pending booking (whole series for a recurring row)
+ * POST /api/reservations/:id/approve
+ */
+export async function approveReservation(id) {
+  const res = await fetch(`${API_BASE}/reservations/${Number(id)}/approve`, {
+    method: "POST",
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to approve reservation");
+  }
+
+  return res.json();
+}
+
+/**
+ * Reject a pending booking — reason is emailed to the organizer
+ * POST /api/reservations/:id/reject
+ */
+export async function rejectReservation(id, reason) {
+  const res = await fetch(`${API_BASE}/reservations/${Number(id)}/reject`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...accessPinHeaders() },
+    body: JSON.stringify({ reason }),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to reject reservation");
+  }
+
+  return res.json();
+}
+
+/**
+ * Change history (audit trail) — oldest first
+ * GET /api/reservations/:id/history
+ *
+ * Entry: { action, edit_scope, changes: { field: { from, to } },
+ *          actor_role, actor_email, created_at_utc }
+ */
+export async function getReservationHistory(id) {
+  const numericId = Number(id);
+  if (!Number.isInteger(numericId)) {
+    throw new Error("getReservationHistory called with invalid reservation id");
+  }
+
+  const res = await fetch(`${API_BASE}/reservations/${numericId}/history`);
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load reservation history");
+  }
+
+  return res.json();
+}
+
+/**
+ * Attendee RSVP replies (from their calendar apps) for one reservation
+ * GET /api/reservations/:id/rsvps
+ *
+ * Returns { counts: { accepted, tentative, declined, no_reply },
+ *           responses: [{ email, partstat, comment, replied_at_utc }] }
+ */
+export async function getReservationRsvps(id) {
+  const numericId = Number(id);
+  if (!Number.isInteger(numericId)) {
+    throw new Error("getReservationRsvps called with invalid reservation id");
+  }
+
+  const res = await fetch(`${API_BASE}/reservations/${numericId}/rsvps`);
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load RSVP replies");
+  }
+
+  return res.json();
+}
+
+/* ------------------------------------------------------------------
+   CHECK-IN (NO-SHOW RELEASE)
+   ------------------------------------------------------------------
+   Confirmed bookings must be checked in from 15 minutes before the
+   start; when enabled, the backend releases them as "no_show" after a
+   grace period (end_time cut back to the release time).
+------------------------------------------------------------------ */
+
+/**
+ * Check in from the calendar (device PIN required)
+ * POST /api/reservations/:id/check-in
+ *
+ * Returns { id, status, checked_in_at_utc, version, …, already_checked_in }
+ * Throws status 409 when check-in is not open (too early / ended / released)
+ */
+export async function checkInReservation(id) {
+  const numericId = Number(id);
+  if (!Number.isInteger(numericId)) {
+    throw new Error("checkInReservation called with invalid reservation id");
+  }
+
+  const res = await fetch(`${API_BASE}/reservations/${numericId}/check-in`, {
+    method: "POST",
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to check in");
+  }
+
+  return res.json();
+}
+
+/**
+ * Check in from the link in the invite email (signed token, no PIN)
+ * POST /api/reservations/check-in  Body: { token }
+ */
+export async function checkInWithLink(token) {
+  const res = await fetch(`${API_BASE}/reservations/check-in`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token }),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to check in");
+  }
+
+  return res.json();
+}
+
+/**
+ * Repeat no-show report (admin / super_admin)
+ * GET /api/reservations/no-shows?from=&to=&min_count=
+ *
+ * Returns { from, to, min_count, organizers: [...] }
+ */
+export async function getNoShowReport(query = {}) {
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, value);
+    }
+  });
+
+  const res = await fetch(`${API_BASE}/reservations/no-shows?${params}`, {
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load the no-show report");
+  }
+
+  return res.json();
+}
+
+/* ------------------------------------------------------------------
+   TENTATIVE HOLDS (CREATE MODAL)
+------------------------------------------------------------------ */
+
+/**
+ * Active holds for a room (other viewers' open create modals)
+ * GET /api/reservations/holds?room_id=&from=&to=
+ *
+ * Returns [{ id, start_time, end_time, expires_at_utc }]
+ */
+export async function getActiveHolds(roomId, window = {}) {
+  const params = new URLSearchParams({ room_id: roomId });
+  if (window.from) params.set("from", window.from);
+  if (window.to) params.set("to", window.to);
+
+  const res = await fetch(`${API_BASE}/reservations/holds?${params}`);
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load holds");
+  }
+
+  return res.json();
+}
+
+/**
+ * Hold a free slot while the create modal is open
+ * POST /api/reservations/holds
+ *
+ * Returns { id, token, start_time, end_time, expires_at_utc }
+ * (409 → already booked, or err.holds when someone else holds it)
+ */
+export async function createHold({ roomId, start, end }) {
+  const res = await fetch(`${API_BASE}/reservations/holds`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      room_id: roomId,
+      start_time: toMySQLDateTime(start),
+      end_time: toMySQLDateTime(end),
+    }),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to hold this time");
+  }
+
+  return res.json();
+}
+
+/**
+ * Release a hold (modal closed without booking)
+ * DELETE /api/reservations/holds/:id — 404 (expired / converted) is fine
+ */
+export async function releaseHold(hold) {
+  const res = await fetch(`${API_BASE}/reservations/holds/${hold.id}`, {
+    method: "DELETE",
+    headers: { "X-Hold-Token": hold.token },
+  });
+
+  if (!res.ok && res.status !== 404) {
+    throw await toApiError(res, "Failed to release the hold");
+  }
+}
+
+/* ------------------------------------------------------------------
+   BULK CSV IMPORT (ADMIN)
+------------------------------------------------------------------ */
+
+async function postImportCsv(path, csvText, fallbackMessage) {
+  const res = await fetch(`${API_BASE}/reservations/${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "text/csv", ...accessPinHeaders() },
+    body: csvText,
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, fallbackMessage);
+  }
+
+  return res.json();
+}
+
+/**
+ * Validate a CSV term schedule without saving anything
+ * POST /api/reservations/import/dry-run
+ *
+ * Returns { dry_run: true, total, valid, invalid, rows: [...] }
+ */
+export function previewReservationImport(csvText) {
+  return postImportCsv("import/dry-run", csvText, "Failed to check the file");
+}
+
+/**
+ * Import every row (all-or-nothing) and queue invites
+ * POST /api/reservations/import
+ *
+ * Returns the same report (201); 422 → err.report, nothing was saved
+ */
+export function commitReservationImport(csvText) {
+  return postImportCsv("import", csvText, "Failed to import the file");
+}
+
+/* ------------------------------------------------------------------
+   CSV EXPORT
+------------------------------------------------------------------ */
+
+/**
+ * Download a schedule as CSV
+ * GET /api/reservations/export?site=&room_id=&from=&to=&status=
+ *
+ * Returns { blob, fileName } (the file name comes from the server)
+ */
+export async function exportReservationsCsv(query = {}) {
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      params.set(key, value);
+    }
+  });
+
+  const res = await fetch(`${API_BASE}/reservations/export?${params}`, {
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to export reservations");
+  }
+
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const fileName =
+    disposition.match(/filename="([^"]+)"/)?.[1] || "reservations.csv";
+
+  return { blob: await res.blob(), fileName };
+}
@@ -7,6 +7,7 @@
 // -----------------------------------------------------------------------------
 
 import { API_BASE } from "../services/api";
+import { getSites } from "../data/siteService";
 
 // -----------------------------------------------------------------------------
 // In-memory cache (lives for the browser session)
@@ -57,6 +58,35 @@ export async function getRoomById(siteSlug, roomId) {
   return data;
 }
 
+/**
+ * Every bookable room, grouped by site (ReservationModal room picker)
+ * → [{ site: { id, slug, name }, rooms: [{ id, name, requires_approval }] }]
+ *
+ * • One request per site, cached for the browser session
+ * • A failed load is not cached (next open retries)
+ */
+let roomDirectoryPromise = null;
+
+export function getRoomDirectory() {
+  if (!roomDirectoryPromise) {
+    roomDirectoryPromise = getSites()
+      .then((sites) =>
+        Promise.all(
+          sites.map(async (site) => ({
+            site,
+            rooms: await getRoomsBySiteSlug(site.slug),
+          }))
+        )
+      )
+      .catch((err) => {
+        roomDirectoryPromise = null;
+        throw err;
+      });
+  }
+
+  return roomDirectoryPromise;
+}
+
 /**
  * 🔹 PRELOAD helper (non-blocking, fire-and-forget)
  * Used by Cards.jsx on hover / touch
@@ -68,3 +98,49 @@ export function preloadRoom(siteSlug, roomId) {
     // Intentionally ignore errors during preload
   });
 }
+
+/**
+ * Find rooms that are FREE for a time slot (Rooms page search)
+ * GET /api/sites/:siteSlug/availability?start=&end=&min_capacity=
+ *
+ * • start / end → "YYYY-MM-DD HH:MM:SS" (LOCAL wall time)
+ * • minCapacity → headcount (optional; rooms with unknown capacity still
+ *   come back)
+ * • Returns { start, end, min_capacity, rooms: [{ id, name, image_url, capacity }] }
+ * • Throws with the backend message (e.g. outside business hours)
+ */
+export async function getSiteAvailability(
+  siteSlug,
+  { start, end, minCapacity = null }
+) {
+  const params = new URLSearchParams({ start, end });
+  if (minCapacity) params.set("min_capacity", String(minCapacity));
+
+  const res = await fetch(
+    `${API_BASE}/sites/${siteSlug}/availability?${params}`
+  );
+
+  if (!res.ok) {
+    let body = null;
+    try {
+      body = await res.json();
+    } catch {
+      body = null;
+    }
+    throw new Error(body?.message || "Failed to check availability");
+  }
+
+  return res.json();
+}
+
+/**
+ * Subscribable iCalendar feed URL for a room (absolute — calendar apps
+ * fetch it themselves)
+ * GET /api/rooms/:siteSlug/:roomId/calendar.ics
+ */
+export function getRoomFeedUrl(siteSlug, roomId) {
+  return new URL(
+    `${API_BASE}/rooms/${siteSlug}/${roomId}/calendar.ics`,
+    window.location.origin
+  ).toString();
+}
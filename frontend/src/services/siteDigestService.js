@@ -0,0 +1,88 @@
+// services/siteDigestService.js
+// -----------------------------------------------------------------------------
+// SITE DIGEST SUBSCRIPTIONS API SERVICE
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • List / add / remove who gets a site's daily schedule digest email
+//
+// Notes:
+// • Admin PIN required — the backend re-checks it on every call
+// • The digest itself is sent by the email worker (DIGEST_SEND_TIME)
+// -----------------------------------------------------------------------------
+
+import { API_BASE } from "./api";
+
+/**
+ * Build an Error carrying the backend message + HTTP status
+ */
+async function toApiError(res, fallbackMessage) {
+  const body = await res.json().catch(() => null);
+
+  const err = new Error(body?.message || fallbackMessage);
+  err.status = res.status;
+  return err;
+}
+
+/**
+ * Device PIN header (localStorage "calendarAccess", set by PinAccessModal)
+ */
+function accessPinHeaders() {
+  try {
+    const access = JSON.parse(localStorage.getItem("calendarAccess"));
+    return access?.pin ? { "X-Access-Pin": access.pin } : {};
+  } catch {
+    return {};
+  }
+}
+
+function subscriptionsUrl(siteSlug) {
+  return `${API_BASE}/sites/${encodeURIComponent(siteSlug)}/digest-subscriptions`;
+}
+
+/**
+ * GET /api/sites/:siteSlug/digest-subscriptions
+ * → { site, send_time: "HH:MM" | null, subscriptions: [{ id, email, … }] }
+ */
+export async function getDigestSubscriptions(siteSlug) {
+  const res = await fetch(subscriptionsUrl(siteSlug), {
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load digest subscriptions");
+  }
+
+  return res.json();
+}
+
+/**
+ * POST /api/sites/:siteSlug/digest-subscriptions → { id, email, … }
+ * 409 → the address already gets this site's digest
+ */
+export async function addDigestSubscription(siteSlug, email) {
+  const res = await fetch(subscriptionsUrl(siteSlug), {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...accessPinHeaders() },
+    body: JSON.stringify({ email }),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to add the subscription");
+  }
+
+  return res.json();
+}
+
+/**
+ * DELETE /api/sites/:siteSlug/digest-subscriptions/:id
+ */
+export async function removeDigestSubscription(siteSlug, id) {
+  const res = await fetch(`${subscriptionsUrl(siteSlug)}/${id}`, {
+    method: "DELETE",
+    headers: accessPinHeaders(),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to remove the subscription");
+  }
+}
@@ -0,0 +1,80 @@
+// services/waitlistService.js
+// -----------------------------------------------------------------------------
+// WAITLIST API SERVICE
+// -----------------------------------------------------------------------------
+// Responsibilities:
+// • Join the waitlist for a booked room + time range
+// • Preview / claim / decline the emailed "claim this slot" offer
+//
+// Notes:
+// • No PIN — the claim token from the email link is the permission
+// -----------------------------------------------------------------------------
+
+import { API_BASE } from "./api";
+
+/**
+ * Build an Error carrying the backend message + HTTP status (+ code)
+ */
+async function toApiError(res, fallbackMessage) {
+  const body = await res.json().catch(() => null);
+
+  const err = new Error(body?.message || fallbackMessage);
+  err.status = res.status;
+  err.code = body?.code;
+  return err;
+}
+
+async function postJSON(path, payload, fallbackMessage) {
+  const res = await fetch(`${API_BASE}/waitlist${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  if (!res.ok) {
+    throw await toApiError(res, fallbackMessage);
+  }
+
+  return res.json();
+}
+
+/**
+ * POST /api/waitlist
+ * Payload: same fields as a single booking + { auto_book }
+ *
+ * Returns { id, position, auto_book, … }
+ * Errors carry err.code: "SLOT_AVAILABLE" | "ALREADY_WAITING"
+ */
+export function joinWaitlist(payload) {
+  return postJSON("", payload, "Failed to join the waitlist");
+}
+
+/**
+ * GET /api/waitlist/claim?token=…
+ * Offer preview → { title, start_time, end_time, status, … }
+ */
+export async function getWaitlistOffer(token) {
+  const res = await fetch(
+    `${API_BASE}/waitlist/claim?token=${encodeURIComponent(token)}`
+  );
+
+  if (!res.ok) {
+    throw await toApiError(res, "Failed to load the offer");
+  }
+
+  return res.json();
+}
+
+/**
+ * POST /api/waitlist/claim → { entry, reservation }
+ */
+export function claimWaitlistOffer(token) {
+  return postJSON("/claim", { token }, "Failed to claim the slot");
+}
+
+/**
+ * POST /api/waitlist/decline → entry (status 'declined')
+ */
+export function declineWaitlistOffer(token) {
+  return postJSON("/decline", { token }, "Failed to pass on the slot");
+}
@@ -329,3 +329,87 @@ export function mapReservationsToEvents(reservations = []) {
 
   return events;
 }
+
+/* ------------------------------------------------------------------
+   ROOM BUFFERS → SHADED BACKGROUND BLOCKS
+------------------------------------------------------------------ */
+/**
+ * Setup / teardown time around each booking, as React Big Calendar
+ * background events (see rooms.buffer_before_minutes / _after_minutes).
+ *
+ * • before block → [start - beforeMinutes, start)
+ * • after block  → [end, end + afterMinutes)
+ * • resource.isBuffer → click handlers ignore these blocks
+ * • All-day bookings get no blocks (the whole day is taken anyway)
+ * • Released no-shows get no blocks (they no longer hold the room)
+ */
+export function buildBufferEvents(
+  reservations = [],
+  { beforeMinutes = 0, afterMinutes = 0 } = {}
+) {
+  const before = Number(beforeMinutes) || 0;
+  const after = Number(afterMinutes) || 0;
+  if (before <= 0 && after <= 0) return [];
+
+  const blocks = [];
+
+  reservations.forEach((r) => {
+    if (r.status === "no_show") return;
+
+    const start = parseBackendDateTime(r.start_time);
+    const end = parseBackendDateTime(r.end_time);
+    if (!start || !end) return;
+
+    const isAllDay =
+      start.getHours() === 0 &&
+      start.getMinutes() === 0 &&
+      end.getHours() === 23 &&
+      end.getMinutes() === 59;
+    if (isAllDay) return;
+
+    if (before > 0) {
+      blocks.push({
+        id: `buffer-before-${r.id}`,
+        title: "Setup",
+        start: new Date(start.getTime() - before * 60000),
+        end: new Date(start.getTime()),
+        resource: { isBuffer: true, parentId: r.id },
+      });
+    }
+
+    if (after > 0) {
+      blocks.push({
+        id: `buffer-after-${r.id}`,
+        title: "Cleanup",
+        start: new Date(end.getTime()),
+        end: new Date(end.getTime() + after * 60000),
+        resource: { isBuffer: true, parentId: r.id },
+      });
+    }
+  });
+
+  return blocks;
+}
+
+/* ------------------------------------------------------------------
+   TENTATIVE HOLDS → "BEING BOOKED" BACKGROUND BLOCKS
+------------------------------------------------------------------ */
+/**
+ * Other people's open create modals (GET /api/reservations/holds), as
+ * React Big Calendar background events.
+ *
+ * • excludeId → this viewer's own hold (their modal is already open)
+ * • resource.isHold → click handlers ignore these blocks
+ */
+export function buildHoldEvents(holds = [], { excludeId = null } = {}) {
+  return holds
+    .filter((h) => excludeId == null || Number(h.id) !== Number(excludeId))
+    .map((h) => ({
+      id: `hold-${h.id}`,
+      title: "Being booked…",
+      start: parseBackendDateTime(h.start_time),
+      end: parseBackendDateTime(h.end_time),
+      resource: { isHold: true },
+    }))
+    .filter((e) => e.start && e.end);
+}
@@ -291,6 +291,31 @@ export function formatTime12h(time) {
   return `${hour12}:${pad2(m)} ${suffix}`;
 }
 
+/**
+ * Format a MySQL DATETIME range for display.
+ * ------------------------------------------------------------
+ * Example:
+ *   "2026-01-12 09:00:00", "2026-01-12 10:30:00"
+ *   → "2026-01-12 9:00 AM – 10:30 AM"
+ *
+ * • String-only (NO Date parsing → no timezone drift)
+ * • End date is repeated only when the range spans days
+ *
+ * UI-only helper.
+ */
+export function formatMySQLRange(startTime, endTime) {
+  const [startDay, startClock = ""] = String(startTime).split(" ");
+  const [endDay, endClock = ""] = String(endTime).split(" ");
+
+  const from = `${startDay} ${formatTime12h(startClock.slice(0, 5))}`;
+  const to =
+    endDay === startDay
+      ? formatTime12h(endClock.slice(0, 5))
+      : `${endDay} ${formatTime12h(endClock.slice(0, 5))}`;
+
+  return `${from} – ${to}`;
+}
+
 /* ------------------------------------------------------------------
    MYSQL DATETIME BUILDER (TIMEZONE-SAFE)
 ------------------------------------------------------------------ */